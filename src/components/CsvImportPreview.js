@@ -0,0 +1,122 @@
+// CsvImportPreview.js - Preview of a CSV upload with detected settings the user can override
+import React from 'react';
+import { FileText } from 'lucide-react';
+import { CSV_DELIMITERS, CSV_ENCODINGS, CSV_QUOTES, previewCsv } from '../services/csvParsing.js';
+
+const CsvImportPreview = ({
+  csvImport, // { file, sample, detected, settings } or null when no CSV is pending
+  onChangeSettings, // Handler called with the updated settings
+  onConfirm,
+  onCancel
+}) => {
+  if (!csvImport) {
+    return null;
+  }
+
+  const { file, sample, detected, settings } = csvImport;
+
+  let previewRows = [];
+  let previewError = '';
+  try {
+    previewRows = previewCsv(sample, settings);
+  } catch (error) {
+    previewError = `Cannot decode the file as ${settings.encoding}`;
+  }
+  const columnCount = previewRows.reduce((max, row) => Math.max(max, row.length), 0);
+
+  const updateSetting = (key, value) => {
+    onChangeSettings({ ...settings, [key]: value });
+  };
+
+  const renderSelect = (id, label, key, options) => (
+    <div>
+      <label htmlFor={id} className="block text-xs font-medium text-gray-700 mb-1">
+        {label}
+        {settings[key] === detected[key] && (
+          <span className="ml-1 text-green-600">(detected)</span>
+        )}
+      </label>
+      <select
+        id={id}
+        value={settings[key]}
+        onChange={(e) => updateSetting(key, e.target.value)}
+        className="w-full text-sm border border-gray-300 rounded-md px-2 py-1 focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">
+        CSV Import Settings
+      </h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+        <div className="flex items-center gap-2 mb-4">
+          <FileText className="h-5 w-5 text-indigo-600" />
+          <span className="text-sm font-medium text-gray-800">{file.name}</span>
+          {detected.hasBom && (
+            <span className="text-xs px-2 py-0.5 bg-gray-200 text-gray-700 rounded">BOM</span>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+          {renderSelect('csv-delimiter', 'Delimiter', 'delimiter', CSV_DELIMITERS)}
+          {renderSelect('csv-encoding', 'Encoding', 'encoding', CSV_ENCODINGS)}
+          {renderSelect('csv-quote', 'Quote character', 'quoteChar', CSV_QUOTES)}
+        </div>
+
+        {previewError ? (
+          <p className="text-sm text-red-700 mb-4">{previewError}</p>
+        ) : (
+          <div className="overflow-x-auto mb-4 border border-gray-200 rounded bg-white">
+            <table className="min-w-full text-xs">
+              <tbody>
+                {previewRows.map((row, rowIndex) => (
+                  <tr key={rowIndex} className={rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    {Array.from({ length: columnCount }, (_, colIndex) => (
+                      <td
+                        key={colIndex}
+                        className="px-2 py-1 border-r border-gray-100 whitespace-pre-wrap max-w-xs truncate"
+                      >
+                        {row[colIndex] ?? ''}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500 mb-4">
+          {columnCount} column{columnCount === 1 ? '' : 's'} found in the first {previewRows.length} rows.
+          Adjust the settings until the columns line up, then continue.
+        </p>
+
+        <div className="flex gap-2">
+          <button
+            onClick={onConfirm}
+            disabled={Boolean(previewError)}
+            className={`px-4 py-2 text-sm rounded-md text-white ${
+              previewError ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'
+            }`}
+          >
+            Continue
+          </button>
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm rounded-md bg-gray-200 text-gray-700 hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportPreview;
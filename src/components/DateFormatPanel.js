@@ -0,0 +1,140 @@
+// DateFormatPanel.js - How the selected date column is read and grouped: parse success rate, day/month order, calendar, period size and ambiguous dates
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { DATE_FORMATS, CALENDARS } from '../services/dateUtilities.js';
+import { PERIOD_GRANULARITIES } from '../services/datePeriods.js';
+
+const DateFormatPanel = ({
+  dateColumn, // Selected entry from allDateColumns (with formatAnalysis, parseStats and its date settings)
+  onChangeSettings // Handler called with the changed settings, e.g. { dateFormat: 'MM/DD/YYYY' }
+}) => {
+  if (!dateColumn || !dateColumn.formatAnalysis) {
+    return null;
+  }
+
+  const {
+    suggestedFormat,
+    dayFirstCount,
+    monthFirstCount,
+    ambiguousCount,
+    ambiguousExamples,
+    isMixed
+  } = dateColumn.formatAnalysis;
+
+  const parseStats = dateColumn.parseStats;
+  const hasUnparsed = parseStats && parseStats.parsedCount < parseStats.filledCount;
+
+  const evidence = [];
+  if (dayFirstCount > 0) evidence.push(`${dayFirstCount} only valid as DD/MM`);
+  if (monthFirstCount > 0) evidence.push(`${monthFirstCount} only valid as MM/DD`);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-blue-200">
+      {parseStats && parseStats.filledCount > 0 && (
+        <div className={`mb-3 text-sm ${hasUnparsed ? 'text-amber-700' : 'text-blue-800'}`}>
+          <span className="font-medium">
+            {parseStats.parsedCount} of {parseStats.filledCount} values read as dates
+            ({Math.floor(parseStats.successRate * 100)}%)
+          </span>
+          {hasUnparsed && (
+            <span className="block text-xs text-gray-500">
+              Not recognised: {parseStats.unparsedExamples.map(example => `data row ${example.rowNumber}: ${example.value}`).join(', ')}
+              {parseStats.filledCount - parseStats.parsedCount > parseStats.unparsedExamples.length && ', ...'}
+            </span>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label htmlFor="date-format" className="text-sm font-medium text-blue-800">
+          Date format
+        </label>
+        <select
+          id="date-format"
+          value={dateColumn.dateFormat}
+          onChange={(e) => onChangeSettings({ dateFormat: e.target.value })}
+          className="px-3 py-1.5 text-sm border border-blue-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {DATE_FORMATS.map(format => (
+            <option key={format.value} value={format.value}>
+              {format.label}{format.value === suggestedFormat ? ' - suggested' : ''}
+            </option>
+          ))}
+        </select>
+        <span className="text-xs text-blue-700">
+          {evidence.length > 0 ? evidence.join(', ') : 'No values decide the format on their own'}
+        </span>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3">
+        <label htmlFor="date-calendar" className="text-sm font-medium text-blue-800">
+          Calendar
+        </label>
+        <select
+          id="date-calendar"
+          value={dateColumn.calendar}
+          onChange={(e) => onChangeSettings({ calendar: e.target.value })}
+          className="px-3 py-1.5 text-sm border border-blue-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {CALENDARS.map(calendar => (
+            <option key={calendar.value} value={calendar.value}>{calendar.label}</option>
+          ))}
+        </select>
+        {parseStats && parseStats.hijriCount > 0 && (
+          <span className="text-xs text-blue-700">
+            {parseStats.hijriCount} Hijri date{parseStats.hijriCount === 1 ? '' : 's'} converted to Gregorian
+          </span>
+        )}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3">
+        <label htmlFor="date-granularity" className="text-sm font-medium text-blue-800">
+          Group by
+        </label>
+        <select
+          id="date-granularity"
+          value={dateColumn.granularity}
+          onChange={(e) => onChangeSettings({ granularity: e.target.value })}
+          className="px-3 py-1.5 text-sm border border-blue-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {PERIOD_GRANULARITIES.map(granularity => (
+            <option key={granularity.value} value={granularity.value}>{granularity.label}</option>
+          ))}
+        </select>
+
+        {dateColumn.granularity === 'month' && (
+          <select
+            aria-label="Month calendar"
+            value={dateColumn.monthCalendar}
+            onChange={(e) => onChangeSettings({ monthCalendar: e.target.value })}
+            className="px-3 py-1.5 text-sm border border-blue-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {CALENDARS.map(calendar => (
+              <option key={calendar.value} value={calendar.value}>{calendar.label} months</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {isMixed && (
+        <div className="mt-3 flex items-start gap-2 text-sm text-amber-700">
+          <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          This column mixes day-first and month-first dates. Dates that only fit one format are still read that way; the choice above decides the ambiguous ones.
+        </div>
+      )}
+
+      {ambiguousCount > 0 && (
+        <div className="mt-3 text-sm text-gray-700">
+          <span className="font-medium">{ambiguousCount} ambiguous date{ambiguousCount === 1 ? '' : 's'}</span>
+          {' '}read as {dateColumn.dateFormat}
+          <span className="block text-xs text-gray-500">
+            {ambiguousExamples.map(example => `data row ${example.rowNumber}: ${example.value}`).join(', ')}
+            {ambiguousCount > ambiguousExamples.length && ', ...'}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DateFormatPanel;
@@ -0,0 +1,124 @@
+// DateRangeFilter.js - Keep only rows between two dates on the selected date column, optionally on a second date column too
+import React from 'react';
+import { CalendarRange, Plus, X } from 'lucide-react';
+
+export const EMPTY_DATE_RANGE = { from: '', to: '', fromInclusive: true, toInclusive: true };
+
+const RangeInputs = ({ range, onChange, idPrefix }) => (
+  <div className="flex flex-wrap items-center gap-3 text-sm">
+    <label htmlFor={`${idPrefix}-from`} className="text-gray-700">From</label>
+    <input
+      id={`${idPrefix}-from`}
+      type="date"
+      value={range.from}
+      onChange={(e) => onChange({ ...range, from: e.target.value })}
+      className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+    />
+    <label className="flex items-center gap-1 text-xs text-gray-600">
+      <input
+        type="checkbox"
+        checked={range.fromInclusive}
+        onChange={(e) => onChange({ ...range, fromInclusive: e.target.checked })}
+        className="h-3.5 w-3.5 text-indigo-600 border-gray-300 rounded"
+      />
+      including
+    </label>
+
+    <label htmlFor={`${idPrefix}-to`} className="ml-2 text-gray-700">To</label>
+    <input
+      id={`${idPrefix}-to`}
+      type="date"
+      value={range.to}
+      onChange={(e) => onChange({ ...range, to: e.target.value })}
+      className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+    />
+    <label className="flex items-center gap-1 text-xs text-gray-600">
+      <input
+        type="checkbox"
+        checked={range.toInclusive}
+        onChange={(e) => onChange({ ...range, toInclusive: e.target.checked })}
+        className="h-3.5 w-3.5 text-indigo-600 border-gray-300 rounded"
+      />
+      including
+    </label>
+  </div>
+);
+
+const DateRangeFilter = ({
+  dateColumns, // allDateColumns of the active sheet
+  selectedDateColumnIndex,
+  dateRange, // { from, to, fromInclusive, toInclusive } on the selected date column
+  secondaryDateRange, // Same plus the header of its date column, or null
+  rowsRemoved, // Preview of rows the filters remove, or null while unknown
+  onChangeRange,
+  onChangeSecondaryRange
+}) => {
+  if (!dateColumns || dateColumns.length === 0 || selectedDateColumnIndex === -1) {
+    return null;
+  }
+
+  const selectedColumn = dateColumns.find(col => col.index === selectedDateColumnIndex);
+  const otherColumns = dateColumns.filter(col => col.index !== selectedDateColumnIndex);
+  const hasRange = Boolean(dateRange.from || dateRange.to || (secondaryDateRange && (secondaryDateRange.from || secondaryDateRange.to)));
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Date Range (Optional)</h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-4">
+        <div>
+          <div className="flex items-center gap-2 mb-2 text-sm font-medium text-gray-800">
+            <CalendarRange className="h-4 w-4 text-indigo-600" />
+            Keep rows where {selectedColumn ? selectedColumn.header : 'the date'} is
+          </div>
+          <RangeInputs range={dateRange} onChange={onChangeRange} idPrefix="date-range" />
+        </div>
+
+        {secondaryDateRange ? (
+          <div className="pt-3 border-t border-gray-200">
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center gap-2 text-sm font-medium text-gray-800">
+                and
+                <select
+                  value={secondaryDateRange.header}
+                  onChange={(e) => onChangeSecondaryRange({ ...secondaryDateRange, header: e.target.value })}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {otherColumns.map(col => (
+                    <option key={col.index} value={col.header}>{col.header}</option>
+                  ))}
+                </select>
+                is
+              </div>
+              <button
+                onClick={() => onChangeSecondaryRange(null)}
+                className="text-gray-400 hover:text-gray-600"
+                title="Remove this range"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            <RangeInputs range={secondaryDateRange} onChange={onChangeSecondaryRange} idPrefix="secondary-date-range" />
+          </div>
+        ) : otherColumns.length > 0 && (
+          <button
+            onClick={() => onChangeSecondaryRange({ ...EMPTY_DATE_RANGE, header: otherColumns[0].header })}
+            className="inline-flex items-center gap-1 text-sm font-medium text-indigo-600 hover:text-indigo-800"
+          >
+            <Plus className="h-4 w-4" />
+            Add a range on another date column
+          </button>
+        )}
+
+        {hasRange && (
+          <div className="text-sm text-red-600 font-medium">
+            {rowsRemoved === null
+              ? 'Counting matching rows...'
+              : `${rowsRemoved} entries marked for removal`}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DateRangeFilter;
@@ -0,0 +1,136 @@
+// DerivedColumnBuilder.js - Add columns computed from two date columns: days between them or an aging bucket
+import React, { useState } from 'react';
+import { Timer, Plus, X } from 'lucide-react';
+import { DERIVED_COLUMN_TYPES, DAY_COUNTS, AGING_BUCKETS, getDefaultDerivedColumnName } from '../services/derivedColumns.js';
+import { validateNewColumnName } from '../utils/columnRenames.js';
+
+const selectClassName = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const DerivedColumnBuilder = ({
+  dateColumns, // allDateColumns of the active sheet
+  existingNames, // Headers and added columns the new name must not repeat
+  columnRenames, // Output names ({ original: output }) the new name must not repeat either
+  derivedColumns, // Definitions added so far
+  onAdd, // Handler called with { name, type, startHeader, endHeader, dayCount }
+  onRemove // Handler called with the name of the derived column to remove
+}) => {
+  const [type, setType] = useState(DERIVED_COLUMN_TYPES[0].value);
+  const [startHeader, setStartHeader] = useState('');
+  const [endHeader, setEndHeader] = useState('');
+  const [dayCount, setDayCount] = useState(DAY_COUNTS[0].value);
+  const [name, setName] = useState('');
+  const [nameError, setNameError] = useState('');
+
+  if (!dateColumns || dateColumns.length === 0) {
+    return null;
+  }
+
+  // Fall back to the first date column until one is picked
+  const start = dateColumns.some(col => col.header === startHeader) ? startHeader : dateColumns[0].header;
+  const end = dateColumns.some(col => col.header === endHeader) ? endHeader : '';
+  const suggestedName = getDefaultDerivedColumnName(type, start, end);
+
+  const handleAdd = () => {
+    const columnName = (name || suggestedName).trim();
+
+    if (!columnName) {
+      setNameError('Enter a column name');
+      return;
+    }
+
+    const error = validateNewColumnName(columnName, existingNames, columnRenames);
+    if (error) {
+      setNameError(error);
+      return;
+    }
+
+    onAdd({ name: columnName, type, startHeader: start, endHeader: end, dayCount });
+    setName('');
+    setNameError('');
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <Timer className="h-4 w-4 text-indigo-600" />
+        <select value={type} onChange={(e) => setType(e.target.value)} className={selectClassName}>
+          {DERIVED_COLUMN_TYPES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        from
+        <select value={start} onChange={(e) => setStartHeader(e.target.value)} className={selectClassName}>
+          {dateColumns.map(col => (
+            <option key={col.index} value={col.header}>{col.header}</option>
+          ))}
+        </select>
+        to
+        <select value={end} onChange={(e) => setEndHeader(e.target.value)} className={selectClassName}>
+          <option value="">Today</option>
+          {dateColumns.filter(col => col.header !== start).map(col => (
+            <option key={col.index} value={col.header}>{col.header}</option>
+          ))}
+        </select>
+        in
+        <select value={dayCount} onChange={(e) => setDayCount(e.target.value)} className={selectClassName}>
+          {DAY_COUNTS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          placeholder={suggestedName}
+          onChange={(e) => {
+            setName(e.target.value);
+            setNameError('');
+          }}
+          className="flex-1 min-w-[16rem] px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          onClick={handleAdd}
+          className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+        >
+          <Plus className="h-4 w-4" />
+          Add column
+        </button>
+      </div>
+
+      {nameError && <p className="text-sm text-red-600">{nameError}</p>}
+
+      <p className="text-xs text-gray-500">
+        {type === 'aging'
+          ? `Rows are put in the buckets ${AGING_BUCKETS.map(bucket => bucket.label).join(', ')} days.`
+          : 'Negative when the end date is before the start date.'}
+        {' '}Rows missing either date are left blank.
+      </p>
+
+      {derivedColumns.length > 0 && (
+        <ul className="pt-3 border-t border-gray-200 space-y-1">
+          {derivedColumns.map(column => (
+            <li key={column.name} className="flex items-center justify-between text-sm text-gray-700">
+              <span>
+                <span className="font-medium">{column.name}</span>
+                <span className="text-gray-500">
+                  {' '}({column.startHeader} to {column.endHeader || 'today'}, {DAY_COUNTS.find(option => option.value === column.dayCount).label.toLowerCase()})
+                </span>
+              </span>
+              <button
+                onClick={() => onRemove(column.name)}
+                className="text-gray-400 hover:text-gray-600"
+                title="Remove this column"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DerivedColumnBuilder;
@@ -0,0 +1,114 @@
+// DuplicateRowsPanel.js - Choose key columns that identify a row, which copy of a duplicate to keep and where removed copies go
+import React from 'react';
+import { Copy } from 'lucide-react';
+import { DUPLICATE_KEEP_OPTIONS, DUPLICATES_SHEET_NAME } from '../services/duplicateRows.js';
+
+const DuplicateRowsPanel = ({
+  headers, // Column headers of the active sheet
+  hasDateColumn, // Whether a date column is selected, for keeping the latest copy
+  deduplication, // { keyHeaders, keep, amountHeader, writeDuplicatesSheet }
+  duplicateCounts, // { duplicateRowCount, duplicateKeyCount } on the active sheet, or null while counting
+  onChange // Handler called with the changed settings
+}) => {
+  if (!headers || headers.length === 0) {
+    return null;
+  }
+
+  const toggleKeyHeader = (header) => {
+    const keyHeaders = deduplication.keyHeaders.includes(header)
+      ? deduplication.keyHeaders.filter(h => h !== header)
+      : [...deduplication.keyHeaders, header];
+    onChange({ ...deduplication, keyHeaders });
+  };
+
+  const isActive = deduplication.keyHeaders.length > 0;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Duplicate Rows (Optional)</h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-4">
+        <div>
+          <div className="flex items-center gap-2 mb-2 text-sm font-medium text-gray-800">
+            <Copy className="h-4 w-4 text-indigo-600" />
+            Rows are duplicates when these columns match
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {headers.map(header => (
+              <button
+                key={header}
+                onClick={() => toggleKeyHeader(header)}
+                className={`px-2 py-1 text-xs rounded-md border ${
+                  deduplication.keyHeaders.includes(header)
+                    ? 'bg-indigo-600 border-indigo-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {header}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {isActive && (
+          <>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label htmlFor="duplicate-keep" className="text-gray-700">Keep</label>
+              <select
+                id="duplicate-keep"
+                value={deduplication.keep}
+                onChange={(e) => onChange({ ...deduplication, keep: e.target.value })}
+                className="px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {DUPLICATE_KEEP_OPTIONS.map(option => (
+                  <option
+                    key={option.value}
+                    value={option.value}
+                    disabled={option.value === 'latestDate' && !hasDateColumn}
+                  >
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {deduplication.keep === 'highestAmount' && (
+                <>
+                  <label htmlFor="duplicate-amount" className="text-gray-700">in</label>
+                  <select
+                    id="duplicate-amount"
+                    value={deduplication.amountHeader}
+                    onChange={(e) => onChange({ ...deduplication, amountHeader: e.target.value })}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    <option value="">Choose the amount column</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={deduplication.writeDuplicatesSheet}
+                onChange={(e) => onChange({ ...deduplication, writeDuplicatesSheet: e.target.checked })}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+              />
+              Write the removed copies to a "{DUPLICATES_SHEET_NAME}" sheet
+            </label>
+
+            <div className="text-sm text-red-600 font-medium">
+              {duplicateCounts === null
+                ? 'Looking for duplicates...'
+                : duplicateCounts.duplicateRowCount === 0
+                  ? 'No duplicate rows in this sheet'
+                  : `${duplicateCounts.duplicateRowCount} duplicate rows of ${duplicateCounts.duplicateKeyCount} ${deduplication.keyHeaders.join(' + ')} values will be removed`}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateRowsPanel;
@@ -1,148 +1,81 @@
 // Enhanced ExcelColumnRemover.js - With flexible date column selection
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { Calendar, Download, Clock, ChevronDown } from 'lucide-react';
 import * as XLSX from 'xlsx';
 
 // Import all the enhanced modular functions
-import { handleFileUpload, resetFileState } from '../services/fileHandling.js';
+import { resetFileState } from '../services/fileHandling.js';
+import { loadFiles } from '../services/fileUpload.js';
+import { isCsvFile, readFileBytes, detectCsvSettings, CSV_SAMPLE_BYTES } from '../services/csvParsing.js';
 import { 
   selectYellowColumns, 
-  processExcelData, 
   toggleHeaderSelection, 
   toggleMonthSelection,
+  selectMonthRange,
+  selectMonthsBeyond,
+  addNewColumns,
+  getPickedDateHeaders,
 } from '../services/dataProcessing.js';
-import { calculateRowsRemoved, getMonthAndYearFromDate, countEntriesByMonthWithColumn } from '../services/dateUtilities.js';
 import { 
-  exportWithXLSX, 
-  exportWithBordersUsingExcelJS, 
+  calculateRowsRemoved, 
+  getColumnDateSettings, 
+  isDateRangeActive, 
+  MONTH_MODES, 
+  DEFAULT_MONTH_MODE, 
+  UNDATED_ROW_POLICIES, 
+  DEFAULT_UNDATED_ROW_POLICY 
+} from '../services/dateUtilities.js';
+import { 
   downloadXLSXFile,
-  exportSeparatedDataWithStyling,          
+  downloadFile as downloadBlob,
 } from '../services/excelExport.js';
-import { validateProcessingRequirements, validateDataAvailability, isYellowColumn } from '../utils/validationUtilites.js';
+import { runWorkerTask, runPreviewTask, shareWorkerData, cancelWorkerTasks, isCancelledError } from '../services/workerClient.js';
+import { EMPTY_RULE_SET, isRuleSetActive } from '../services/rowRules.js';
+import { DEFAULT_DEDUPLICATION, DUPLICATES_SHEET_NAME, isDeduplicationActive } from '../services/duplicateRows.js';
+import { loadSavedLookupTables, saveLookupTables, resolveValueMappings } from '../services/valueMappings.js';
+import { DEFAULT_JOIN, isJoinActive, getJoinedHeaders, joinWorkbookRows } from '../services/workbookJoin.js';
+import { DEFAULT_RECONCILIATION, guessAmountHeader } from '../services/reconciliation.js';
+import { updateColumnRenames } from '../utils/columnRenames.js';
+import { validateProcessingRequirements, validateDataAvailability, isYellowColumn, generateProcessingSummary } from '../utils/validationUtilites.js';
 
 // Import the Column Reordering Component
 import ColumnReorderingComponent from './columnReorderingcomponent.js';
+import SheetSelector from './SheetSelector.js';
+import MergeSummary from './MergeSummary.js';
+import ProcessingProgress from './ProcessingProgress.js';
+import CsvImportPreview from './CsvImportPreview.js';
+import HeaderRowPicker from './HeaderRowPicker.js';
+import ExcludedRowsPanel from './ExcludedRowsPanel.js';
+import PreservedValuesNotice from './PreservedValuesNotice.js';
+import DerivedColumnBuilder from './DerivedColumnBuilder.js';
+import RowFilterBuilder from './RowFilterBuilder.js';
+import DuplicateRowsPanel from './DuplicateRowsPanel.js';
+import LookupTablesPanel from './LookupTablesPanel.js';
+import JoinWorkbookPanel from './JoinWorkbookPanel.js';
+import ReconciliationPanel from './ReconciliationPanel.js';
+import DateFormatPanel from './DateFormatPanel.js';
+import DateRangeFilter, { EMPTY_DATE_RANGE } from './DateRangeFilter.js';
+import { getPeriodGranularity } from '../services/datePeriods.js';
 
-// Enhanced month separation with flexible date column and year support
-const separateDataByMonths = (jsonData, selectedDateColumnIndex, headerRowIndex, selectedHeaders, selectedMonths, monthCounts, allNewColumns, columnOrder, headers, addedCustomColumns) => {
-  if (!jsonData || jsonData.length < 2 || selectedDateColumnIndex === -1) {
-    return null;
-  }
-  
-  console.log('=== ENHANCED MONTH-YEAR SEPARATION DEBUG ===');
-  console.log('Using selected date column index:', selectedDateColumnIndex);
-  console.log('Total rows:', jsonData.length);
-  console.log('Header row index:', headerRowIndex);
-  console.log('Selected headers to remove:', selectedHeaders);
-  console.log('Selected month-years to filter:', selectedMonths);
-  
-  // Check if the selected date column will be removed
-  const originalDateHeader = jsonData[headerRowIndex][selectedDateColumnIndex];
-  const dateColumnWillBeRemoved = selectedHeaders.includes(originalDateHeader);
-  
-  console.log('Date column header:', originalDateHeader);
-  console.log('Date column will be removed:', dateColumnWillBeRemoved);
-  
-  if (dateColumnWillBeRemoved) {
-    console.log('Cannot separate by months: The selected date column will be removed in processing');
-    return null;
-  }
-  
-  // Process data using the selected date column
-  let processedData;
-  try {
-    processedData = processExcelData(
-      jsonData, 
-      headerRowIndex, 
-      selectedHeaders, 
-      selectedMonths, 
-      monthCounts, 
-      selectedDateColumnIndex,
-      allNewColumns,
-      columnOrder,
-      headers,
-      addedCustomColumns
-    );
-  } catch (error) {
-    console.error('Error in processExcelData during separation:', error);
-    return null;
-  }
-  
-  if (!processedData || processedData.length < 2) {
-    console.log('No processed data available for separation');
-    return null;
-  }
-  
-  // Find the date column in processed data
-  const processedHeaderRow = processedData[0];
-  const processedDateColumnIndex = processedHeaderRow.findIndex(header => header === originalDateHeader);
-  
-  if (processedDateColumnIndex === -1) {
-    console.log('Date column not found in processed data - this should not happen if we checked above');
-    return null;
-  }
-  
-  // Initialize month-year data structure
-  const monthYearData = new Map(); // Key: "YYYY-MM", Value: { name, code, year, rows }
-  const monthNames = {
-    '01': 'January', '02': 'February', '03': 'March', '04': 'April',
-    '05': 'May', '06': 'June', '07': 'July', '08': 'August',
-    '09': 'September', '10': 'October', '11': 'November', '12': 'December'
-  };
-  
-  let processedRows = 0;
-  let assignedRows = 0;
-  let invalidDateRows = 0;
-  
-  // Process each row
-  for (let i = 1; i < processedData.length; i++) {
-    const row = processedData[i];
-    if (!row) continue;
-    
-    processedRows++;
-    const dateValue = row[processedDateColumnIndex];
-    const dateResult = getMonthAndYearFromDate(dateValue);
-    
-    if (dateResult && dateResult.month && dateResult.year) {
-      const monthYearKey = `${dateResult.year}-${dateResult.month}`;
-      
-      if (!monthYearData.has(monthYearKey)) {
-        const monthName = monthNames[dateResult.month];
-        monthYearData.set(monthYearKey, {
-          name: `${monthName} ${dateResult.year}`, // "January 2024"
-          code: dateResult.month,
-          year: dateResult.year,
-          monthYearKey: monthYearKey,
-          rows: []
-        });
-      }
-      
-      monthYearData.get(monthYearKey).rows.push(row);
-      assignedRows++;
-    } else {
-      invalidDateRows++;
-    }
-  }
-  
-  // Convert to array and sort by year then month
-  const monthsWithData = Array.from(monthYearData.values())
-    .filter(monthYear => monthYear.rows.length > 0)
-    .sort((a, b) => {
-      // Sort by year first, then by month
-      const yearCompare = a.year.localeCompare(b.year);
-      if (yearCompare !== 0) return yearCompare;
-      return a.code.localeCompare(b.code);
-    });
-  
-  console.log('Months with data:', monthsWithData.map(m => `${m.name}: ${m.rows.length} rows`));
-  console.log('=== END ENHANCED MONTH-YEAR SEPARATION DEBUG ===');
-  
-  return {
-    headerRow: processedHeaderRow,
-    monthsWithData,
-    totalRows: processedRows,
-    assignedRows,
-    invalidDateRows
+// Wait this long after the last settings change before running a live count
+const PREVIEW_COUNT_DELAY_MS = 300;
+
+// Run a live count once the settings stop changing for a moment; returns the effect cleanup
+const runPreviewCount = (type, payload, onResult, errorMessage) => {
+  let isCurrent = true;
+  const timer = setTimeout(() => {
+    runPreviewTask(type, payload)
+      .then(result => {
+        if (isCurrent) onResult(result);
+      })
+      .catch(error => {
+        if (isCurrent && !isCancelledError(error)) console.error(errorMessage, error);
+      });
+  }, PREVIEW_COUNT_DELAY_MS);
+
+  return () => {
+    isCurrent = false;
+    clearTimeout(timer);
   };
 };
 
@@ -156,18 +89,75 @@ export default function ExcelColumnRemover() {
   const [error, setError] = useState('');
   const [monthCounts, setMonthCounts] = useState(null);
   const [selectedMonths, setSelectedMonths] = useState([]);
+  const [monthMode, setMonthMode] = useState(DEFAULT_MONTH_MODE); // Remove the selected months or keep only them
+  const lastClickedMonthRef = useRef(null); // Anchor for shift-click range selection
+  const [undatedPolicy, setUndatedPolicy] = useState(DEFAULT_UNDATED_ROW_POLICY); // Keep, remove or separate rows without a valid date
   const [dateColumnIndex, setDateColumnIndex] = useState(-1); // Legacy support
   const [jsonData, setJsonData] = useState(null);
   const [useBorders, setUseBorders] = useState(true);
   const [headerRowIndex, setHeaderRowIndex] = useState(0);
+  const [headerRowCount, setHeaderRowCount] = useState(1); // Stacked header rows ending at headerRowIndex
+  
+  // Totals, footers and page headers left out of the data, and the ones the user put back
+  const [excludedRows, setExcludedRows] = useState([]);
+  const [restoredRowIndexes, setRestoredRowIndexes] = useState([]);
   
   // NEW: Enhanced date column states
   const [allDateColumns, setAllDateColumns] = useState([]);
   const [selectedDateColumnIndex, setSelectedDateColumnIndex] = useState(-1);
   const [showDateColumnDropdown, setShowDateColumnDropdown] = useState(false);
   
+  // Date range filters: one on the selected date column, optionally one on another date column (by header)
+  const [dateRange, setDateRange] = useState(EMPTY_DATE_RANGE);
+  const [secondaryDateRange, setSecondaryDateRange] = useState(null);
+  const [rowsRemovedPreview, setRowsRemovedPreview] = useState(null);
+  
+  // Row rules on any column (matched by header) and how many rows of the active sheet they match
+  const [rowRules, setRowRules] = useState(EMPTY_RULE_SET);
+  const [ruleMatchCounts, setRuleMatchCounts] = useState(null);
+  
+  // De-duplication by key columns, the duplicates found on the active sheet and the number removed by the last run
+  const [deduplication, setDeduplication] = useState(DEFAULT_DEDUPLICATION);
+  const [duplicateCounts, setDuplicateCounts] = useState(null);
+  const [removedDuplicateCount, setRemovedDuplicateCount] = useState(0);
+  
+  // Lookup tables saved in the browser, the code columns translated with them and the codes missing on the active sheet
+  const [lookupTables, setLookupTables] = useState(() => loadSavedLookupTables());
+  const [valueMappings, setValueMappings] = useState([]);
+  const [unmatchedValues, setUnmatchedValues] = useState(null);
+  
+  // Second workbook to bring columns across from: its parsed rows, the key and columns chosen and how the active sheet matches it
+  const [joinSource, setJoinSource] = useState(null);
+  const [join, setJoin] = useState(DEFAULT_JOIN);
+  const [joinCounts, setJoinCounts] = useState(null);
+  const joinFileRef = useRef(null);
+  
+  // Remittance file the claims are reconciled against, the matching settings and the totals of the last run
+  const [remittanceSource, setRemittanceSource] = useState(null);
+  const [reconciliation, setReconciliation] = useState(DEFAULT_RECONCILIATION);
+  const [reconciliationSummary, setReconciliationSummary] = useState(null);
+  const [isReconciling, setIsReconciling] = useState(false);
+  const remittanceFileRef = useRef(null);
+  
+  // Workbook sheets - each selected sheet is parsed and processed separately
+  const [sheets, setSheets] = useState([]);
+  const [selectedSheetNames, setSelectedSheetNames] = useState([]);
+  const [sheetResults, setSheetResults] = useState({});
+  const [activeSheetName, setActiveSheetName] = useState('');
+  const uploadedFilesRef = useRef([]);
+  
+  // Multi-file uploads are merged into one dataset
+  const [sourceFiles, setSourceFiles] = useState([]);
+  const [mergeSummary, setMergeSummary] = useState(null);
+  const [addSourceColumn, setAddSourceColumn] = useState(false);
+  
+  // CSV import preview: { file, sample, detected, settings } while waiting for confirmation
+  const [csvImport, setCsvImport] = useState(null);
+  
   // Column additions and reordering
   const [addedCustomColumns, setAddedCustomColumns] = useState([]);
+  const [derivedColumns, setDerivedColumns] = useState([]);
+  const [columnRenames, setColumnRenames] = useState({}); // Output names by original header
   const [columnOrder, setColumnOrder] = useState(null);
   const [showColumnReordering, setShowColumnReordering] = useState(false);
   
@@ -175,6 +165,26 @@ export default function ExcelColumnRemover() {
   const [separatedData, setSeparatedData] = useState(null);
   const [isProcessingSeparation, setIsProcessingSeparation] = useState(false);
   
+  // Background worker progress: { stages, stage, current, total } while a task runs
+  const [taskProgress, setTaskProgress] = useState(null);
+  
+  // Run a task in the processing worker and show its progress
+  const runTask = (type, payload, stages) => {
+    setTaskProgress({ stages, stage: stages[0] });
+    
+    return runWorkerTask(type, payload, (stage, detail) => {
+      setTaskProgress({ stages, stage, ...detail });
+    }).finally(() => setTaskProgress(null));
+  };
+  
+  // Stop whatever the worker is doing
+  const cancelTask = () => {
+    cancelWorkerTasks();
+    setTaskProgress(null);
+    setIsLoading(false);
+    setIsProcessingSeparation(false);
+  };
+  
   // Handle file upload using enhanced modular function
   const onFileUpload = (e) => {
     const resetState = resetFileState();
@@ -189,45 +199,152 @@ export default function ExcelColumnRemover() {
     setDateColumnIndex(resetState.dateColumnIndex);
     setJsonData(resetState.jsonData);
     setHeaderRowIndex(resetState.headerRowIndex);
+    setHeaderRowCount(resetState.headerRowCount);
+    setExcludedRows(resetState.excludedRows);
+    setRestoredRowIndexes(resetState.restoredRowIndexes);
     setError(resetState.error);
     setColumnOrder(null);
     setShowColumnReordering(false);
     setAddedCustomColumns([]);
+    setDerivedColumns([]);
+    setValueMappings([]);
+    setJoinSource(null);
+    setJoin(DEFAULT_JOIN);
+    setReconciliation(DEFAULT_RECONCILIATION);
+    setReconciliationSummary(null);
+    setColumnRenames({});
     setSeparatedData(null);
+    setDateRange(EMPTY_DATE_RANGE);
+    setSecondaryDateRange(null);
+    setRowRules(EMPTY_RULE_SET);
+    setDeduplication(DEFAULT_DEDUPLICATION);
+    setSheets(resetState.sheets);
+    setSelectedSheetNames(resetState.selectedSheetNames);
+    setSheetResults(resetState.sheetResults);
+    setActiveSheetName(resetState.activeSheetName);
+    setSourceFiles(resetState.sourceFiles);
+    setMergeSummary(resetState.mergeSummary);
+    setCsvImport(resetState.csvImport);
+    uploadedFilesRef.current = Array.from(e.target.files || []);
     
     // Reset new date column states
     setAllDateColumns([]);
     setSelectedDateColumnIndex(-1);
     setShowDateColumnDropdown(false);
     
-    handleFileUpload(
-      e,
+    const files = uploadedFilesRef.current;
+    
+    // A single CSV gets a preview first so the detected settings can be corrected
+    if (files.length === 1 && isCsvFile(files[0])) {
+      startCsvImport(files[0]);
+      return;
+    }
+    
+    startUpload(files);
+  };
+  
+  // Sniff the settings of a CSV upload and show the import preview
+  const startCsvImport = async (file) => {
+    try {
+      const sample = await readFileBytes(file.slice(0, CSV_SAMPLE_BYTES));
+      const detected = detectCsvSettings(sample);
+      setFileName(file.name);
+      setCsvImport({ file, sample, detected, settings: detected });
+    } catch (err) {
+      console.error('Error reading CSV sample:', err);
+      setError('Error reading CSV file');
+    }
+  };
+  
+  // Parse the pending CSV with the settings confirmed in the preview
+  const confirmCsvImport = () => {
+    const { file, settings } = csvImport;
+    setCsvImport(null);
+    startUpload([file], settings);
+  };
+  
+  // Parse uploaded files in the worker and load the result
+  const startUpload = (files, csvSettings = null) => {
+    loadFiles(
+      files,
       // onSuccess
-      (parsedData) => {
-        setJsonData(parsedData.jsonData);
-        setHeaders(parsedData.headers);
-        setHeaderRowIndex(parsedData.headerRowIndex);
-        setMonthCounts(parsedData.monthCounts);
-        setDateColumnIndex(parsedData.dateColumnIndex); // Legacy
-        setFileName(parsedData.fileName);
-
-        // NEW: Set enhanced date column data
-        setAllDateColumns(parsedData.allDateColumns || []);
-        setSelectedDateColumnIndex(parsedData.selectedDateColumnIndex || -1);
-
-        // Auto-select yellow columns
-        const autoSelectedHeaders = selectYellowColumns(parsedData.headers, []);
-        setSelectedHeaders(autoSelectedHeaders);
-      },
+      (parsedData) => applyParsedUpload(parsedData),
       // onError
       (errorMessage) => setError(errorMessage),
       // onLoadingStart
-      () => setIsLoading(true),
+      () => {
+        setIsLoading(true);
+        setTaskProgress({ stages: ['read', 'detectHeaders', 'countMonths'], stage: 'read' });
+      },
       // onLoadingEnd
-      () => setIsLoading(false)
+      () => {
+        setIsLoading(false);
+        setTaskProgress(null);
+      },
+      {
+        addSourceColumn,
+        csvSettings,
+        onProgress: (stage, detail) => setTaskProgress({ stages: ['read', 'detectHeaders', 'countMonths'], stage, ...detail })
+      }
     );
   };
   
+  // Load a freshly parsed upload (single file or merged files) into state
+  const applyParsedUpload = (parsedData) => {
+    setJsonData(parsedData.jsonData);
+    setHeaders(parsedData.headers);
+    setHeaderRowIndex(parsedData.headerRowIndex);
+    setHeaderRowCount(parsedData.headerRowCount ?? 1);
+    setExcludedRows(parsedData.excludedRows || []);
+    setRestoredRowIndexes([]);
+    setMonthCounts(parsedData.monthCounts);
+    setDateColumnIndex(parsedData.dateColumnIndex); // Legacy
+    setFileName(parsedData.fileName);
+
+    // NEW: Set enhanced date column data
+    setAllDateColumns(parsedData.allDateColumns || []);
+    setSelectedDateColumnIndex(parsedData.selectedDateColumnIndex ?? -1);
+
+    // The worker keeps the workbook so more sheets can be parsed on demand
+    setSheets(parsedData.sheets);
+    setSelectedSheetNames(parsedData.selectedSheetNames);
+    setSheetResults(parsedData.sheetResults);
+    setActiveSheetName(parsedData.sheetName);
+    
+    // Keep the individual files so the merge can be rebuilt
+    setSourceFiles(parsedData.sourceFiles || []);
+    setMergeSummary(parsedData.mergeSummary || null);
+
+    // Auto-select yellow columns
+    const autoSelectedHeaders = selectYellowColumns(parsedData.headers, []);
+    setSelectedHeaders(autoSelectedHeaders);
+  };
+  
+  // Rebuild the merged dataset with or without the "Source File" column
+  const handleToggleSourceColumn = async () => {
+    const nextAddSourceColumn = !addSourceColumn;
+    setAddSourceColumn(nextAddSourceColumn);
+    
+    if (sourceFiles.length < 2) return;
+    
+    try {
+      const mergedData = await runTask(
+        'mergeFiles', 
+        { parsedFiles: sourceFiles, addSourceColumn: nextAddSourceColumn }, 
+        ['countMonths']
+      );
+      applyParsedUpload({ ...mergedData, fileName });
+      setSelectedMonths([]);
+      setColumnOrder(null);
+      setSeparatedData(null);
+      setProcessedData(null);
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error('Error rebuilding merged files:', error);
+      setError('Error merging files: ' + error.message);
+    }
+  };
+  
   // Handle date column change
   const handleDateColumnChange = async (newDateColumnIndex) => {
     if (newDateColumnIndex === selectedDateColumnIndex) return;
@@ -240,7 +357,15 @@ export default function ExcelColumnRemover() {
     if (jsonData && newDateColumnIndex !== -1) {
       try {
         const adjustedData = [headers, ...jsonData.slice(headerRowIndex + 1)];
-        const newMonthCounts = countEntriesByMonthWithColumn(adjustedData, newDateColumnIndex);
+        const newMonthCounts = await runTask(
+          'countMonths', 
+          { 
+            jsonData: adjustedData, 
+            dateColumnIndex: newDateColumnIndex, 
+            dateSettings: getColumnDateSettings(allDateColumns, newDateColumnIndex) 
+          }, 
+          ['countMonths']
+        );
         setMonthCounts(newMonthCounts);
         
         // Reset month selections since counts changed
@@ -249,24 +374,256 @@ export default function ExcelColumnRemover() {
         
         console.log('Updated month counts for new date column:', newMonthCounts);
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error recalculating month counts:', error);
         setError('Error updating month data for selected date column');
       }
     }
   };
   
+  // Change how the selected date column is read (DD/MM or MM/DD, calendar) or grouped, and recount months
+  const handleDateSettingsChange = async (changes) => {
+    if (!jsonData || selectedDateColumnIndex === -1) return;
+    
+    const newDateSettings = { ...getColumnDateSettings(allDateColumns, selectedDateColumnIndex), ...changes };
+    console.log('Changing date settings to:', newDateSettings);
+    
+    try {
+      const adjustedData = [headers, ...jsonData.slice(headerRowIndex + 1)];
+      const { monthCounts: newMonthCounts, parseStats } = await runTask(
+        'applyDateSettings', 
+        { jsonData: adjustedData, dateColumnIndex: selectedDateColumnIndex, dateSettings: newDateSettings }, 
+        ['countMonths']
+      );
+      
+      setAllDateColumns(allDateColumns.map(col => (
+        col.index === selectedDateColumnIndex ? { ...col, ...changes, parseStats } : col
+      )));
+      setMonthCounts(newMonthCounts);
+      
+      // Month names may now refer to different rows
+      setSelectedMonths([]);
+      setSeparatedData(null);
+      setProcessedData(null);
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error('Error changing date settings:', error);
+      setError('Error updating month data for the selected date settings');
+    }
+  };
+  
+  // Use different header rows and recalculate everything derived from them
+  const handleHeaderRowChange = async (newHeaderRowIndex, newHeaderRowCount = headerRowCount) => {
+    const sheetResult = sheetResults[activeSheetName];
+    if (!sheetResult || !sheetResult.rawJsonData) return;
+    if (newHeaderRowIndex === headerRowIndex && newHeaderRowCount === headerRowCount) return;
+    
+    console.log('Changing header rows to:', { headerRowIndex: newHeaderRowIndex, headerRowCount: newHeaderRowCount });
+    
+    try {
+      const headerResult = await runTask(
+        'applyHeaderRow', 
+        { 
+          rawJsonData: sheetResult.rawJsonData, 
+          headerRowIndex: newHeaderRowIndex, 
+          headerRowCount: newHeaderRowCount, 
+          headerMerges: sheetResult.headerMerges 
+        }, 
+        ['detectHeaders', 'countMonths']
+      );
+      
+      setError('');
+      setJsonData(headerResult.jsonData);
+      setHeaderRowCount(headerResult.headerRowCount);
+      setExcludedRows(headerResult.excludedRows);
+      setRestoredRowIndexes([]);
+      setHeaders(headerResult.headers);
+      setHeaderRowIndex(headerResult.headerRowIndex);
+      setMonthCounts(headerResult.monthCounts);
+      setDateColumnIndex(headerResult.dateColumnIndex);
+      setAllDateColumns(headerResult.allDateColumns || []);
+      setSelectedDateColumnIndex(headerResult.selectedDateColumnIndex ?? -1);
+      setSelectedHeaders(selectYellowColumns(headerResult.headers, []));
+      
+      // Column order and month selections refer to the old header row
+      setColumnOrder(null);
+      setSelectedMonths([]);
+      setSeparatedData(null);
+      setProcessedData(null);
+      
+      // Choosing the header rows by hand counts as confirming them
+      handleConfirmHeaderRows();
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error('Error changing header row:', error);
+      setError(error.message);
+    }
+  };
+  
+  // Put excluded rows back into the data (or leave them out again) and recount months
+  const handleToggleExcludedRows = async (rowIndexes, restore) => {
+    const sheetResult = sheetResults[activeSheetName];
+    if (!sheetResult || !sheetResult.rawJsonData) return;
+    
+    const nextRestored = restore
+      ? [...new Set([...restoredRowIndexes, ...rowIndexes])]
+      : restoredRowIndexes.filter(index => !rowIndexes.includes(index));
+    
+    try {
+      const result = await runTask(
+        'excludeRows', 
+        {
+          rawJsonData: sheetResult.rawJsonData,
+          headers,
+          headerRowIndex,
+          excludedRowIndexes: excludedRows
+            .map(row => row.rowIndex)
+            .filter(index => !nextRestored.includes(index)),
+          dateColumnIndex: selectedDateColumnIndex,
+          dateSettings: getColumnDateSettings(allDateColumns, selectedDateColumnIndex)
+        }, 
+        ['countMonths']
+      );
+      
+      setRestoredRowIndexes(nextRestored);
+      setJsonData(result.jsonData);
+      setMonthCounts(result.monthCounts);
+      setSeparatedData(null);
+      setProcessedData(null);
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error('Error updating excluded rows:', error);
+      setError(error.message);
+    }
+  };
+  
+  // Accept the detected stacked header rows of the active sheet
+  const handleConfirmHeaderRows = () => {
+    setSheetResults(prev => ({
+      ...prev,
+      [activeSheetName]: { ...prev[activeSheetName], headerRowsConfirmed: true }
+    }));
+  };
+  
+  // Snapshot of the active sheet, including any date column change made in the UI
+  const getActiveSheetResult = () => ({
+    ...sheetResults[activeSheetName],
+    sheetName: activeSheetName,
+    jsonData,
+    headers,
+    headerRowIndex,
+    headerRowCount,
+    excludedRows,
+    restoredRowIndexes,
+    monthCounts,
+    allDateColumns,
+    selectedDateColumnIndex
+  });
+  
+  // Load a parsed sheet into the panels below
+  const loadSheetIntoState = (sheetResult) => {
+    setJsonData(sheetResult.jsonData);
+    setHeaders(sheetResult.headers);
+    setHeaderRowIndex(sheetResult.headerRowIndex);
+    setHeaderRowCount(sheetResult.headerRowCount ?? 1);
+    setExcludedRows(sheetResult.excludedRows || []);
+    setRestoredRowIndexes(sheetResult.restoredRowIndexes || []);
+    setMonthCounts(sheetResult.monthCounts);
+    setDateColumnIndex(sheetResult.dateColumnIndex);
+    setAllDateColumns(sheetResult.allDateColumns || []);
+    setSelectedDateColumnIndex(sheetResult.selectedDateColumnIndex ?? -1);
+    setActiveSheetName(sheetResult.sheetName);
+    
+    // Column order is index based, so it only applies to the sheet it was made for
+    setColumnOrder(null);
+    setSelectedMonths([]);
+    setSeparatedData(null);
+    setProcessedData(null);
+  };
+  
+  // Include or exclude a sheet from processing, parsing it on first use
+  const handleToggleSheet = async (sheetName) => {
+    if (selectedSheetNames.includes(sheetName)) {
+      const remaining = selectedSheetNames.filter(name => name !== sheetName);
+      if (remaining.length === 0) return;
+      
+      setSelectedSheetNames(remaining);
+      setProcessedData(null);
+      if (sheetName === activeSheetName) {
+        loadSheetIntoState(sheetResults[remaining[0]]);
+      }
+      return;
+    }
+    
+    if (!sheetResults[sheetName]) {
+      try {
+        const parsedSheet = await runTask(
+          'parseSheet', 
+          { file: uploadedFilesRef.current[0], sheetName }, 
+          ['read', 'detectHeaders', 'countMonths']
+        );
+        setSheetResults(prev => ({ ...prev, [sheetName]: parsedSheet }));
+        
+        // Auto-select yellow columns found in the new sheet
+        setSelectedHeaders(prev => selectYellowColumns(parsedSheet.headers, prev));
+      } catch (error) {
+        if (isCancelledError(error)) return;
+        console.error('Error parsing sheet:', error);
+        setError(error.message);
+        return;
+      }
+    }
+    
+    setError('');
+    setProcessedData(null);
+    setSelectedSheetNames(prev => sheets
+      .map(sheet => sheet.name)
+      .filter(name => name === sheetName || prev.includes(name)));
+  };
+  
+  // Switch the sheet shown in the column, date and month panels
+  const handleActivateSheet = (sheetName) => {
+    if (sheetName === activeSheetName || !sheetResults[sheetName]) return;
+    
+    // Remember the date column chosen for the sheet we are leaving
+    setSheetResults(prev => ({ ...prev, [activeSheetName]: getActiveSheetResult() }));
+    loadSheetIntoState(sheetResults[sheetName]);
+  };
+  
   // Handle header toggle
   const handleToggleHeader = (header) => {
     const newSelection = toggleHeaderSelection(header, selectedHeaders);
     setSelectedHeaders(newSelection);
   };
   
-  // Handle month toggle
-  const handleToggleMonth = (month) => {
-    const newSelection = toggleMonthSelection(month, selectedMonths);
+  // Handle month toggle; shift-click selects or deselects every month since the last click
+  const handleToggleMonth = (month, event) => {
+    const newSelection = event && event.shiftKey && lastClickedMonthRef.current
+      ? selectMonthRange(lastClickedMonthRef.current, month, getPeriodCounts(), selectedMonths)
+      : toggleMonthSelection(month, selectedMonths);
+    lastClickedMonthRef.current = month;
     setSelectedMonths(newSelection);
   };
   
+  // Add every month before or after a month to the selection
+  const handleSelectMonthsBeyond = (month, direction) => {
+    setSelectedMonths(selectMonthsBeyond(month, direction, getPeriodCounts(), selectedMonths));
+  };
+  
+  // Choose what happens to rows whose date is blank or unreadable
+  const handleUndatedPolicyChange = (newUndatedPolicy) => {
+    setUndatedPolicy(newUndatedPolicy);
+    setSeparatedData(null);
+    setProcessedData(null);
+  };
+  
+  // Switch between removing the selected months and keeping only them
+  const handleMonthModeChange = (newMonthMode) => {
+    setMonthMode(newMonthMode);
+    setSeparatedData(null);
+    setProcessedData(null);
+  };
+  
   // Handle column order change
   const handleColumnOrderChange = useCallback((newOrder) => {
     setColumnOrder(newOrder);
@@ -278,16 +635,240 @@ export default function ExcelColumnRemover() {
   };
 
   // Handler for custom column additions
-  const handleAddCustomColumn = (columnName, removedColumnName, action) => {
+  const handleAddCustomColumn = (columnName, removedColumnName, action, expression = null) => {
     if (action === 'remove') {
       setAddedCustomColumns(prev => prev.filter(col => col !== removedColumnName));
+      setDerivedColumns(prev => prev.filter(column => column.name !== removedColumnName));
+      setValueMappings(prev => prev.filter(mapping => !(mapping.target === 'newColumn' && mapping.newHeader === removedColumnName)));
+      setColumnRenames(prev => updateColumnRenames(prev, removedColumnName, null));
     } else if (columnName) {
       setAddedCustomColumns(prev => [...prev, columnName]);
+      
+      // Columns with an expression are filled per row when processing
+      if (expression) {
+        setDerivedColumns(prev => [...prev, { name: columnName, type: 'expression', expression }]);
+      }
+    }
+  };
+  
+  // First data rows with the joined and added columns filled, to preview new expressions against
+  const getExpressionSampleRows = () => (
+    addNewColumns(
+      joinWorkbookRows([headers, ...jsonData.slice(headerRowIndex + 1, headerRowIndex + 6)], getActiveJoin()),
+      addedCustomColumns,
+      getDerivedColumnDefinitions()
+    ).slice(1, 6)
+  );
+  
+  // Expressions of the added columns by name, shown next to them in the column list
+  const getColumnExpressions = () => Object.fromEntries(
+    derivedColumns
+      .filter(column => column.type === 'expression')
+      .map(column => [column.name, column.expression])
+  );
+  
+  // Rename a column in the output, or undo its rename when newName is null
+  const handleRenameColumn = (originalHeader, newName) => {
+    setColumnRenames(prev => updateColumnRenames(prev, originalHeader, newName));
+  };
+  
+  // Join settings with the second workbook's rows, or null without a second workbook. Joined
+  // columns named like an added column are renamed, so every column keeps a name of its own.
+  const getActiveJoin = () => (
+    joinSource
+      ? { ...join, fileName: joinSource.fileName, sheetName: joinSource.sheetName, rows: joinSource.rows, addedHeaders: addedCustomColumns }
+      : null
+  );
+  
+  // The sheet's headers followed by the columns joined from the second workbook
+  const getColumnHeaders = () => [...headers, ...getJoinedHeaders(headers, getActiveJoin())];
+  
+  // Derived column definitions with the current reading settings of their date columns
+  const getDerivedColumnDefinitions = () => {
+    const getSettings = (header) => {
+      const column = allDateColumns.find(col => col.header === header);
+      return column ? getColumnDateSettings(allDateColumns, column.index) : undefined;
+    };
+    
+    // Codes translated into a new column are filled like the other derived columns
+    const lookupColumns = resolveValueMappings(valueMappings, lookupTables)
+      .filter(mapping => mapping.target === 'newColumn')
+      .map(mapping => ({ ...mapping, name: mapping.newHeader, type: 'lookup' }));
+    
+    return [
+      ...derivedColumns.map(column => ({
+        ...column,
+        startDateSettings: getSettings(column.startHeader),
+        endDateSettings: getSettings(column.endHeader)
+      })),
+      ...lookupColumns
+    ];
+  };
+  
+  // Add a column computed from date columns; it is an added column like any other, filled when processing
+  const handleAddDerivedColumn = (definition) => {
+    setDerivedColumns(prev => [...prev, definition]);
+    
+    // A column order set earlier does not know the new column yet, so put it at the end
+    if (columnOrder) {
+      setColumnOrder([...columnOrder, getColumnHeaders().length + addedCustomColumns.length]);
+    }
+    handleAddCustomColumn(definition.name);
+  };
+  
+  // Save the lookup tables for this and later files
+  const handleLookupTablesChange = (tables) => {
+    setLookupTables(tables);
+    saveLookupTables(tables);
+  };
+  
+  // Translate a code column; a new column for the names is added like any other column
+  const handleAddValueMapping = (mapping) => {
+    setValueMappings(prev => [...prev, mapping]);
+    setSeparatedData(null);
+    setProcessedData(null);
+    
+    if (mapping.target === 'newColumn') {
+      if (columnOrder) {
+        setColumnOrder([...columnOrder, getColumnHeaders().length + addedCustomColumns.length]);
+      }
+      handleAddCustomColumn(mapping.newHeader);
+    }
+  };
+  
+  const handleRemoveValueMapping = (id) => {
+    const mapping = valueMappings.find(candidate => candidate.id === id);
+    setSeparatedData(null);
+    setProcessedData(null);
+    
+    if (mapping && mapping.target === 'newColumn') {
+      handleAddCustomColumn(null, mapping.newHeader, 'remove');
+    } else {
+      setValueMappings(prev => prev.filter(candidate => candidate.id !== id));
+    }
+  };
+  
+  // Read the second workbook (or another of its sheets when file is null) for the join
+  const handleLoadJoinFile = async (file, sheetName) => {
+    const joinFile = file || joinFileRef.current;
+    if (!joinFile) return;
+    
+    try {
+      const source = await runTask('parseSecondaryFile', { file: joinFile, sheetName }, ['read', 'detectHeaders', 'countMonths']);
+      joinFileRef.current = joinFile;
+      setJoinSource(source);
+      
+      // Keep what still fits the new sheet; a column both files share is the likely key
+      const sharedHeader = headers.find(header => source.headers.includes(header)) || '';
+      setJoin(prev => ({
+        ...prev,
+        leftKey: prev.leftKey || sharedHeader,
+        rightKey: source.headers.includes(prev.rightKey) ? prev.rightKey : sharedHeader,
+        columns: prev.columns.filter(header => source.headers.includes(header))
+      }));
+      
+      // Joined columns come before the added ones, so an index based column order no longer fits
+      setColumnOrder(null);
+      setSeparatedData(null);
+      setProcessedData(null);
+      setError('');
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error('Error reading the workbook to join:', error);
+      setError('Error reading the workbook to join: ' + error.message);
+    }
+  };
+  
+  const handleJoinChange = (settings) => {
+    if (settings.columns !== join.columns) {
+      setColumnOrder(null);
+    }
+    setJoin(settings);
+    setSeparatedData(null);
+    setProcessedData(null);
+  };
+  
+  const handleClearJoin = () => {
+    joinFileRef.current = null;
+    setJoinSource(null);
+    setJoin(DEFAULT_JOIN);
+    setColumnOrder(null);
+    setSeparatedData(null);
+    setProcessedData(null);
+  };
+  
+  // Read the remittance file (or another of its sheets when file is null) to reconcile the claims against
+  const handleLoadRemittanceFile = async (file, sheetName) => {
+    const remittanceFile = file || remittanceFileRef.current;
+    if (!remittanceFile) return;
+    
+    try {
+      const source = await runTask('parseSecondaryFile', { file: remittanceFile, sheetName }, ['read', 'detectHeaders', 'countMonths']);
+      remittanceFileRef.current = remittanceFile;
+      setRemittanceSource(source);
+      setReconciliationSummary(null);
+      
+      // Keep what still fits the new sheet and suggest the rest: a shared claim column as the key, the usual amount columns
+      setReconciliation(prev => {
+        const keyPairs = prev.keyPairs.filter(pair => source.headers.includes(pair.remittanceHeader));
+        const sharedHeader = headers.find(header => /claim/i.test(header) && source.headers.includes(header)) ||
+          headers.find(header => source.headers.includes(header)) || '';
+        
+        return {
+          ...prev,
+          keyPairs: keyPairs.length > 0 ? keyPairs : [{ claimHeader: sharedHeader, remittanceHeader: sharedHeader }],
+          claimAmountHeader: prev.claimAmountHeader || guessAmountHeader(headers, ['net', 'claimed', 'gross', 'amount']),
+          paidAmountHeader: source.headers.includes(prev.paidAmountHeader)
+            ? prev.paidAmountHeader
+            : guessAmountHeader(source.headers, ['paid', 'remit', 'amount'])
+        };
+      });
+      setError('');
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error('Error reading the remittance file:', error);
+      setError('Error reading the remittance file: ' + error.message);
+    }
+  };
+  
+  const handleClearRemittance = () => {
+    remittanceFileRef.current = null;
+    setRemittanceSource(null);
+    setReconciliation(DEFAULT_RECONCILIATION);
+    setReconciliationSummary(null);
+  };
+  
+  // Match every claim of the active sheet against the remittance file and download the report workbook
+  const runReconciliation = async () => {
+    if (!jsonData || !remittanceSource) return;
+    
+    setIsReconciling(true);
+    setError('');
+    
+    try {
+      const { buffer, summary } = await runTask('reconcile', {
+        claims: [headers, ...jsonData.slice(headerRowIndex + 1)],
+        remittance: remittanceSource.rows,
+        settings: reconciliation,
+        dateFormat: getColumnDateSettings(allDateColumns, selectedDateColumnIndex).dateFormat,
+        dateHeaders: getPickedDateHeaders(headers, selectedDateColumnIndex)
+      }, ['filter', 'export']);
+      
+      setReconciliationSummary(summary);
+      downloadBlob(new Blob([buffer], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      }), `reconciliation_${fileName.replace(/\.[^.]+$/, '')}.xlsx`);
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error('Error reconciling claims:', error);
+      setError('Error reconciling claims: ' + error.message);
+    } finally {
+      setIsReconciling(false);
     }
   };
   
   // Enhanced month separation
-  const processSeparation = () => {
+  const processSeparation = async () => {
     if (!jsonData || selectedDateColumnIndex === -1) {
       setError('Cannot separate by months: No data or date column selected');
       return;
@@ -297,18 +878,27 @@ export default function ExcelColumnRemover() {
     setError('');
     
     try {
-      const separated = separateDataByMonths(
+      const separated = await runTask('separate', {
         jsonData, 
         selectedDateColumnIndex, // Use selected date column
         headerRowIndex,
         selectedHeaders,
         selectedMonths,
+        monthMode,
+        undatedPolicy,
         monthCounts,
-        addedCustomColumns,
+        addedColumns: addedCustomColumns,
+        derivedColumns: getDerivedColumnDefinitions(),
         columnOrder,
-        headers,
-        addedCustomColumns
-      );
+        headers: getColumnHeaders(),
+        dateSettings: getColumnDateSettings(allDateColumns, selectedDateColumnIndex),
+        dateRanges: getDateRanges(getActiveSheetResult()),
+        rowRules,
+        deduplication,
+        valueMappings: resolveValueMappings(valueMappings, lookupTables),
+        join: getActiveJoin(),
+        columnRenames
+      }, ['filter']);
       
       if (!separated || separated.monthsWithData.length === 0) {
         setError('No valid date entries found to separate by months after applying filters');
@@ -318,6 +908,7 @@ export default function ExcelColumnRemover() {
       
       setSeparatedData(separated);
     } catch (error) {
+      if (isCancelledError(error)) return;
       setError('Error processing month separation: ' + error.message);
       setSeparatedData(null);
     } finally {
@@ -330,15 +921,23 @@ export default function ExcelColumnRemover() {
     if (!separatedData) return;
     
     try {
-      await exportSeparatedDataWithStyling(separatedData, fileName, useBorders);
+      const { buffer, downloadName } = await runTask(
+        'exportSeparated', 
+        { separatedData, fileName, useBorders }, 
+        ['export']
+      );
+      downloadBlob(new Blob([buffer], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      }), downloadName);
     } catch (error) {
+      if (isCancelledError(error)) return;
       setError('Error downloading separated file: ' + error.message);
     }
   };
   
   // Process the file using enhanced functions
   const processFile = async () => {
-    const requirementValidation = validateProcessingRequirements(selectedHeaders, selectedMonths);
+    const requirementValidation = validateProcessingRequirements(selectedHeaders, selectedMonths, hasRowFilters || hasColumnChanges);
     if (!requirementValidation.isValid) {
       setError(requirementValidation.message);
       return;
@@ -350,50 +949,193 @@ export default function ExcelColumnRemover() {
       return;
     }
     
+    const unconfirmedSheets = selectedSheetNames.filter(name => sheetResults[name]?.headerRowsConfirmed === false);
+    if (unconfirmedSheets.length > 0) {
+      setError(`Please confirm the header rows of: ${unconfirmedSheets.join(', ')}`);
+      return;
+    }
+    
     setIsLoading(true);
     setError('');
     
     try {
-      // Use selected date column index for processing
-      const processedDataArray = processExcelData(
-        jsonData, 
-        headerRowIndex, 
-        selectedHeaders, 
-        selectedMonths, 
-        monthCounts, 
-        selectedDateColumnIndex, // Use selected date column
-        addedCustomColumns,
-        columnOrder,
-        headers,
-        addedCustomColumns
-      );
+      // Process every selected sheet with its own header row and date column
+      const sheetsToProcess = selectedSheetNames.map(sheetName => {
+        const sheet = sheetName === activeSheetName ? getActiveSheetResult() : sheetResults[sheetName];
+        const sameLayout = sheet.headers.length === headers.length &&
+          sheet.headers.every((header, index) => header === headers[index]);
+        
+        return {
+          name: sheetName,
+          jsonData: sheet.jsonData,
+          headerRowIndex: sheet.headerRowIndex,
+          monthCounts: sheet.monthCounts,
+          selectedDateColumnIndex: sheet.selectedDateColumnIndex, // Use selected date column
+          dateSettings: getColumnDateSettings(sheet.allDateColumns, sheet.selectedDateColumnIndex),
+          dateRanges: getDateRanges(sheet),
+          columnOrder: sameLayout ? columnOrder : null
+        };
+      });
+      
+      const { buffer, duplicateRowCount } = await runTask('processSheets', {
+        sheets: sheetsToProcess,
+        selectedHeaders,
+        selectedMonths,
+        monthMode,
+        undatedPolicy,
+        addedColumns: addedCustomColumns,
+        derivedColumns: getDerivedColumnDefinitions(),
+        rowRules,
+        deduplication,
+        valueMappings: resolveValueMappings(valueMappings, lookupTables),
+        join: getActiveJoin(),
+        columnRenames,
+        headers: getColumnHeaders(),
+        useBorders
+      }, ['filter', 'export']);
+      
+      setRemovedDuplicateCount(duplicateRowCount);
       
       if (useBorders) {
-        await exportWithBordersUsingExcelJS(processedDataArray, fileName, selectedMonths);
+        downloadXLSXFile(buffer, fileName, selectedMonths, monthMode);
         setProcessedData(true);
       } else {
-        const excelBinary = exportWithXLSX(processedDataArray);
-        setProcessedData(excelBinary);
+        setProcessedData(buffer);
       }
       
       setIsLoading(false);
     } catch (error) {
+      setIsLoading(false);
+      if (isCancelledError(error)) return;
       console.error('Error processing file:', error);
       setError('Error processing file: ' + error.message);
-      setIsLoading(false);
     }
   };
   
   // Download the processed file
   const downloadFile = () => {
     if (!processedData || useBorders) return;
-    downloadXLSXFile(processedData, fileName, selectedMonths);
+    downloadXLSXFile(processedData, fileName, selectedMonths, monthMode);
   };
   
+  // Keep the active sheet and the workbook to join in the preview worker, so the live counts below post only their settings
+  const [sheetKey, setSheetKey] = useState(null);
+  const [joinRowsKey, setJoinRowsKey] = useState(null);
+  
+  useEffect(() => {
+    setSheetKey(jsonData ? shareWorkerData('sheet', [headers, ...jsonData.slice(headerRowIndex + 1)]) : null);
+  }, [jsonData, headers, headerRowIndex]);
+  
+  useEffect(() => {
+    setJoinRowsKey(joinSource ? shareWorkerData('joinRows', joinSource.rows) : null);
+  }, [joinSource]);
+  
+  // Count the rows the month, date range and row rule filters remove on the active sheet
+  useEffect(() => {
+    const ranges = [
+      { ...dateRange, columnIndex: selectedDateColumnIndex },
+      ...(secondaryDateRange ? [{ ...secondaryDateRange, columnIndex: headers.indexOf(secondaryDateRange.header) }] : [])
+    ]
+      .map(range => ({ ...range, dateSettings: getColumnDateSettings(allDateColumns, range.columnIndex) }))
+      .filter(isDateRangeActive);
+    
+    setRowsRemovedPreview(null);
+    if (!sheetKey || (ranges.length === 0 && !isRuleSetActive(rowRules))) return;
+    
+    return runPreviewCount('previewRowsRemoved', {
+      sheetKey,
+      selectedMonths,
+      monthCounts,
+      monthMode,
+      undatedPolicy,
+      rowFilter: {
+        dateColumnIndex: selectedDateColumnIndex,
+        dateSettings: getColumnDateSettings(allDateColumns, selectedDateColumnIndex),
+        dateRanges: ranges,
+        rowRules
+      }
+    }, setRowsRemovedPreview, 'Error counting rows removed by the filters:');
+  }, [sheetKey, headers, selectedMonths, monthMode, undatedPolicy, monthCounts, allDateColumns, selectedDateColumnIndex, dateRange, secondaryDateRange, rowRules]);
+  
+  // Count the rows each row rule group matches on the active sheet
+  useEffect(() => {
+    setRuleMatchCounts(null);
+    if (!sheetKey || !isRuleSetActive(rowRules)) return;
+    
+    return runPreviewCount('countRuleMatches', { sheetKey, rowRules }, setRuleMatchCounts, 'Error counting rows matching the row filters:');
+  }, [sheetKey, rowRules]);
+  
+  // Count the duplicate rows on the active sheet
+  useEffect(() => {
+    setDuplicateCounts(null);
+    if (!sheetKey || !isDeduplicationActive(deduplication)) return;
+    
+    return runPreviewCount('countDuplicates', {
+      sheetKey,
+      deduplication,
+      dateColumnIndex: selectedDateColumnIndex,
+      dateSettings: getColumnDateSettings(allDateColumns, selectedDateColumnIndex)
+    }, setDuplicateCounts, 'Error looking for duplicate rows:');
+  }, [sheetKey, deduplication, allDateColumns, selectedDateColumnIndex]);
+  
+  // List the codes of the translated columns that their lookup tables don't have
+  useEffect(() => {
+    setUnmatchedValues(null);
+    const mappings = resolveValueMappings(valueMappings, lookupTables);
+    if (!sheetKey || mappings.length === 0) return;
+    
+    return runPreviewCount('findUnmatchedValues', { sheetKey, valueMappings: mappings }, setUnmatchedValues, 'Error looking for codes missing from the lookup tables:');
+  }, [sheetKey, valueMappings, lookupTables]);
+  
+  // Count the rows of the active sheet that find a match in the second workbook
+  useEffect(() => {
+    setJoinCounts(null);
+    if (!sheetKey || !joinRowsKey || !join.leftKey || !join.rightKey) return;
+    
+    return runPreviewCount('countJoinMatches', { sheetKey, joinRowsKey, join }, setJoinCounts, 'Error matching rows with the workbook to join:');
+  }, [sheetKey, joinRowsKey, join]);
+  
+  // Date ranges for a sheet; the second range finds its column by header name
+  const getDateRanges = (sheet) => {
+    const ranges = [{ ...dateRange, columnIndex: sheet.selectedDateColumnIndex }];
+    if (secondaryDateRange) {
+      ranges.push({ ...secondaryDateRange, columnIndex: sheet.headers.indexOf(secondaryDateRange.header) });
+    }
+    
+    return ranges
+      .map(range => ({ ...range, dateSettings: getColumnDateSettings(sheet.allDateColumns, range.columnIndex) }))
+      .filter(isDateRangeActive);
+  };
+  
+  const hasDateRange = getDateRanges({ headers, allDateColumns, selectedDateColumnIndex }).length > 0;
+  const hasRowRules = isRuleSetActive(rowRules);
+  
+  // Date ranges and row rules need the rows themselves to count what they remove
+  const hasRowChecks = hasDateRange || hasRowRules;
+  
+  // Month distribution entries split into periods and the "No date" / "Invalid date" buckets
+  const getPeriodCounts = () => (monthCounts || []).filter(item => !item.undated);
+  const undatedBuckets = (monthCounts || []).filter(item => item.undated);
+  const undatedRowCount = undatedBuckets.reduce((total, item) => total + item.count, 0);
+  
+  const hasRowFilters = hasRowChecks || (undatedPolicy !== 'keep' && undatedRowCount > 0) || isDeduplicationActive(deduplication);
+  
+  // Settings that change the output without removing columns or months; each is enough to process on its own
+  const hasColumnChanges = Object.keys(columnRenames).length > 0 || 
+    addedCustomColumns.length > 0 || 
+    resolveValueMappings(valueMappings, lookupTables).length > 0 || 
+    isJoinActive(getActiveJoin()) || 
+    Boolean(columnOrder);
+  const hasOutputChanges = selectedHeaders.length > 0 || selectedMonths.length > 0 || hasRowFilters || hasColumnChanges;
+  
   // Calculate rows removed
   const getRowsRemoved = () => {
-    return calculateRowsRemoved(selectedMonths, monthCounts);
+    if (hasRowChecks) return rowsRemovedPreview ?? 0;
+    return calculateRowsRemoved(selectedMonths, monthCounts, null, monthMode, undatedPolicy);
   };
+  
+  // Rows removed by the month selection alone
+  const getMonthRowsRemoved = () => calculateRowsRemoved(selectedMonths, monthCounts, null, monthMode, 'keep');
 
   // Get current date column name for display
   const getCurrentDateColumnName = () => {
@@ -402,6 +1144,10 @@ export default function ExcelColumnRemover() {
     return currentColumn ? currentColumn.header : 'Unknown';
   };
   
+  // Period size the distribution list and separation use (months, weeks, quarters, ...)
+  const periodGranularity = getPeriodGranularity(getColumnDateSettings(allDateColumns, selectedDateColumnIndex).granularity);
+  const separatedGranularity = getPeriodGranularity(separatedData && separatedData.granularity);
+  
   return (
     <div className="max-w-4xl mx-auto bg-white rounded-xl shadow-lg overflow-hidden">
       <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-8 py-6 text-white">
@@ -423,16 +1169,17 @@ export default function ExcelColumnRemover() {
                 </svg>
                 <div className="flex text-sm text-gray-600">
                   <span className="relative rounded-md font-medium text-indigo-600 hover:text-indigo-700 focus-within:outline-none">
-                    {fileName ? fileName : 'Choose a file'}
+                    {sourceFiles.length > 1 ? `${sourceFiles.length} files selected` : fileName ? fileName : 'Choose files'}
                   </span>
                 </div>
                 <p className="text-xs text-gray-500">
-                  XLSX, XLS, or CSV up to 10MB
+                  XLSX, XLS, or CSV up to 10MB, several files are merged
                 </p>
               </div>
               <input 
                 type="file" 
                 accept=".xlsx,.xls,.csv" 
+                multiple
                 onChange={onFileUpload} 
                 className="absolute w-full h-full opacity-0 cursor-pointer"
               />
@@ -475,6 +1222,64 @@ export default function ExcelColumnRemover() {
           )}
         </div>
 
+        {/* Background Task Progress */}
+        <ProcessingProgress progress={taskProgress} onCancel={cancelTask} />
+
+        {/* CSV Import Section */}
+        <CsvImportPreview
+          csvImport={csvImport}
+          onChangeSettings={(settings) => setCsvImport({ ...csvImport, settings })}
+          onConfirm={confirmCsvImport}
+          onCancel={() => {
+            setCsvImport(null);
+            setFileName('');
+          }}
+        />
+
+        {/* Merged Files Section */}
+        <MergeSummary
+          mergeSummary={mergeSummary}
+          addSourceColumn={addSourceColumn}
+          onToggleSourceColumn={handleToggleSourceColumn}
+        />
+
+        {/* Sheet Selection Section */}
+        <SheetSelector
+          sheets={sheets}
+          selectedSheetNames={selectedSheetNames}
+          activeSheetName={activeSheetName}
+          onToggleSheet={handleToggleSheet}
+          onActivateSheet={handleActivateSheet}
+        />
+
+        {/* Header Row Section */}
+        <HeaderRowPicker
+          rawJsonData={sheetResults[activeSheetName]?.rawJsonData}
+          headers={headers}
+          headerScores={sheetResults[activeSheetName]?.headerScores}
+          headerRowIndex={headerRowIndex}
+          headerRowCount={headerRowCount}
+          detectedHeaderRowIndex={sheetResults[activeSheetName]?.detectedHeaderRowIndex}
+          detectedHeaderRowCount={sheetResults[activeSheetName]?.detectedHeaderRowCount}
+          headerRowsConfirmed={sheetResults[activeSheetName]?.headerRowsConfirmed !== false}
+          onSelectHeaderRows={handleHeaderRowChange}
+          onConfirmHeaderRows={handleConfirmHeaderRows}
+        />
+
+        {/* Excluded Rows Section */}
+        <ExcludedRowsPanel
+          rawJsonData={sheetResults[activeSheetName]?.rawJsonData}
+          excludedRows={excludedRows}
+          restoredRowIndexes={restoredRowIndexes}
+          onToggleRows={handleToggleExcludedRows}
+        />
+
+        {/* Preserved IDs Section */}
+        <PreservedValuesNotice
+          preservedValues={sheetResults[activeSheetName]?.preservedValues}
+          headers={headers}
+        />
+
         {/* NEW: Date Column Selection Section */}
         {allDateColumns.length > 0 && (
           <div className="mb-8">
@@ -539,21 +1344,75 @@ export default function ExcelColumnRemover() {
                       <div key={col.index} className="text-xs bg-white rounded px-2 py-1 border">
                         <span className="font-medium">{col.header}</span>
                         <span className="text-gray-500 ml-2">({(col.confidence * 100).toFixed(0)}%)</span>
+                        {col.parseStats && (
+                          <span className="text-gray-500 ml-2">
+                            {Math.floor(col.parseStats.successRate * 100)}% parsed
+                          </span>
+                        )}
                       </div>
                     ))}
                   </div>
                 </div>
               )}
+              
+              <DateFormatPanel
+                dateColumn={allDateColumns.find(col => col.index === selectedDateColumnIndex)}
+                onChangeSettings={handleDateSettingsChange}
+              />
             </div>
           </div>
         )}
         
+        {/* Date Range Section */}
+        <DateRangeFilter
+          dateColumns={allDateColumns}
+          selectedDateColumnIndex={selectedDateColumnIndex}
+          dateRange={dateRange}
+          secondaryDateRange={secondaryDateRange}
+          rowsRemoved={rowsRemovedPreview}
+          onChangeRange={(range) => {
+            setDateRange(range);
+            setSeparatedData(null);
+            setProcessedData(null);
+          }}
+          onChangeSecondaryRange={(range) => {
+            setSecondaryDateRange(range);
+            setSeparatedData(null);
+            setProcessedData(null);
+          }}
+        />
+        
+        {/* Duplicate Rows Section */}
+        <DuplicateRowsPanel
+          headers={headers}
+          hasDateColumn={selectedDateColumnIndex !== -1}
+          deduplication={deduplication}
+          duplicateCounts={duplicateCounts}
+          onChange={(settings) => {
+            setDeduplication(settings);
+            setSeparatedData(null);
+            setProcessedData(null);
+          }}
+        />
+        
+        {/* Row Filter Section */}
+        <RowFilterBuilder
+          headers={headers}
+          ruleSet={rowRules}
+          matchCounts={ruleMatchCounts}
+          onChange={(ruleSet) => {
+            setRowRules(ruleSet);
+            setSeparatedData(null);
+            setProcessedData(null);
+          }}
+        />
+        
         {/* Month Distribution Section */}
         {monthCounts && monthCounts.length > 0 && (
           <div className="mb-8">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg font-medium text-gray-900">
-                Data Distribution by Month & Year
+                Data Distribution by {periodGranularity.value === 'month' ? 'Month & Year' : periodGranularity.label}
                 {selectedDateColumnIndex !== -1 && (
                   <span className="text-sm font-normal text-gray-600 ml-2">
                     (using {getCurrentDateColumnName()})
@@ -581,37 +1440,67 @@ export default function ExcelColumnRemover() {
                   ) : (
                     <>
                       <Calendar className="h-4 w-4" />
-                      Separate by Months
+                      Separate by {periodGranularity.value === 'month' ? 'Months' : periodGranularity.label}
                     </>
                   )}
                 </button>
               )}
             </div>
             <div className="bg-indigo-50 rounded-lg p-4 border border-indigo-100">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div className="inline-flex rounded-md shadow-sm">
+                  {MONTH_MODES.map((mode, index) => (
+                    <button
+                      key={mode.value}
+                      onClick={() => handleMonthModeChange(mode.value)}
+                      className={`px-3 py-1.5 text-sm font-medium border ${
+                        index === 0 ? 'rounded-l-md' : 'rounded-r-md -ml-px'
+                      } ${
+                        monthMode === mode.value
+                          ? 'bg-indigo-600 text-white border-indigo-600'
+                          : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center gap-3 text-xs text-gray-500">
+                  <span>Shift-click to select a range</span>
+                  {selectedMonths.length > 0 && (
+                    <button
+                      onClick={() => setSelectedMonths([])}
+                      className="font-medium text-indigo-600 hover:text-indigo-800"
+                    >
+                      Clear selection
+                    </button>
+                  )}
+                </div>
+              </div>
               <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                {monthCounts.map((item) => (
+                {getPeriodCounts().map((item, index) => (
                   <div 
                     key={item.monthYearKey || `${item.yearCode}-${item.code}` || `${item.month}-${Math.random()}`} 
-                    className={`p-3 rounded-md shadow-sm border cursor-pointer transition-all ${
+                    className={`group p-3 rounded-md shadow-sm border cursor-pointer select-none transition-all ${
                       selectedMonths.includes(item.month)
-                        ? 'bg-red-100 border-red-300'
+                        ? monthMode === 'keep' ? 'bg-green-100 border-green-300' : 'bg-red-100 border-red-300'
                         : 'bg-white border-indigo-100 hover:border-indigo-300'
                     }`}
-                    onClick={() => handleToggleMonth(item.month)}
+                    onClick={(e) => handleToggleMonth(item.month, e)}
                   >
                     <div className={`text-sm font-semibold ${
                       selectedMonths.includes(item.month) 
-                        ? 'text-red-700' 
+                        ? monthMode === 'keep' ? 'text-green-700' : 'text-red-700' 
                         : 'text-indigo-700'
                     }`}>
                       {item.month}
                       {selectedMonths.includes(item.month) && (
-                        <span className="ml-2 text-red-500">✓</span>
+                        <span className={`ml-2 ${monthMode === 'keep' ? 'text-green-500' : 'text-red-500'}`}>✓</span>
                       )}
                     </div>
                     <div className={`mt-1 text-xs ${
                       selectedMonths.includes(item.month) 
-                        ? 'text-red-600' 
+                        ? monthMode === 'keep' ? 'text-green-600' : 'text-red-600' 
                         : 'text-gray-600'
                     }`}>
                       {item.count} entries
@@ -621,25 +1510,81 @@ export default function ExcelColumnRemover() {
                         Year: {item.yearCode}
                       </div>
                     )}
+                    <div className="mt-2 flex justify-between text-xs text-indigo-600 opacity-0 group-hover:opacity-100 transition-opacity">
+                      {index > 0 ? (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleSelectMonthsBeyond(item.month, 'before');
+                          }}
+                          className="hover:text-indigo-800"
+                        >
+                          ← All before
+                        </button>
+                      ) : <span />}
+                      {index < getPeriodCounts().length - 1 && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleSelectMonthsBeyond(item.month, 'after');
+                          }}
+                          className="hover:text-indigo-800"
+                        >
+                          All after →
+                        </button>
+                      )}
+                    </div>
                   </div>
                 ))}
               </div>
+              {undatedBuckets.length > 0 && (
+                <div className="mt-4 flex flex-wrap items-center gap-4">
+                  {undatedBuckets.map((item) => (
+                    <div key={item.monthYearKey} className="p-3 rounded-md border border-dashed border-gray-300 bg-white">
+                      <div className="text-sm font-semibold text-gray-700">{item.month}</div>
+                      <div className="mt-1 text-xs text-gray-600">{item.count} entries</div>
+                    </div>
+                  ))}
+                  <div className="flex items-center gap-2 text-sm">
+                    <label htmlFor="undated-policy" className="text-gray-700">
+                      Rows without a valid date:
+                    </label>
+                    <select
+                      id="undated-policy"
+                      value={undatedPolicy}
+                      onChange={(e) => handleUndatedPolicyChange(e.target.value)}
+                      className="px-3 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {UNDATED_ROW_POLICIES.map(policy => (
+                        <option key={policy.value} value={policy.value}>{policy.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
               <div className="mt-3 text-sm text-gray-500 flex justify-between items-center">
                 <div>
                   Total entries: {monthCounts.reduce((sum, item) => sum + item.count, 0)}
                   <span className="ml-2 text-xs">
-                    ({monthCounts.length} month-year combinations)
+                    ({getPeriodCounts().length} {periodGranularity.value === 'month' ? 'month-year combinations' : periodGranularity.plural})
                   </span>
                 </div>
-                {selectedMonths.length > 0 && (
+                {(selectedMonths.length > 0 || (undatedPolicy !== 'keep' && undatedRowCount > 0)) && (
                   <div className="text-red-600 font-medium">
                     {getRowsRemoved()} entries marked for removal
                   </div>
                 )}
               </div>
               {selectedMonths.length > 0 && (
+                <div className={`mt-2 text-sm ${monthMode === 'keep' ? 'text-green-700' : 'text-red-700'}`}>
+                  <span className="font-medium">Note:</span>{' '}
+                  {generateProcessingSummary([], selectedMonths, getMonthRowsRemoved(), monthMode, periodGranularity.plural)}
+                </div>
+              )}
+              {undatedPolicy !== 'keep' && undatedRowCount > 0 && (
                 <div className="mt-2 text-sm text-red-700">
-                  <span className="font-medium">Note:</span> All rows from {selectedMonths.join(', ')} will be removed from the output file.
+                  <span className="font-medium">Note:</span>{' '}
+                  {undatedRowCount} rows without a valid date will be {undatedPolicy === 'separate' ? 'moved to a separate sheet' : 'removed from the output file'}.
                 </div>
               )}
             </div>
@@ -661,16 +1606,17 @@ export default function ExcelColumnRemover() {
                 </div>
                 <div className="ml-3">
                   <p className="text-sm font-medium text-green-800">
-                    Successfully separated data into {separatedData.monthsWithData.length} month sheets
+                    Successfully separated data into {separatedData.monthsWithData.length} {separatedGranularity.singular} sheets
                   </p>
                   <p className="text-xs text-green-700 mt-1">
-                    {separatedData.assignedRows} of {separatedData.totalRows} rows assigned to months
+                    {separatedData.assignedRows} of {separatedData.totalRows} rows assigned to {separatedGranularity.plural}
                     {separatedData.invalidDateRows > 0 && ` (${separatedData.invalidDateRows} rows had invalid dates)`}
+                    {separatedData.duplicateRowCount > 0 && `, ${separatedData.duplicateRowCount} duplicate rows removed`}
                   </p>
                   <p className="text-xs text-green-700 mt-1">
                     <span className="font-medium">Applied filters using {getCurrentDateColumnName()}:</span> 
                     {selectedHeaders.length > 0 && ` Removed ${selectedHeaders.length} columns`}
-                    {selectedMonths.length > 0 && `, Filtered ${selectedMonths.length} months`}
+                    {selectedMonths.length > 0 && `, Filtered ${selectedMonths.length} ${periodGranularity.plural}`}
                     {columnOrder && `, Custom column order`}
                     {addedCustomColumns.length > 0 && `, Added ${addedCustomColumns.length} custom columns`}
                     {useBorders && `, Applied borders & styling`}
@@ -692,12 +1638,23 @@ export default function ExcelColumnRemover() {
                 className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
               >
                 <Download className="mr-2 h-4 w-4" />
-                Download Excel with Separated Months {useBorders && '(Styled)'}
+                Download Excel with Separated {separatedGranularity.value === 'month' ? 'Months' : separatedGranularity.label} {useBorders && '(Styled)'}
               </button>
             </div>
           </div>
         )}
         
+        {/* Join Section */}
+        <JoinWorkbookPanel
+          headers={headers}
+          joinSource={joinSource}
+          join={join}
+          joinCounts={joinCounts}
+          onLoadFile={handleLoadJoinFile}
+          onChange={handleJoinChange}
+          onClear={handleClearJoin}
+        />
+        
         {/* Header Selection Section */}
         {headers.length > 0 && (
           <div className="mb-8">
@@ -712,7 +1669,7 @@ export default function ExcelColumnRemover() {
             
             <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
               <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
-                {headers.map((header, index) => (
+                {getColumnHeaders().map((header, index) => (
                   <div key={index} className="relative flex items-start">
                     <div className="flex items-center h-5">
                       <input
@@ -743,6 +1700,36 @@ export default function ExcelColumnRemover() {
           </div>
         )}
 
+        {/* Lookup Tables Section */}
+        <LookupTablesPanel
+          headers={headers}
+          existingNames={[...getColumnHeaders(), ...addedCustomColumns]}
+          columnRenames={columnRenames}
+          lookupTables={lookupTables}
+          onTablesChange={handleLookupTablesChange}
+          valueMappings={valueMappings}
+          unmatchedValues={unmatchedValues}
+          onAddMapping={handleAddValueMapping}
+          onRemoveMapping={handleRemoveValueMapping}
+        />
+        
+        {/* Computed Columns Section */}
+        {allDateColumns.length > 0 && (
+          <div className="mb-8">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              Computed Columns (Optional)
+            </h3>
+            <DerivedColumnBuilder
+              dateColumns={allDateColumns}
+              existingNames={[...getColumnHeaders(), ...addedCustomColumns]}
+              columnRenames={columnRenames}
+              derivedColumns={derivedColumns.filter(column => column.type !== 'expression')}
+              onAdd={handleAddDerivedColumn}
+              onRemove={(name) => handleAddCustomColumn(null, name, 'remove')}
+            />
+          </div>
+        )}
+
         {/* Column Reordering Section */}
         {headers.length > 0 && (
           <div className="mb-8">
@@ -760,19 +1747,29 @@ export default function ExcelColumnRemover() {
             
             {showColumnReordering && (
               <ColumnReorderingComponent
-                headers={headers}
+                headers={getColumnHeaders()}
                 onColumnOrderChange={handleColumnOrderChange}
                 currentOrder={columnOrder}
                 onAddColumn={handleAddCustomColumn}
                 addedColumns={addedCustomColumns}
+                columnRenames={columnRenames}
+                onRenameColumn={handleRenameColumn}
+                columnExpressions={getColumnExpressions()}
+                sampleRows={getExpressionSampleRows()}
               />
             )}
             
-            {(columnOrder || addedCustomColumns.length > 0) && (
+            {(columnOrder || addedCustomColumns.length > 0 || Object.keys(columnRenames).length > 0) && (
               <div className="mt-3 p-3 bg-blue-50 rounded-md border border-blue-200">
                 <p className="text-sm text-blue-800">
                   {columnOrder && <span><span className="font-medium">Column order set:</span> Columns will be reordered in the output file. </span>}
-                  {addedCustomColumns.length > 0 && <span><span className="font-medium">Custom columns added:</span> {addedCustomColumns.join(', ')}.</span>}
+                  {addedCustomColumns.length > 0 && <span><span className="font-medium">Custom columns added:</span> {addedCustomColumns.join(', ')}. </span>}
+                  {Object.keys(columnRenames).length > 0 && (
+                    <span>
+                      <span className="font-medium">Renamed:</span>{' '}
+                      {Object.entries(columnRenames).map(([original, output]) => `${original} → ${output}`).join(', ')}.
+                    </span>
+                  )}
                 </p>
               </div>
             )}
@@ -784,9 +1781,9 @@ export default function ExcelColumnRemover() {
           <div className="mb-8">
             <button
               onClick={processFile}
-              disabled={(selectedHeaders.length === 0 && selectedMonths.length === 0) || isLoading}
+              disabled={!hasOutputChanges || isLoading}
               className={`w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
-                (selectedHeaders.length === 0 && selectedMonths.length === 0) || isLoading
+                !hasOutputChanges || isLoading
                   ? 'bg-gray-400 cursor-not-allowed'
                   : 'bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500'
               }`}
@@ -816,11 +1813,25 @@ export default function ExcelColumnRemover() {
               <div className="ml-3 flex-1">
                 <p className="text-sm text-green-800">
                   File processed successfully using <span className="font-semibold">{getCurrentDateColumnName()}</span>!
+                  {selectedSheetNames.length > 1 && (
+                    <span> Processed sheets: <span className="font-semibold">{selectedSheetNames.join(', ')}</span></span>
+                  )}
                   {selectedHeaders.length > 0 && (
                     <span> Removed columns: <span className="font-semibold">{selectedHeaders.join(', ')}</span></span>
                   )}
-                  {selectedMonths.length > 0 && (
-                    <span> Removed {getRowsRemoved()} entries from: <span className="font-semibold">{selectedMonths.join(', ')}</span></span>
+                  {selectedMonths.length > 0 && !hasRowChecks && (
+                    monthMode === 'keep'
+                      ? <span> Kept only <span className="font-semibold">{selectedMonths.join(', ')}</span>, removing {getMonthRowsRemoved()} entries from other {periodGranularity.plural}.</span>
+                      : <span> Removed {getMonthRowsRemoved()} entries from: <span className="font-semibold">{selectedMonths.join(', ')}</span></span>
+                  )}
+                  {undatedPolicy !== 'keep' && undatedRowCount > 0 && !hasRowChecks && (
+                    <span> {undatedPolicy === 'separate' ? 'Moved' : 'Removed'} <span className="font-semibold">{undatedRowCount} rows without a valid date</span>{undatedPolicy === 'separate' && ' to a separate sheet'}.</span>
+                  )}
+                  {hasRowChecks && (
+                    <span> Removed <span className="font-semibold">{getRowsRemoved()} entries</span> by {hasDateRange && hasRowRules ? 'month, date range and row filters' : hasDateRange ? 'month and date range' : 'month and row filters'}.</span>
+                  )}
+                  {removedDuplicateCount > 0 && (
+                    <span> Removed <span className="font-semibold">{removedDuplicateCount} duplicate rows</span>{deduplication.writeDuplicatesSheet && ` (listed on the "${DUPLICATES_SHEET_NAME}" sheet)`}.</span>
                   )}
                   {columnOrder && (
                     <span> Applied <span className="font-semibold">custom column order</span>.</span>
@@ -828,6 +1839,9 @@ export default function ExcelColumnRemover() {
                   {addedCustomColumns.length > 0 && (
                     <span> Added <span className="font-semibold">{addedCustomColumns.length} custom column(s)</span>.</span>
                   )}
+                  {Object.keys(columnRenames).length > 0 && (
+                    <span> Renamed <span className="font-semibold">{Object.keys(columnRenames).length} column(s)</span>.</span>
+                  )}
                   {useBorders && (
                     <span> Applied <span className="font-semibold">thick borders</span> to all cells.</span>
                   )}
@@ -849,6 +1863,22 @@ export default function ExcelColumnRemover() {
             )}
           </div>
         )}
+        
+        {/* Reconciliation Section */}
+        <ReconciliationPanel
+          headers={headers}
+          remittanceSource={remittanceSource}
+          settings={reconciliation}
+          summary={reconciliationSummary}
+          isRunning={isReconciling}
+          onLoadFile={handleLoadRemittanceFile}
+          onChange={(settings) => {
+            setReconciliation(settings);
+            setReconciliationSummary(null);
+          }}
+          onClear={handleClearRemittance}
+          onRun={runReconciliation}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,103 @@
+// ExcludedRowsPanel.js - Rows left out of the data range (totals, footers, page headers) with restore toggles
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, EyeOff } from 'lucide-react';
+import { EXCLUSION_REASONS } from '../utils/dataRangeDetection.js';
+
+// Cells shown per excluded row
+const PREVIEW_CELL_COUNT = 6;
+
+const ExcludedRowsPanel = ({
+  rawJsonData, // Sheet rows the excluded row indexes refer to
+  excludedRows, // Array of { rowIndex, reason } from findNonDataRows
+  restoredRowIndexes, // Excluded rows the user put back
+  onToggleRows // Handler called with (row indexes, restore)
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!rawJsonData || !excludedRows || excludedRows.length === 0) {
+    return null;
+  }
+
+  const blankRowIndexes = excludedRows.filter(row => row.reason === 'blank').map(row => row.rowIndex);
+  const listedRows = excludedRows.filter(row => row.reason !== 'blank');
+  const restoredCount = excludedRows.filter(row => restoredRowIndexes.includes(row.rowIndex)).length;
+  const blankRestored = blankRowIndexes.length > 0 && blankRowIndexes.every(index => restoredRowIndexes.includes(index));
+
+  const previewRow = (rowIndex) => {
+    return (rawJsonData[rowIndex] || [])
+      .filter(cell => cell !== null && cell !== undefined && String(cell).trim() !== '')
+      .slice(0, PREVIEW_CELL_COUNT)
+      .map(cell => String(cell))
+      .join(' | ');
+  };
+
+  return (
+    <div className="mb-8">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-left"
+      >
+        <h3 className="text-lg font-medium text-gray-900">
+          Excluded Rows
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {excludedRows.length - restoredCount} rows left out
+            {restoredCount > 0 && `, ${restoredCount} restored`}
+          </span>
+        </h3>
+        {isOpen ? <ChevronUp className="h-5 w-5 text-gray-500" /> : <ChevronDown className="h-5 w-5 text-gray-500" />}
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 bg-gray-50 rounded-lg p-4 border border-gray-200">
+          <div className="flex items-center gap-2 mb-3 text-sm text-gray-600">
+            <EyeOff className="h-4 w-4 text-indigo-600" />
+            These rows are not exported or counted in the month totals. Tick a row to put it back.
+          </div>
+
+          <div className="space-y-1 max-h-72 overflow-y-auto">
+            {listedRows.map(({ rowIndex, reason }) => {
+              const isRestored = restoredRowIndexes.includes(rowIndex);
+
+              return (
+                <label
+                  key={rowIndex}
+                  className={`flex items-start gap-2 p-2 rounded text-sm cursor-pointer ${
+                    isRestored ? 'bg-green-50' : 'bg-white'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={isRestored}
+                    onChange={() => onToggleRows([rowIndex], !isRestored)}
+                    className="h-4 w-4 mt-0.5 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                  />
+                  <span className="w-16 flex-shrink-0 text-gray-500">Row {rowIndex + 1}</span>
+                  <span className="w-48 flex-shrink-0 text-gray-700">{EXCLUSION_REASONS[reason]}</span>
+                  <span className="text-gray-600 truncate">{previewRow(rowIndex)}</span>
+                </label>
+              );
+            })}
+
+            {blankRowIndexes.length > 0 && (
+              <label className={`flex items-center gap-2 p-2 rounded text-sm cursor-pointer ${
+                blankRestored ? 'bg-green-50' : 'bg-white'
+              }`}>
+                <input
+                  type="checkbox"
+                  checked={blankRestored}
+                  onChange={() => onToggleRows(blankRowIndexes, !blankRestored)}
+                  className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                />
+                <span className="text-gray-700">
+                  {blankRowIndexes.length} blank row{blankRowIndexes.length === 1 ? '' : 's'}
+                </span>
+              </label>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExcludedRowsPanel;
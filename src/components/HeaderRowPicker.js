@@ -0,0 +1,190 @@
+// HeaderRowPicker.js - First rows of the sheet with header scores; click a row to use it as the header
+import React, { useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronUp, Table } from 'lucide-react';
+import { MAX_HEADER_ROWS } from '../utils/headerFlattening.js';
+
+// Columns shown per row before the rest is cut off
+const PREVIEW_COLUMN_COUNT = 8;
+
+const formatScore = (value) => value.toFixed(2);
+
+const HeaderRowPicker = ({
+  rawJsonData, // Sheet rows before stacked headers were flattened
+  headers, // Current (flattened) header names
+  headerScores, // Result of scoreHeaderRows for the active sheet
+  headerRowIndex, // Last header row
+  headerRowCount,
+  detectedHeaderRowIndex,
+  detectedHeaderRowCount,
+  headerRowsConfirmed,
+  onSelectHeaderRows, // Handler called with (last header row index, header row count)
+  onConfirmHeaderRows
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!rawJsonData || !headerScores || headerScores.length === 0) {
+    return null;
+  }
+
+  const firstHeaderRowIndex = headerRowIndex - headerRowCount + 1;
+  const isDetected = headerRowIndex === detectedHeaderRowIndex && headerRowCount === detectedHeaderRowCount;
+  const showRows = isOpen || !headerRowsConfirmed;
+  const rowLabel = headerRowCount > 1
+    ? `Rows ${firstHeaderRowIndex + 1}-${headerRowIndex + 1}`
+    : `Row ${headerRowIndex + 1}`;
+
+  const scoresByRow = new Map(headerScores.map(rowScore => [rowScore.rowIndex, rowScore]));
+  const previewRowCount = Math.max(...headerScores.map(rowScore => rowScore.rowIndex)) + 1;
+  const previewRows = rawJsonData.slice(0, previewRowCount);
+  const columnCount = Math.min(
+    PREVIEW_COLUMN_COUNT,
+    previewRows.reduce((max, row) => Math.max(max, row ? row.length : 0), 0)
+  );
+
+  return (
+    <div className="mb-8">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-left"
+      >
+        <h3 className="text-lg font-medium text-gray-900">
+          Header Row
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {rowLabel}
+            {isDetected ? ' (detected)' : ' (chosen manually)'}
+          </span>
+        </h3>
+        {showRows ? <ChevronUp className="h-5 w-5 text-gray-500" /> : <ChevronDown className="h-5 w-5 text-gray-500" />}
+      </button>
+
+      {showRows && (
+        <div className="mt-4 bg-gray-50 rounded-lg p-4 border border-gray-200">
+          {!headerRowsConfirmed && (
+            <div className="mb-4 rounded-md bg-amber-50 p-3 border border-amber-200">
+              <div className="flex items-start gap-2">
+                <AlertTriangle className="h-4 w-4 text-amber-600 mt-0.5 flex-shrink-0" />
+                <div className="text-sm text-amber-800">
+                  <p className="font-medium">
+                    The header looks like it spans {headerRowCount} rows. Please check the column names below.
+                  </p>
+                  <button
+                    onClick={onConfirmHeaderRows}
+                    className="mt-2 px-3 py-1 text-xs bg-amber-600 text-white rounded hover:bg-amber-700"
+                  >
+                    Confirm {headerRowCount} header rows
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3 text-sm text-gray-600">
+            <div className="flex items-center gap-2">
+              <Table className="h-4 w-4 text-indigo-600" />
+              Click the top header row. Columns, date columns and month counts are recalculated.
+            </div>
+            <label className="flex items-center gap-2">
+              Header rows:
+              <select
+                value={headerRowCount}
+                onChange={(e) => {
+                  const rowCount = Number(e.target.value);
+                  onSelectHeaderRows(firstHeaderRowIndex + rowCount - 1, rowCount);
+                }}
+                className="text-sm border border-gray-300 rounded-md px-2 py-1"
+              >
+                {Array.from({ length: MAX_HEADER_ROWS }, (_, index) => index + 1)
+                  .filter(rowCount => firstHeaderRowIndex + rowCount - 1 < rawJsonData.length)
+                  .map(rowCount => (
+                    <option key={rowCount} value={rowCount}>{rowCount}</option>
+                  ))}
+              </select>
+            </label>
+          </div>
+          <div className="overflow-x-auto border border-gray-200 rounded bg-white">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-100 text-gray-600">
+                <tr>
+                  <th className="px-2 py-1 text-left">Row</th>
+                  <th className="px-2 py-1 text-left">Score</th>
+                  <th className="px-2 py-1 text-left whitespace-nowrap">
+                    Fill / Text / Terms / Uniq / Consist
+                  </th>
+                  {Array.from({ length: columnCount }, (_, colIndex) => (
+                    <th key={colIndex} className="px-2 py-1 text-left">
+                      {String.fromCharCode(65 + colIndex)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map((row, rowIndex) => {
+                  const rowScore = scoresByRow.get(rowIndex);
+                  const isHeader = rowIndex >= firstHeaderRowIndex && rowIndex <= headerRowIndex;
+
+                  return (
+                    <tr
+                      key={rowIndex}
+                      onClick={() => rowScore && rowIndex !== firstHeaderRowIndex &&
+                        onSelectHeaderRows(rowIndex + headerRowCount - 1, headerRowCount)}
+                      className={`border-t border-gray-100 ${
+                        isHeader
+                          ? 'bg-indigo-100 font-medium'
+                          : rowScore
+                            ? 'cursor-pointer hover:bg-indigo-50'
+                            : 'text-gray-400'
+                      }`}
+                    >
+                      <td className="px-2 py-1">{rowIndex + 1}</td>
+                      <td className="px-2 py-1">
+                        {rowScore ? formatScore(rowScore.score) : '-'}
+                        {rowIndex === detectedHeaderRowIndex - detectedHeaderRowCount + 1 && (
+                          <span className="ml-1 text-green-600">★</span>
+                        )}
+                      </td>
+                      <td className="px-2 py-1 whitespace-nowrap text-gray-500">
+                        {rowScore
+                          ? [rowScore.fill, rowScore.text, rowScore.terms, rowScore.uniq, rowScore.consistency]
+                            .map(formatScore)
+                            .join(' / ')
+                          : 'empty row'}
+                        {rowScore && rowScore.forbiddenWords && (
+                          <span className="ml-1 text-red-500" title="Contains words like page, report or total">
+                            penalised
+                          </span>
+                        )}
+                        {rowScore && rowScore.singleValue && (
+                          <span className="ml-1 text-red-500" title="Only one cell has a value">
+                            single value
+                          </span>
+                        )}
+                      </td>
+                      {Array.from({ length: columnCount }, (_, colIndex) => (
+                        <td key={colIndex} className="px-2 py-1 max-w-xs truncate">
+                          {row && row[colIndex] !== null && row[colIndex] !== undefined ? String(row[colIndex]) : ''}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {headerRowCount > 1 && (
+            <div className="mt-3 text-xs text-gray-600">
+              <span className="font-medium">Column names: </span>
+              {headers.map((header, index) => (
+                <span key={index} className="inline-block mr-2 mb-1 px-2 py-0.5 bg-white border border-gray-200 rounded">
+                  {header || <em className="text-gray-400">blank</em>}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HeaderRowPicker;
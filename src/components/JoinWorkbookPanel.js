@@ -0,0 +1,163 @@
+// JoinWorkbookPanel.js - Load a second workbook and bring some of its columns across by a key column
+import React from 'react';
+import { Link2, Upload, X } from 'lucide-react';
+import { JOIN_DUPLICATE_OPTIONS } from '../services/workbookJoin.js';
+
+const selectClassName = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const JoinWorkbookPanel = ({
+  headers, // Column headers of the active sheet
+  joinSource, // { fileName, sheets, sheetName, headers } of the second workbook, or null
+  join, // { leftKey, rightKey, columns, duplicateMatch }
+  joinCounts, // { matchedRows, unmatchedRows, multipleMatchRows } on the active sheet, or null while counting
+  onLoadFile, // Handler called with (file, sheetName) to read the second workbook or another of its sheets
+  onChange, // Handler called with the changed settings
+  onClear // Handler called to drop the second workbook
+}) => {
+  if (!headers || headers.length === 0) {
+    return null;
+  }
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onLoadFile(file, null);
+  };
+
+  const toggleColumn = (header) => {
+    const columns = join.columns.includes(header)
+      ? join.columns.filter(h => h !== header)
+      : [...join.columns, header];
+    onChange({ ...join, columns });
+  };
+
+  const isComplete = joinSource && join.leftKey && join.rightKey && join.columns.length > 0;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Columns from Another Workbook (Optional)</h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-4">
+        {!joinSource ? (
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <Link2 className="h-4 w-4 text-indigo-600" />
+            Add columns such as Patient Category or Remittance Amount from a second file, matched by a key column
+            <label className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-indigo-600 bg-white border border-indigo-200 rounded-md hover:bg-indigo-50 cursor-pointer">
+              <Upload className="h-4 w-4" />
+              Choose workbook
+              <input type="file" accept=".xlsx,.xls,.csv" onChange={handleFileChange} className="hidden" />
+            </label>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-700">
+              <div className="flex flex-wrap items-center gap-2">
+                <Link2 className="h-4 w-4 text-indigo-600" />
+                <span className="font-medium">{joinSource.fileName}</span>
+                {joinSource.sheets.length > 1 && (
+                  <select
+                    value={joinSource.sheetName}
+                    onChange={(e) => onLoadFile(null, e.target.value)}
+                    className={selectClassName}
+                  >
+                    {joinSource.sheets.filter(sheet => sheet.rowCount > 0).map(sheet => (
+                      <option key={sheet.name} value={sheet.name}>{sheet.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              <button
+                onClick={onClear}
+                className="text-gray-400 hover:text-gray-600"
+                title="Stop using this workbook"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              Match
+              <select
+                value={join.leftKey}
+                onChange={(e) => onChange({ ...join, leftKey: e.target.value })}
+                className={selectClassName}
+              >
+                <option value="">Choose a column of this file</option>
+                {headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+              with
+              <select
+                value={join.rightKey}
+                onChange={(e) => onChange({
+                  ...join,
+                  rightKey: e.target.value,
+                  columns: join.columns.filter(header => header !== e.target.value)
+                })}
+                className={selectClassName}
+              >
+                <option value="">Choose a column of {joinSource.fileName}</option>
+                {joinSource.headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <p className="mb-2 text-sm font-medium text-gray-800">Columns to bring across</p>
+              <div className="flex flex-wrap gap-2">
+                {joinSource.headers.filter(header => header !== join.rightKey).map(header => (
+                  <button
+                    key={header}
+                    onClick={() => toggleColumn(header)}
+                    className={`px-2 py-1 text-xs rounded-md border ${
+                      join.columns.includes(header)
+                        ? 'bg-indigo-600 border-indigo-600 text-white'
+                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    {header}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label htmlFor="join-duplicates" className="text-gray-700">When a key matches several rows</label>
+              <select
+                id="join-duplicates"
+                value={join.duplicateMatch}
+                onChange={(e) => onChange({ ...join, duplicateMatch: e.target.value })}
+                className={selectClassName}
+              >
+                {JOIN_DUPLICATE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {isComplete && (
+              <div className="text-sm text-gray-700">
+                {joinCounts === null
+                  ? 'Matching rows...'
+                  : (
+                    <>
+                      <span className="font-medium text-green-700">{joinCounts.matchedRows} rows matched</span>
+                      {joinCounts.unmatchedRows > 0 && (
+                        <span className="text-red-600">, {joinCounts.unmatchedRows} without a match (their new cells stay blank)</span>
+                      )}
+                      {joinCounts.multipleMatchRows > 0 && (
+                        <span className="text-amber-700">, {joinCounts.multipleMatchRows} match several rows</span>
+                      )}
+                    </>
+                  )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JoinWorkbookPanel;
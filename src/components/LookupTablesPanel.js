@@ -0,0 +1,330 @@
+// LookupTablesPanel.js - Save two-column lookup tables and translate code columns with them
+import React, { useState } from 'react';
+import { BookOpen, Upload, Plus, X } from 'lucide-react';
+import {
+  MAPPING_TARGETS,
+  MAPPING_FALLBACKS,
+  buildLookupEntries,
+  parseLookupText,
+  createLookupTable
+} from '../services/valueMappings.js';
+import { readLookupTableFile } from '../services/fileHandling.js';
+import { validateNewColumnName } from '../utils/columnRenames.js';
+
+const selectClassName = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+const inputClassName = 'px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Unmatched codes listed per mapping before "and N more"
+const MAX_UNMATCHED_SHOWN = 10;
+
+const LookupTablesPanel = ({
+  headers, // Column headers of the active sheet
+  existingNames, // Headers and added columns a new column name must not repeat
+  columnRenames, // Output names ({ original: output }) a new column name must not repeat either
+  lookupTables, // Saved tables { id, name, entries }
+  onTablesChange, // Handler called with the updated list of tables
+  valueMappings, // Mappings { id, header, tableId, target, newHeader, fallback, fallbackText }
+  unmatchedValues, // { id, unmatchedRowCount, values } per mapping on the active sheet, or null while checking
+  onAddMapping, // Handler called with a new mapping
+  onRemoveMapping // Handler called with the id of the mapping to remove
+}) => {
+  const [tableName, setTableName] = useState('');
+  const [pastedText, setPastedText] = useState('');
+  const [firstRowIsHeader, setFirstRowIsHeader] = useState(true);
+  const [tableMessage, setTableMessage] = useState({ text: '', isError: false });
+  const [isReadingFile, setIsReadingFile] = useState(false);
+
+  const [header, setHeader] = useState('');
+  const [tableId, setTableId] = useState('');
+  const [target, setTarget] = useState(MAPPING_TARGETS[0].value);
+  const [newHeader, setNewHeader] = useState('');
+  const [fallback, setFallback] = useState(MAPPING_FALLBACKS[0].value);
+  const [fallbackText, setFallbackText] = useState('Unknown');
+  const [mappingError, setMappingError] = useState('');
+
+  if (!headers || headers.length === 0) {
+    return null;
+  }
+
+  // Fall back to the first column and table until one is picked
+  const codeHeader = headers.includes(header) ? header : headers[0];
+  const table = lookupTables.find(candidate => candidate.id === tableId) || lookupTables[0];
+  const suggestedNewHeader = table ? `${codeHeader} (${table.name})` : '';
+
+  const saveTable = (name, rows) => {
+    const { entries, duplicateCodeCount } = buildLookupEntries(rows, firstRowIsHeader);
+    if (entries.length === 0) {
+      setTableMessage({ text: 'No codes found. The codes go in the first column and their values in the second.', isError: true });
+      return;
+    }
+
+    const newTable = createLookupTable(name, entries);
+    onTablesChange([...lookupTables, newTable]);
+    setTableId(newTable.id);
+    setTableName('');
+    setPastedText('');
+    setTableMessage({
+      text: `Saved "${name}" with ${entries.length} codes` +
+        (duplicateCodeCount > 0 ? ` (${duplicateCodeCount} repeated codes skipped, the first value was kept)` : ''),
+      isError: false
+    });
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReadingFile(true);
+    try {
+      const rows = await readLookupTableFile(file);
+      saveTable(tableName.trim() || file.name.replace(/\.[^.]+$/, ''), rows);
+    } catch (error) {
+      console.error('Error reading lookup table:', error);
+      setTableMessage({ text: error.message, isError: true });
+    } finally {
+      setIsReadingFile(false);
+    }
+  };
+
+  const handleSavePasted = () => {
+    if (!tableName.trim()) {
+      setTableMessage({ text: 'Enter a name for the table', isError: true });
+      return;
+    }
+    saveTable(tableName.trim(), parseLookupText(pastedText));
+  };
+
+  const handleDeleteTable = (id) => {
+    onTablesChange(lookupTables.filter(candidate => candidate.id !== id));
+    valueMappings
+      .filter(mapping => mapping.tableId === id)
+      .forEach(mapping => onRemoveMapping(mapping.id));
+  };
+
+  const handleAddMapping = () => {
+    if (!table) {
+      setMappingError('Save a lookup table first');
+      return;
+    }
+
+    const columnName = (newHeader || suggestedNewHeader).trim();
+    const nameError = target === 'newColumn' ? validateNewColumnName(columnName, existingNames, columnRenames) : '';
+    if (nameError) {
+      setMappingError(nameError);
+      return;
+    }
+    if (target === 'replace' && valueMappings.some(mapping => mapping.target === 'replace' && mapping.header === codeHeader)) {
+      setMappingError(`"${codeHeader}" is already translated`);
+      return;
+    }
+
+    onAddMapping({
+      id: `mapping-${Date.now()}`,
+      header: codeHeader,
+      tableId: table.id,
+      target,
+      newHeader: target === 'newColumn' ? columnName : '',
+      fallback,
+      fallbackText: fallback === 'text' ? fallbackText : ''
+    });
+    setNewHeader('');
+    setMappingError('');
+  };
+
+  const describeUnmatched = (mapping) => {
+    if (unmatchedValues === null) return { text: 'Checking codes...', isError: false };
+
+    const result = unmatchedValues.find(candidate => candidate.id === mapping.id);
+    if (!result || result.unmatchedRowCount === 0) return { text: 'Every code is in the table', isError: false };
+
+    const shown = result.values.slice(0, MAX_UNMATCHED_SHOWN)
+      .map(({ value, count }) => `${value} (${count})`)
+      .join(', ');
+    const more = result.values.length > MAX_UNMATCHED_SHOWN ? ` and ${result.values.length - MAX_UNMATCHED_SHOWN} more` : '';
+
+    return {
+      text: `${result.unmatchedRowCount} rows with ${result.values.length} codes not in the table: ${shown}${more}`,
+      isError: true
+    };
+  };
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Lookup Tables (Optional)</h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-4">
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 text-sm font-medium text-gray-800">
+            <BookOpen className="h-4 w-4 text-indigo-600" />
+            Add a table of codes (first column) and the values they stand for (second column)
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={tableName}
+              placeholder="Table name, e.g. Payers"
+              onChange={(e) => setTableName(e.target.value)}
+              className={`flex-1 min-w-[12rem] ${inputClassName}`}
+            />
+            <label className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-indigo-600 bg-white border border-indigo-200 rounded-md hover:bg-indigo-50 cursor-pointer">
+              <Upload className="h-4 w-4" />
+              {isReadingFile ? 'Reading...' : 'Upload file'}
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={handleFileChange}
+                disabled={isReadingFile}
+                className="hidden"
+              />
+            </label>
+          </div>
+          <textarea
+            rows={3}
+            value={pastedText}
+            placeholder={'Or paste two columns copied from Excel:\nA001\tBupa Arabia\nA002\tTawuniya'}
+            onChange={(e) => setPastedText(e.target.value)}
+            className={`w-full font-mono ${inputClassName}`}
+          />
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={firstRowIsHeader}
+                onChange={(e) => setFirstRowIsHeader(e.target.checked)}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+              />
+              First row is a header
+            </label>
+            <button
+              onClick={handleSavePasted}
+              disabled={!pastedText.trim()}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save pasted table
+            </button>
+          </div>
+          {tableMessage.text && (
+            <p className={`text-sm ${tableMessage.isError ? 'text-red-600' : 'text-green-700'}`}>{tableMessage.text}</p>
+          )}
+        </div>
+
+        {lookupTables.length > 0 && (
+          <ul className="pt-3 border-t border-gray-200 space-y-1">
+            {lookupTables.map(candidate => (
+              <li key={candidate.id} className="flex items-center justify-between text-sm text-gray-700">
+                <span>
+                  <span className="font-medium">{candidate.name}</span>
+                  <span className="text-gray-500"> ({candidate.entries.length} codes, saved for other files)</span>
+                </span>
+                <button
+                  onClick={() => handleDeleteTable(candidate.id)}
+                  className="text-gray-400 hover:text-gray-600"
+                  title="Delete this table"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {lookupTables.length > 0 && (
+          <div className="pt-3 border-t border-gray-200 space-y-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              Translate
+              <select value={codeHeader} onChange={(e) => setHeader(e.target.value)} className={selectClassName}>
+                {headers.map(h => (
+                  <option key={h} value={h}>{h}</option>
+                ))}
+              </select>
+              with
+              <select value={table.id} onChange={(e) => setTableId(e.target.value)} className={selectClassName}>
+                {lookupTables.map(candidate => (
+                  <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+                ))}
+              </select>
+              and
+              <select value={target} onChange={(e) => setTarget(e.target.value)} className={selectClassName}>
+                {MAPPING_TARGETS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label.toLowerCase()}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              {target === 'newColumn' && (
+                <input
+                  type="text"
+                  value={newHeader}
+                  placeholder={suggestedNewHeader}
+                  onChange={(e) => {
+                    setNewHeader(e.target.value);
+                    setMappingError('');
+                  }}
+                  className={`flex-1 min-w-[12rem] ${inputClassName}`}
+                />
+              )}
+              Codes not in the table:
+              <select value={fallback} onChange={(e) => setFallback(e.target.value)} className={selectClassName}>
+                {MAPPING_FALLBACKS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {fallback === 'text' && (
+                <input
+                  type="text"
+                  value={fallbackText}
+                  onChange={(e) => setFallbackText(e.target.value)}
+                  className={`w-32 ${inputClassName}`}
+                />
+              )}
+              <button
+                onClick={handleAddMapping}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+              >
+                <Plus className="h-4 w-4" />
+                Add
+              </button>
+            </div>
+            {mappingError && <p className="text-sm text-red-600">{mappingError}</p>}
+          </div>
+        )}
+
+        {valueMappings.length > 0 && (
+          <ul className="pt-3 border-t border-gray-200 space-y-2">
+            {valueMappings.map(mapping => {
+              const mappingTable = lookupTables.find(candidate => candidate.id === mapping.tableId);
+              const unmatched = describeUnmatched(mapping);
+
+              return (
+                <li key={mapping.id} className="text-sm text-gray-700">
+                  <div className="flex items-center justify-between">
+                    <span>
+                      <span className="font-medium">{mapping.header}</span>
+                      {' '}with {mappingTable ? mappingTable.name : 'a deleted table'}
+                      {mapping.target === 'newColumn' ? <> into <span className="font-medium">{mapping.newHeader}</span></> : ' (replaced)'}
+                      <span className="text-gray-500">
+                        , codes not found: {mapping.fallback === 'text'
+                          ? `"${mapping.fallbackText}"`
+                          : MAPPING_FALLBACKS.find(option => option.value === mapping.fallback).label.toLowerCase()}
+                      </span>
+                    </span>
+                    <button
+                      onClick={() => onRemoveMapping(mapping.id)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Remove this translation"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                  <p className={`text-xs ${unmatched.isError ? 'text-red-600' : 'text-gray-500'}`}>{unmatched.text}</p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LookupTablesPanel;
@@ -0,0 +1,96 @@
+// MergeSummary.js - Per-file overview of a merged multi-file upload
+import React from 'react';
+import { Files, AlertTriangle } from 'lucide-react';
+
+const MergeSummary = ({
+  mergeSummary,
+  addSourceColumn,
+  onToggleSourceColumn // Handler for adding/removing the "Source File" column
+}) => {
+  if (!mergeSummary || mergeSummary.length < 2) {
+    return null;
+  }
+
+  const totalRows = mergeSummary.reduce((sum, file) => sum + file.rowCount, 0);
+  const filesWithDifferences = mergeSummary.filter(file =>
+    file.missingHeaders.length > 0 || file.extraHeaders.length > 0
+  ).length;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">
+        Merged Files
+      </h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2">
+            <Files className="h-5 w-5 text-indigo-600" />
+            <span className="text-sm font-medium text-gray-800">
+              {mergeSummary.length} files merged into {totalRows} rows
+            </span>
+          </div>
+          <div className="flex items-center">
+            <input
+              id="source-file-checkbox"
+              type="checkbox"
+              checked={addSourceColumn}
+              onChange={onToggleSourceColumn}
+              className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+            />
+            <label htmlFor="source-file-checkbox" className="ml-2 block text-sm text-gray-700">
+              Add "Source File" column
+            </label>
+          </div>
+        </div>
+
+        <div className="space-y-2 max-h-60 overflow-y-auto">
+          {mergeSummary.map((file, index) => {
+            const hasDifferences = file.missingHeaders.length > 0 || file.extraHeaders.length > 0;
+
+            return (
+              <div
+                key={`${file.fileName}-${index}`}
+                className={`p-3 bg-white rounded border ${
+                  hasDifferences ? 'border-yellow-300' : 'border-gray-200'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-700 truncate" title={file.fileName}>
+                    {file.fileName}
+                    {index === 0 && (
+                      <span className="ml-2 px-2 py-1 text-xs bg-indigo-100 text-indigo-700 rounded-full font-medium">
+                        Reference
+                      </span>
+                    )}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {file.rowCount} rows from {file.sheetName}
+                  </span>
+                </div>
+                {file.missingHeaders.length > 0 && (
+                  <div className="mt-1 text-xs text-yellow-700 flex items-start gap-1">
+                    <AlertTriangle className="h-3 w-3 mt-0.5 flex-shrink-0" />
+                    <span><span className="font-medium">Missing (left blank):</span> {file.missingHeaders.join(', ')}</span>
+                  </div>
+                )}
+                {file.extraHeaders.length > 0 && (
+                  <div className="mt-1 text-xs text-blue-700">
+                    <span className="font-medium">Extra columns:</span> {file.extraHeaders.join(', ')}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="mt-3 text-sm text-gray-500">
+          {filesWithDifferences > 0
+            ? `${filesWithDifferences} file(s) differ from the reference layout. Columns are matched by header name; missing values are left blank.`
+            : 'All files share the same columns.'}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeSummary;
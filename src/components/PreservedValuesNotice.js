@@ -0,0 +1,59 @@
+// PreservedValuesNotice.js - Columns where IDs were kept as text instead of being read as numbers
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, ShieldCheck, AlertTriangle } from 'lucide-react';
+import { PRESERVATION_KINDS } from '../services/idPreservation.js';
+
+const PreservedValuesNotice = ({
+  preservedValues, // Per-column summary from preserveIdText
+  headers
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!preservedValues || preservedValues.length === 0) {
+    return null;
+  }
+
+  const totalCells = preservedValues.reduce((sum, entry) => sum + entry.count, 0);
+  const hasPrecisionLoss = preservedValues.some(entry => entry.kind === 'precisionLost');
+
+  return (
+    <div className={`mb-8 rounded-md p-4 border ${
+      hasPrecisionLoss ? 'bg-amber-50 border-amber-200' : 'bg-blue-50 border-blue-200'
+    }`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-left"
+      >
+        <span className="flex items-center gap-2 text-sm font-medium text-gray-800">
+          {hasPrecisionLoss
+            ? <AlertTriangle className="h-4 w-4 text-amber-600" />
+            : <ShieldCheck className="h-4 w-4 text-blue-600" />}
+          {totalCells} ID value{totalCells === 1 ? '' : 's'} kept exactly as text
+          {hasPrecisionLoss && ' (some were already rounded in the source file)'}
+        </span>
+        {isOpen ? <ChevronUp className="h-4 w-4 text-gray-500" /> : <ChevronDown className="h-4 w-4 text-gray-500" />}
+      </button>
+
+      {isOpen && (
+        <ul className="mt-3 space-y-2 text-sm">
+          {preservedValues.map(entry => (
+            <li key={`${entry.colIndex}:${entry.kind}`} className="text-gray-700">
+              <span className="font-medium">{headers[entry.colIndex] || `Column ${entry.colIndex + 1}`}</span>
+              {': '}
+              {entry.count} cell{entry.count === 1 ? '' : 's'} - {PRESERVATION_KINDS[entry.kind]}
+              <span className="block text-xs text-gray-500">
+                {entry.examples.map(example => (
+                  example.original === example.text
+                    ? `row ${example.rowIndex + 1}: ${example.text}`
+                    : `row ${example.rowIndex + 1}: ${example.original} → ${example.text}`
+                )).join(', ')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PreservedValuesNotice;
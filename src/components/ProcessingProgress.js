@@ -0,0 +1,73 @@
+// ProcessingProgress.js - Stage-by-stage progress for worker tasks with a cancel button
+import React from 'react';
+import { Check, Loader2, X } from 'lucide-react';
+import { PROCESSING_STAGES, canRunInBackground } from '../services/workerClient.js';
+
+const ProcessingProgress = ({
+  progress, // { stages, stage, current, total } or null when idle
+  onCancel
+}) => {
+  if (!progress) {
+    return null;
+  }
+
+  const stages = PROCESSING_STAGES.filter(stage => progress.stages.includes(stage.key));
+  const currentIndex = stages.findIndex(stage => stage.key === progress.stage);
+
+  return (
+    <div className="mb-8 rounded-md bg-indigo-50 p-4 border border-indigo-200">
+      <div className="flex items-center justify-between mb-3">
+        {canRunInBackground() ? (
+          <>
+            <span className="text-sm font-medium text-indigo-800">
+              Working in the background - the page stays usable
+            </span>
+            <button
+              onClick={onCancel}
+              className="px-3 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200 flex items-center gap-1"
+            >
+              <X className="h-3 w-3" />
+              Cancel
+            </button>
+          </>
+        ) : (
+          // Without Web Workers the task runs on the page itself and can't be stopped
+          <span className="text-sm font-medium text-indigo-800">
+            Working - the page may not respond until this finishes
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-4">
+        {stages.map((stage, index) => {
+          const isDone = currentIndex > index;
+          const isCurrent = currentIndex === index;
+
+          return (
+            <div
+              key={stage.key}
+              className={`flex items-center gap-2 text-sm ${
+                isDone
+                  ? 'text-green-700'
+                  : isCurrent
+                    ? 'text-indigo-700 font-medium'
+                    : 'text-gray-400'
+              }`}
+            >
+              {isDone && <Check className="h-4 w-4" />}
+              {isCurrent && <Loader2 className="h-4 w-4 animate-spin" />}
+              {!isDone && !isCurrent && <span className="h-4 w-4 rounded-full border border-gray-300" />}
+              {stage.label}
+              {isCurrent && progress.total > 1 && (
+                <span className="text-xs text-indigo-500">
+                  ({progress.current} of {progress.total})
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ProcessingProgress;
@@ -0,0 +1,206 @@
+// ReconciliationPanel.js - Match the loaded claims against a remittance file and download the reconciliation workbook
+import React from 'react';
+import { Scale, Upload, Plus, X } from 'lucide-react';
+import { RECONCILIATION_SHEETS, getReconciliationError } from '../services/reconciliation.js';
+
+const selectClassName = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const formatAmount = (amount) => amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const ReconciliationPanel = ({
+  headers, // Column headers of the claims (active) sheet
+  remittanceSource, // { fileName, sheets, sheetName, headers } of the remittance file, or null
+  settings, // { keyPairs, claimAmountHeader, paidAmountHeader, tolerance }
+  summary, // { rows, claimed, paid } per report sheet from the last run, or null
+  isRunning, // Whether the reconciliation workbook is being built
+  onLoadFile, // Handler called with (file, sheetName) to read the remittance file or another of its sheets
+  onChange, // Handler called with the changed settings
+  onClear, // Handler called to drop the remittance file
+  onRun // Handler called to build and download the reconciliation workbook
+}) => {
+  if (!headers || headers.length === 0) {
+    return null;
+  }
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onLoadFile(file, null);
+  };
+
+  const updateKeyPair = (position, changes) => {
+    onChange({
+      ...settings,
+      keyPairs: settings.keyPairs.map((pair, index) => (index === position ? { ...pair, ...changes } : pair))
+    });
+  };
+
+  const settingsError = remittanceSource ? getReconciliationError(settings, headers, remittanceSource.headers) : '';
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Claims vs Remittance Reconciliation (Optional)</h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-4">
+        {!remittanceSource ? (
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <Scale className="h-4 w-4 text-indigo-600" />
+            Compare these claims with a payer remittance file
+            <label className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-indigo-600 bg-white border border-indigo-200 rounded-md hover:bg-indigo-50 cursor-pointer">
+              <Upload className="h-4 w-4" />
+              Choose remittance file
+              <input type="file" accept=".xlsx,.xls,.csv" onChange={handleFileChange} className="hidden" />
+            </label>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-700">
+              <div className="flex flex-wrap items-center gap-2">
+                <Scale className="h-4 w-4 text-indigo-600" />
+                <span className="font-medium">{remittanceSource.fileName}</span>
+                {remittanceSource.sheets.length > 1 && (
+                  <select
+                    value={remittanceSource.sheetName}
+                    onChange={(e) => onLoadFile(null, e.target.value)}
+                    className={selectClassName}
+                  >
+                    {remittanceSource.sheets.filter(sheet => sheet.rowCount > 0).map(sheet => (
+                      <option key={sheet.name} value={sheet.name}>{sheet.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              <button
+                onClick={onClear}
+                className="text-gray-400 hover:text-gray-600"
+                title="Stop using this remittance file"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-gray-800">Claims and remittance lines match when these columns hold the same values</p>
+              {settings.keyPairs.map((pair, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                  <select
+                    value={pair.claimHeader}
+                    onChange={(e) => updateKeyPair(index, { claimHeader: e.target.value })}
+                    className={selectClassName}
+                  >
+                    <option value="">Claims column</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                  =
+                  <select
+                    value={pair.remittanceHeader}
+                    onChange={(e) => updateKeyPair(index, { remittanceHeader: e.target.value })}
+                    className={selectClassName}
+                  >
+                    <option value="">Remittance column</option>
+                    {remittanceSource.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                  {settings.keyPairs.length > 1 && (
+                    <button
+                      onClick={() => onChange({ ...settings, keyPairs: settings.keyPairs.filter((_, i) => i !== index) })}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Remove this key"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                onClick={() => onChange({ ...settings, keyPairs: [...settings.keyPairs, { claimHeader: '', remittanceHeader: '' }] })}
+                className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+              >
+                <Plus className="h-4 w-4" />
+                Add key column
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              Compare
+              <select
+                value={settings.claimAmountHeader}
+                onChange={(e) => onChange({ ...settings, claimAmountHeader: e.target.value })}
+                className={selectClassName}
+              >
+                <option value="">Claimed amount column</option>
+                {headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+              with
+              <select
+                value={settings.paidAmountHeader}
+                onChange={(e) => onChange({ ...settings, paidAmountHeader: e.target.value })}
+                className={selectClassName}
+              >
+                <option value="">Paid amount column</option>
+                {remittanceSource.headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+              <label htmlFor="reconciliation-tolerance">allowing a difference of</label>
+              <input
+                id="reconciliation-tolerance"
+                type="number"
+                min="0"
+                step="0.01"
+                value={settings.tolerance}
+                onChange={(e) => onChange({ ...settings, tolerance: e.target.value })}
+                className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Paid amounts of several remittance lines for the same claim are added up. The workbook gets
+              the sheets {RECONCILIATION_SHEETS.map(sheet => sheet.label).join(', ')}, with the claimed and paid totals
+              and their difference next to each claim.
+            </p>
+
+            {settingsError && <p className="text-sm text-red-600">{settingsError}</p>}
+
+            <button
+              onClick={onRun}
+              disabled={Boolean(settingsError) || isRunning}
+              className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isRunning ? 'Reconciling...' : 'Download reconciliation workbook'}
+            </button>
+
+            {summary && (
+              <table className="min-w-full text-sm text-gray-700">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="py-1 pr-4 font-medium">Sheet</th>
+                    <th className="py-1 pr-4 font-medium text-right">Rows</th>
+                    <th className="py-1 pr-4 font-medium text-right">Claimed</th>
+                    <th className="py-1 font-medium text-right">Paid</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {RECONCILIATION_SHEETS.map(sheet => (
+                    <tr key={sheet.value} className="border-t border-gray-200">
+                      <td className="py-1 pr-4">{sheet.label}</td>
+                      <td className="py-1 pr-4 text-right">{summary[sheet.value].rows}</td>
+                      <td className="py-1 pr-4 text-right">{sheet.value === 'unexpected' ? '' : formatAmount(summary[sheet.value].claimed)}</td>
+                      <td className="py-1 text-right">{formatAmount(summary[sheet.value].paid)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReconciliationPanel;
@@ -0,0 +1,172 @@
+// RowFilterBuilder.js - Build rules that remove rows by any column: conditions combined in AND/OR groups
+import React from 'react';
+import { Filter, Plus, X } from 'lucide-react';
+import {
+  RULE_OPERATORS,
+  RULE_COMBINATORS,
+  createCondition,
+  createRuleGroup,
+  getConditionError
+} from '../services/rowRules.js';
+
+const selectClassName = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const CombinatorSelect = ({ value, onChange }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+    {RULE_COMBINATORS.map(option => (
+      <option key={option.value} value={option.value}>{option.label}</option>
+    ))}
+  </select>
+);
+
+const ConditionRow = ({ condition, headers, onChange, onRemove }) => {
+  const operator = RULE_OPERATORS.find(option => option.value === condition.operator);
+  const error = getConditionError(condition, headers);
+  const isMissingColumn = Boolean(condition.header) && !headers.includes(condition.header);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={condition.header}
+          onChange={(e) => onChange({ ...condition, header: e.target.value })}
+          className={selectClassName}
+        >
+          {isMissingColumn && <option value={condition.header}>{condition.header}</option>}
+          {headers.map(header => (
+            <option key={header} value={header}>{header}</option>
+          ))}
+        </select>
+        <select
+          value={condition.operator}
+          onChange={(e) => onChange({ ...condition, operator: e.target.value })}
+          className={selectClassName}
+        >
+          {RULE_OPERATORS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {operator && operator.needsValue && (
+          <input
+            type="text"
+            value={condition.value}
+            placeholder={operator.value === 'inList' ? 'Values separated by commas' : 'Value'}
+            onChange={(e) => onChange({ ...condition, value: e.target.value })}
+            className="flex-1 min-w-[10rem] px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        )}
+        <button onClick={onRemove} className="text-gray-400 hover:text-gray-600" title="Remove this condition">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+      {error && (condition.value !== '' || isMissingColumn) && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+const RowFilterBuilder = ({
+  headers, // Column headers of the active sheet; rules run before added columns are filled, so only these can be used
+  ruleSet, // { combinator, groups } - rows matching it are removed
+  matchCounts, // { matched, groups } for the active sheet, or null while counting
+  onChange // Handler called with the changed rule set
+}) => {
+  if (!headers || headers.length === 0) {
+    return null;
+  }
+
+  const updateGroup = (groupIndex, group) => {
+    const groups = ruleSet.groups.map((current, index) => (index === groupIndex ? group : current));
+    onChange({ ...ruleSet, groups });
+  };
+
+  const removeCondition = (groupIndex, conditionIndex) => {
+    const group = ruleSet.groups[groupIndex];
+    const conditions = group.conditions.filter((_, index) => index !== conditionIndex);
+
+    // A group without conditions goes away
+    if (conditions.length === 0) {
+      onChange({ ...ruleSet, groups: ruleSet.groups.filter((_, index) => index !== groupIndex) });
+    } else {
+      updateGroup(groupIndex, { ...group, conditions });
+    }
+  };
+
+  const addGroup = () => onChange({ ...ruleSet, groups: [...ruleSet.groups, createRuleGroup(headers[0])] });
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Row Filters (Optional)</h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-4">
+        {ruleSet.groups.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            Remove rows by their values, e.g. Payer equals "SELF PAY", Amount is 0 or Status contains "Rejected".
+          </p>
+        ) : (
+          <>
+            {ruleSet.groups.length > 1 && (
+              <div className="flex items-center gap-2 text-sm font-medium text-gray-800">
+                <Filter className="h-4 w-4 text-indigo-600" />
+                Remove rows matching
+                <CombinatorSelect value={ruleSet.combinator} onChange={(combinator) => onChange({ ...ruleSet, combinator })} />
+                of these groups
+              </div>
+            )}
+
+            {ruleSet.groups.map((group, groupIndex) => (
+              <div key={groupIndex} className="bg-white rounded-md p-3 border border-gray-200 space-y-2">
+                <div className="flex items-center justify-between text-sm text-gray-800">
+                  <div className="flex items-center gap-2">
+                    {ruleSet.groups.length === 1 && <Filter className="h-4 w-4 text-indigo-600" />}
+                    {ruleSet.groups.length === 1 ? 'Remove rows matching' : 'Rows matching'}
+                    <CombinatorSelect value={group.combinator} onChange={(combinator) => updateGroup(groupIndex, { ...group, combinator })} />
+                    of
+                  </div>
+                  {matchCounts && matchCounts.groups[groupIndex] !== null && matchCounts.groups[groupIndex] !== undefined && (
+                    <span className="text-xs text-gray-500">{matchCounts.groups[groupIndex]} rows match</span>
+                  )}
+                </div>
+
+                {group.conditions.map((condition, conditionIndex) => (
+                  <ConditionRow
+                    key={conditionIndex}
+                    condition={condition}
+                    headers={headers}
+                    onChange={(changed) => updateGroup(groupIndex, {
+                      ...group,
+                      conditions: group.conditions.map((current, index) => (index === conditionIndex ? changed : current))
+                    })}
+                    onRemove={() => removeCondition(groupIndex, conditionIndex)}
+                  />
+                ))}
+
+                <button
+                  onClick={() => updateGroup(groupIndex, { ...group, conditions: [...group.conditions, createCondition(headers[0])] })}
+                  className="inline-flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                >
+                  <Plus className="h-3.5 w-3.5" />
+                  Add condition
+                </button>
+              </div>
+            ))}
+          </>
+        )}
+
+        <button
+          onClick={addGroup}
+          className="inline-flex items-center gap-1 text-sm font-medium text-indigo-600 hover:text-indigo-800"
+        >
+          <Plus className="h-4 w-4" />
+          {ruleSet.groups.length === 0 ? 'Add a row filter' : 'Add a group'}
+        </button>
+
+        {ruleSet.groups.length > 0 && matchCounts && (
+          <div className="text-sm text-red-600 font-medium">
+            {matchCounts.matched} rows match the filters and will be removed
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RowFilterBuilder;
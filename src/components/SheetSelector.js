@@ -0,0 +1,84 @@
+// SheetSelector.js - Pick which workbook sheets to process
+import React from 'react';
+import { Layers } from 'lucide-react';
+
+const SheetSelector = ({
+  sheets,
+  selectedSheetNames,
+  activeSheetName,
+  onToggleSheet, // Handler for including/excluding a sheet from processing
+  onActivateSheet // Handler for choosing the sheet shown in the panels below
+}) => {
+  if (!sheets || sheets.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">
+        Sheets to Process
+      </h3>
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
+          {sheets.map((sheet) => {
+            const isSelected = selectedSheetNames.includes(sheet.name);
+            const isActive = sheet.name === activeSheetName;
+            const isEmpty = sheet.rowCount === 0;
+
+            return (
+              <div
+                key={sheet.name}
+                className={`flex items-start gap-3 p-3 bg-white rounded border transition-all ${
+                  isActive
+                    ? 'border-indigo-500 shadow-md'
+                    : 'border-gray-200'
+                } ${isEmpty ? 'opacity-50' : ''}`}
+              >
+                <input
+                  id={`sheet-${sheet.name}`}
+                  type="checkbox"
+                  checked={isSelected}
+                  disabled={isEmpty || (isSelected && selectedSheetNames.length === 1)}
+                  onChange={() => onToggleSheet(sheet.name)}
+                  className="mt-1 h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                />
+                <div className="flex-1 min-w-0">
+                  <label
+                    htmlFor={`sheet-${sheet.name}`}
+                    className="text-sm font-medium text-gray-700 truncate block"
+                    title={sheet.name}
+                  >
+                    {sheet.name}
+                  </label>
+                  <span className="text-xs text-gray-500">
+                    {sheet.rowCount} rows
+                  </span>
+                </div>
+                {isSelected && (
+                  <button
+                    onClick={() => onActivateSheet(sheet.name)}
+                    disabled={isActive}
+                    className={`px-2 py-1 text-xs rounded flex items-center gap-1 ${
+                      isActive
+                        ? 'bg-indigo-100 text-indigo-700 cursor-default'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                    title="Show this sheet's columns and months"
+                  >
+                    <Layers className="h-3 w-3" />
+                    {isActive ? 'Viewing' : 'View'}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <div className="mt-3 text-sm text-gray-500">
+          <span className="font-medium">Tip:</span> Each selected sheet is processed with its own header row and date column, and keeps its name as a tab in the output file.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SheetSelector;
@@ -1,13 +1,19 @@
 // columnReorderingComponent.js - Updated with Add Column functionality and fixed useEffect dependencies
 import React, { useState, useEffect, useCallback } from 'react';
-import { RotateCcw, X, ArrowRight, Plus } from 'lucide-react';
+import { RotateCcw, X, ArrowRight, Plus, Pencil } from 'lucide-react';
+import { validateColumnRename, validateNewColumnName } from '../utils/columnRenames.js';
+import { validateExpression, createExpressionEvaluator, EXPRESSION_ERROR_PREFIX } from '../services/columnExpressions.js';
 
 const ColumnReorderingComponent = ({ 
   headers, 
   onColumnOrderChange, 
   currentOrder = null,
   onAddColumn, // Handler for adding/removing columns
-  addedColumns = [] // External added columns passed from parent
+  addedColumns = [], // External added columns passed from parent
+  columnRenames = {}, // Output names by original header
+  onRenameColumn, // Handler called with (originalHeader, newName), newName null to undo the rename
+  columnExpressions = {}, // Expressions of added columns by name
+  sampleRows = [] // First data rows with a cell for every header and added column, to preview expressions
 }) => {
   const [columnOrder, setColumnOrder] = useState(
     currentOrder || (headers ? headers.map((_, i) => i) : [])
@@ -16,6 +22,12 @@ const ColumnReorderingComponent = ({
   const [moveMode, setMoveMode] = useState(false);
   const [showAddColumnModal, setShowAddColumnModal] = useState(false);
   const [newColumnName, setNewColumnName] = useState('');
+  const [newColumnExpression, setNewColumnExpression] = useState('');
+  
+  // Inline rename: original header being renamed, the typed name and why it can't be used
+  const [renamingHeader, setRenamingHeader] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [renameError, setRenameError] = useState('');
 
   // Combine original headers with externally added columns
   const allHeaders = [...headers, ...addedColumns];
@@ -81,27 +93,45 @@ const ColumnReorderingComponent = ({
     }
   };
 
+  // The expression is optional; without one the new column is empty
+  const expression = newColumnExpression.trim();
+  const expressionError = expression ? validateExpression(expression, allHeaders) : '';
+
+  const closeAddColumnModal = () => {
+    setShowAddColumnModal(false);
+    setNewColumnName('');
+    setNewColumnExpression('');
+  };
+
   const handleAddColumn = () => {
     if (newColumnName.trim()) {
-      // Check if column name already exists
-      if (allHeaders.includes(newColumnName.trim())) {
-        alert('Column name already exists. Please choose a different name.');
+      // Columns are found by name, so the name must not repeat any header, added column or output name
+      const nameError = validateNewColumnName(newColumnName, allHeaders, columnRenames);
+      if (nameError) {
+        alert(nameError);
         return;
       }
+      if (expressionError) return;
 
       const newColumn = newColumnName.trim();
 
       // Notify parent component about the new column
       if (onAddColumn) {
-        onAddColumn(newColumn);
+        onAddColumn(newColumn, null, 'add', expression || null);
       }
 
       // Reset modal state
-      setNewColumnName('');
-      setShowAddColumnModal(false);
+      closeAddColumnModal();
     }
   };
 
+  // Expression results for the sample rows
+  const getExpressionPreview = () => {
+    if (!expression || expressionError) return [];
+    const evaluate = createExpressionEvaluator(expression, allHeaders);
+    return sampleRows.map(row => evaluate(row));
+  };
+
   const handleRemoveColumn = (displayIndex) => {
     const columnIndex = columnOrder[displayIndex];
     const columnName = allHeaders[columnIndex];
@@ -117,6 +147,33 @@ const ColumnReorderingComponent = ({
     }
   };
 
+  const startRename = (header) => {
+    setRenamingHeader(header);
+    setRenameValue(columnRenames[header] || header);
+    setRenameError('');
+  };
+
+  const cancelRename = () => {
+    setRenamingHeader(null);
+    setRenameError('');
+  };
+
+  // An empty name puts the original name back
+  const saveRename = () => {
+    if (renameValue.trim()) {
+      const error = validateColumnRename(renamingHeader, renameValue, allHeaders, columnRenames);
+      if (error) {
+        setRenameError(error);
+        return;
+      }
+    }
+
+    if (onRenameColumn) {
+      onRenameColumn(renamingHeader, renameValue.trim() || null);
+    }
+    cancelRename();
+  };
+
   const cancelMove = () => {
     setSelectedColumnForMove(null);
     setMoveMode(false);
@@ -168,7 +225,8 @@ const ColumnReorderingComponent = ({
     return null;
   }
 
-  const selectedColumnName = selectedColumnForMove !== null ? orderedHeaders[selectedColumnForMove] : null;
+  const getOutputName = (header) => columnRenames[header] || header;
+  const selectedColumnName = selectedColumnForMove !== null ? getOutputName(orderedHeaders[selectedColumnForMove]) : null;
 
   return (
     <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
@@ -217,10 +275,7 @@ const ColumnReorderingComponent = ({
             <div className="flex items-center justify-between mb-4">
               <h4 className="text-lg font-medium text-gray-900">Add New Column</h4>
               <button
-                onClick={() => {
-                  setShowAddColumnModal(false);
-                  setNewColumnName('');
-                }}
+                onClick={closeAddColumnModal}
                 className="text-gray-400 hover:text-gray-600"
               >
                 <X className="h-5 w-5" />
@@ -243,19 +298,51 @@ const ColumnReorderingComponent = ({
               />
             </div>
             
+            <div className="mb-4">
+              <label htmlFor="columnExpression" className="block text-sm font-medium text-gray-700 mb-2">
+                Expression (optional)
+              </label>
+              <textarea
+                id="columnExpression"
+                rows={2}
+                value={newColumnExpression}
+                onChange={(e) => setNewColumnExpression(e.target.value)}
+                placeholder={'e.g. [Gross] - [Patient Share] or IF([Amount] = 0, "ZERO", "OK")'}
+                className="w-full px-3 py-2 font-mono text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {expressionError ? (
+                <p className="mt-1 text-xs text-red-600">{expressionError}</p>
+              ) : expression ? (
+                <div className="mt-2">
+                  <p className="text-xs font-medium text-gray-600 mb-1">Preview on the first rows</p>
+                  <ul className="text-xs font-mono bg-gray-50 border border-gray-200 rounded p-2 space-y-0.5">
+                    {getExpressionPreview().map((value, index) => (
+                      <li
+                        key={index}
+                        className={String(value).startsWith(EXPRESSION_ERROR_PREFIX) ? 'text-red-600' : 'text-gray-700'}
+                      >
+                        {value === '' ? '(blank)' : String(value)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : (
+                <p className="mt-1 text-xs text-gray-500">
+                  Use [Column Name], numbers, "text", + - * / &, comparisons and UPPER, LOWER, TRIM, LEN, LEFT, RIGHT, CONCAT, IF, AND, OR, NOT, ISBLANK, ROUND, ABS. Leave empty for a blank column.
+                </p>
+              )}
+            </div>
+            
             <div className="flex gap-3 justify-end">
               <button
-                onClick={() => {
-                  setShowAddColumnModal(false);
-                  setNewColumnName('');
-                }}
+                onClick={closeAddColumnModal}
                 className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500"
               >
                 Cancel
               </button>
               <button
                 onClick={handleAddColumn}
-                disabled={!newColumnName.trim()}
+                disabled={!newColumnName.trim() || Boolean(expressionError)}
                 className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Add Column
@@ -319,15 +406,35 @@ const ColumnReorderingComponent = ({
               >
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center gap-2">
-                    <span className={`text-sm font-medium truncate block ${
-                      isAddedColumn 
-                        ? 'text-green-600' 
-                        : isYellow 
-                          ? 'text-yellow-600' 
-                          : 'text-gray-700'
-                    } ${isSelected ? 'text-blue-700' : ''}`}>
-                      {header}
-                    </span>
+                    {renamingHeader === header ? (
+                      <input
+                        type="text"
+                        value={renameValue}
+                        placeholder={header}
+                        onChange={(e) => {
+                          setRenameValue(e.target.value);
+                          setRenameError('');
+                        }}
+                        onClick={(e) => e.stopPropagation()}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') saveRename();
+                          if (e.key === 'Escape') cancelRename();
+                        }}
+                        title="Enter to save, Esc to cancel"
+                        className="flex-1 px-2 py-0.5 text-sm border border-blue-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        autoFocus
+                      />
+                    ) : (
+                      <span className={`text-sm font-medium truncate block ${
+                        isAddedColumn 
+                          ? 'text-green-600' 
+                          : isYellow 
+                            ? 'text-yellow-600' 
+                            : 'text-gray-700'
+                      } ${isSelected ? 'text-blue-700' : ''}`}>
+                        {getOutputName(header)}
+                      </span>
+                    )}
                     {isSelected && (
                       <span className="px-2 py-1 text-xs bg-blue-200 text-blue-800 rounded-full font-medium">
                         Moving
@@ -338,15 +445,39 @@ const ColumnReorderingComponent = ({
                         New
                       </span>
                     )}
+                    {columnExpressions[header] && (
+                      <span
+                        className="px-2 py-1 text-xs bg-purple-100 text-purple-800 rounded-full font-mono truncate max-w-xs"
+                        title={columnExpressions[header]}
+                      >
+                        = {columnExpressions[header]}
+                      </span>
+                    )}
                   </div>
                   <span className="text-xs text-gray-500">
                     Position {displayIndex + 1}
+                    {columnRenames[header] && renamingHeader !== header && ` - renamed from "${header}"`}
                   </span>
+                  {renamingHeader === header && renameError && (
+                    <span className="block text-xs text-red-600">{renameError}</span>
+                  )}
                 </div>
 
                 {/* Dropdown and remove button for position selection */}
                 {!isInMoveMode && (
                   <div className="flex items-center gap-2">
+                    {onRenameColumn && renamingHeader !== header && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          startRename(header);
+                        }}
+                        className="p-1 text-gray-500 hover:bg-gray-100 rounded"
+                        title="Rename column in the output"
+                      >
+                        <Pencil className="h-3 w-3" />
+                      </button>
+                    )}
                     {isAddedColumn && (
                       <button
                         onClick={(e) => {
@@ -412,7 +543,7 @@ const ColumnReorderingComponent = ({
         <span className="font-medium">Tip:</span> {
           moveMode 
             ? "Click on the blue lines to place your selected column, or click the X to cancel."
-            : "Click any column to start moving it, or use the dropdown to select a new position. Green columns are newly added, yellow columns are priority fields."
+            : "Click any column to start moving it, or use the dropdown to select a new position. Use the pencil to rename a column in the output. Green columns are newly added, yellow columns are priority fields."
         }
       </div>
     </div>
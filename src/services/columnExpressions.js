@@ -0,0 +1,408 @@
+// columnExpressions.js - Expressions that compute a new column from other columns, e.g. [Gross] - [Patient Share]
+//
+// Expressions are parsed into a small syntax tree and evaluated by walking it,
+// never with eval or Function, so they can only read the row's cells and call
+// the functions listed below. Syntax:
+//   [Column Name]            cell of another column
+//   123, 4.5, "text"         numbers and text ("" inside text for a quote)
+//   TRUE, FALSE
+//   + - * /                  arithmetic (blank cells count as 0, codes like "X12" are an error)
+//   &                        join text
+//   = <> != < <= > >=        comparisons (text ignores case)
+//   FUNCTION(arg, ...)       see EXPRESSION_FUNCTIONS
+// A cell whose value can't be computed gets "#ERROR: <reason>" instead of
+// stopping the whole column.
+
+import { parseNumericCell } from './rowRules.js';
+
+export const EXPRESSION_ERROR_PREFIX = '#ERROR';
+
+const COMPARISON_OPERATORS = ['=', '<>', '!=', '<', '<=', '>', '>='];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toText = (value) => {
+  if (isBlank(value)) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+};
+
+const toNumberValue = (value) => {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+
+  const number = parseNumericCell(value);
+  if (number === null) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  return number;
+};
+
+const toBooleanValue = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return false;
+  if (typeof value === 'number') return value !== 0;
+
+  const text = String(value).trim().toUpperCase();
+  if (text === 'TRUE') return true;
+  if (text === 'FALSE') return false;
+  throw new Error(`"${value}" is not TRUE or FALSE`);
+};
+
+/**
+ * Compare two values: as numbers when both are numeric (a blank counts as 0
+ * next to a number), otherwise as text ignoring case
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (left, right) => {
+  const leftNumber = typeof left === 'boolean' ? null : parseNumericCell(left);
+  const rightNumber = typeof right === 'boolean' ? null : parseNumericCell(right);
+
+  if ((leftNumber !== null || isBlank(left)) && (rightNumber !== null || isBlank(right)) &&
+      !(isBlank(left) && isBlank(right))) {
+    return (leftNumber || 0) - (rightNumber || 0);
+  }
+
+  const leftText = toText(left).trim().toLowerCase();
+  const rightText = toText(right).trim().toLowerCase();
+  return leftText < rightText ? -1 : leftText > rightText ? 1 : 0;
+};
+
+// Functions expressions can call. IF evaluates only the branch it needs.
+export const EXPRESSION_FUNCTIONS = {
+  IF: { minArgs: 2, maxArgs: 3, description: 'IF(condition, value if true, value if false)' },
+  AND: { minArgs: 1, maxArgs: Infinity, description: 'AND(condition, ...)', evaluate: (args) => args.every(toBooleanValue) },
+  OR: { minArgs: 1, maxArgs: Infinity, description: 'OR(condition, ...)', evaluate: (args) => args.some(toBooleanValue) },
+  NOT: { minArgs: 1, maxArgs: 1, description: 'NOT(condition)', evaluate: ([value]) => !toBooleanValue(value) },
+  ISBLANK: { minArgs: 1, maxArgs: 1, description: 'ISBLANK(value)', evaluate: ([value]) => toText(value).trim() === '' },
+  UPPER: { minArgs: 1, maxArgs: 1, description: 'UPPER(text)', evaluate: ([value]) => toText(value).toUpperCase() },
+  LOWER: { minArgs: 1, maxArgs: 1, description: 'LOWER(text)', evaluate: ([value]) => toText(value).toLowerCase() },
+  TRIM: { minArgs: 1, maxArgs: 1, description: 'TRIM(text)', evaluate: ([value]) => toText(value).trim() },
+  LEN: { minArgs: 1, maxArgs: 1, description: 'LEN(text)', evaluate: ([value]) => toText(value).length },
+  LEFT: {
+    minArgs: 2, maxArgs: 2, description: 'LEFT(text, count)',
+    evaluate: ([value, count]) => toText(value).slice(0, Math.max(0, toNumberValue(count)))
+  },
+  RIGHT: {
+    minArgs: 2, maxArgs: 2, description: 'RIGHT(text, count)',
+    evaluate: ([value, count]) => {
+      const text = toText(value);
+      return text.slice(Math.max(0, text.length - Math.max(0, toNumberValue(count))));
+    }
+  },
+  CONCAT: { minArgs: 1, maxArgs: Infinity, description: 'CONCAT(value, ...)', evaluate: (args) => args.map(toText).join('') },
+  ROUND: {
+    minArgs: 1, maxArgs: 2, description: 'ROUND(number, decimals)',
+    evaluate: ([value, decimals = 0]) => {
+      const factor = Math.pow(10, toNumberValue(decimals));
+      return Math.round(toNumberValue(value) * factor) / factor;
+    }
+  },
+  ABS: { minArgs: 1, maxArgs: 1, description: 'ABS(number)', evaluate: ([value]) => Math.abs(toNumberValue(value)) }
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression text
+ * @returns {Array} Tokens { type, value, position }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+    const rest = text.slice(position);
+    let match;
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if ((match = rest.match(/^(\d+\.?\d*|\.\d+)/))) {
+      tokens.push({ type: 'number', value: Number(match[0]), position });
+      position += match[0].length;
+    } else if (char === '"') {
+      let value = '';
+      let end = position + 1;
+      for (;;) {
+        if (end >= text.length) throw new Error(`Text starting at character ${position + 1} is missing its closing quote`);
+        if (text[end] === '"') {
+          if (text[end + 1] === '"') {
+            value += '"';
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        value += text[end];
+        end++;
+      }
+      tokens.push({ type: 'string', value, position });
+      position = end + 1;
+    } else if (char === '[') {
+      const end = text.indexOf(']', position);
+      if (end === -1) throw new Error(`Column name starting at character ${position + 1} is missing its closing ]`);
+      tokens.push({ type: 'column', value: text.slice(position + 1, end), position });
+      position = end + 1;
+    } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+      tokens.push({ type: 'name', value: match[0].toUpperCase(), position });
+      position += match[0].length;
+    } else if ((match = rest.match(/^(<=|>=|<>|!=|[=<>+\-*/&(),])/))) {
+      tokens.push({ type: 'operator', value: match[0], position });
+      position += match[0].length;
+    } else {
+      throw new Error(`Unexpected "${char}" at character ${position + 1}`);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} text - Expression text
+ * @returns {Object} Root node
+ */
+export const parseExpression = (text) => {
+  const tokens = tokenize(text || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw new Error(token
+        ? `Expected "${value}" at character ${token.position + 1}`
+        : `Expected "${value}" at the end`);
+    }
+    index++;
+  };
+
+  // Binary operators from lowest to highest precedence
+  const parseBinary = (operators, parseOperand, single = false) => () => {
+    let node = parseOperand();
+    while (peek() && peek().type === 'operator' && operators.includes(peek().value)) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseOperand() };
+      if (single) break;
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error('The expression ends too early');
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'column':
+        return { type: 'column', name: token.value };
+      case 'name': {
+        if (token.value === 'TRUE' || token.value === 'FALSE') {
+          return { type: 'literal', value: token.value === 'TRUE' };
+        }
+        if (!isOperator('(')) {
+          throw new Error(`"${token.value}" at character ${token.position + 1} is not a function call; put column names in [ ]`);
+        }
+        index++;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseExpressionNode());
+          while (isOperator(',')) {
+            index++;
+            args.push(parseExpressionNode());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      case 'operator':
+        if (token.value === '(') {
+          const node = parseExpressionNode();
+          expect(')');
+          return node;
+        }
+        if (token.value === '-' || token.value === '+') {
+          return { type: 'unary', operator: token.value, operand: parsePrimary() };
+        }
+        throw new Error(`Unexpected "${token.value}" at character ${token.position + 1}`);
+      default:
+        throw new Error(`Unexpected "${token.value}" at character ${token.position + 1}`);
+    }
+  };
+
+  const parseMultiplicative = parseBinary(['*', '/'], parsePrimary);
+  const parseAdditive = parseBinary(['+', '-'], parseMultiplicative);
+  const parseConcatenation = parseBinary(['&'], parseAdditive);
+  const parseExpressionNode = parseBinary(COMPARISON_OPERATORS, parseConcatenation, true);
+
+  if (tokens.length === 0) throw new Error('The expression is empty');
+
+  const root = parseExpressionNode();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}" at character ${tokens[index].position + 1}`);
+  }
+  return root;
+};
+
+/**
+ * Check the columns and function calls of a syntax tree
+ * @param {Object} node - Syntax tree node
+ * @param {Array} headers - Columns the expression can use
+ */
+const checkNode = (node, headers) => {
+  switch (node.type) {
+    case 'column':
+      if (!headers.includes(node.name)) throw new Error(`Unknown column [${node.name}]`);
+      return;
+    case 'call': {
+      const definition = EXPRESSION_FUNCTIONS[node.name];
+      if (!definition) throw new Error(`Unknown function ${node.name}`);
+      if (node.args.length < definition.minArgs || node.args.length > definition.maxArgs) {
+        throw new Error(`${node.name} takes ${definition.description}`);
+      }
+      node.args.forEach(arg => checkNode(arg, headers));
+      return;
+    }
+    case 'binary':
+      checkNode(node.left, headers);
+      checkNode(node.right, headers);
+      return;
+    case 'unary':
+      checkNode(node.operand, headers);
+      return;
+    default:
+      return;
+  }
+};
+
+/**
+ * Check an expression against the columns it may use
+ * @param {string} text - Expression text
+ * @param {Array} headers - Column headers available to the expression
+ * @returns {string} Error message, or '' if the expression is valid
+ */
+export const validateExpression = (text, headers) => {
+  try {
+    checkNode(parseExpression(text), headers);
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Evaluate a syntax tree on one row
+ * @param {Object} node - Syntax tree node
+ * @param {Array} row - Data row
+ * @param {Map} columnIndexes - Column name -> index
+ * @returns {*} Value
+ */
+const evaluateNode = (node, row, columnIndexes) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'column': {
+      const value = row[columnIndexes.get(node.name)];
+      // A new column used by a later expression can hold an error itself
+      if (typeof value === 'string' && value.startsWith(EXPRESSION_ERROR_PREFIX)) {
+        throw new Error(`[${node.name}] has an error`);
+      }
+      return value === undefined || value === null ? '' : value;
+    }
+
+    case 'unary': {
+      const value = toNumberValue(evaluateNode(node.operand, row, columnIndexes));
+      return node.operator === '-' ? -value : value;
+    }
+
+    case 'binary': {
+      const left = evaluateNode(node.left, row, columnIndexes);
+      const right = evaluateNode(node.right, row, columnIndexes);
+
+      switch (node.operator) {
+        case '+': return toNumberValue(left) + toNumberValue(right);
+        case '-': return toNumberValue(left) - toNumberValue(right);
+        case '*': return toNumberValue(left) * toNumberValue(right);
+        case '/': {
+          const divisor = toNumberValue(right);
+          if (divisor === 0) throw new Error('Division by zero');
+          return toNumberValue(left) / divisor;
+        }
+        case '&': return toText(left) + toText(right);
+        case '=': return compareValues(left, right) === 0;
+        case '<>':
+        case '!=': return compareValues(left, right) !== 0;
+        case '<': return compareValues(left, right) < 0;
+        case '<=': return compareValues(left, right) <= 0;
+        case '>': return compareValues(left, right) > 0;
+        case '>=': return compareValues(left, right) >= 0;
+        default: throw new Error(`Unknown operator ${node.operator}`);
+      }
+    }
+
+    case 'call': {
+      if (node.name === 'IF') {
+        const condition = toBooleanValue(evaluateNode(node.args[0], row, columnIndexes));
+        if (condition) return evaluateNode(node.args[1], row, columnIndexes);
+        return node.args[2] ? evaluateNode(node.args[2], row, columnIndexes) : '';
+      }
+      const args = node.args.map(arg => evaluateNode(arg, row, columnIndexes));
+      return EXPRESSION_FUNCTIONS[node.name].evaluate(args);
+    }
+
+    default:
+      throw new Error(`Unknown expression part ${node.type}`);
+  }
+};
+
+/**
+ * Turn a computed value into a cell value; floating point noise is rounded off
+ * (0.1 + 0.2 gives 0.3)
+ * @param {*} value - Computed value
+ * @returns {*} Cell value
+ */
+const toCellValue = (value) => {
+  if (typeof value === 'number') {
+    if (!isFinite(value)) throw new Error('The result is not a finite number');
+    return Math.round(value * 1e10) / 1e10;
+  }
+  return value;
+};
+
+/**
+ * Build the function that computes an expression column for one row. An
+ * expression that doesn't fit the sheet (unknown column, syntax error) fills
+ * every cell with the error.
+ * @param {string} text - Expression text
+ * @param {Array} headerRow - Header row of the data (columns are found by name)
+ * @returns {Function} (row) => cell value, or "#ERROR: <reason>"
+ */
+export const createExpressionEvaluator = (text, headerRow) => {
+  let root;
+  try {
+    root = parseExpression(text);
+    checkNode(root, headerRow);
+  } catch (error) {
+    console.log(`Expression "${text}" can't be used on this sheet: ${error.message}`);
+    const errorValue = `${EXPRESSION_ERROR_PREFIX}: ${error.message}`;
+    return () => errorValue;
+  }
+
+  const columnIndexes = new Map();
+  headerRow.forEach((header, index) => {
+    if (!columnIndexes.has(header)) columnIndexes.set(header, index);
+  });
+
+  return (row) => {
+    try {
+      return toCellValue(evaluateNode(root, row, columnIndexes));
+    } catch (error) {
+      return `${EXPRESSION_ERROR_PREFIX}: ${error.message}`;
+    }
+  };
+};
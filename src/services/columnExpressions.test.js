@@ -0,0 +1,94 @@
+import { parseExpression, validateExpression, createExpressionEvaluator } from './columnExpressions.js';
+
+const headers = ['Claim ID', 'Gross', 'Patient Share', 'Status'];
+
+const evaluate = (text, row) => createExpressionEvaluator(text, headers)(row);
+
+describe('parseExpression', () => {
+  test('gives * and / precedence over + and -', () => {
+    expect(parseExpression('1 + 2 * 3')).toEqual({
+      type: 'binary',
+      operator: '+',
+      left: { type: 'literal', value: 1 },
+      right: { type: 'binary', operator: '*', left: { type: 'literal', value: 2 }, right: { type: 'literal', value: 3 } }
+    });
+  });
+
+  test('reads columns, text with quotes and function calls', () => {
+    expect(parseExpression('IF([Gross] > 0, "say ""hi""")')).toEqual({
+      type: 'call',
+      name: 'IF',
+      position: 0,
+      args: [
+        { type: 'binary', operator: '>', left: { type: 'column', name: 'Gross' }, right: { type: 'literal', value: 0 } },
+        { type: 'literal', value: 'say "hi"' }
+      ]
+    });
+  });
+});
+
+describe('validateExpression', () => {
+  test('accepts valid expressions', () => {
+    expect(validateExpression('[Gross] - [Patient Share]', headers)).toBe('');
+    expect(validateExpression('ROUND([Gross] / 3, 2)', headers)).toBe('');
+  });
+
+  test('explains syntax errors with their position', () => {
+    expect(validateExpression('', headers)).toBe('The expression is empty');
+    expect(validateExpression('[Gross] +', headers)).toBe('The expression ends too early');
+    expect(validateExpression('([Gross] + 1', headers)).toBe('Expected ")" at the end');
+    expect(validateExpression('"open', headers)).toBe('Text starting at character 1 is missing its closing quote');
+    expect(validateExpression('[Gross', headers)).toBe('Column name starting at character 1 is missing its closing ]');
+    expect(validateExpression('[Gross] # 2', headers)).toBe('Unexpected "#" at character 9');
+    expect(validateExpression('Gross * 2', headers)).toBe('"GROSS" at character 1 is not a function call; put column names in [ ]');
+  });
+
+  test('rejects unknown columns, unknown functions and wrong argument counts', () => {
+    expect(validateExpression('[Net] * 2', headers)).toBe('Unknown column [Net]');
+    expect(validateExpression('SUM([Gross])', headers)).toBe('Unknown function SUM');
+    expect(validateExpression('ABS(1, 2)', headers)).toBe('ABS takes ABS(number)');
+  });
+});
+
+describe('createExpressionEvaluator', () => {
+  const row = ['C1', '1,000.50', 200, 'paid'];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('computes arithmetic, text and comparisons', () => {
+    expect(evaluate('[Gross] - [Patient Share]', row)).toBe(800.5);
+    expect(evaluate('[Claim ID] & "-" & UPPER([Status])', row)).toBe('C1-PAID');
+    expect(evaluate('[Status] = "PAID"', row)).toBe(true);
+    expect(evaluate('IF([Patient Share] >= 200, "High", "Low")', row)).toBe('High');
+    expect(evaluate('0.1 + 0.2', row)).toBe(0.3);
+    expect(evaluate('-[Patient Share] + 1', row)).toBe(-199);
+  });
+
+  test('counts blank cells as 0 in arithmetic', () => {
+    expect(evaluate('[Gross] + [Patient Share]', ['C1', '', 5])).toBe(5);
+  });
+
+  test('puts an error in cells that cannot be computed', () => {
+    expect(evaluate('[Gross] / [Patient Share]', ['C1', 10, 0])).toBe('#ERROR: Division by zero');
+    expect(evaluate('[Status] * 2', row)).toBe('#ERROR: "paid" is not a number');
+    expect(evaluate('[Gross] * 2', ['C1', '#ERROR: Division by zero'])).toBe('#ERROR: [Gross] has an error');
+  });
+
+  test('treats codes with letters as text, not numbers', () => {
+    expect(evaluate('[Claim ID] + 1', ['X12'])).toBe('#ERROR: "X12" is not a number');
+    expect(evaluate('[Claim ID] = "A001"', ['B1'])).toBe(false);
+    expect(evaluate('[Claim ID] = "A001"', ['a001'])).toBe(true);
+    expect(evaluate('[Claim ID] < "B1"', ['A001'])).toBe(true);
+    expect(evaluate('[Gross] + 1', ['C1', 'SAR 10'])).toBe(11);
+  });
+
+  test('fills every cell with the error of an expression that does not fit the sheet', () => {
+    expect(evaluate('[Net] * 2', row)).toBe('#ERROR: Unknown column [Net]');
+  });
+});
@@ -0,0 +1,253 @@
+// csvParsing.js - CSV import with delimiter, encoding, BOM and quote detection
+
+import * as XLSX from 'xlsx';
+
+// Bytes read from the start of a file to sniff its settings and build the preview
+export const CSV_SAMPLE_BYTES = 64 * 1024;
+
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' }
+];
+
+export const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+  { value: 'windows-1256', label: 'Windows-1256 (Arabic)' },
+  { value: 'windows-1252', label: 'Windows-1252 (Western)' },
+  { value: 'iso-8859-6', label: 'ISO-8859-6 (Arabic)' }
+];
+
+export const CSV_QUOTES = [
+  { value: '"', label: 'Double quote (")' },
+  { value: "'", label: "Single quote (')" }
+];
+
+/**
+ * Check whether a file should go through the CSV import path
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for .csv files
+ */
+export const isCsvFile = (file) => {
+  return Boolean(file && file.name.split('.').pop().toLowerCase() === 'csv');
+};
+
+/**
+ * Read a file (or part of one) as bytes
+ * @param {Blob} blob - File or file slice
+ * @returns {Promise<Uint8Array>} File bytes
+ */
+export const readFileBytes = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+    reader.onerror = () => reject(new Error('Error reading file'));
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+/**
+ * Detect the text encoding from the byte order mark or the byte pattern
+ * @param {Uint8Array} bytes - File bytes (a sample is enough)
+ * @returns {Object} { encoding, hasBom }
+ */
+export const detectEncoding = (bytes) => {
+  if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { encoding: 'utf-8', hasBom: true };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { encoding: 'utf-16le', hasBom: true };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { encoding: 'utf-16be', hasBom: true };
+  }
+
+  // UTF-16 without a BOM: ASCII characters leave every other byte empty
+  const sampleLength = Math.min(bytes.length, 2000);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sampleLength; i++) {
+    if (bytes[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (sampleLength > 0 && oddZeros / (sampleLength / 2) > 0.3 && evenZeros < oddZeros / 4) {
+    return { encoding: 'utf-16le', hasBom: false };
+  }
+  if (sampleLength > 0 && evenZeros / (sampleLength / 2) > 0.3 && oddZeros < evenZeros / 4) {
+    return { encoding: 'utf-16be', hasBom: false };
+  }
+
+  // Valid UTF-8 (streaming so a character cut off at the end of a sample doesn't count)
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return { encoding: 'utf-8', hasBom: false };
+  } catch (error) {
+    // Legacy single-byte export, most often Arabic Windows
+    return { encoding: 'windows-1256', hasBom: false };
+  }
+};
+
+/**
+ * Decode CSV bytes to text, dropping any byte order mark
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} encoding - Text encoding
+ * @returns {string} Decoded text
+ */
+export const decodeCsvBytes = (bytes, encoding = 'utf-8') => {
+  const text = new TextDecoder(encoding).decode(bytes);
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+};
+
+/**
+ * Parse CSV text into rows. Handles quoted fields with embedded delimiters,
+ * doubled quotes and line breaks, and both CRLF and LF line endings.
+ * @param {string} text - CSV text
+ * @param {Object} settings - { delimiter, quoteChar }
+ * @param {number} maxRows - Stop after this many rows (optional)
+ * @returns {Array} Array of rows (arrays of strings)
+ */
+export const parseCsvText = (text, { delimiter = ',', quoteChar = '"' } = {}, maxRows = Infinity) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < text.length && rows.length < maxRows) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === quoteChar) {
+        if (text[i + 1] === quoteChar) {
+          field += quoteChar; // Escaped quote
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === quoteChar && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  // Last row without a trailing line break
+  if ((field !== '' || row.length > 0) && rows.length < maxRows) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Guess the delimiter from the first lines of a CSV file
+ * @param {string} text - CSV text (a sample is enough)
+ * @param {string} quoteChar - Quote character
+ * @returns {string} Most likely delimiter
+ */
+export const sniffDelimiter = (text, quoteChar = '"') => {
+  let bestDelimiter = ',';
+  let bestScore = 0;
+
+  CSV_DELIMITERS.forEach(({ value: delimiter }) => {
+    const rows = parseCsvText(text, { delimiter, quoteChar }, 20)
+      .filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) return;
+
+    // Prefer delimiters that split most rows into the same number of columns
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.length, (counts.get(row.length) || 0) + 1));
+    const [modeColumns, modeRows] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+    if (modeColumns < 2) return;
+
+    const score = (modeRows / rows.length) * Math.log2(modeColumns + 1);
+    if (score > bestScore) {
+      bestScore = score;
+      bestDelimiter = delimiter;
+    }
+  });
+
+  return bestDelimiter;
+};
+
+/**
+ * Detect encoding, BOM and delimiter for a CSV file
+ * @param {Uint8Array} bytes - File bytes (a sample is enough)
+ * @returns {Object} { encoding, hasBom, delimiter, quoteChar }
+ */
+export const detectCsvSettings = (bytes) => {
+  const { encoding, hasBom } = detectEncoding(bytes);
+  const quoteChar = '"';
+  const delimiter = sniffDelimiter(decodeCsvBytes(bytes, encoding), quoteChar);
+
+  console.log('Detected CSV settings:', { encoding, hasBom, delimiter: JSON.stringify(delimiter) });
+
+  return { encoding, hasBom, delimiter, quoteChar };
+};
+
+/**
+ * Parse the first rows of a CSV sample for the import preview
+ * @param {Uint8Array} bytes - Sample bytes from the start of the file
+ * @param {Object} settings - { encoding, delimiter, quoteChar }
+ * @param {number} maxRows - Number of rows to show (default: 8)
+ * @returns {Array} Preview rows
+ */
+export const previewCsv = (bytes, settings, maxRows = 8) => {
+  return parseCsvText(decodeCsvBytes(bytes, settings.encoding), settings, maxRows);
+};
+
+/**
+ * Turn plain numeric strings into numbers like SheetJS does, but keep leading
+ * zeros, long digit runs (IDs, card numbers) and IDs exported as floats
+ * ("1045.0") as text
+ * @param {string} value - Cell text
+ * @returns {string|number} Converted cell value
+ */
+const convertCsvCell = (value) => {
+  const trimmed = value.trim();
+  if (/^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(trimmed) && !/^\d+\.0$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  return value;
+};
+
+/**
+ * Build a single-sheet SheetJS workbook from CSV bytes
+ * @param {Uint8Array} bytes - Complete file bytes
+ * @param {Object} settings - CSV settings (detected automatically when omitted)
+ * @returns {Object} SheetJS workbook
+ */
+export const csvToWorkbook = (bytes, settings = null) => {
+  const csvSettings = settings || detectCsvSettings(bytes.subarray(0, CSV_SAMPLE_BYTES));
+  const rows = parseCsvText(decodeCsvBytes(bytes, csvSettings.encoding), csvSettings)
+    .map(row => row.map(convertCsvCell));
+
+  console.log('CSV rows parsed:', rows.length);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  return workbook;
+};
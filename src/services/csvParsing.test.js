@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+// TextDecoder is missing from the jsdom test environment
+import * as XLSX from 'xlsx';
+import {
+  parseCsvText,
+  sniffDelimiter,
+  detectEncoding,
+  decodeCsvBytes,
+  detectCsvSettings,
+  csvToWorkbook
+} from './csvParsing.js';
+
+const toBytes = (text) => new TextEncoder().encode(text);
+const withBom = (text) => new Uint8Array([0xEF, 0xBB, 0xBF, ...toBytes(text)]);
+
+describe('parseCsvText', () => {
+  test('keeps commas, line breaks and doubled quotes inside quoted fields', () => {
+    const text = 'Claim ID,Notes,Amount\n'
+      + 'C1,"Riyadh, KSA",100\n'
+      + 'C2,"first line\nsecond line",50\r\n'
+      + 'C3,"said ""pending""",75\n';
+
+    expect(parseCsvText(text)).toEqual([
+      ['Claim ID', 'Notes', 'Amount'],
+      ['C1', 'Riyadh, KSA', '100'],
+      ['C2', 'first line\nsecond line', '50'],
+      ['C3', 'said "pending"', '75']
+    ]);
+  });
+
+  test('reads the last row without a trailing line break', () => {
+    expect(parseCsvText('Claim ID,Amount\nC1,100\nC2,')).toEqual([
+      ['Claim ID', 'Amount'],
+      ['C1', '100'],
+      ['C2', '']
+    ]);
+  });
+
+  test('uses the delimiter and quote given', () => {
+    expect(parseCsvText("Claim ID;Notes\nC1;'a;b'", { delimiter: ';', quoteChar: "'" })).toEqual([
+      ['Claim ID', 'Notes'],
+      ['C1', 'a;b']
+    ]);
+  });
+
+  test('stops after the maximum number of rows', () => {
+    expect(parseCsvText('a\nb\nc\n', {}, 2)).toEqual([['a'], ['b']]);
+  });
+});
+
+describe('sniffDelimiter', () => {
+  test('picks the delimiter splitting rows into the same number of columns', () => {
+    expect(sniffDelimiter('Claim ID;Amount;Payer\nC1;1,50;Bupa\nC2;2,75;Tawuniya\n')).toBe(';');
+    expect(sniffDelimiter('Claim ID\tAmount\nC1\t100\n')).toBe('\t');
+    expect(sniffDelimiter('Claim ID|Notes\nC1|"a, b, c"\n')).toBe('|');
+  });
+
+  test('ignores delimiters inside quoted fields', () => {
+    expect(sniffDelimiter('Claim ID,Notes\nC1,"a;b;c"\nC2,"d;e;f"\n')).toBe(',');
+  });
+
+  test('falls back to a comma for a single column', () => {
+    expect(sniffDelimiter('Claim ID\nC1\n')).toBe(',');
+  });
+});
+
+describe('encoding and byte order mark', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('detects and removes a UTF-8 byte order mark', () => {
+    const bytes = withBom('Claim ID,Amount\nC1,100\n');
+
+    expect(detectEncoding(bytes)).toEqual({ encoding: 'utf-8', hasBom: true });
+    expect(decodeCsvBytes(bytes).startsWith('Claim ID')).toBe(true);
+    expect(detectCsvSettings(bytes)).toEqual({ encoding: 'utf-8', hasBom: true, delimiter: ',', quoteChar: '"' });
+  });
+
+  test('detects UTF-16 byte order marks', () => {
+    expect(detectEncoding(new Uint8Array([0xFF, 0xFE, 0x41, 0x00]))).toEqual({ encoding: 'utf-16le', hasBom: true });
+    expect(detectEncoding(new Uint8Array([0xFE, 0xFF, 0x00, 0x41]))).toEqual({ encoding: 'utf-16be', hasBom: true });
+  });
+
+  test('treats bytes that are not UTF-8 as Windows Arabic', () => {
+    expect(detectEncoding(new Uint8Array([0x43, 0x31, 0x2C, 0xC7, 0xE1, 0x0A]))).toEqual({ encoding: 'windows-1256', hasBom: false });
+  });
+});
+
+describe('csvToWorkbook', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('builds one sheet, keeping IDs with leading zeros as text', () => {
+    const workbook = csvToWorkbook(withBom('Claim ID;Member No;Amount\n"C1";00123;150.5\nC2;4111111111111111;20'));
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Sheet1, { header: 1 });
+
+    expect(workbook.SheetNames).toEqual(['Sheet1']);
+    expect(rows).toEqual([
+      ['Claim ID', 'Member No', 'Amount'],
+      ['C1', '00123', 150.5],
+      ['C2', '4111111111111111', 20]
+    ]);
+  });
+
+  test('keeps IDs exported as floats as text, but reads decimal amounts', () => {
+    const workbook = csvToWorkbook(toBytes('Claim ID,Amount\n1045.0,100.00\n1046.0,12.5\n'));
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Sheet1, { header: 1 });
+
+    expect(rows.slice(1)).toEqual([['1045.0', 100], ['1046.0', 12.5]]);
+  });
+});
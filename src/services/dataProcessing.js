@@ -1,6 +1,22 @@
 // Enhanced dataProcessing.js - Flexible date column support
 
-import { filterRowsByMonths } from './dateUtilities.js';
+import { 
+  filterRowsByMonths, 
+  filterRowsByDateRanges, 
+  filterUndatedRows, 
+  isDateRangeActive, 
+  getPeriodFromDate, 
+  DEFAULT_DATE_SETTINGS, 
+  DEFAULT_MONTH_MODE, 
+  DEFAULT_UNDATED_ROW_POLICY, 
+  UNDATED_SHEET_NAME 
+} from './dateUtilities.js';
+import { createDerivedColumnGetter } from './derivedColumns.js';
+import { filterRowsByRules, isRuleSetActive } from './rowRules.js';
+import { splitDuplicateRows, isDeduplicationActive, DUPLICATES_SHEET_NAME } from './duplicateRows.js';
+import { applyValueMappings } from './valueMappings.js';
+import { joinWorkbookRows, isJoinActive } from './workbookJoin.js';
+import { applyColumnRenames } from '../utils/columnRenames.js';
 
 /**
  * Select predefined yellow columns (specific to this application)
@@ -32,21 +48,35 @@ export const selectYellowColumns = (headers, currentSelectedHeaders) => {
  * Add new columns to the processed Excel data
  * @param {Array} processedData - Data after column removal and filtering
  * @param {Array} newHeaders - Array of headers for new columns
+ * @param {Array} derivedColumns - Definitions of new columns computed from date columns (see derivedColumns.js)
  * @returns {Array} Data with new columns added
  */
-export const addNewColumns = (processedData, newHeaders) => {
-  if (!processedData || processedData.length === 0) {
+export const addNewColumns = (processedData, newHeaders, derivedColumns = []) => {
+  if (!processedData || processedData.length === 0 || newHeaders.length === 0) {
     return processedData;
   }
   
   // Add new columns to header row
+  const originalWidth = processedData[0].length;
   const headerRow = [...processedData[0], ...newHeaders];
   
-  // Add empty cells for new columns in each data row
+  // Derived columns are computed per row, the others start empty. Getters see the
+  // whole header row, so an expression can use a new column added before it.
+  const valueGetters = newHeaders.map(header => {
+    const definition = derivedColumns.find(column => column.name === header);
+    return definition ? createDerivedColumnGetter(definition, headerRow) : () => '';
+  });
+  
+  // Add the new cells to each data row, padding short rows (trailing blank cells
+  // are left out when the sheet is read) so the new cells line up with their headers
   const updatedData = [
     headerRow,
     ...processedData.slice(1).map(row => {
-      return [...row, ...Array(newHeaders.length).fill('')];
+      const newRow = row.length < originalWidth 
+        ? [...row, ...Array(originalWidth - row.length).fill('')] 
+        : [...row];
+      valueGetters.forEach(getValue => newRow.push(getValue(newRow)));
+      return newRow;
     })
   ];
   
@@ -123,7 +153,12 @@ export const validateColumnOrder = (headers, columnOrder) => {
  * @param {Array} columnOrder - New column order indices (optional)
  * @param {Array} originalHeaders - Original headers before adding new columns
  * @param {Array} addedColumns - Custom added columns
- * @returns {Array} Processed data with columns removed, rows filtered, new columns added, and reordered
+ * @param {Object} options - Extra processing options ({ dateSettings, dateRanges, monthMode, undatedPolicy,
+ *   collectUndatedRows to also build the sheet of rows without a valid date, derivedColumns, rowRules, deduplication,
+ *   collectDuplicateRows to also build the sheet of duplicate copies removed, valueMappings translating codes with lookup
+ *   tables, join bringing columns across from a second workbook, columnRenames applied to the output headers })
+ * @returns {Array|Object} Processed data with columns removed, rows filtered, new columns added, and reordered;
+ *   with collectUndatedRows or collectDuplicateRows, { data, undatedData, duplicateData } from the same run
  */
 export const processExcelData = (
   jsonData, 
@@ -135,8 +170,24 @@ export const processExcelData = (
   newHeaders = null,
   columnOrder = null,
   originalHeaders = null,
-  addedColumns = []
+  addedColumns = [],
+  options = {}
 ) => {
+  const { 
+    dateSettings = DEFAULT_DATE_SETTINGS, 
+    dateRanges = [], 
+    monthMode = DEFAULT_MONTH_MODE, 
+    undatedPolicy = DEFAULT_UNDATED_ROW_POLICY, 
+    collectUndatedRows = false, 
+    derivedColumns = [], 
+    rowRules = null, 
+    deduplication = null, 
+    collectDuplicateRows = false, 
+    valueMappings = [], 
+    join = null, 
+    columnRenames = null 
+  } = options;
+  
   if (!jsonData) {
     throw new Error('No data available for processing');
   }
@@ -146,34 +197,103 @@ export const processExcelData = (
   console.log("Adding new columns:", newHeaders);
   console.log("Original headers:", originalHeaders);
   console.log("Added columns:", addedColumns);
-  console.log("Selected months to exclude:", selectedMonths);
+  console.log(monthMode === 'keep' ? "Selected months to keep:" : "Selected months to exclude:", selectedMonths);
   console.log("Selected headers to remove:", selectedHeaders);
   console.log("Selected date column index:", selectedDateColumnIndex); // New log
+  console.log("Date settings:", dateSettings);
+  console.log("Rows without a valid date:", undatedPolicy, collectUndatedRows ? '(collected for their own sheet)' : '');
   
   // Use provided headers or empty array
   const columnsToAdd = newHeaders || [];
   
   // Create adjusted data with the correct header row
   const headerRow = jsonData[headerRowIndex];
-  const adjustedJsonData = [
+  let adjustedJsonData = [
     headerRow,
     ...jsonData.slice(headerRowIndex + 1)
   ];
   
   console.log("Initial data rows:", adjustedJsonData.length - 1);
   
-  // STEP 1: Filter rows based on selected months using the selected date column
-  let filteredData = adjustedJsonData;
-  
-  if (selectedMonths.length > 0 && selectedDateColumnIndex !== -1) {
-    console.log(`Filtering by months using date column index: ${selectedDateColumnIndex}`);
-    filteredData = filterRowsByMonths(adjustedJsonData, selectedMonths, monthCounts, selectedDateColumnIndex);
+  // STEP 0: Bring columns across from the second workbook; they are handled like the sheet's own columns from here on
+  if (isJoinActive(join)) {
+    adjustedJsonData = joinWorkbookRows(adjustedJsonData, join);
+    console.log("After joining rows:", adjustedJsonData.length - 1);
   }
   
-  console.log("After month filtering rows:", filteredData.length - 1);
+  // STEP 1-1d: Pick the rows to write. undatedOnly picks the rows without a valid date instead
+  // (for their own sheet); the duplicate copies removed are returned next to the rows kept.
+  const selectRows = (undatedOnly) => {
+    // STEP 1: Filter rows based on selected months using the selected date column
+    let filteredData = adjustedJsonData;
+    
+    if (undatedOnly) {
+      filteredData = filterUndatedRows(adjustedJsonData, selectedDateColumnIndex, dateSettings);
+    } else if ((selectedMonths.length > 0 || undatedPolicy !== 'keep') && selectedDateColumnIndex !== -1) {
+      console.log(`Filtering by months using date column index: ${selectedDateColumnIndex}`);
+      filteredData = filterRowsByMonths(
+        adjustedJsonData, 
+        selectedMonths, 
+        monthCounts, 
+        selectedDateColumnIndex, 
+        dateSettings, 
+        monthMode, 
+        undatedPolicy
+      );
+    }
+    
+    console.log(undatedOnly ? "Rows without a valid date:" : "After month filtering rows:", filteredData.length - 1);
+    
+    // STEP 1b: Keep only rows inside the date ranges (selected date column, optionally a second one).
+    // Rows without a date can only be checked against a range on another column.
+    const activeDateRanges = dateRanges.filter(range => (
+      isDateRangeActive(range) && !(undatedOnly && range.columnIndex === selectedDateColumnIndex)
+    ));
+    if (activeDateRanges.length > 0) {
+      filteredData = filterRowsByDateRanges(filteredData, activeDateRanges);
+      console.log("After date range filtering rows:", filteredData.length - 1);
+    }
+    
+    // STEP 1c: Remove rows matching the row rules (Payer equals "SELF PAY", Amount is 0, ...)
+    if (isRuleSetActive(rowRules)) {
+      filteredData = filterRowsByRules(filteredData, rowRules);
+      console.log("After row rule filtering rows:", filteredData.length - 1);
+    }
+    
+    // STEP 1d: Keep one copy of rows repeating the key columns
+    if (isDeduplicationActive(deduplication)) {
+      const { keptData, duplicateData } = splitDuplicateRows(
+        filteredData, 
+        deduplication, 
+        { index: selectedDateColumnIndex, dateSettings }
+      );
+      console.log("After removing duplicate rows:", keptData.length - 1);
+      return { keptData, duplicateData };
+    }
+    
+    return { keptData: filteredData, duplicateData: [filteredData[0]] };
+  };
+  
+  const { keptData, duplicateData } = selectRows(false);
+  const undatedData = collectUndatedRows ? selectRows(true).keptData : [adjustedJsonData[0]];
+  
+  // The rows of the side sheets go through the column steps below together with the
+  // rows kept, and are split off again at the end (see splitOutput)
+  const keptRowCount = keptData.length - 1;
+  const undatedRowCount = undatedData.length - 1;
+  let filteredData = [
+    ...keptData,
+    ...undatedData.slice(1),
+    ...(collectDuplicateRows ? duplicateData.slice(1) : [])
+  ];
+  
+  // STEP 1e: Replace codes with their names from the lookup tables (lookups into new columns are added in STEP 2)
+  if (valueMappings.length > 0) {
+    filteredData = applyValueMappings(filteredData, valueMappings);
+  }
   
   // STEP 2: Add new columns BEFORE removing columns
-  const dataWithNewColumns = addNewColumns(filteredData, columnsToAdd);
+  const dataWithNewColumns = addNewColumns(filteredData, columnsToAdd, derivedColumns);
   
   console.log("After adding new columns:", dataWithNewColumns[0]);
   
@@ -187,7 +307,7 @@ export const processExcelData = (
     const allCombinedHeaders = [...originalHeaders, ...addedColumns];
     
     // Create headers after adding new columns (original + new columns)
-    const headersAfterAddition = [...headerRow, ...columnsToAdd];
+    const headersAfterAddition = [...adjustedJsonData[0], ...columnsToAdd];
     
     console.log("All combined headers (from component):", allCombinedHeaders);
     console.log("Headers after addition:", headersAfterAddition);
@@ -221,12 +341,35 @@ export const processExcelData = (
     }
   }
   
+  // STEP 5 (applied to the result of step 4): give the output columns their new names.
+  // Everything before works on the original names.
+  const renameOutputColumns = (data) => {
+    if (!columnRenames || data.length === 0) return data;
+    
+    const renamedHeaderRow = applyColumnRenames(data[0], columnRenames);
+    console.log("Output header row after renaming:", renamedHeaderRow);
+    return [renamedHeaderRow, ...data.slice(1)];
+  };
+  
+  // Split the rows of the side sheets off the output again
+  const splitOutput = (data) => {
+    if (!collectUndatedRows && !collectDuplicateRows) return data;
+    
+    const [outputHeaderRow, ...rows] = data;
+    return {
+      data: [outputHeaderRow, ...rows.slice(0, keptRowCount)],
+      undatedData: [outputHeaderRow, ...rows.slice(keptRowCount, keptRowCount + undatedRowCount)],
+      duplicateData: [outputHeaderRow, ...rows.slice(keptRowCount + undatedRowCount)]
+    };
+  };
+  
   // STEP 4: FINALLY, remove selected columns (this should happen LAST)
   if (selectedHeaders.length > 0) {
     // Get the header row after reordering
     const currentHeaderRow = reorderedData[0];
     
-    // Get indices of headers to remove from the current (reordered) header row
+    // Get indices of headers to remove from the current (reordered) header row.
+    // Header names are made unique at parse time, so each name matches one column.
     const headerIndicesToRemove = selectedHeaders.map(header => 
       currentHeaderRow.findIndex(h => h === header)
     ).filter(index => index !== -1);
@@ -243,13 +386,201 @@ export const processExcelData = (
     console.log("Final header row after removal:", finalProcessedData[0]);
     console.log("Final data rows:", finalProcessedData.length - 1);
     console.log("=== END ENHANCED PROCESSING DEBUG ===");
-    return finalProcessedData;
+    return splitOutput(renameOutputColumns(finalProcessedData));
   }
   
   console.log("No column removal needed");
   console.log("Final data rows:", reorderedData.length - 1);
   console.log("=== END ENHANCED PROCESSING DEBUG ===");
-  return reorderedData;
+  return splitOutput(renameOutputColumns(reorderedData));
+};
+
+/**
+ * Original headers of the date columns the user picked (the grouping column and
+ * the date range columns), whose serials the export reads across the full date range
+ * @param {Array} headerRow - Header row of the sheet
+ * @param {number} selectedDateColumnIndex - Index of the selected date column
+ * @param {Array} dateRanges - Date ranges ({ columnIndex }) (optional)
+ * @returns {Array} Headers of the picked date columns
+ */
+export const getPickedDateHeaders = (headerRow, selectedDateColumnIndex, dateRanges = []) => {
+  const indexes = [selectedDateColumnIndex, ...(dateRanges || []).map(range => range.columnIndex)];
+  return [...new Set(indexes)]
+    .filter(index => index !== undefined && index !== -1 && headerRow[index])
+    .map(index => headerRow[index]);
+};
+
+/**
+ * Enhanced month separation with flexible date column and year support
+ * @param {Array} jsonData - Raw Excel data as array of arrays
+ * @param {number} selectedDateColumnIndex - Index of the date column used for grouping
+ * @param {number} headerRowIndex - Index of the header row
+ * @param {Array} selectedHeaders - Headers to remove
+ * @param {Array} selectedMonths - Months to filter out
+ * @param {Array} monthCounts - Month count data for mapping
+ * @param {Array} allNewColumns - Headers for new columns to add
+ * @param {Array} columnOrder - New column order indices (optional)
+ * @param {Array} headers - Original headers before adding new columns
+ * @param {Array} addedCustomColumns - Custom added columns
+ * @param {Object} options - Extra processing options ({ dateSettings, dateRanges, monthMode, undatedPolicy, derivedColumns, rowRules,
+ *   deduplication, columnRenames })
+ * @returns {Object|null} Header row and rows grouped by month-year (plus a sheet of rows without a valid date
+ *   unless the undated policy removes them, and a sheet of duplicate copies removed if asked for), or null
+ */
+export const separateDataByMonths = (jsonData, selectedDateColumnIndex, headerRowIndex, selectedHeaders, selectedMonths, monthCounts, allNewColumns, columnOrder, headers, addedCustomColumns, options = {}) => {
+  const dateSettings = { ...DEFAULT_DATE_SETTINGS, ...options.dateSettings };
+  const undatedPolicy = options.undatedPolicy || DEFAULT_UNDATED_ROW_POLICY;
+  
+  if (!jsonData || jsonData.length < 2 || selectedDateColumnIndex === -1) {
+    return null;
+  }
+  
+  console.log('=== ENHANCED MONTH-YEAR SEPARATION DEBUG ===');
+  console.log('Using selected date column index:', selectedDateColumnIndex);
+  console.log('Total rows:', jsonData.length);
+  console.log('Header row index:', headerRowIndex);
+  console.log('Selected headers to remove:', selectedHeaders);
+  console.log('Selected month-years to filter:', selectedMonths);
+  
+  // Check if the selected date column will be removed
+  const originalDateHeader = jsonData[headerRowIndex][selectedDateColumnIndex];
+  const dateColumnWillBeRemoved = selectedHeaders.includes(originalDateHeader);
+  
+  console.log('Date column header:', originalDateHeader);
+  console.log('Date column will be removed:', dateColumnWillBeRemoved);
+  
+  if (dateColumnWillBeRemoved) {
+    console.log('Cannot separate by months: The selected date column will be removed in processing');
+    return null;
+  }
+  
+  // Process data using the selected date column (the duplicate copies removed come from the same run)
+  const collectDuplicateRows = isDeduplicationActive(options.deduplication);
+  let processedData;
+  let duplicateRows = [];
+  try {
+    const processed = processExcelData(
+      jsonData, 
+      headerRowIndex, 
+      selectedHeaders, 
+      selectedMonths, 
+      monthCounts, 
+      selectedDateColumnIndex,
+      allNewColumns,
+      columnOrder,
+      headers,
+      addedCustomColumns,
+      // Rows without a date are collected below unless the policy removes them
+      { ...options, undatedPolicy: undatedPolicy === 'remove' ? 'remove' : 'keep', collectDuplicateRows }
+    );
+    processedData = collectDuplicateRows ? processed.data : processed;
+    duplicateRows = collectDuplicateRows ? processed.duplicateData.slice(1) : [];
+  } catch (error) {
+    console.error('Error in processExcelData during separation:', error);
+    return null;
+  }
+  
+  if (!processedData || processedData.length < 2) {
+    console.log('No processed data available for separation');
+    return null;
+  }
+  
+  // Find the date column in processed data (under its new name if it was renamed)
+  const processedHeaderRow = processedData[0];
+  const outputDateHeader = applyColumnRenames([originalDateHeader], options.columnRenames)[0];
+  const processedDateColumnIndex = processedHeaderRow.findIndex(header => header === outputDateHeader);
+  
+  if (processedDateColumnIndex === -1) {
+    console.log('Date column not found in processed data - this should not happen if we checked above');
+    return null;
+  }
+  
+  // Initialize month-year data structure
+  const monthYearData = new Map(); // Key: "YYYY-MM" (or other period key), Value: { name, code, year, rows }
+  
+  let processedRows = 0;
+  let assignedRows = 0;
+  let invalidDateRows = 0;
+  const undatedRows = [];
+  
+  // Process each row
+  for (let i = 1; i < processedData.length; i++) {
+    const row = processedData[i];
+    if (!row) continue;
+    
+    processedRows++;
+    const dateValue = row[processedDateColumnIndex];
+    const period = getPeriodFromDate(dateValue, dateSettings);
+    
+    if (period) {
+      const monthYearKey = period.key;
+      
+      if (!monthYearData.has(monthYearKey)) {
+        monthYearData.set(monthYearKey, {
+          name: period.name, // "January 2024", "2024-W15", "FY25 P03" - also the sheet name
+          code: period.code,
+          year: period.yearCode,
+          monthYearKey: monthYearKey,
+          rows: []
+        });
+      }
+      
+      monthYearData.get(monthYearKey).rows.push(row);
+      assignedRows++;
+    } else {
+      invalidDateRows++;
+      undatedRows.push(row);
+    }
+  }
+  
+  // Convert to array and sort by year then month
+  const monthsWithData = Array.from(monthYearData.values())
+    .filter(monthYear => monthYear.rows.length > 0)
+    .sort((a, b) => {
+      // Sort by year first, then by month
+      const yearCompare = a.year.localeCompare(b.year);
+      if (yearCompare !== 0) return yearCompare;
+      return a.code.localeCompare(b.code);
+    });
+  
+  if (undatedRows.length > 0 && undatedPolicy !== 'remove') {
+    monthsWithData.push({
+      name: UNDATED_SHEET_NAME,
+      code: '',
+      year: '',
+      monthYearKey: 'undated',
+      undated: true,
+      rows: undatedRows
+    });
+  }
+  
+  if (duplicateRows.length > 0 && options.deduplication.writeDuplicatesSheet) {
+    monthsWithData.push({
+      name: DUPLICATES_SHEET_NAME,
+      code: '',
+      year: '',
+      monthYearKey: 'duplicates',
+      duplicates: true,
+      rows: duplicateRows
+    });
+  }
+  
+  console.log('Months with data:', monthsWithData.map(m => `${m.name}: ${m.rows.length} rows`));
+  console.log('=== END ENHANCED MONTH-YEAR SEPARATION DEBUG ===');
+  
+  return {
+    headerRow: processedHeaderRow,
+    dateFormat: dateSettings.dateFormat,
+    granularity: dateSettings.granularity,
+    derivedHeaders: (options.derivedColumns || []).map(column => column.name),
+    dateHeaders: getPickedDateHeaders(jsonData[headerRowIndex], selectedDateColumnIndex, options.dateRanges),
+    columnRenames: options.columnRenames || null,
+    monthsWithData,
+    totalRows: processedRows,
+    assignedRows,
+    invalidDateRows,
+    duplicateRowCount: duplicateRows.length
+  };
 };
 
 /**
@@ -278,4 +609,46 @@ export const toggleMonthSelection = (month, currentSelection) => {
   } else {
     return [...currentSelection, month];
   }
+};
+
+/**
+ * Select or deselect every month between two months of the list (shift-click)
+ * @param {string} fromMonth - Month clicked before
+ * @param {string} toMonth - Month clicked now
+ * @param {Array} monthCounts - Month list in display order
+ * @param {Array} currentSelection - Current selected months
+ * @returns {Array} Updated selection array; the range takes the new state of toMonth
+ */
+export const selectMonthRange = (fromMonth, toMonth, monthCounts, currentSelection) => {
+  const months = monthCounts.map(m => m.month);
+  const fromIndex = months.indexOf(fromMonth);
+  const toIndex = months.indexOf(toMonth);
+  
+  if (fromIndex === -1 || toIndex === -1) {
+    return toggleMonthSelection(toMonth, currentSelection);
+  }
+  
+  const range = months.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1);
+  const select = !currentSelection.includes(toMonth);
+  
+  return select
+    ? [...currentSelection, ...range.filter(month => !currentSelection.includes(month))]
+    : currentSelection.filter(month => !range.includes(month));
+};
+
+/**
+ * Add every month before or after a month of the list to the selection
+ * @param {string} month - Month the shortcut was used on (not included)
+ * @param {string} direction - 'before' or 'after'
+ * @param {Array} monthCounts - Month list in display order
+ * @param {Array} currentSelection - Current selected months
+ * @returns {Array} Updated selection array
+ */
+export const selectMonthsBeyond = (month, direction, monthCounts, currentSelection) => {
+  const months = monthCounts.map(m => m.month);
+  const index = months.indexOf(month);
+  if (index === -1) return currentSelection;
+  
+  const range = direction === 'before' ? months.slice(0, index) : months.slice(index + 1);
+  return [...currentSelection, ...range.filter(m => !currentSelection.includes(m))];
 };
\ No newline at end of file
@@ -0,0 +1,260 @@
+// dateParsing.js - Read date cells (serials, numeric text, month names, timestamps) into calendar dates
+//
+// Supported values, tried in this order:
+//   Date objects              new Date(2024, 0, 15)
+//   Excel serial numbers      45306, 45306.6055 (1968-2036, or any valid serial in a known date column)
+//   Compact dates             20240115, "20240115"
+//   ISO dates and timestamps  2024-01-15, 2024/01/15, 2024-01-15T08:30:00Z, 2024/01/15T08:30+03:00
+//   Numeric day/month/year    15/01/2024, 15-01-24, 15.01.24 (or month first, see dateFormat)
+//   Day month-name year       15-Jan-24, 15 January 2024, 15 Sept. 2024
+//   Month-name day, year      Jan 15, 2024, January 15 2024
+//   Month-name year           Jan 2024, January-24, 2024 Jan
+//   Hijri dates               1445/07/13, 13-07-1445 هـ, 13 Rajab 1445 AH, ١٣/٠٧/١٤٤٥
+//
+// A leading weekday ("Mon, 15 Jan 2024") and a trailing time of day
+// ("08:30", "8:30:15 PM", "08:30:00.000+03:00") are allowed on any text
+// pattern. Timestamps keep the date as written; the time zone offset does not
+// move it to another day. Two-digit years are pivoted: 00-49 → 2000s, 50-99 → 1900s.
+//
+// Hijri values are recognised by a year between 1300 and 1500, an AH/هـ
+// marker or a Hijri month name, and converted to Gregorian. In a column read
+// as Hijri, two-digit years are Hijri too (45 → 1445).
+
+import {
+  hijriToGregorian,
+  expandTwoDigitHijriYear,
+  isHijriYear,
+  getHijriMonthNumber,
+  MIN_HIJRI_YEAR
+} from './hijriCalendar.js';
+import { isSerialDate, serialToParts } from './serialDates.js';
+
+export const MIN_YEAR = 1900;
+export const MAX_YEAR = 2100;
+
+// Two-digit years below this are 20xx, the rest 19xx
+export const TWO_DIGIT_YEAR_PIVOT = 50;
+
+const MONTH_NAMES = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12
+};
+
+const MONTH_NAME = '([a-z]{3,9})\\.?';
+const TIME_SUFFIX = '(?:(?:\\s+|t)\\d{1,2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?\\s*(?:[ap]\\.?m\\.?)?\\s*(?:z|[+-]\\d{2}:?\\d{2})?)?';
+const WEEKDAY_PREFIX = /^(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)[a-z]*\.?,?\s+/;
+const HIJRI_MARKER = /\s*(هـ|ه|a\.?h\.?)$/;
+const ARABIC_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+const ISO_PATTERN = new RegExp(`^(\\d{4})[/\\-.](\\d{1,2})[/\\-.](\\d{1,2})${TIME_SUFFIX}$`);
+const NUMERIC_PATTERN = new RegExp(`^(\\d{1,2})[/\\-.](\\d{1,2})[/\\-.](\\d{4}|\\d{2})${TIME_SUFFIX}$`);
+const COMPACT_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+const DAY_MONTH_NAME_PATTERN = new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?[\\s\\-/.]+${MONTH_NAME}[\\s\\-/.,]+(\\d{4}|\\d{2})${TIME_SUFFIX}$`);
+const MONTH_NAME_DAY_PATTERN = new RegExp(`^${MONTH_NAME}[\\s\\-/.]+(\\d{1,2})(?:st|nd|rd|th)?,?[\\s\\-/.]+(\\d{4}|\\d{2})${TIME_SUFFIX}$`);
+const MONTH_NAME_YEAR_PATTERN = new RegExp(`^${MONTH_NAME}[\\s\\-/.,']+(\\d{4}|\\d{2})$`);
+const YEAR_MONTH_NAME_PATTERN = new RegExp(`^(\\d{4})[\\s\\-/.]+${MONTH_NAME}$`);
+const HIJRI_MONTH_NAME_PATTERN = new RegExp(`^(\\d{1,2})[\\s\\-/.]+(\\D+?)[\\s\\-/.,]+(\\d{4}|\\d{2})${TIME_SUFFIX}$`);
+
+/**
+ * Turn a two-digit year into a four-digit one
+ * @param {number|string} year - Year as written
+ * @returns {number} Four-digit year
+ */
+export const expandTwoDigitYear = (year) => {
+  const text = String(year);
+  const value = parseInt(text, 10);
+  if (text.length > 2) return value;
+  return value < TWO_DIGIT_YEAR_PIVOT ? 2000 + value : 1900 + value;
+};
+
+/**
+ * Look up a month by its English name or abbreviation
+ * @param {string} name - Month name, e.g. "Jan", "September"
+ * @returns {number|null} Month number (1-12) or null
+ */
+const getMonthNumber = (name) => MONTH_NAMES[name.toLowerCase()] || null;
+
+/**
+ * Build a date result after checking the parts are a real calendar date
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month (1-12)
+ * @param {number|null} day - Day of the month, or null when only month and year are known
+ * @returns {Object|null} { year, month, day } or null
+ */
+const buildDate = (year, month, day = null) => {
+  if (!month || month < 1 || month > 12 || year < MIN_YEAR || year > MAX_YEAR) return null;
+
+  if (day !== null) {
+    const daysInMonth = new Date(year, month, 0).getDate();
+    if (day < 1 || day > daysInMonth) return null;
+  }
+
+  return { year, month, day };
+};
+
+/**
+ * Read a numeric date whose day and month order is not written in the value
+ * @param {number} first - First number in the value
+ * @param {number} second - Second number in the value
+ * @param {number} year - Four-digit year
+ * @param {string} dateFormat - DD/MM/YYYY or MM/DD/YYYY
+ * @returns {Object|null} { year, month, day } or null
+ */
+const buildNumericDate = (first, second, year, dateFormat) => {
+  const preferred = dateFormat === 'MM/DD/YYYY'
+    ? buildDate(year, first, second)
+    : buildDate(year, second, first);
+  if (preferred) return preferred;
+
+  // Values like 25/03/2024 only fit one order, whatever the column's format
+  return dateFormat === 'MM/DD/YYYY'
+    ? buildDate(year, second, first)
+    : buildDate(year, first, second);
+};
+
+/**
+ * Convert a Hijri date to a Gregorian date result that keeps the Hijri parts
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Object|null} { year, month, day, hijri: { year, month, day } } or null
+ */
+const buildHijriDate = (year, month, day) => {
+  const gregorian = hijriToGregorian(year, month, day);
+  return gregorian ? { ...gregorian, hijri: { year, month, day } } : null;
+};
+
+/**
+ * Read a numeric Hijri date, day first unless the column is month first
+ * @param {number} first - First number in the value
+ * @param {number} second - Second number in the value
+ * @param {number} year - Hijri year
+ * @param {string} dateFormat - DD/MM/YYYY or MM/DD/YYYY
+ * @returns {Object|null} Hijri date result or null
+ */
+const buildNumericHijriDate = (first, second, year, dateFormat) => {
+  const [month, day] = dateFormat === 'MM/DD/YYYY' && first <= 12 ? [first, second] : [second, first];
+  return buildHijriDate(year, month, day) || buildHijriDate(year, day, month);
+};
+
+/**
+ * Convert an Excel serial number to a calendar date
+ * @param {number} serial - Excel serial number
+ * @param {boolean} fullSerialRange - Accept every valid serial, not only 1968-2036
+ * @returns {Object|null} { year, month, day } or null
+ */
+const parseSerialDate = (serial, fullSerialRange) => {
+  if (!isSerialDate(serial, fullSerialRange)) return null;
+
+  const { year, month, day } = serialToParts(serial);
+  return { year, month, day };
+};
+
+/**
+ * Parse a text date using the supported patterns listed at the top of this file
+ * @param {string} text - Cell text
+ * @param {string} dateFormat - DD/MM/YYYY or MM/DD/YYYY
+ * @param {string} calendar - Calendar the column is written in: gregorian or hijri
+ * @returns {Object|null} { year, month, day } (plus hijri parts for Hijri values) or null
+ */
+const parseDateText = (text, dateFormat, calendar) => {
+  // Arabic-Indic digits (U+0660, U+06F0 blocks) end in their value
+  let str = text
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) & 0xF))
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(WEEKDAY_PREFIX, '');
+
+  const hasHijriMarker = HIJRI_MARKER.test(str);
+  str = str.replace(HIJRI_MARKER, '');
+  const isHijriColumn = hasHijriMarker || calendar === 'hijri';
+  let match;
+
+  if ((match = str.match(COMPACT_PATTERN))) {
+    const year = parseInt(match[1], 10);
+    return isHijriYear(year)
+      ? buildHijriDate(year, parseInt(match[2], 10), parseInt(match[3], 10))
+      : buildDate(year, parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+
+  if ((match = str.match(ISO_PATTERN))) {
+    const year = parseInt(match[1], 10);
+    return isHijriYear(year)
+      ? buildHijriDate(year, parseInt(match[2], 10), parseInt(match[3], 10))
+      : buildDate(year, parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+
+  if ((match = str.match(NUMERIC_PATTERN))) {
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const year = match[3].length === 2 && isHijriColumn ? expandTwoDigitHijriYear(match[3]) : expandTwoDigitYear(match[3]);
+    return isHijriYear(year)
+      ? buildNumericHijriDate(first, second, year, dateFormat)
+      : buildNumericDate(first, second, year, dateFormat);
+  }
+
+  if ((match = str.match(HIJRI_MONTH_NAME_PATTERN)) && getHijriMonthNumber(match[2])) {
+    const year = match[3].length === 2 ? expandTwoDigitHijriYear(match[3]) : parseInt(match[3], 10);
+    return buildHijriDate(year, getHijriMonthNumber(match[2]), parseInt(match[1], 10));
+  }
+
+  if ((match = str.match(DAY_MONTH_NAME_PATTERN))) {
+    return buildDate(expandTwoDigitYear(match[3]), getMonthNumber(match[2]), parseInt(match[1], 10));
+  }
+
+  if ((match = str.match(MONTH_NAME_DAY_PATTERN))) {
+    return buildDate(expandTwoDigitYear(match[3]), getMonthNumber(match[1]), parseInt(match[2], 10));
+  }
+
+  if ((match = str.match(MONTH_NAME_YEAR_PATTERN))) {
+    return buildDate(expandTwoDigitYear(match[2]), getMonthNumber(match[1]));
+  }
+
+  if ((match = str.match(YEAR_MONTH_NAME_PATTERN))) {
+    return buildDate(parseInt(match[1], 10), getMonthNumber(match[2]));
+  }
+
+  return null;
+};
+
+/**
+ * Parse a date cell into its Gregorian calendar parts
+ * @param {*} value - Raw cell value (Date, serial number or text)
+ * @param {string} dateFormat - DD/MM/YYYY or MM/DD/YYYY, used when the order is ambiguous (default: DD/MM/YYYY)
+ * @param {string} calendar - Calendar the column is written in: gregorian or hijri (default: gregorian)
+ * @param {boolean} fullSerialRange - The column is known to hold dates, so any valid serial is a date (default: false)
+ * @returns {Object|null} { year, month, day, hijri } (day is null for month-only values like "Jan 2024";
+ *   hijri holds the original parts of Hijri values) or null if not a date
+ */
+export const parseDateValue = (value, dateFormat = 'DD/MM/YYYY', calendar = 'gregorian', fullSerialRange = false) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return buildDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= MIN_HIJRI_YEAR * 10000) {
+      return parseDateText(String(value), dateFormat, calendar);
+    }
+    return parseSerialDate(value, fullSerialRange);
+  }
+
+  if (typeof value === 'string') {
+    return parseDateText(value, dateFormat, calendar);
+  }
+
+  return null;
+};
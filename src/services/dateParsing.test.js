@@ -0,0 +1,75 @@
+import { parseDateValue, expandTwoDigitYear } from './dateParsing.js';
+
+const jan15 = { year: 2024, month: 1, day: 15 };
+
+describe('expandTwoDigitYear', () => {
+  test('pivots 00-49 to the 2000s and 50-99 to the 1900s', () => {
+    expect(expandTwoDigitYear('00')).toBe(2000);
+    expect(expandTwoDigitYear('49')).toBe(2049);
+    expect(expandTwoDigitYear('50')).toBe(1950);
+    expect(expandTwoDigitYear('99')).toBe(1999);
+  });
+
+  test('keeps four-digit years', () => {
+    expect(expandTwoDigitYear('2024')).toBe(2024);
+  });
+});
+
+describe('parseDateValue', () => {
+  test('reads Date objects and Excel serials', () => {
+    expect(parseDateValue(new Date(2024, 0, 15))).toEqual(jan15);
+    expect(parseDateValue(45306)).toEqual(jan15);
+    expect(parseDateValue(45306.6055)).toEqual(jan15);
+  });
+
+  test('only reads old serials in a known date column', () => {
+    expect(parseDateValue(20000)).toBeNull();
+    expect(parseDateValue(20000, 'DD/MM/YYYY', 'gregorian', true)).toEqual({ year: 1954, month: 10, day: 3 });
+  });
+
+  test('reads compact, ISO and timestamp values', () => {
+    expect(parseDateValue(20240115)).toEqual(jan15);
+    expect(parseDateValue('20240115')).toEqual(jan15);
+    expect(parseDateValue('2024-01-15')).toEqual(jan15);
+    expect(parseDateValue('2024/01/15')).toEqual(jan15);
+    expect(parseDateValue('2024-01-15T08:30:00Z')).toEqual(jan15);
+    expect(parseDateValue('2024/01/15T23:30+03:00')).toEqual(jan15);
+  });
+
+  test('reads numeric dates in the column order', () => {
+    expect(parseDateValue('03/04/2024')).toEqual({ year: 2024, month: 4, day: 3 });
+    expect(parseDateValue('03/04/2024', 'MM/DD/YYYY')).toEqual({ year: 2024, month: 3, day: 4 });
+    expect(parseDateValue('15.01.24')).toEqual(jan15);
+    expect(parseDateValue('15-01-24 8:30:15 PM')).toEqual(jan15);
+  });
+
+  test('falls back to the only order that fits', () => {
+    expect(parseDateValue('01/15/2024')).toEqual(jan15);
+    expect(parseDateValue('15/01/2024', 'MM/DD/YYYY')).toEqual(jan15);
+  });
+
+  test('pivots two-digit years', () => {
+    expect(parseDateValue('15/01/49')).toEqual({ year: 2049, month: 1, day: 15 });
+    expect(parseDateValue('15/01/50')).toEqual({ year: 1950, month: 1, day: 15 });
+    expect(parseDateValue('15-Jan-99')).toEqual({ year: 1999, month: 1, day: 15 });
+  });
+
+  test('reads month names', () => {
+    expect(parseDateValue('15-Jan-24')).toEqual(jan15);
+    expect(parseDateValue('15 Sept. 2024')).toEqual({ year: 2024, month: 9, day: 15 });
+    expect(parseDateValue('Jan 15, 2024')).toEqual(jan15);
+    expect(parseDateValue('Mon, 15 Jan 2024 08:30')).toEqual(jan15);
+    expect(parseDateValue('January-24')).toEqual({ year: 2024, month: 1, day: null });
+    expect(parseDateValue('2024 Jan')).toEqual({ year: 2024, month: 1, day: null });
+  });
+
+  test('rejects values that are not real dates', () => {
+    expect(parseDateValue('31/02/2024')).toBeNull();
+    expect(parseDateValue('15/13/2024', 'MM/DD/YYYY')).toBeNull();
+    expect(parseDateValue('Foo 2024')).toBeNull();
+    expect(parseDateValue('Paid')).toBeNull();
+    expect(parseDateValue('')).toBeNull();
+    expect(parseDateValue(null)).toBeNull();
+    expect(parseDateValue(new Date('nope'))).toBeNull();
+  });
+});
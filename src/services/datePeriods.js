@@ -0,0 +1,92 @@
+// datePeriods.js - Group dates into ISO weeks, quarters, years or fiscal periods as well as calendar months
+//
+// Every period has a year code and a period code that sort chronologically
+// ("2024" + "W15", "2024" + "Q2", "2025" + "P03") and a display name that is
+// also the sheet name when data is separated by period ("2024-W15", "2024-Q2",
+// "FY25 P03"). Fiscal years start in April and are named after the calendar
+// year they end in, so April 2024 - March 2025 is FY25.
+
+// Period sizes the distribution list, filters and separation can use
+export const PERIOD_GRANULARITIES = [
+  { value: 'month', label: 'Month', singular: 'month', plural: 'months' },
+  { value: 'week', label: 'ISO week', singular: 'week', plural: 'weeks' },
+  { value: 'quarter', label: 'Quarter', singular: 'quarter', plural: 'quarters' },
+  { value: 'year', label: 'Year', singular: 'year', plural: 'years' },
+  { value: 'fiscalPeriod', label: 'Fiscal period (April start)', singular: 'fiscal period', plural: 'fiscal periods' },
+  { value: 'fiscalYear', label: 'Fiscal year (April start)', singular: 'fiscal year', plural: 'fiscal years' }
+];
+
+export const DEFAULT_PERIOD_GRANULARITY = 'month';
+
+// First month of the fiscal year (April)
+export const FISCAL_YEAR_START_MONTH = 4;
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Look up a period granularity
+ * @param {string} granularity - Granularity value
+ * @returns {Object} { value, label, singular, plural } (months for unknown values)
+ */
+export const getPeriodGranularity = (granularity) => (
+  PERIOD_GRANULARITIES.find(option => option.value === granularity) || PERIOD_GRANULARITIES[0]
+);
+
+/**
+ * Get the ISO 8601 week of a date. Weeks start on Monday and belong to the
+ * year their Thursday falls in, so 2024-12-30 is in 2025-W01.
+ * @param {number} year - Gregorian year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Object} { year, week } with the ISO week-numbering year
+ */
+export const getIsoWeek = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const dayOfWeek = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+
+  const weekYear = date.getUTCFullYear();
+  const dayOfYear = Math.round((date.getTime() - Date.UTC(weekYear, 0, 1)) / MILLISECONDS_PER_DAY) + 1;
+
+  return { year: weekYear, week: Math.ceil(dayOfYear / 7) };
+};
+
+/**
+ * Get the period a Gregorian date belongs to (all granularities except month,
+ * which dateUtilities names in the chosen month calendar)
+ * @param {Object} date - { year, month, day } (day may be null for month-only values)
+ * @param {string} granularity - week, quarter, year, fiscalPeriod or fiscalYear
+ * @returns {Object|null} { yearCode, code, name }, or null if the date can't be placed
+ */
+export const getPeriodOfDate = ({ year, month, day }, granularity) => {
+  const pad = (number) => String(number).padStart(2, '0');
+  const fiscalYear = month >= FISCAL_YEAR_START_MONTH ? year + 1 : year;
+
+  switch (granularity) {
+    case 'week': {
+      // Values like "Jan 2024" have no week
+      if (!day) return null;
+      const isoWeek = getIsoWeek(year, month, day);
+      return { yearCode: String(isoWeek.year), code: `W${pad(isoWeek.week)}`, name: `${isoWeek.year}-W${pad(isoWeek.week)}` };
+    }
+
+    case 'quarter': {
+      const quarter = Math.ceil(month / 3);
+      return { yearCode: String(year), code: `Q${quarter}`, name: `${year}-Q${quarter}` };
+    }
+
+    case 'year':
+      return { yearCode: String(year), code: '', name: String(year) };
+
+    case 'fiscalPeriod': {
+      const period = ((month - FISCAL_YEAR_START_MONTH + 12) % 12) + 1;
+      return { yearCode: String(fiscalYear), code: `P${pad(period)}`, name: `FY${pad(fiscalYear % 100)} P${pad(period)}` };
+    }
+
+    case 'fiscalYear':
+      return { yearCode: String(fiscalYear), code: '', name: `FY${pad(fiscalYear % 100)}` };
+
+    default:
+      return null;
+  }
+};
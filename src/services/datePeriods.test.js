@@ -0,0 +1,37 @@
+import { getIsoWeek, getPeriodOfDate, getPeriodGranularity } from './datePeriods.js';
+
+describe('getIsoWeek', () => {
+  test('puts days in the year their Thursday falls in', () => {
+    expect(getIsoWeek(2024, 1, 1)).toEqual({ year: 2024, week: 1 });
+    expect(getIsoWeek(2024, 12, 30)).toEqual({ year: 2025, week: 1 });
+    expect(getIsoWeek(2021, 1, 3)).toEqual({ year: 2020, week: 53 });
+  });
+});
+
+describe('getPeriodOfDate', () => {
+  const apr10 = { year: 2024, month: 4, day: 10 };
+
+  test('names weeks, quarters and years', () => {
+    expect(getPeriodOfDate(apr10, 'week')).toEqual({ yearCode: '2024', code: 'W15', name: '2024-W15' });
+    expect(getPeriodOfDate(apr10, 'quarter')).toEqual({ yearCode: '2024', code: 'Q2', name: '2024-Q2' });
+    expect(getPeriodOfDate(apr10, 'year')).toEqual({ yearCode: '2024', code: '', name: '2024' });
+  });
+
+  test('starts the fiscal year in April and names it after the year it ends in', () => {
+    expect(getPeriodOfDate(apr10, 'fiscalPeriod')).toEqual({ yearCode: '2025', code: 'P01', name: 'FY25 P01' });
+    expect(getPeriodOfDate({ year: 2025, month: 3, day: 31 }, 'fiscalPeriod')).toEqual({ yearCode: '2025', code: 'P12', name: 'FY25 P12' });
+    expect(getPeriodOfDate({ year: 2025, month: 3, day: 31 }, 'fiscalYear')).toEqual({ yearCode: '2025', code: '', name: 'FY25' });
+  });
+
+  test('has no week for month-only values', () => {
+    expect(getPeriodOfDate({ year: 2024, month: 1, day: null }, 'week')).toBeNull();
+    expect(getPeriodOfDate({ year: 2024, month: 1, day: null }, 'quarter')).toMatchObject({ name: '2024-Q1' });
+  });
+});
+
+describe('getPeriodGranularity', () => {
+  test('falls back to months', () => {
+    expect(getPeriodGranularity('quarter').plural).toBe('quarters');
+    expect(getPeriodGranularity('decade').value).toBe('month');
+  });
+});
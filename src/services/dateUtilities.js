@@ -1,145 +1,151 @@
 // Enhanced dateUtilities.js - Multiple date column detection and flexible sorting
 
+import { parseDateValue } from './dateParsing.js';
+import { gregorianToHijri, getHijriMonthName } from './hijriCalendar.js';
+import { getPeriodOfDate, DEFAULT_PERIOD_GRANULARITY } from './datePeriods.js';
+import { filterRowsByRules, isRuleSetActive } from './rowRules.js';
+
+export const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+
+// Formats the user can choose for a date column
+export const DATE_FORMATS = [
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY (day first)' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY (month first)' }
+];
+
+// Calendars a date column can be written in, and grouped by
+export const CALENDARS = [
+  { value: 'gregorian', label: 'Gregorian' },
+  { value: 'hijri', label: 'Hijri (Umm al-Qura)' }
+];
+
+// How a date column is read (dateFormat, calendar) and how its rows are grouped:
+// by period size (granularity) and, for months, in which calendar (monthCalendar)
+export const DEFAULT_DATE_SETTINGS = {
+  dateFormat: DEFAULT_DATE_FORMAT,
+  calendar: 'gregorian',
+  monthCalendar: 'gregorian',
+  granularity: DEFAULT_PERIOD_GRANULARITY
+};
+
+// What happens to the rows of the months picked in the month list
+export const MONTH_MODES = [
+  { value: 'remove', label: 'Remove selected' },
+  { value: 'keep', label: 'Keep only selected' }
+];
+
+export const DEFAULT_MONTH_MODE = 'remove';
+
+// What happens to rows whose date is blank or can't be read
+export const UNDATED_ROW_POLICIES = [
+  { value: 'keep', label: 'Keep them' },
+  { value: 'remove', label: 'Remove them' },
+  { value: 'separate', label: 'Move them to a separate sheet' }
+];
+
+export const DEFAULT_UNDATED_ROW_POLICY = 'keep';
+
+// Distribution entries for rows without a usable date (listed after the periods, never selectable)
+export const UNDATED_BUCKETS = [
+  { undated: 'blank', month: 'No date', monthYearKey: 'no-date' },
+  { undated: 'invalid', month: 'Invalid date', monthYearKey: 'invalid-date' }
+];
+
+// Sheet name for rows without a usable date
+export const UNDATED_SHEET_NAME = 'No or invalid date';
+
+const GREGORIAN_MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Ambiguous or unreadable values listed per column
+const MAX_EXAMPLE_VALUES = 5;
+
+/**
+ * Fill in date settings from a format string or a partial settings object
+ * @param {string|Object} dateSettings - DD/MM/YYYY or MM/DD/YYYY, or { dateFormat, calendar, monthCalendar, granularity }
+ * @returns {Object} Complete date settings
+ */
+const toDateSettings = (dateSettings) => (
+  typeof dateSettings === 'string'
+    ? { ...DEFAULT_DATE_SETTINGS, dateFormat: dateSettings }
+    : { ...DEFAULT_DATE_SETTINGS, ...dateSettings }
+);
+
 /**
- * ENHANCED date parsing function that returns both month and year
+ * Display name for a month-year group
+ * @param {string} year - Year code
+ * @param {string} month - Month code (01-12)
+ * @param {string} monthCalendar - gregorian or hijri (default: gregorian)
+ * @returns {string} e.g. "January 2024" or "Rajab 1445 AH"
+ */
+export const getMonthDisplayName = (year, month, monthCalendar = 'gregorian') => (
+  monthCalendar === 'hijri'
+    ? getHijriMonthName(year, month)
+    : `${GREGORIAN_MONTH_NAMES[parseInt(month, 10) - 1]} ${year}`
+);
+
+/**
+ * ENHANCED date parsing function that returns both month and year. Values come
+ * from a chosen date column, so every valid Excel serial counts as a date.
  * @param {*} dateValue - Raw date value from Excel
- * @returns {Object|null} Object with month and year codes or null if not parseable
+ * @param {string|Object} assumeFormat - DD/MM/YYYY or MM/DD/YYYY for ambiguous numeric dates, or date settings
+ * @returns {Object|null} Object with month and year codes (in the settings' month calendar) or null if not parseable
  */
 export const getMonthAndYearFromDate = (dateValue, assumeFormat = 'DD/MM/YYYY') => {
-  if (!dateValue || dateValue === '') return null;
-  
-  // Handle Date objects first
-  if (dateValue instanceof Date) {
-    const month = dateValue.getMonth() + 1;
-    const year = dateValue.getFullYear();
-    if (month >= 1 && month <= 12 && year >= 1900 && year <= 2100) {
-      return {
-        month: month.toString().padStart(2, '0'),
-        year: year.toString()
-      };
-    }
-    return null;
+  const { dateFormat, calendar, monthCalendar } = toDateSettings(assumeFormat);
+  const parsed = parseDateValue(dateValue, dateFormat, calendar, true);
+  if (!parsed) return null;
+  
+  let parts = parsed;
+  if (monthCalendar === 'hijri') {
+    // Month-only values like "Jan 2024" don't fall in a single Hijri month
+    parts = parsed.hijri || (parsed.day ? gregorianToHijri(parsed.year, parsed.month, parsed.day) : null);
+    if (!parts) return null;
   }
   
-  const str = String(dateValue).trim();
+  return {
+    month: parts.month.toString().padStart(2, '0'),
+    year: parts.year.toString()
+  };
+};
 
-  // Handle Excel serial numbers
-  if (typeof dateValue === 'number' && dateValue > 25000 && dateValue < 50000) {
-    try {
-      const excelEpoch = new Date(1899, 11, 30);
-      const millisecondsPerDay = 24 * 60 * 60 * 1000;
-      const dateObj = new Date(excelEpoch.getTime() + dateValue * millisecondsPerDay);
-      
-      const month = dateObj.getMonth() + 1;
-      const year = dateObj.getFullYear();
-      if (month >= 1 && month <= 12 && year >= 1900 && year <= 2100) {
-        return {
-          month: month.toString().padStart(2, '0'),
-          year: year.toString()
-        };
-      }
-    } catch (error) {
-      console.log(`Error parsing Excel serial number ${dateValue}:`, error);
-      return null;
-    }
-  }
-  
-  // Enhanced string parsing with multiple patterns
-  
-  // Pattern 1: DD/MM/YYYY with optional time
-  if (assumeFormat === 'DD/MM/YYYY') {
-    let match = str.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})(\s+\d{1,2}:\d{2})?/);
-    if (match) {
-      const day = parseInt(match[1]);
-      const month = parseInt(match[2]);
-      const year = parseInt(match[3]);
-      if (month >= 1 && month <= 12 && year >= 1900 && year <= 2100) {
-        return {
-          month: month.toString().padStart(2, '0'),
-          year: year.toString()
-        };
-      }
-    }
-  } 
-  // Pattern 2: MM/DD/YYYY with optional time
-  else if (assumeFormat === 'MM/DD/YYYY') {
-    let match = str.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})(\s+\d{1,2}:\d{2})?/);
-    if (match) {
-      const month = parseInt(match[1]);
-      const day = parseInt(match[2]);
-      const year = parseInt(match[3]);
-      if (month >= 1 && month <= 12 && year >= 1900 && year <= 2100) {
-        return {
-          month: month.toString().padStart(2, '0'),
-          year: year.toString()
-        };
-      }
-    }
-  }
+/**
+ * Check whether a date cell is empty
+ * @param {*} dateValue - Raw date value from Excel
+ * @returns {boolean} True for null, undefined and whitespace-only values
+ */
+const isBlankDateValue = (dateValue) => (
+  dateValue === null || dateValue === undefined || String(dateValue).trim() === ''
+);
+
+/**
+ * Get the period (month, week, quarter, ...) a date value is grouped in
+ * @param {*} dateValue - Raw date value from Excel
+ * @param {string|Object} dateSettings - Date format or date settings (granularity picks the period size)
+ * @returns {Object|null} { key, yearCode, code, name } with a sortable key like "2024-01" or "2024-W15", or null
+ */
+export const getPeriodFromDate = (dateValue, dateSettings = DEFAULT_DATE_SETTINGS) => {
+  const settings = toDateSettings(dateSettings);
   
-  // Pattern 3: Auto-detect format
-  let match = str.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})(\s+\d{1,2}:\d{2})?/);
-  if (match) {
-    const first = parseInt(match[1]);
-    const second = parseInt(match[2]);
-    const year = parseInt(match[3]);
+  if (settings.granularity === 'month') {
+    const result = getMonthAndYearFromDate(dateValue, settings);
+    if (!result || !result.month || !result.year) return null;
     
-    if (year >= 1900 && year <= 2100) {
-      // Auto-detect logic
-      if (first > 12 && second >= 1 && second <= 12) {
-        // DD/MM/YYYY
-        return {
-          month: second.toString().padStart(2, '0'),
-          year: year.toString()
-        };
-      } else if (second > 12 && first >= 1 && first <= 12) {
-        // MM/DD/YYYY
-        return {
-          month: first.toString().padStart(2, '0'),
-          year: year.toString()
-        };
-      } else if (first >= 1 && first <= 31 && second >= 1 && second <= 12) {
-        // Assume DD/MM/YYYY (European standard)
-        return {
-          month: second.toString().padStart(2, '0'),
-          year: year.toString()
-        };
-      }
-    }
-  }
-  
-  // Pattern 4: ISO format (YYYY-MM-DD)
-  match = str.match(/^(\d{4})[\/\-\.](\d{1,2})[\/\-\.](\d{1,2})(\s+\d{1,2}:\d{2})?/);
-  if (match) {
-    const year = parseInt(match[1]);
-    const month = parseInt(match[2]);
-    const day = parseInt(match[3]);
-    if (year >= 1900 && year <= 2100 && month >= 1 && month <= 12) {
-      return {
-        month: month.toString().padStart(2, '0'),
-        year: year.toString()
-      };
-    }
+    return {
+      key: `${result.year}-${result.month}`,
+      yearCode: result.year,
+      code: result.month,
+      name: getMonthDisplayName(result.year, result.month, settings.monthCalendar)
+    };
   }
   
-  // Pattern 5: JavaScript Date constructor fallback
-  try {
-    const cleanStr = str.replace(/\s+/g, ' ').trim();
-    const parsedDate = new Date(cleanStr);
-    
-    if (!isNaN(parsedDate.getTime()) && parsedDate.getFullYear() > 1900 && parsedDate.getFullYear() < 2100) {
-      const month = parsedDate.getMonth() + 1;
-      const year = parsedDate.getFullYear();
-      return {
-        month: month.toString().padStart(2, '0'),
-        year: year.toString()
-      };
-    }
-  } catch (error) {
-    // Ignore parsing errors
-  }
+  const parsed = parseDateValue(dateValue, settings.dateFormat, settings.calendar, true);
+  const period = parsed && getPeriodOfDate(parsed, settings.granularity);
+  if (!period) return null;
   
-  return null;
+  return { key: period.code ? `${period.yearCode}-${period.code}` : period.yearCode, ...period };
 };
 
 /**
@@ -239,7 +245,7 @@ export const findAllDateColumns = (headerRow, sampleRows = []) => {
         sampleRows.forEach(row => {
           if (row && row[i] !== null && row[i] !== undefined && row[i] !== '') {
             totalValues++;
-            if (getMonthFromDate(row[i])) {
+            if (parseDateValue(row[i])) {
               validDates++;
             }
           }
@@ -270,7 +276,7 @@ export const findAllDateColumns = (headerRow, sampleRows = []) => {
         sampleRows.forEach(row => {
           if (row && row[i] !== null && row[i] !== undefined && row[i] !== '') {
             totalValues++;
-            if (getMonthFromDate(row[i])) {
+            if (parseDateValue(row[i])) {
               validDates++;
             }
           }
@@ -325,12 +331,134 @@ export const findDateColumn = (headerRow, sampleRows = []) => {
 };
 
 /**
- * Count entries by month-year combinations using a specific date column
+ * Work out whether a date column is day-first or month-first. Values with a
+ * first part above 12 must be DD/MM and values with a second part above 12
+ * must be MM/DD; anything else (e.g. 03/04/2024) is ambiguous.
+ * @param {Array} jsonData - Excel data with the header row first
+ * @param {number} dateColumnIndex - Index of the date column
+ * @returns {Object} { suggestedFormat, dayFirstCount, monthFirstCount, ambiguousCount, ambiguousExamples, isMixed }
+ */
+export const analyzeDateFormat = (jsonData, dateColumnIndex) => {
+  let dayFirstCount = 0;
+  let monthFirstCount = 0;
+  let ambiguousCount = 0;
+  const ambiguousExamples = [];
+  
+  for (let i = 1; i < jsonData.length; i++) {
+    const row = jsonData[i];
+    if (!row || typeof row[dateColumnIndex] !== 'string') continue;
+    
+    const match = row[dateColumnIndex].trim().match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4}|\d{2})\b/);
+    if (!match) continue;
+    
+    const first = parseInt(match[1]);
+    const second = parseInt(match[2]);
+    
+    if (first > 12 && second <= 12) {
+      dayFirstCount++;
+    } else if (second > 12 && first <= 12) {
+      monthFirstCount++;
+    } else if (first !== second && first <= 12 && second <= 12) {
+      ambiguousCount++;
+      if (ambiguousExamples.length < MAX_EXAMPLE_VALUES) {
+        ambiguousExamples.push({ rowNumber: i, value: row[dateColumnIndex] });
+      }
+    }
+  }
+  
+  // Without evidence either way we keep the European default
+  const suggestedFormat = monthFirstCount > dayFirstCount ? 'MM/DD/YYYY' : DEFAULT_DATE_FORMAT;
+  
+  return {
+    suggestedFormat,
+    dayFirstCount,
+    monthFirstCount,
+    ambiguousCount,
+    ambiguousExamples,
+    isMixed: dayFirstCount > 0 && monthFirstCount > 0
+  };
+};
+
+/**
+ * Measure how many filled cells of a date column can be read as dates
+ * @param {Array} jsonData - Excel data with the header row first
+ * @param {number} dateColumnIndex - Index of the date column
+ * @param {string|Object} dateSettings - Date format or date settings (default: DD/MM/YYYY Gregorian)
+ * @returns {Object} { filledCount, parsedCount, hijriCount, successRate, unparsedExamples: [{ rowNumber, value }] }
+ */
+export const measureDateParsing = (jsonData, dateColumnIndex, dateSettings = DEFAULT_DATE_SETTINGS) => {
+  const { dateFormat, calendar } = toDateSettings(dateSettings);
+  let filledCount = 0;
+  let parsedCount = 0;
+  let hijriCount = 0;
+  const unparsedExamples = [];
+  
+  for (let i = 1; i < jsonData.length; i++) {
+    const row = jsonData[i];
+    const value = row ? row[dateColumnIndex] : null;
+    if (value === null || value === undefined || String(value).trim() === '') continue;
+    
+    filledCount++;
+    const parsed = parseDateValue(value, dateFormat, calendar, true);
+    if (parsed) {
+      parsedCount++;
+      if (parsed.hijri) hijriCount++;
+    } else if (unparsedExamples.length < MAX_EXAMPLE_VALUES) {
+      unparsedExamples.push({ rowNumber: i, value });
+    }
+  }
+  
+  return {
+    filledCount,
+    parsedCount,
+    hijriCount,
+    successRate: filledCount > 0 ? parsedCount / filledCount : 0,
+    unparsedExamples
+  };
+};
+
+/**
+ * Get the chosen date settings of a date column
+ * @param {Array} allDateColumns - Date columns from detectDateColumnsAndMonths
+ * @param {number} dateColumnIndex - Index of the date column
+ * @returns {Object} { dateFormat, calendar, monthCalendar, granularity }
+ */
+export const getColumnDateSettings = (allDateColumns, dateColumnIndex) => {
+  const column = (allDateColumns || []).find(col => col.index === dateColumnIndex);
+  if (!column) return { ...DEFAULT_DATE_SETTINGS };
+  
+  return toDateSettings({
+    dateFormat: column.dateFormat,
+    calendar: column.calendar,
+    monthCalendar: column.monthCalendar,
+    granularity: column.granularity
+  });
+};
+
+/**
+ * Add one row to the count of its period
+ * @param {Map} periodCounts - Key: period key, Value: { period, count } (updated in place)
+ * @param {Object} period - Period from getPeriodFromDate
+ */
+const countPeriod = (periodCounts, period) => {
+  const entry = periodCounts.get(period.key);
+  if (entry) {
+    entry.count++;
+  } else {
+    periodCounts.set(period.key, { period, count: 1 });
+  }
+};
+
+/**
+ * Count entries by month-year combinations (or the period size in the date settings) using a specific date column
  * @param {Array} jsonData - Excel data
  * @param {number} dateColumnIndex - Index of the date column to use
+ * @param {string|Object} dateSettings - Date format or date settings (default: DD/MM/YYYY Gregorian months)
  * @returns {Array|null} Month-year counts or null
  */
-export const countEntriesByMonthWithColumn = (jsonData, dateColumnIndex) => {
+export const countEntriesByMonthWithColumn = (jsonData, dateColumnIndex, dateSettings = DEFAULT_DATE_SETTINGS) => {
+  const settings = toDateSettings(dateSettings);
+  
   if (!jsonData || jsonData.length < 2 || dateColumnIndex === -1) {
     console.log("Insufficient data for month counting or invalid date column");
     return null;
@@ -339,18 +467,14 @@ export const countEntriesByMonthWithColumn = (jsonData, dateColumnIndex) => {
   const headerRow = jsonData[0];
   
   console.log('=== MONTH-YEAR COUNTING WITH SPECIFIC COLUMN ===');
-  console.log(`Using date column: Index ${dateColumnIndex} - "${headerRow[dateColumnIndex]}"`);
+  console.log(`Using date column: Index ${dateColumnIndex} - "${headerRow[dateColumnIndex]}" (${settings.dateFormat}, ${settings.calendar}, grouped by ${settings.granularity === 'month' ? `${settings.monthCalendar} months` : settings.granularity})`);
   
   // Initialize month-year tracking
-  const monthYearCounts = new Map(); // Key: "YYYY-MM", Value: count
-  const monthNames = {
-    '01': 'January', '02': 'February', '03': 'March', '04': 'April',
-    '05': 'May', '06': 'June', '07': 'July', '08': 'August',
-    '09': 'September', '10': 'October', '11': 'November', '12': 'December'
-  };
+  const monthYearCounts = new Map(); // Key: "YYYY-MM" (or "YYYY-W15", "YYYY-Q2", ...), Value: { period, count }
   
   let totalProcessed = 0;
   let validDateCount = 0;
+  const undatedCounts = { blank: 0, invalid: 0 };
   const failedParses = [];
   
   // Count each row using the specified date column
@@ -361,13 +485,14 @@ export const countEntriesByMonthWithColumn = (jsonData, dateColumnIndex) => {
     totalProcessed++;
     const dateValue = row[dateColumnIndex];
     
-    const dateResult = getMonthAndYearFromDate(dateValue);
+    const period = getPeriodFromDate(dateValue, settings);
     
-    if (dateResult && dateResult.month && dateResult.year) {
-      const monthYearKey = `${dateResult.year}-${dateResult.month}`;
-      monthYearCounts.set(monthYearKey, (monthYearCounts.get(monthYearKey) || 0) + 1);
+    if (period) {
+      countPeriod(monthYearCounts, period);
       validDateCount++;
     } else {
+      undatedCounts[isBlankDateValue(dateValue) ? 'blank' : 'invalid']++;
+      
       // Store failed parses for debugging
       if (failedParses.length < 10) {
         failedParses.push({
@@ -397,27 +522,26 @@ export const countEntriesByMonthWithColumn = (jsonData, dateColumnIndex) => {
     totalProcessed++;
     const dateValue = row[dateColumnIndex];
     
-    const dateResult = getMonthAndYearFromDate(dateValue);
+    const period = getPeriodFromDate(dateValue, settings);
     
-    if (dateResult && dateResult.month && dateResult.year) {
-      const monthYearKey = `${dateResult.year}-${dateResult.month}`;
-      monthYearCounts.set(monthYearKey, (monthYearCounts.get(monthYearKey) || 0) + 1);
+    if (period) {
+      countPeriod(monthYearCounts, period);
       validDateCount++;
+    } else {
+      undatedCounts[isBlankDateValue(dateValue) ? 'blank' : 'invalid']++;
     }
   }
   
-  console.log(`Processed ${totalProcessed} rows, found ${validDateCount} with valid dates`);
+  console.log(`Processed ${totalProcessed} rows, found ${validDateCount} with valid dates (${undatedCounts.blank} blank, ${undatedCounts.invalid} invalid)`);
   
   // Convert to results format with month-year display names
-  const results = Array.from(monthYearCounts.entries())
-    .map(([monthYearKey, count]) => {
-      const [year, month] = monthYearKey.split('-');
-      const monthName = monthNames[month];
+  const results = Array.from(monthYearCounts.values())
+    .map(({ period, count }) => {
       return {
-        month: `${monthName} ${year}`, // Display name: "January 2024"
-        code: month, // Keep original month code for compatibility
-        yearCode: year, // Add year code
-        monthYearKey: monthYearKey, // Add combined key for filtering
+        month: period.name, // Display name: "January 2024", "2024-Q2", "FY25 P03"
+        code: period.code, // Keep original month code for compatibility
+        yearCode: period.yearCode, // Add year code
+        monthYearKey: period.key, // Add combined key for filtering
         count: count
       };
     })
@@ -428,12 +552,89 @@ export const countEntriesByMonthWithColumn = (jsonData, dateColumnIndex) => {
       return a.code.localeCompare(b.code);
     });
   
+  // Rows without a usable date get their own entries after the periods
+  UNDATED_BUCKETS.forEach(bucket => {
+    if (undatedCounts[bucket.undated] > 0) {
+      results.push({ ...bucket, code: '', yearCode: '', count: undatedCounts[bucket.undated] });
+    }
+  });
+  
   console.log("Month-Year counts:", results);
   console.log('=== END MONTH-YEAR COUNTING WITH SPECIFIC COLUMN ===');
   
   return results.length > 0 ? results : null;
 };
 
+/**
+ * Detect date columns below a header row and count entries by month with the best one
+ * @param {Array} jsonData - Raw sheet data as array of arrays
+ * @param {number} headerRowIndex - Index of the header row
+ * @returns {Object} Date column and month count metadata
+ */
+export const detectDateColumnsAndMonths = (jsonData, headerRowIndex) => {
+  const headerRow = jsonData[headerRowIndex];
+  
+  // Create adjusted data with the correct header row
+  const adjustedJsonData = [
+    headerRow,
+    ...jsonData.slice(headerRowIndex + 1)
+  ];
+  
+  console.log('Adjusted data length:', adjustedJsonData.length);
+  
+  // Enhanced date column detection - find ALL date columns
+  const sampleRows = adjustedJsonData.slice(1, Math.min(6, adjustedJsonData.length));
+  const allDateColumns = findAllDateColumns(headerRow, sampleRows).map(column => {
+    // Each column gets its own DD/MM vs MM/DD suggestion from its full set of values
+    const formatAnalysis = analyzeDateFormat(adjustedJsonData, column.index);
+    const dateFormat = formatAnalysis.suggestedFormat;
+    
+    // Columns where most dates are Hijri are read as Hijri, so two-digit years become 14xx
+    const gregorianStats = measureDateParsing(adjustedJsonData, column.index, { dateFormat });
+    const calendar = gregorianStats.hijriCount > gregorianStats.parsedCount / 2 ? 'hijri' : 'gregorian';
+    const parseStats = calendar === 'hijri'
+      ? measureDateParsing(adjustedJsonData, column.index, { dateFormat, calendar })
+      : gregorianStats;
+    
+    return { 
+      ...column, 
+      formatAnalysis, 
+      dateFormat, 
+      calendar, 
+      monthCalendar: 'gregorian', 
+      granularity: DEFAULT_PERIOD_GRANULARITY, 
+      parseStats 
+    };
+  });
+  
+  console.log('=== ALL DATE COLUMNS FOUND ===');
+  console.log('Total date columns found:', allDateColumns.length);
+  allDateColumns.forEach((col, index) => {
+    console.log(`${index + 1}. ${col.header} (Index: ${col.index}, Confidence: ${col.confidence.toFixed(3)}, Format: ${col.dateFormat} ${col.calendar}, Parsed: ${col.parseStats.parsedCount}/${col.parseStats.filledCount})`);
+  });
+  
+  // Use the best date column for initial month counting (backward compatibility)
+  const primaryDateColumnIndex = allDateColumns.length > 0 ? allDateColumns[0].index : -1;
+  
+  // Count entries by month using the primary date column
+  let monthData = null;
+  if (primaryDateColumnIndex !== -1) {
+    monthData = countEntriesByMonthWithColumn(
+      adjustedJsonData, 
+      primaryDateColumnIndex, 
+      getColumnDateSettings(allDateColumns, primaryDateColumnIndex)
+    );
+    console.log('Primary date column month data:', monthData);
+  }
+  
+  return {
+    monthCounts: monthData,
+    dateColumnIndex: primaryDateColumnIndex, // Keep for backward compatibility
+    allDateColumns: allDateColumns, // All detected date columns
+    selectedDateColumnIndex: primaryDateColumnIndex // Currently selected date column
+  };
+};
+
 /**
  * Original count function - uses the best date column automatically
  * @param {Array} jsonData - Excel data
@@ -459,31 +660,78 @@ export const countEntriesByMonth = (jsonData) => {
   return countEntriesByMonthWithColumn(jsonData, dateColIndex);
 };
 
+/**
+ * Get the months whose rows are removed
+ * @param {Array} selectedMonths - Months picked in the month list
+ * @param {Array} monthCounts - Month count data
+ * @param {string} monthMode - 'remove' the picked months or 'keep' only them
+ * @returns {Array} Display names of the months to remove
+ */
+export const getMonthsToRemove = (selectedMonths, monthCounts, monthMode = DEFAULT_MONTH_MODE) => {
+  if (monthMode !== 'keep' || selectedMonths.length === 0) return selectedMonths;
+  return (monthCounts || [])
+    .filter(m => !m.undated)
+    .map(m => m.month)
+    .filter(month => !selectedMonths.includes(month));
+};
+
+/**
+ * Keep only rows whose date is blank or can't be read (for the separate undated sheet)
+ * @param {Array} adjustedJsonData - Data to filter (header row first)
+ * @param {number} dateColumnIndex - Date column index
+ * @param {string|Object} dateSettings - Date format or date settings
+ * @returns {Array} Header row and the undated rows
+ */
+export const filterUndatedRows = (adjustedJsonData, dateColumnIndex, dateSettings = DEFAULT_DATE_SETTINGS) => {
+  if (!adjustedJsonData || adjustedJsonData.length === 0 || dateColumnIndex === -1) {
+    return adjustedJsonData ? adjustedJsonData.slice(0, 1) : adjustedJsonData;
+  }
+  
+  return [
+    adjustedJsonData[0],
+    ...adjustedJsonData.slice(1).filter(row => row && !getPeriodFromDate(row[dateColumnIndex], dateSettings))
+  ];
+};
+
 /**
  * Filter rows by month-year combinations using a specific date column
  * @param {Array} adjustedJsonData - Data to filter
- * @param {Array} selectedMonths - Month-year combinations to remove (display names like "January 2024")
+ * @param {Array} selectedMonths - Month-year combinations picked (display names like "January 2024")
  * @param {Array} monthCounts - Month count data with monthYearKey
  * @param {number} dateColumnIndex - Date column index to use for filtering
+ * @param {string|Object} dateSettings - Date format or date settings (default: DD/MM/YYYY Gregorian)
+ * @param {string} monthMode - 'remove' the picked months or 'keep' only them (default: remove)
+ * @param {string} undatedPolicy - 'keep' rows with a blank or unreadable date, or 'remove' them
+ *   ('separate' removes them too; filterUndatedRows collects them for their own sheet)
  * @returns {Array} Filtered data
  */
-export const filterRowsByMonths = (adjustedJsonData, selectedMonths, monthCounts, dateColumnIndex) => {
+export const filterRowsByMonths = (
+  adjustedJsonData, 
+  selectedMonths, 
+  monthCounts, 
+  dateColumnIndex, 
+  dateSettings = DEFAULT_DATE_SETTINGS, 
+  monthMode = DEFAULT_MONTH_MODE, 
+  undatedPolicy = DEFAULT_UNDATED_ROW_POLICY
+) => {
   if (!adjustedJsonData || adjustedJsonData.length === 0) {
     return adjustedJsonData;
   }
   
   console.log('=== MONTH-YEAR FILTERING WITH SPECIFIC COLUMN ===');
-  console.log('Selected month-years to exclude:', selectedMonths);
+  console.log('Selected month-years:', selectedMonths, `(${monthMode})`);
+  console.log('Rows without a valid date:', undatedPolicy);
   console.log('Date column index:', dateColumnIndex);
   console.log('Input rows:', adjustedJsonData.length - 1);
   
-  if (selectedMonths.length === 0 || dateColumnIndex === -1) {
+  if ((selectedMonths.length === 0 && undatedPolicy === 'keep') || dateColumnIndex === -1) {
     console.log('No filtering needed');
     return adjustedJsonData;
   }
   
   // Get month-year keys to remove from the monthCounts data
-  const monthYearKeysToRemove = selectedMonths.map(monthDisplay => {
+  const monthsToRemove = getMonthsToRemove(selectedMonths, monthCounts, monthMode);
+  const monthYearKeysToRemove = monthsToRemove.map(monthDisplay => {
     const foundMonth = monthCounts.find(m => m.month === monthDisplay);
     return foundMonth ? foundMonth.monthYearKey : null;
   }).filter(key => key !== null);
@@ -494,8 +742,9 @@ export const filterRowsByMonths = (adjustedJsonData, selectedMonths, monthCounts
   
   let removedCount = 0;
   let keptCount = 0;
+  let undatedCount = 0;
   const removedByMonthYear = {};
-  selectedMonths.forEach(month => {
+  monthsToRemove.forEach(month => {
     removedByMonthYear[month] = 0;
   });
   
@@ -504,24 +753,22 @@ export const filterRowsByMonths = (adjustedJsonData, selectedMonths, monthCounts
     if (!row) continue;
     
     const dateValue = row[dateColumnIndex];
-    const trimmedDateValue = dateValue ? String(dateValue).trim() : '';
-
-    // REMOVE rows with blank date
-    if (trimmedDateValue === '') {
-      removedCount++;
-      continue;
-    }
-    
-    const dateResult = getMonthAndYearFromDate(dateValue);
+    const period = isBlankDateValue(dateValue) ? null : getPeriodFromDate(dateValue, dateSettings);
     
-    // REMOVE rows with invalid/unparseable dates
-    if (!dateResult || !dateResult.month || !dateResult.year) {
-      removedCount++;
+    // Rows with a blank or unparseable date follow the undated row policy
+    if (!period) {
+      undatedCount++;
+      if (undatedPolicy === 'keep') {
+        filteredData.push(row);
+        keptCount++;
+      } else {
+        removedCount++;
+      }
       continue;
     }
     
-    // Create month-year key for this row
-    const rowMonthYearKey = `${dateResult.year}-${dateResult.month}`;
+    // Month-year (or other period) key for this row
+    const rowMonthYearKey = period.key;
     
     // REMOVE rows whose month-year should be excluded
     if (monthYearKeysToRemove.includes(rowMonthYearKey)) {
@@ -543,6 +790,7 @@ export const filterRowsByMonths = (adjustedJsonData, selectedMonths, monthCounts
   console.log('Results:');
   console.log('- Rows removed:', removedCount);
   console.log('- Rows kept:', keptCount);
+  console.log(`- Rows without a valid date: ${undatedCount} (${undatedPolicy === 'keep' ? 'kept' : 'removed'})`);
   console.log('- Output rows:', filteredData.length - 1);
   
   console.log('Verification:');
@@ -563,16 +811,131 @@ export const filterRowsByMonths = (adjustedJsonData, selectedMonths, monthCounts
 };
 
 /**
- * Calculate rows to be removed
+ * Turn a date into a comparable YYYYMMDD number
+ * @param {Object} date - { year, month, day } (a missing day counts as the 1st)
+ * @returns {number} Day number
+ */
+const toDayNumber = ({ year, month, day }) => year * 10000 + month * 100 + (day || 1);
+
+/**
+ * Read a range bound from a date input value
+ * @param {string} value - "YYYY-MM-DD" or empty
+ * @returns {number|null} Day number or null for an open bound
+ */
+const parseRangeBound = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? toDayNumber({ year: +match[1], month: +match[2], day: +match[3] }) : null;
+};
+
+/**
+ * Check whether a date range filter has a column and at least one bound
+ * @param {Object} range - { columnIndex, from, to }
+ * @returns {boolean} True if the range filters anything
+ */
+export const isDateRangeActive = (range) => Boolean(
+  range && range.columnIndex !== undefined && range.columnIndex !== -1 &&
+  (parseRangeBound(range.from) !== null || parseRangeBound(range.to) !== null)
+);
+
+/**
+ * Keep only rows whose dates fall inside every active date range. Rows with a
+ * blank or unreadable date in a range's column are removed.
+ * @param {Array} adjustedJsonData - Data to filter (header row first)
+ * @param {Array} dateRanges - Array of { columnIndex, from, to, fromInclusive, toInclusive, dateSettings },
+ *   with from/to as "YYYY-MM-DD" (either may be empty for an open range)
+ * @returns {Array} Filtered data
+ */
+export const filterRowsByDateRanges = (adjustedJsonData, dateRanges) => {
+  const activeRanges = (dateRanges || []).filter(isDateRangeActive);
+  if (!adjustedJsonData || adjustedJsonData.length === 0 || activeRanges.length === 0) {
+    return adjustedJsonData;
+  }
+  
+  console.log('=== DATE RANGE FILTERING ===');
+  
+  const ranges = activeRanges.map(range => {
+    const { dateFormat, calendar } = toDateSettings(range.dateSettings);
+    const from = parseRangeBound(range.from);
+    const to = parseRangeBound(range.to);
+    console.log(`Column ${range.columnIndex} (${adjustedJsonData[0][range.columnIndex]}): ` +
+      `${range.fromInclusive === false ? '(' : '['}${range.from || '...'} to ${range.to || '...'}${range.toInclusive === false ? ')' : ']'}`);
+    
+    return {
+      columnIndex: range.columnIndex,
+      dateFormat,
+      calendar,
+      isInside: (dayNumber) => (
+        (from === null || (range.fromInclusive === false ? dayNumber > from : dayNumber >= from)) &&
+        (to === null || (range.toInclusive === false ? dayNumber < to : dayNumber <= to))
+      )
+    };
+  });
+  
+  const filteredData = [adjustedJsonData[0]]; // Keep header
+  let removedCount = 0;
+  
+  for (let i = 1; i < adjustedJsonData.length; i++) {
+    const row = adjustedJsonData[i];
+    if (!row) continue;
+    
+    const keep = ranges.every(range => {
+      const parsed = parseDateValue(row[range.columnIndex], range.dateFormat, range.calendar, true);
+      return parsed !== null && range.isInside(toDayNumber(parsed));
+    });
+    
+    if (keep) {
+      filteredData.push(row);
+    } else {
+      removedCount++;
+    }
+  }
+  
+  console.log('- Rows removed:', removedCount);
+  console.log('- Rows kept:', filteredData.length - 1);
+  console.log('=== END DATE RANGE FILTERING ===');
+  
+  return filteredData;
+};
+
+/**
+ * Calculate rows to be removed. Month counts give the total for whole-month
+ * exclusion; with date ranges or row rules the rows themselves are checked.
  * @param {Array} selectedMonths - Selected months
  * @param {Array} monthCounts - Month counts
- * @returns {number} Total rows to remove
+ * @param {Object} rowFilter - Optional { jsonData, dateColumnIndex, dateSettings, dateRanges, rowRules } with the header row first
+ * @param {string} monthMode - 'remove' the selected months or 'keep' only them (default: remove)
+ * @param {string} undatedPolicy - 'keep', 'remove' or 'separate' rows without a valid date (default: keep)
+ * @returns {number} Total rows to remove (rows moved to the undated sheet count as removed)
  */
-export const calculateRowsRemoved = (selectedMonths, monthCounts) => {
-  if (!selectedMonths.length || !monthCounts) return 0;
+export const calculateRowsRemoved = (
+  selectedMonths, 
+  monthCounts, 
+  rowFilter = null, 
+  monthMode = DEFAULT_MONTH_MODE, 
+  undatedPolicy = DEFAULT_UNDATED_ROW_POLICY
+) => {
+  if (rowFilter && rowFilter.jsonData && 
+      ((rowFilter.dateRanges || []).some(isDateRangeActive) || isRuleSetActive(rowFilter.rowRules))) {
+    const { jsonData, dateColumnIndex, dateSettings, dateRanges, rowRules } = rowFilter;
+    
+    let keptData = jsonData;
+    if (monthCounts && dateColumnIndex !== -1) {
+      keptData = filterRowsByMonths(keptData, selectedMonths, monthCounts, dateColumnIndex, dateSettings, monthMode, undatedPolicy);
+    }
+    keptData = filterRowsByDateRanges(keptData, dateRanges);
+    keptData = filterRowsByRules(keptData, rowRules);
+    
+    return jsonData.length - keptData.length;
+  }
+  
+  if (!monthCounts) return 0;
+  
+  const undatedRemoved = undatedPolicy === 'keep'
+    ? 0
+    : monthCounts.filter(m => m.undated).reduce((total, m) => total + m.count, 0);
   
-  return selectedMonths.reduce((total, month) => {
+  return getMonthsToRemove(selectedMonths, monthCounts, monthMode).reduce((total, month) => {
     const monthData = monthCounts.find(m => m.month === month);
     return total + (monthData ? monthData.count : 0);
-  }, 0);
+  }, undatedRemoved);
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+import {
+  countEntriesByMonthWithColumn,
+  filterRowsByMonths,
+  calculateRowsRemoved,
+  getMonthsToRemove,
+  analyzeDateFormat,
+  filterRowsByDateRanges
+} from './dateUtilities.js';
+import { processExcelData } from './dataProcessing.js';
+
+const data = [
+  ['Claim ID', 'Service Date'],
+  ['C1', '15/01/2024'],
+  ['C2', '20/01/2024'],
+  ['C3', '03/02/2024'],
+  ['C4', '10/03/2024'],
+  ['C5', ''],
+  ['C6', 'pending']
+];
+
+const claimIds = (rows) => rows.slice(1).map(row => row[0]);
+
+describe('month selection', () => {
+  let monthCounts;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    monthCounts = countEntriesByMonthWithColumn(data, 1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keep mode removes every other month but not the undated buckets', () => {
+    expect(getMonthsToRemove(['January 2024'], monthCounts, 'keep')).toEqual(['February 2024', 'March 2024']);
+    expect(getMonthsToRemove(['January 2024'], monthCounts, 'remove')).toEqual(['January 2024']);
+  });
+
+  test('keep mode keeps only the selected months', () => {
+    expect(claimIds(filterRowsByMonths(data, ['January 2024', 'March 2024'], monthCounts, 1, undefined, 'keep')))
+      .toEqual(['C1', 'C2', 'C4', 'C5', 'C6']);
+    expect(claimIds(filterRowsByMonths(data, ['January 2024'], monthCounts, 1, undefined, 'keep', 'remove')))
+      .toEqual(['C1', 'C2']);
+  });
+
+  test('remove mode drops the selected months', () => {
+    expect(claimIds(filterRowsByMonths(data, ['January 2024'], monthCounts, 1))).toEqual(['C3', 'C4', 'C5', 'C6']);
+  });
+
+  test('counts the rows each mode removes', () => {
+    expect(calculateRowsRemoved(['January 2024'], monthCounts, null, 'keep')).toBe(2);
+    expect(calculateRowsRemoved(['January 2024'], monthCounts, null, 'remove')).toBe(2);
+    expect(calculateRowsRemoved(['February 2024'], monthCounts, null, 'keep', 'remove')).toBe(5);
+  });
+});
+
+describe('analyzeDateFormat', () => {
+  test('counts the values only one order can read', () => {
+    const result = analyzeDateFormat([['Service Date'], ['25/01/2024'], ['01/25/2024'], ['02/28/2024'], ['03/04/2024'], ['05/05/2024']], 0);
+
+    expect(result).toEqual({
+      suggestedFormat: 'MM/DD/YYYY',
+      dayFirstCount: 1,
+      monthFirstCount: 2,
+      ambiguousCount: 1,
+      ambiguousExamples: [{ rowNumber: 4, value: '03/04/2024' }],
+      isMixed: true
+    });
+  });
+
+  test('keeps day-first without evidence either way', () => {
+    expect(analyzeDateFormat([['Service Date'], ['03/04/2024'], [45000], ['']], 0).suggestedFormat).toBe('DD/MM/YYYY');
+  });
+});
+
+describe('date ranges', () => {
+  const ranged = [
+    ['Claim ID', 'Service Date', 'Submission Date'],
+    ['C1', '01/01/2024', '05/01/2024'],
+    ['C2', '31/01/2024', '02/02/2024'],
+    ['C3', '01/02/2024', '10/02/2024'],
+    ['C4', '', '15/01/2024'],
+    ['C5', 'pending', '20/03/2024']
+  ];
+  const january = { columnIndex: 1, from: '2024-01-01', to: '2024-01-31' };
+
+  const processWithRanges = (dateRanges, undatedPolicy) => processExcelData(
+    ranged, 0, [], [], [], 1, [], null, null, [],
+    { dateRanges, undatedPolicy, collectUndatedRows: undatedPolicy === 'separate' }
+  );
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('include both bounds by default', () => {
+    expect(claimIds(filterRowsByDateRanges(ranged, [january]))).toEqual(['C1', 'C2']);
+  });
+
+  test('exclude a bound marked exclusive', () => {
+    expect(claimIds(filterRowsByDateRanges(ranged, [{ ...january, fromInclusive: false }]))).toEqual(['C2']);
+    expect(claimIds(filterRowsByDateRanges(ranged, [{ ...january, toInclusive: false }]))).toEqual(['C1']);
+  });
+
+  test('leave the other end open when one bound is empty', () => {
+    expect(claimIds(filterRowsByDateRanges(ranged, [{ columnIndex: 1, from: '2024-01-31', to: '' }]))).toEqual(['C2', 'C3']);
+  });
+
+  test('remove rows without a date in the range column when undated rows are kept', () => {
+    expect(claimIds(processWithRanges([january], 'keep'))).toEqual(['C1', 'C2']);
+  });
+
+  test('send rows without a date to their own sheet, not rows outside the range', () => {
+    const { data, undatedData } = processWithRanges([january], 'separate');
+
+    expect(claimIds(data)).toEqual(['C1', 'C2']);
+    expect(claimIds(undatedData)).toEqual(['C4', 'C5']);
+  });
+
+  test('check rows without a date against a range on another column', () => {
+    const submittedInJanuary = { columnIndex: 2, from: '2024-01-01', to: '2024-01-31' };
+    const { data, undatedData } = processWithRanges([january, submittedInJanuary], 'separate');
+
+    expect(claimIds(data)).toEqual(['C1']);
+    expect(claimIds(undatedData)).toEqual(['C4']);
+  });
+});
@@ -0,0 +1,158 @@
+// derivedColumns.js - Columns computed from two date columns: days between them and aging buckets
+//
+// A derived column is added like any custom column (its name goes into the
+// added columns list, so it can be reordered and removed) and is filled from
+// its definition while the new columns are added:
+// { name, type, startHeader, endHeader, dayCount, startDateSettings, endDateSettings }
+// Columns are found by header name, so one definition works on every sheet
+// that has those headers. An empty endHeader means "today".
+// Custom columns with an expression are derived columns too:
+// { name, type: 'expression', expression } (see columnExpressions.js), and so
+// are codes translated into a new column: { name, type: 'lookup', header,
+// entries, fallback, fallbackText } (see valueMappings.js).
+
+import { parseDateValue } from './dateParsing.js';
+import { createExpressionEvaluator } from './columnExpressions.js';
+import { createValueMapper } from './valueMappings.js';
+
+export const DERIVED_COLUMN_TYPES = [
+  { value: 'duration', label: 'Days between dates' },
+  { value: 'aging', label: 'Aging bucket' }
+];
+
+export const DAY_COUNTS = [
+  { value: 'calendar', label: 'Calendar days' },
+  { value: 'business', label: 'Business days (Mon-Fri)' }
+];
+
+// Aging buckets by number of days, the last one open-ended
+export const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn a calendar date into a day count since 1970-01-01
+ * @param {Object} date - { year, month, day }
+ * @returns {number} Days since the Unix epoch
+ */
+const toEpochDay = ({ year, month, day }) => Date.UTC(year, month - 1, day) / MILLISECONDS_PER_DAY;
+
+/**
+ * Count Monday-Friday days after the start day up to and including the end day
+ * @param {number} startDay - Start as days since the Unix epoch
+ * @param {number} endDay - End as days since the Unix epoch
+ * @returns {number} Business days (negative when the end is before the start)
+ */
+const countBusinessDays = (startDay, endDay) => {
+  if (endDay < startDay) return -countBusinessDays(endDay, startDay);
+
+  const fullWeeks = Math.floor((endDay - startDay) / 7);
+  let count = fullWeeks * 5;
+
+  for (let day = startDay + fullWeeks * 7 + 1; day <= endDay; day++) {
+    // 1970-01-01 was a Thursday; 0 is Sunday and 6 is Saturday
+    const weekday = (((day + 4) % 7) + 7) % 7;
+    if (weekday !== 0 && weekday !== 6) count++;
+  }
+
+  return count;
+};
+
+/**
+ * Today's date in the user's time zone
+ * @returns {Object} { year, month, day }
+ */
+const getToday = () => {
+  const now = new Date();
+  return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+};
+
+/**
+ * Count the days between two dates
+ * @param {Object} start - { year, month, day }
+ * @param {Object} end - { year, month, day }
+ * @param {string} dayCount - 'calendar' or 'business'
+ * @returns {number} Days from start to end
+ */
+export const getDaysBetween = (start, end, dayCount = 'calendar') => {
+  const startDay = toEpochDay(start);
+  const endDay = toEpochDay(end);
+  return dayCount === 'business' ? countBusinessDays(startDay, endDay) : endDay - startDay;
+};
+
+/**
+ * Get the aging bucket for a number of days
+ * @param {number} days - Days outstanding
+ * @returns {string} Bucket label, or '' for negative days
+ */
+export const getAgingBucket = (days) => {
+  if (days < 0) return '';
+  return AGING_BUCKETS.find(bucket => days <= bucket.maxDays).label;
+};
+
+/**
+ * Suggest a name for a derived column
+ * @param {string} type - duration or aging
+ * @param {string} startHeader - Start date column
+ * @param {string} endHeader - End date column ('' for today)
+ * @returns {string} Column name, e.g. "Days from Service Date to Submission Date"
+ */
+export const getDefaultDerivedColumnName = (type, startHeader, endHeader) => {
+  const end = endHeader || 'Today';
+  return type === 'aging'
+    ? `Aging ${startHeader} to ${end}`
+    : `Days from ${startHeader} to ${end}`;
+};
+
+/**
+ * Build the function that fills a derived column for one row
+ * @param {Object} definition - Derived column definition
+ * @param {Array} headerRow - Header row of the data being processed
+ * @returns {Function} (row) => cell value (number of days, bucket label, expression result, looked up value or '')
+ */
+export const createDerivedColumnGetter = (definition, headerRow) => {
+  if (definition.type === 'expression') {
+    return createExpressionEvaluator(definition.expression, headerRow);
+  }
+
+  if (definition.type === 'lookup') {
+    const codeIndex = headerRow.indexOf(definition.header);
+    if (codeIndex === -1) {
+      console.log(`Lookup column "${definition.name}": source column not found in this sheet`);
+      return () => '';
+    }
+
+    const mapValue = createValueMapper(definition);
+    return (row) => mapValue(row[codeIndex]).value;
+  }
+
+  const startIndex = headerRow.indexOf(definition.startHeader);
+  const endIndex = definition.endHeader ? headerRow.indexOf(definition.endHeader) : null;
+
+  if (startIndex === -1 || endIndex === -1) {
+    console.log(`Derived column "${definition.name}": source column not found in this sheet`);
+    return () => '';
+  }
+
+  const today = getToday();
+
+  // Dates without a day (e.g. "Jan 2024") are too coarse to count days from
+  const readDate = (value, dateSettings = {}) => {
+    const parsed = parseDateValue(value, dateSettings.dateFormat, dateSettings.calendar, true);
+    return parsed && parsed.day ? parsed : null;
+  };
+
+  return (row) => {
+    const start = readDate(row[startIndex], definition.startDateSettings);
+    const end = endIndex === null ? today : readDate(row[endIndex], definition.endDateSettings);
+    if (!start || !end) return '';
+
+    const days = getDaysBetween(start, end, definition.dayCount);
+    return definition.type === 'aging' ? getAgingBucket(days) : days;
+  };
+};
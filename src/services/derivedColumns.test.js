@@ -0,0 +1,95 @@
+import { getDaysBetween, getAgingBucket, createDerivedColumnGetter } from './derivedColumns.js';
+
+const date = (year, month, day) => ({ year, month, day });
+
+describe('getDaysBetween', () => {
+  test('counts calendar days, negative when the end is before the start', () => {
+    expect(getDaysBetween(date(2024, 1, 30), date(2024, 3, 1))).toBe(31);
+    expect(getDaysBetween(date(2024, 3, 1), date(2024, 1, 30))).toBe(-31);
+  });
+
+  test('counts business days across weekends', () => {
+    // Friday to Monday, Friday to Friday two weeks later, Thursday to the second Monday after
+    expect(getDaysBetween(date(2024, 1, 5), date(2024, 1, 8), 'business')).toBe(1);
+    expect(getDaysBetween(date(2024, 1, 5), date(2024, 1, 19), 'business')).toBe(10);
+    expect(getDaysBetween(date(2024, 1, 4), date(2024, 1, 15), 'business')).toBe(7);
+  });
+
+  test('counts no business days within a weekend', () => {
+    expect(getDaysBetween(date(2024, 1, 6), date(2024, 1, 7), 'business')).toBe(0);
+    expect(getDaysBetween(date(2024, 1, 5), date(2024, 1, 7), 'business')).toBe(0);
+  });
+
+  test('counts business days back when the end is before the start', () => {
+    expect(getDaysBetween(date(2024, 1, 8), date(2024, 1, 5), 'business')).toBe(-1);
+    expect(getDaysBetween(date(2024, 1, 19), date(2024, 1, 5), 'business')).toBe(-10);
+  });
+});
+
+describe('getAgingBucket', () => {
+  test('puts days in their bucket and leaves negative days blank', () => {
+    expect(getAgingBucket(0)).toBe('0-30');
+    expect(getAgingBucket(31)).toBe('31-60');
+    expect(getAgingBucket(90)).toBe('61-90');
+    expect(getAgingBucket(400)).toBe('90+');
+    expect(getAgingBucket(-1)).toBe('');
+  });
+});
+
+describe('createDerivedColumnGetter', () => {
+  const headerRow = ['Claim ID', 'Service Date', 'Submission Date'];
+  const dateSettings = { dateFormat: 'DD/MM/YYYY' };
+  const duration = {
+    name: 'Days to submit',
+    type: 'duration',
+    startHeader: 'Service Date',
+    endHeader: 'Submission Date',
+    dayCount: 'business',
+    startDateSettings: dateSettings,
+    endDateSettings: dateSettings
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('counts the days between the two date columns of a row', () => {
+    const getDays = createDerivedColumnGetter(duration, headerRow);
+
+    expect(getDays(['C1', '05/01/2024', '08/01/2024'])).toBe(1);
+    expect(getDays(['C2', '08/01/2024', '05/01/2024'])).toBe(-1);
+  });
+
+  test('leaves the cell blank for blank, invalid or month-only dates', () => {
+    const getDays = createDerivedColumnGetter(duration, headerRow);
+
+    expect(getDays(['C1', '', '08/01/2024'])).toBe('');
+    expect(getDays(['C2', '05/01/2024', 'pending'])).toBe('');
+    expect(getDays(['C3', '31/02/2024', '08/03/2024'])).toBe('');
+    expect(getDays(['C4', 'Jan 2024', '08/03/2024'])).toBe('');
+  });
+
+  test('leaves the column blank on a sheet without the date columns', () => {
+    const getDays = createDerivedColumnGetter(duration, ['Claim ID', 'Service Date']);
+
+    expect(getDays(['C1', '05/01/2024'])).toBe('');
+  });
+
+  test('ages rows to today when there is no end column', () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date(2024, 2, 1));
+    const getAging = createDerivedColumnGetter(
+      { ...duration, type: 'aging', endHeader: '', dayCount: 'calendar' },
+      headerRow
+    );
+
+    expect(getAging(['C1', '15/02/2024'])).toBe('0-30');
+    expect(getAging(['C2', '15/12/2023'])).toBe('61-90');
+    expect(getAging(['C3', '15/03/2024'])).toBe('');
+  });
+});
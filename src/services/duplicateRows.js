@@ -0,0 +1,152 @@
+// duplicateRows.js - Find rows repeating the same key columns (resubmitted claims) and keep one copy of each
+//
+// Settings are { keyHeaders, keep, amountHeader, writeDuplicatesSheet }. Rows
+// are duplicates when every key column holds the same text (ignoring case and
+// surrounding spaces); rows with all key columns blank are never duplicates.
+// The kept copy stays where it was in the data, so row order is unchanged.
+
+import { parseDateValue } from './dateParsing.js';
+import { parseNumericCell } from './rowRules.js';
+
+// Which copy of a duplicated row to keep
+export const DUPLICATE_KEEP_OPTIONS = [
+  { value: 'first', label: 'First copy' },
+  { value: 'last', label: 'Last copy' },
+  { value: 'latestDate', label: 'Latest date in the selected date column' },
+  { value: 'highestAmount', label: 'Highest amount' }
+];
+
+export const DEFAULT_DEDUPLICATION = { keyHeaders: [], keep: 'first', amountHeader: '', writeDuplicatesSheet: false };
+
+export const DUPLICATES_SHEET_NAME = 'Duplicates';
+
+/**
+ * Check whether de-duplication is switched on
+ * @param {Object} deduplication - De-duplication settings
+ * @returns {boolean} True if key columns are chosen
+ */
+export const isDeduplicationActive = (deduplication) => Boolean(
+  deduplication && deduplication.keyHeaders && deduplication.keyHeaders.length > 0
+);
+
+/**
+ * Build the function that scores a row for the chosen keep option; the copy
+ * with the highest score is kept and ties go to the earlier copy
+ * @param {Object} deduplication - De-duplication settings
+ * @param {Array} headerRow - Header row of the data
+ * @param {Object} dateColumn - { index, dateSettings } of the selected date column
+ * @returns {Function} (row, position) => score
+ */
+const createRowScore = (deduplication, headerRow, dateColumn) => {
+  switch (deduplication.keep) {
+    case 'last':
+      return (row, position) => position;
+
+    case 'latestDate': {
+      if (!dateColumn || dateColumn.index === -1) return () => 0;
+      const { dateFormat, calendar } = dateColumn.dateSettings || {};
+
+      return (row) => {
+        const parsed = parseDateValue(row[dateColumn.index], dateFormat, calendar, true);
+        return parsed ? parsed.year * 10000 + parsed.month * 100 + (parsed.day || 1) : -Infinity;
+      };
+    }
+
+    case 'highestAmount': {
+      const amountIndex = headerRow.indexOf(deduplication.amountHeader);
+      if (amountIndex === -1) return () => 0;
+
+      return (row) => {
+        const amount = parseNumericCell(row[amountIndex]);
+        return amount === null ? -Infinity : amount;
+      };
+    }
+
+    default:
+      return () => 0;
+  }
+};
+
+/**
+ * Build the duplicate key of a row
+ * @param {Array} row - Data row
+ * @param {Array} keyIndexes - Indexes of the key columns
+ * @returns {string|null} Key, or null when every key column is blank
+ */
+const getRowKey = (row, keyIndexes) => {
+  const keyValues = keyIndexes.map(index => (
+    row[index] === null || row[index] === undefined ? '' : String(row[index]).trim().toLowerCase()
+  ));
+  return keyValues.every(value => value === '') ? null : JSON.stringify(keyValues);
+};
+
+/**
+ * Split data into the rows to keep and the duplicate copies removed
+ * @param {Array} adjustedJsonData - Data to check (header row first)
+ * @param {Object} deduplication - De-duplication settings
+ * @param {Object} dateColumn - { index, dateSettings } of the selected date column, for the latestDate option
+ * @returns {Object} { keptData, duplicateData, duplicateKeyCount } with the header row first in both data arrays
+ */
+export const splitDuplicateRows = (adjustedJsonData, deduplication, dateColumn = null) => {
+  if (!adjustedJsonData || adjustedJsonData.length === 0 || !isDeduplicationActive(deduplication)) {
+    return { keptData: adjustedJsonData, duplicateData: adjustedJsonData ? adjustedJsonData.slice(0, 1) : [], duplicateKeyCount: 0 };
+  }
+
+  console.log('=== DUPLICATE ROW DETECTION ===');
+  console.log('Key columns:', deduplication.keyHeaders);
+  console.log('Keep:', deduplication.keep);
+
+  const headerRow = adjustedJsonData[0];
+  const keyIndexes = deduplication.keyHeaders.map(header => headerRow.indexOf(header));
+
+  if (keyIndexes.includes(-1)) {
+    console.log('- Key column missing from this sheet, no rows checked');
+    console.log('=== END DUPLICATE ROW DETECTION ===');
+    return { keptData: adjustedJsonData, duplicateData: [headerRow], duplicateKeyCount: 0 };
+  }
+
+  const getScore = createRowScore(deduplication, headerRow, dateColumn);
+
+  // Key -> { position, score } of the copy kept so far
+  const keptCopies = new Map();
+  const keyCopyCounts = new Map();
+
+  for (let i = 1; i < adjustedJsonData.length; i++) {
+    const row = adjustedJsonData[i];
+    if (!row) continue;
+
+    const key = getRowKey(row, keyIndexes);
+    if (key === null) continue;
+
+    const score = getScore(row, i);
+    const kept = keptCopies.get(key);
+
+    if (!kept || score > kept.score) {
+      keptCopies.set(key, { position: i, score });
+    }
+    keyCopyCounts.set(key, (keyCopyCounts.get(key) || 0) + 1);
+  }
+
+  const keptPositions = new Set(Array.from(keptCopies.values()).map(copy => copy.position));
+  const keptData = [headerRow];
+  const duplicateData = [headerRow];
+
+  for (let i = 1; i < adjustedJsonData.length; i++) {
+    const row = adjustedJsonData[i];
+    if (!row) continue;
+
+    if (keptPositions.has(i) || getRowKey(row, keyIndexes) === null) {
+      keptData.push(row);
+    } else {
+      duplicateData.push(row);
+    }
+  }
+
+  const duplicateKeyCount = Array.from(keyCopyCounts.values()).filter(count => count > 1).length;
+
+  console.log('- Keys with duplicates:', duplicateKeyCount);
+  console.log('- Duplicate rows removed:', duplicateData.length - 1);
+  console.log('=== END DUPLICATE ROW DETECTION ===');
+
+  return { keptData, duplicateData, duplicateKeyCount };
+};
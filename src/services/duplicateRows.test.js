@@ -0,0 +1,66 @@
+import { splitDuplicateRows, DEFAULT_DEDUPLICATION } from './duplicateRows.js';
+
+const data = [
+  ['Claim ID', 'Service Date', 'Amount'],
+  ['C1', '15/01/2024', 100],
+  ['C2', '16/01/2024', 50],
+  [' c1', '20/01/2024', 80],
+  ['', '17/01/2024', 10],
+  ['C1', '18/01/2024', 120],
+  ['', '19/01/2024', 20]
+];
+
+const dedupe = (keep, extra = {}) => splitDuplicateRows(
+  data,
+  { ...DEFAULT_DEDUPLICATION, keyHeaders: ['Claim ID'], keep, ...extra },
+  { index: 1, dateSettings: { dateFormat: 'DD/MM/YYYY', calendar: 'gregorian' } }
+);
+
+const amountsOf = (rows) => rows.slice(1).map(row => row[2]);
+
+describe('splitDuplicateRows', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the first copy in place', () => {
+    const { keptData, duplicateData, duplicateKeyCount } = dedupe('first');
+
+    expect(amountsOf(keptData)).toEqual([100, 50, 10, 20]);
+    expect(amountsOf(duplicateData)).toEqual([80, 120]);
+    expect(duplicateKeyCount).toBe(1);
+  });
+
+  test('keeps the last copy in place', () => {
+    const { keptData, duplicateData } = dedupe('last');
+
+    expect(amountsOf(keptData)).toEqual([50, 10, 120, 20]);
+    expect(amountsOf(duplicateData)).toEqual([100, 80]);
+  });
+
+  test('keeps the copy with the latest date or highest amount', () => {
+    expect(amountsOf(dedupe('latestDate').keptData)).toEqual([50, 80, 10, 20]);
+    expect(amountsOf(dedupe('highestAmount', { amountHeader: 'Amount' }).keptData)).toEqual([50, 10, 120, 20]);
+  });
+
+  test('ranks only real amounts for the highest-amount copy', () => {
+    const rows = [['Claim ID', 'Service Date', 'Amount'], ['C1', '', 5], ['C1', '', 'ABC9'], ['C1', '', 'SAR 7']];
+    const { keptData } = splitDuplicateRows(rows, { ...DEFAULT_DEDUPLICATION, keyHeaders: ['Claim ID'], keep: 'highestAmount', amountHeader: 'Amount' });
+
+    expect(amountsOf(keptData)).toEqual(['SAR 7']);
+  });
+
+  test('never treats rows with blank keys as duplicates', () => {
+    expect(dedupe('first').keptData).toContain(data[4]);
+    expect(dedupe('first').keptData).toContain(data[6]);
+  });
+
+  test('leaves the data alone when a key column is missing or none is chosen', () => {
+    expect(splitDuplicateRows(data, { ...DEFAULT_DEDUPLICATION, keyHeaders: ['Member ID'] }).keptData).toBe(data);
+    expect(splitDuplicateRows(data, DEFAULT_DEDUPLICATION)).toEqual({ keptData: data, duplicateData: [data[0]], duplicateKeyCount: 0 });
+  });
+});
@@ -2,33 +2,35 @@
 
 import * as XLSX from 'xlsx';
 import ExcelJS from 'exceljs';
+import { isIdLikeText } from './idPreservation.js';
+import { DEFAULT_DATE_FORMAT } from './dateUtilities.js';
+import { isSerialDate, serialToDate, serialToParts, formatSerialDate } from './serialDates.js';
+import { getPeriodGranularity } from './datePeriods.js';
+import { getOriginalHeaderRow } from '../utils/columnRenames.js';
 
 /**
- * Convert Excel serial number to date string
+ * Convert Excel serial number to date string, keeping the time of day if it has one
  * @param {number} serialNumber - Excel serial number
  * @param {string} format - Date format (DD/MM/YYYY or MM/DD/YYYY)
  * @returns {string|number} Converted date string or original value
  */
 const convertSerialToDateString = (serialNumber, format = 'DD/MM/YYYY') => {
-  if (typeof serialNumber !== 'number' || serialNumber < 25000 || serialNumber > 50000) {
+  if (!isSerialDate(serialNumber, true)) {
     return serialNumber; // Return as-is if not a valid serial number
   }
   
-  try {
-    // Excel epoch is December 30, 1899
-    const excelEpoch = new Date(1899, 11, 30);
-    const millisecondsPerDay = 24 * 60 * 60 * 1000;
-    const dateObj = new Date(excelEpoch.getTime() + serialNumber * millisecondsPerDay);
-    
-    const day = String(dateObj.getDate()).padStart(2, '0');
-    const month = String(dateObj.getMonth() + 1).padStart(2, '0'); // getMonth() is 0-indexed
-    const year = dateObj.getFullYear();
-    
-    return format === 'MM/DD/YYYY' ? `${month}/${day}/${year}` : `${day}/${month}/${year}`;
-  } catch (error) {
-    console.error('Error converting serial number:', error);
-    return serialNumber;
-  }
+  return formatSerialDate(serialNumber, format);
+};
+
+/**
+ * Get the Excel number format matching a date column's format
+ * @param {string} dateFormat - DD/MM/YYYY or MM/DD/YYYY
+ * @param {boolean} withTime - Add hours and minutes
+ * @returns {string} Excel number format
+ */
+const getExcelDateFormat = (dateFormat, withTime = false) => {
+  const format = dateFormat === 'MM/DD/YYYY' ? 'mm/dd/yyyy' : 'dd/mm/yyyy';
+  return withTime ? `${format} hh:mm` : format;
 };
 
 /**
@@ -116,26 +118,26 @@ const calculateColumnWidths = (data, maxSampleRows = 100) => {
 };
 
 /**
- * Export data using XLSX library with auto-width columns
+ * Build an XLSX worksheet with date conversion, ID text formatting and auto-width columns
  * @param {Array} processedData - Processed data array
- * @returns {ArrayBuffer} Excel file as binary data
+ * @param {string} dateFormat - Format for converted dates (default: DD/MM/YYYY)
+ * @param {Array} derivedHeaders - Headers of derived columns, never treated as dates
+ * @param {Object} columnRenames - Renamed columns ({ original: output }); ID and date columns are found by original name
+ * @param {Array} dateHeaders - Original headers of the date columns the user picked
+ * @returns {Object} SheetJS worksheet
  */
-export const exportWithXLSX = (processedData) => {
-  const newWorkbook = XLSX.utils.book_new();
-  
-  const headerRow = processedData[0] || [];
+const buildXLSXWorksheet = (processedData, dateFormat = DEFAULT_DATE_FORMAT, derivedHeaders = [], columnRenames = null, dateHeaders = []) => {
+  const headerRow = getOriginalHeaderRow(processedData[0] || [], columnRenames);
   const idColumns = identifyIdColumns(headerRow);
-  const dateColumns = identifyDateColumns(processedData);
+  const { isDateCell } = getDateColumnRule([headerRow, ...processedData.slice(1)], idColumns, derivedHeaders, dateHeaders);
   
   // Convert serial numbers to dates in date columns
   const convertedData = processedData.map((row, rowIndex) => {
     if (rowIndex === 0 || !row) return row; // Skip header row
     
     return row.map((cell, colIndex) => {
-      if (dateColumns.includes(colIndex) && 
-          typeof cell === 'number' && 
-          cell > 25000 && cell < 50000) {
-        return convertSerialToDateString(cell);
+      if (isDateCell(cell, colIndex)) {
+        return convertSerialToDateString(cell, dateFormat);
       }
       return cell;
     });
@@ -161,7 +163,21 @@ export const exportWithXLSX = (processedData) => {
   const columnWidths = calculateColumnWidths(convertedData);
   newSheet['!cols'] = columnWidths.map(width => ({ width }));
   
-  XLSX.utils.book_append_sheet(newWorkbook, newSheet, 'Sheet1');
+  return newSheet;
+};
+
+/**
+ * Export several sheets using XLSX library, one tab per sheet
+ * @param {Array} sheets - Array of { name, data, dateFormat, derivedHeaders, columnRenames, dateHeaders } objects
+ * @returns {ArrayBuffer} Excel file as binary data
+ */
+export const exportSheetsWithXLSX = (sheets) => {
+  const newWorkbook = XLSX.utils.book_new();
+  
+  sheets.forEach(sheet => {
+    const worksheet = buildXLSXWorksheet(sheet.data, sheet.dateFormat, sheet.derivedHeaders, sheet.columnRenames, sheet.dateHeaders);
+    XLSX.utils.book_append_sheet(newWorkbook, worksheet, sheet.name);
+  });
   
   const excelBinary = XLSX.write(newWorkbook, { 
     bookType: 'xlsx', 
@@ -171,6 +187,16 @@ export const exportWithXLSX = (processedData) => {
   return excelBinary;
 };
 
+/**
+ * Export data using XLSX library with auto-width columns
+ * @param {Array} processedData - Processed data array
+ * @param {string} sheetName - Name of the output tab (default: Sheet1)
+ * @returns {ArrayBuffer} Excel file as binary data
+ */
+export const exportWithXLSX = (processedData, sheetName = 'Sheet1') => {
+  return exportSheetsWithXLSX([{ name: sheetName, data: processedData }]);
+};
+
 /**
  * Calculate optimal column width for ExcelJS
  * @param {ExcelJS.Worksheet} worksheet - The worksheet 
@@ -188,9 +214,10 @@ const applyOptimalColumnWidths = (worksheet, data) => {
 /**
  * Identify date columns by header names and content analysis
  * @param {Array} data - Full data array with header row
+ * @param {Array} derivedHeaders - Headers of derived columns (day counts, buckets), which are never dates
  * @returns {Array} Array of column indices that contain dates
  */
-const identifyDateColumns = (data) => {
+const identifyDateColumns = (data, derivedHeaders = []) => {
   if (!data || data.length < 2) return [];
   
   const dateColumnIndices = [];
@@ -237,10 +264,8 @@ const identifyDateColumns = (data) => {
         }
       }
       
-      if (typeof cellValue === 'number') {
-        if (cellValue > 25000 && cellValue < 50000) {
-          datePatternMatches++;
-        }
+      if (isSerialDate(cellValue)) {
+        datePatternMatches++;
       }
     }
     
@@ -261,8 +286,38 @@ const identifyDateColumns = (data) => {
       }
     }
   });
-  
-  return dateColumnIndices;
+
+  // Derived columns hold day counts and bucket labels, whatever their header says
+  return dateColumnIndices.filter(index => !derivedHeaders.includes(headerRow[index]));
+};
+
+/**
+ * Decide which cells are written as dates. Serials in the date columns the user
+ * picked are converted across the full Excel range; columns only found by their
+ * header or content keep the 1968-2036 guard, so counts and hours stay numbers.
+ * ID columns are never converted unless the user picked them as a date column.
+ * @param {Array} data - Data array with the (original) header row first
+ * @param {Array} idColumnIndices - Indices of ID columns
+ * @param {Array} derivedHeaders - Headers of derived columns, never treated as dates
+ * @param {Array} dateHeaders - Original headers of the date columns the user picked
+ * @returns {Object} { dateColumnIndices, isDateCell } where isDateCell(value, colIndex) tells whether to convert a cell
+ */
+const getDateColumnRule = (data, idColumnIndices, derivedHeaders = [], dateHeaders = []) => {
+  const headerRow = data[0] || [];
+  const knownColumns = headerRow
+    .map((header, index) => (dateHeaders.includes(header) ? index : -1))
+    .filter(index => index !== -1);
+  const detectedColumns = identifyDateColumns(data, derivedHeaders)
+    .filter(index => !knownColumns.includes(index) && !idColumnIndices.includes(index));
+  
+  return {
+    dateColumnIndices: [...knownColumns, ...detectedColumns],
+    isDateCell: (value, colIndex) => (
+      knownColumns.includes(colIndex) 
+        ? isSerialDate(value, true) 
+        : detectedColumns.includes(colIndex) && isSerialDate(value)
+    )
+  };
 };
 
 /**
@@ -333,39 +388,271 @@ const identifyAmountColumns = (data, idColumns = []) => {
   return amountColumnIndices;
 };
 
+/**
+ * Add a worksheet with smart formatting, auto-width columns and borders to an ExcelJS workbook
+ * @param {ExcelJS.Workbook} workbook - Target workbook
+ * @param {string} sheetName - Name of the new worksheet
+ * @param {Array} data - Data array to write
+ * @param {string} dateFormat - Format for converted dates (default: DD/MM/YYYY)
+ * @param {Array} derivedHeaders - Headers of derived columns, never treated as dates
+ * @param {Object} columnRenames - Renamed columns ({ original: output }); column types are found by original name
+ * @param {Array} dateHeaders - Original headers of the date columns the user picked
+ * @returns {ExcelJS.Worksheet} The created worksheet
+ */
+const addStyledWorksheet = (workbook, sheetName, data, dateFormat = DEFAULT_DATE_FORMAT, derivedHeaders = [], columnRenames = null, dateHeaders = []) => {
+  const worksheet = workbook.addWorksheet(sheetName);
+  
+  const headerRow = getOriginalHeaderRow(data[0] || [], columnRenames);
+  const detectionData = [headerRow, ...data.slice(1)];
+  const idColumnIndices = identifyIdColumns(headerRow);
+  const { dateColumnIndices, isDateCell } = getDateColumnRule(detectionData, idColumnIndices, derivedHeaders, dateHeaders);
+  const amountColumnIndices = identifyAmountColumns(detectionData, idColumnIndices);
+  
+  // Convert serial numbers to dates in date columns before processing
+  const processedData = data.map((row, rowIndex) => {
+    if (rowIndex === 0 || !row) return row;
+    
+    return row.map((cell, colIndex) => {
+      if (isDateCell(cell, colIndex)) {
+        return convertSerialToDateString(cell, dateFormat);
+      }
+      return cell;
+    });
+  });
+  
+  // Add all rows first
+  processedData.forEach((row, rowIndex) => {
+    if (!row) return;
+    
+    const excelRow = worksheet.addRow(row);
+    
+    // Special formatting for header row
+    if (rowIndex === 0) {
+      excelRow.eachCell((cell) => {
+        cell.font = { bold: true };
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+        cell.alignment = { 
+          vertical: 'middle', 
+          horizontal: 'center',
+          wrapText: true
+        };
+      });
+    } 
+    // Special formatting for data rows
+    else {
+      // Format ID columns as text
+      idColumnIndices.forEach(colIndex => {
+        if (colIndex < row.length) {
+          const cell = excelRow.getCell(colIndex + 1);
+          const value = row[colIndex];
+          
+          if (value !== null && value !== undefined) {
+            if (typeof value === 'number') {
+              cell.value = String(value);
+            } else {
+              cell.value = value;
+            }
+            cell.numFmt = '@';
+          }
+        }
+      });
+      
+      // Apply special formatting to date columns
+      dateColumnIndices.forEach(colIndex => {
+        if (colIndex < row.length && !idColumnIndices.includes(colIndex)) {
+          const cell = excelRow.getCell(colIndex + 1);
+          const value = row[colIndex];
+          
+          if (value instanceof Date) {
+            cell.value = value;
+            cell.numFmt = getExcelDateFormat(dateFormat);
+          } else if (isDateCell(value, colIndex)) {
+            cell.value = serialToDate(value);
+            cell.numFmt = getExcelDateFormat(dateFormat, serialToParts(value).hasTime);
+          } else if (typeof value === 'string') {
+            cell.value = value;
+            cell.numFmt = '@';
+          }
+        }
+      });
+      
+      // Apply formatting to amount columns
+      amountColumnIndices.forEach(colIndex => {
+        if (colIndex < row.length && !idColumnIndices.includes(colIndex)) {
+          const cell = excelRow.getCell(colIndex + 1);
+          const value = row[colIndex];
+          
+          if (typeof value === 'number') {
+            cell.numFmt = '#,##0.00';
+          } else if (typeof value === 'string' && !isIdLikeText(value)) {
+            const currencyMatch = value.match(/^[$€£¥]?\s*(\d+(?:\.\d+)?)$/);
+            if (currencyMatch) {
+              try {
+                cell.value = parseFloat(currencyMatch[1]);
+                cell.numFmt = '#,##0.00';
+              } catch (e) {
+                // If parsing fails, keep as string
+              }
+            }
+          }
+        }
+      });
+    }
+  });
+  
+  applyOptimalColumnWidths(worksheet, processedData);
+  
+  // Apply borders to ALL cells
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      cell.border = {
+        top: { style: 'thin', color: { argb: 'FF000000' } },
+        bottom: { style: 'thin', color: { argb: 'FF000000' } },
+        left: { style: 'thin', color: { argb: 'FF000000' } },
+        right: { style: 'thin', color: { argb: 'FF000000' } }
+      };
+    });
+  });
+  
+  return worksheet;
+};
+
+/**
+ * Build the download name for a processed file
+ * @param {string} fileName - Original filename
+ * @param {Array} selectedMonths - Selected months for filename
+ * @param {string} monthMode - 'remove' the selected months or 'keep' only them
+ * @returns {string} Output filename
+ */
+export const getOutputFileName = (fileName, selectedMonths = [], monthMode = 'remove') => {
+  if (selectedMonths.length > 0) {
+    const prefix = monthMode === 'keep' ? 'only' : 'without';
+    return `${prefix}_${selectedMonths.join('_')}_${fileName}`;
+  }
+  
+  return `modified_${fileName}`;
+};
+
+/**
+ * Build a styled ExcelJS workbook without touching the DOM (safe to call from a Web Worker)
+ * @param {Array} sheets - Array of { name, data, dateFormat, derivedHeaders, columnRenames, dateHeaders } objects
+ * @returns {Promise<ArrayBuffer>} Excel file as binary data
+ */
+export const buildStyledWorkbookBuffer = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  
+  sheets.forEach(sheet => {
+    addStyledWorksheet(workbook, sheet.name, sheet.data, sheet.dateFormat, sheet.derivedHeaders, sheet.columnRenames, sheet.dateHeaders);
+  });
+  
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Export several sheets using ExcelJS library with smart formatting, one tab per sheet
+ * @param {Array} sheets - Array of { name, data } objects
+ * @param {string} fileName - Original filename for download naming
+ * @param {Array} selectedMonths - Selected months for filename
+ * @param {string} monthMode - 'remove' the selected months or 'keep' only them
+ * @returns {Promise<void>} Downloads the file directly
+ */
+export const exportSheetsWithBordersUsingExcelJS = async (sheets, fileName, selectedMonths = [], monthMode = 'remove') => {
+  try {
+    const buffer = await buildStyledWorkbookBuffer(sheets);
+    downloadXLSXFile(buffer, fileName, selectedMonths, monthMode);
+  } catch (error) {
+    console.error('Error with ExcelJS:', error);
+    throw new Error('Error with ExcelJS: ' + error.message + '. Consider using basic export.');
+  }
+};
+
 /**
  * Export data using ExcelJS library with smart formatting and auto-width columns
  * @param {Array} data - Data array to export
  * @param {string} fileName - Original filename for download naming
  * @param {Array} selectedMonths - Selected months for filename
+ * @param {string} sheetName - Name of the output tab (default: Sheet1)
+ * @param {string} monthMode - 'remove' the selected months or 'keep' only them
  * @returns {Promise<void>} Downloads the file directly
  */
-export const exportWithBordersUsingExcelJS = async (data, fileName, selectedMonths = []) => {
-  try {
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Sheet1');
-    
-    const headerRow = data[0] || [];
-    const idColumnIndices = identifyIdColumns(headerRow);
-    const dateColumnIndices = identifyDateColumns(data);
-    const amountColumnIndices = identifyAmountColumns(data, idColumnIndices);
+export const exportWithBordersUsingExcelJS = async (data, fileName, selectedMonths = [], sheetName = 'Sheet1', monthMode = 'remove') => {
+  return exportSheetsWithBordersUsingExcelJS([{ name: sheetName, data }], fileName, selectedMonths, monthMode);
+};
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - File blob to download
+ * @param {string} filename - Name for the downloaded file
+ */
+export const downloadFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Create download for XLSX exported data
+ * @param {ArrayBuffer} processedData - Binary Excel data
+ * @param {string} fileName - Original filename
+ * @param {Array} selectedMonths - Selected months for filename
+ * @param {string} monthMode - 'remove' the selected months or 'keep' only them
+ */
+export const downloadXLSXFile = (processedData, fileName, selectedMonths = [], monthMode = 'remove') => {
+  const blob = new Blob([processedData], { 
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+  });
+  
+  downloadFile(blob, getOutputFileName(fileName, selectedMonths, monthMode));
+};
+
+/**
+ * Build a styled workbook with one sheet per month (safe to call from a Web Worker)
+ * @param {Object} separatedData - Separated month data with headerRow and monthsWithData
+ * @returns {Promise<ArrayBuffer>} Excel file as binary data
+ */
+export const buildSeparatedStyledBuffer = async (separatedData) => {
+  const workbook = new ExcelJS.Workbook();
+  
+  // Column types are found by original name, the sheets get the renamed header row
+  const headerRow = getOriginalHeaderRow(separatedData.headerRow || [], separatedData.columnRenames);
+  const dateFormat = separatedData.dateFormat || DEFAULT_DATE_FORMAT;
+  const idColumnIndices = identifyIdColumns(headerRow);
+  const { dateColumnIndices, isDateCell } = getDateColumnRule(
+    [headerRow, ...(separatedData.monthsWithData[0]?.rows.slice(0, 10) || [])], 
+    idColumnIndices,
+    separatedData.derivedHeaders,
+    separatedData.dateHeaders
+  );
+  const amountColumnIndices = identifyAmountColumns([headerRow, ...(separatedData.monthsWithData[0]?.rows.slice(0, 10) || [])], idColumnIndices);
+  
+  // Create a sheet for each month
+  for (const month of separatedData.monthsWithData) {
+    const worksheet = workbook.addWorksheet(month.name);
+    const sheetData = [separatedData.headerRow, ...month.rows];
     
     // Convert serial numbers to dates in date columns before processing
-    const processedData = data.map((row, rowIndex) => {
+    const processedSheetData = sheetData.map((row, rowIndex) => {
       if (rowIndex === 0 || !row) return row;
       
       return row.map((cell, colIndex) => {
-        if (dateColumnIndices.includes(colIndex) && 
-            typeof cell === 'number' && 
-            cell > 25000 && cell < 50000) {
-          return convertSerialToDateString(cell);
+        if (isDateCell(cell, colIndex)) {
+          return convertSerialToDateString(cell, dateFormat);
         }
         return cell;
       });
     });
     
     // Add all rows first
-    processedData.forEach((row, rowIndex) => {
+    processedSheetData.forEach((row, rowIndex) => {
       if (!row) return;
       
       const excelRow = worksheet.addRow(row);
@@ -386,7 +673,6 @@ export const exportWithBordersUsingExcelJS = async (data, fileName, selectedMont
           };
         });
       } 
-      // Special formatting for data rows
       else {
         // Format ID columns as text
         idColumnIndices.forEach(colIndex => {
@@ -413,14 +699,10 @@ export const exportWithBordersUsingExcelJS = async (data, fileName, selectedMont
             
             if (value instanceof Date) {
               cell.value = value;
-              cell.numFmt = 'dd/mm/yyyy';
-            } else if (typeof value === 'number' && value > 25000 && value < 50000) {
-              const excelEpoch = new Date(1899, 11, 30);
-              const millisecondsPerDay = 24 * 60 * 60 * 1000;
-              const dateObj = new Date(excelEpoch.getTime() + value * millisecondsPerDay);
-              
-              cell.value = dateObj;
-              cell.numFmt = 'dd/mm/yyyy';
+              cell.numFmt = getExcelDateFormat(dateFormat);
+            } else if (isDateCell(value, colIndex)) {
+              cell.value = serialToDate(value);
+              cell.numFmt = getExcelDateFormat(dateFormat, serialToParts(value).hasTime);
             } else if (typeof value === 'string') {
               cell.value = value;
               cell.numFmt = '@';
@@ -436,7 +718,7 @@ export const exportWithBordersUsingExcelJS = async (data, fileName, selectedMont
             
             if (typeof value === 'number') {
               cell.numFmt = '#,##0.00';
-            } else if (typeof value === 'string') {
+            } else if (typeof value === 'string' && !isIdLikeText(value)) {
               const currencyMatch = value.match(/^[$€£¥]?\s*(\d+(?:\.\d+)?)$/);
               if (currencyMatch) {
                 try {
@@ -452,7 +734,7 @@ export const exportWithBordersUsingExcelJS = async (data, fileName, selectedMont
       }
     });
     
-    applyOptimalColumnWidths(worksheet, processedData);
+    applyOptimalColumnWidths(worksheet, processedSheetData);
     
     // Apply borders to ALL cells
     worksheet.eachRow((row) => {
@@ -465,59 +747,41 @@ export const exportWithBordersUsingExcelJS = async (data, fileName, selectedMont
         };
       });
     });
-    
-    const buffer = await workbook.xlsx.writeBuffer();
-    const blob = new Blob([buffer], {
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    });
-    
-    let downloadName = `modified_${fileName}`;
-    
-    if (selectedMonths.length > 0) {
-      downloadName = `without_${selectedMonths.join('_')}_${fileName}`;
-    }
-    
-    downloadFile(blob, downloadName);
-  } catch (error) {
-    console.error('Error with ExcelJS:', error);
-    throw new Error('Error with ExcelJS: ' + error.message + '. Consider using basic export.');
   }
+  
+  return workbook.xlsx.writeBuffer();
 };
 
 /**
- * Download a blob as a file
- * @param {Blob} blob - File blob to download
- * @param {string} filename - Name for the downloaded file
+ * Start of the download name for separated data, e.g. "separated_by_months" or "separated_by_fiscal_periods"
+ * @param {Object} separatedData - Separated data with its granularity
+ * @returns {string} Filename prefix
  */
-export const downloadFile = (blob, filename) => {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-};
+const getSeparatedFilePrefix = (separatedData) => (
+  `separated_by_${getPeriodGranularity(separatedData.granularity).plural.replace(/ /g, '_')}`
+);
 
 /**
- * Create download for XLSX exported data
- * @param {ArrayBuffer} processedData - Binary Excel data
- * @param {string} fileName - Original filename
- * @param {Array} selectedMonths - Selected months for filename
+ * Build the separated month workbook, falling back to basic XLSX if styling fails
+ * @param {Object} separatedData - Separated month data with headerRow and monthsWithData
+ * @param {string} fileName - Original filename for download naming
+ * @param {boolean} useBorders - Whether to apply borders and styling
+ * @returns {Promise<Object>} { buffer, downloadName }
  */
-export const downloadXLSXFile = (processedData, fileName, selectedMonths = []) => {
-  const blob = new Blob([processedData], { 
-    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
-  });
-  
-  let downloadName = `modified_${fileName}`;
-  
-  if (selectedMonths.length > 0) {
-    downloadName = `without_${selectedMonths.join('_')}_${fileName}`;
+export const buildSeparatedDataBuffer = async (separatedData, fileName, useBorders = true) => {
+  if (useBorders) {
+    try {
+      const buffer = await buildSeparatedStyledBuffer(separatedData);
+      return { buffer, downloadName: `${getSeparatedFilePrefix(separatedData)}_styled_${fileName}` };
+    } catch (error) {
+      console.error('Error with ExcelJS styling:', error);
+    }
   }
   
-  downloadFile(blob, downloadName);
+  return {
+    buffer: buildSeparatedBasicBuffer(separatedData),
+    downloadName: `${getSeparatedFilePrefix(separatedData)}_${fileName}`
+  };
 };
 
 /**
@@ -528,166 +792,32 @@ export const downloadXLSXFile = (processedData, fileName, selectedMonths = []) =
  * @returns {Promise<void>} Downloads the file directly
  */
 export const exportSeparatedDataWithStyling = async (separatedData, fileName, useBorders = true) => {
-  if (useBorders) {
-    try {
-      const workbook = new ExcelJS.Workbook();
-      
-      const headerRow = separatedData.headerRow || [];
-      const idColumnIndices = identifyIdColumns(headerRow);
-      const dateColumnIndices = identifyDateColumns([headerRow, ...(separatedData.monthsWithData[0]?.rows.slice(0, 10) || [])]);
-      const amountColumnIndices = identifyAmountColumns([headerRow, ...(separatedData.monthsWithData[0]?.rows.slice(0, 10) || [])], idColumnIndices);
-      
-      // Create a sheet for each month
-      for (const month of separatedData.monthsWithData) {
-        const worksheet = workbook.addWorksheet(month.name);
-        const sheetData = [separatedData.headerRow, ...month.rows];
-        
-        // Convert serial numbers to dates in date columns before processing
-        const processedSheetData = sheetData.map((row, rowIndex) => {
-          if (rowIndex === 0 || !row) return row;
-          
-          return row.map((cell, colIndex) => {
-            if (dateColumnIndices.includes(colIndex) && 
-                typeof cell === 'number' && 
-                cell > 25000 && cell < 50000) {
-              return convertSerialToDateString(cell);
-            }
-            return cell;
-          });
-        });
-        
-        // Add all rows first
-        processedSheetData.forEach((row, rowIndex) => {
-          if (!row) return;
-          
-          const excelRow = worksheet.addRow(row);
-          
-          // Special formatting for header row
-          if (rowIndex === 0) {
-            excelRow.eachCell((cell) => {
-              cell.font = { bold: true };
-              cell.fill = {
-                type: 'pattern',
-                pattern: 'solid',
-                fgColor: { argb: 'FFE0E0E0' }
-              };
-              cell.alignment = { 
-                vertical: 'middle', 
-                horizontal: 'center',
-                wrapText: true
-              };
-            });
-          } 
-          else {
-            // Format ID columns as text
-            idColumnIndices.forEach(colIndex => {
-              if (colIndex < row.length) {
-                const cell = excelRow.getCell(colIndex + 1);
-                const value = row[colIndex];
-                
-                if (value !== null && value !== undefined) {
-                  if (typeof value === 'number') {
-                    cell.value = String(value);
-                  } else {
-                    cell.value = value;
-                  }
-                  cell.numFmt = '@';
-                }
-              }
-            });
-            
-            // Apply special formatting to date columns
-            dateColumnIndices.forEach(colIndex => {
-              if (colIndex < row.length && !idColumnIndices.includes(colIndex)) {
-                const cell = excelRow.getCell(colIndex + 1);
-                const value = row[colIndex];
-                
-                if (value instanceof Date) {
-                  cell.value = value;
-                  cell.numFmt = 'dd/mm/yyyy';
-                } else if (typeof value === 'number' && value > 25000 && value < 50000) {
-                  const excelEpoch = new Date(1899, 11, 30);
-                  const millisecondsPerDay = 24 * 60 * 60 * 1000;
-                  const dateObj = new Date(excelEpoch.getTime() + value * millisecondsPerDay);
-                  
-                  cell.value = dateObj;
-                  cell.numFmt = 'dd/mm/yyyy';
-                } else if (typeof value === 'string') {
-                  cell.value = value;
-                  cell.numFmt = '@';
-                }
-              }
-            });
-            
-            // Apply formatting to amount columns
-            amountColumnIndices.forEach(colIndex => {
-              if (colIndex < row.length && !idColumnIndices.includes(colIndex)) {
-                const cell = excelRow.getCell(colIndex + 1);
-                const value = row[colIndex];
-                
-                if (typeof value === 'number') {
-                  cell.numFmt = '#,##0.00';
-                } else if (typeof value === 'string') {
-                  const currencyMatch = value.match(/^[$€£¥]?\s*(\d+(?:\.\d+)?)$/);
-                  if (currencyMatch) {
-                    try {
-                      cell.value = parseFloat(currencyMatch[1]);
-                      cell.numFmt = '#,##0.00';
-                    } catch (e) {
-                      // If parsing fails, keep as string
-                    }
-                  }
-                }
-              }
-            });
-          }
-        });
-        
-        applyOptimalColumnWidths(worksheet, processedSheetData);
-        
-        // Apply borders to ALL cells
-        worksheet.eachRow((row) => {
-          row.eachCell((cell) => {
-            cell.border = {
-              top: { style: 'thin', color: { argb: 'FF000000' } },
-              bottom: { style: 'thin', color: { argb: 'FF000000' } },
-              left: { style: 'thin', color: { argb: 'FF000000' } },
-              right: { style: 'thin', color: { argb: 'FF000000' } }
-            };
-          });
-        });
-      }
-      
-      const buffer = await workbook.xlsx.writeBuffer();
-      const blob = new Blob([buffer], {
-        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      });
-      
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `separated_by_months_styled_${fileName}`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      
-    } catch (error) {
-      console.error('Error with ExcelJS styling:', error);
-      exportSeparatedDataBasic(separatedData, fileName);
-    }
-  } else {
-    exportSeparatedDataBasic(separatedData, fileName);
-  }
+  const { buffer, downloadName } = await buildSeparatedDataBuffer(separatedData, fileName, useBorders);
+  const blob = new Blob([buffer], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  });
+  
+  downloadFile(blob, downloadName);
 };
 
 /**
- * Export separated month data using basic XLSX library
+ * Build a basic XLSX workbook with one sheet per month (safe to call from a Web Worker)
  * @param {Object} separatedData - Separated month data with headerRow and monthsWithData
- * @param {string} fileName - Original filename for download naming
+ * @returns {ArrayBuffer} Excel file as binary data
  */
-export const exportSeparatedDataBasic = (separatedData, fileName) => {
+export const buildSeparatedBasicBuffer = (separatedData) => {
   const workbook = XLSX.utils.book_new();
+  const dateFormat = separatedData.dateFormat || DEFAULT_DATE_FORMAT;
+  
+  // Column types are found by original name, as in the styled export
+  const headerRow = getOriginalHeaderRow(separatedData.headerRow || [], separatedData.columnRenames);
+  const idColumns = identifyIdColumns(headerRow);
+  const { isDateCell } = getDateColumnRule(
+    [headerRow, ...(separatedData.monthsWithData[0]?.rows.slice(0, 10) || [])], 
+    idColumns,
+    separatedData.derivedHeaders,
+    separatedData.dateHeaders
+  );
   
   separatedData.monthsWithData.forEach(month => {
     // Convert serial numbers before creating sheet
@@ -697,8 +827,8 @@ export const exportSeparatedDataBasic = (separatedData, fileName) => {
         if (!row) return row;
         
         return row.map((cell, colIndex) => {
-          if (typeof cell === 'number' && cell > 25000 && cell < 50000) {
-            return convertSerialToDateString(cell);
+          if (isDateCell(cell, colIndex)) {
+            return convertSerialToDateString(cell, dateFormat);
           }
           return cell;
         });
@@ -729,10 +859,6 @@ export const exportSeparatedDataBasic = (separatedData, fileName) => {
       worksheet['!cols'] = columnWidths;
     }
     
-    // Identify ID columns to format as text
-    const headerRow = convertedData[0] || [];
-    const idColumns = identifyIdColumns(headerRow);
-    
     // Apply text format to ID columns
     idColumns.forEach(colIndex => {
       const colLetter = XLSX.utils.encode_col(colIndex);
@@ -751,17 +877,18 @@ export const exportSeparatedDataBasic = (separatedData, fileName) => {
     XLSX.utils.book_append_sheet(workbook, worksheet, month.name);
   });
   
-  const excelBinary = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-  const blob = new Blob([excelBinary], { 
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+};
+
+/**
+ * Export separated month data using basic XLSX library
+ * @param {Object} separatedData - Separated month data with headerRow and monthsWithData
+ * @param {string} fileName - Original filename for download naming
+ */
+export const exportSeparatedDataBasic = (separatedData, fileName) => {
+  const blob = new Blob([buildSeparatedBasicBuffer(separatedData)], { 
     type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
   });
   
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `separated_by_months_${fileName}`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-};
\ No newline at end of file
+  downloadFile(blob, `${getSeparatedFilePrefix(separatedData)}_${fileName}`);
+};
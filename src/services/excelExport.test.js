@@ -0,0 +1,61 @@
+import * as XLSX from 'xlsx';
+import ExcelJS from 'exceljs';
+import { exportSheetsWithXLSX, buildStyledWorkbookBuffer, buildSeparatedBasicBuffer } from './excelExport.js';
+
+const data = [
+  ['Service Date', 'Submission ID', 'Resubmission No', 'Processing Time (hrs)', 'Visit Date'],
+  [45306, 123456, 2, 5, 45307],
+  [45307, 123457, 1, 7, 20000]
+];
+
+const readXLSXRows = (buffer, sheetName) => {
+  const workbook = XLSX.read(buffer, { type: 'array' });
+  return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName || workbook.SheetNames[0]], { header: 1 });
+};
+
+describe('date columns in exports', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the XLSX export converts dates and leaves IDs, counts and hours alone', () => {
+    const rows = readXLSXRows(exportSheetsWithXLSX([{ name: 'Sheet1', data, dateHeaders: ['Service Date'] }]));
+
+    expect(rows[1]).toEqual(['15/01/2024', 123456, 2, 5, '16/01/2024']);
+    // Only the picked date column reads serials outside 1968-2036
+    expect(rows[2][4]).toBe(20000);
+  });
+
+  test('a picked date column takes every valid serial', () => {
+    const rows = readXLSXRows(exportSheetsWithXLSX([{ name: 'Sheet1', data, dateHeaders: ['Visit Date'] }]));
+
+    expect(rows[2][4]).toBe('03/10/1954');
+  });
+
+  test('the styled export follows the same rule', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await buildStyledWorkbookBuffer([{ name: 'Sheet1', data, dateHeaders: ['Service Date'] }]));
+    const row = workbook.getWorksheet('Sheet1').getRow(2);
+
+    expect(row.getCell(1).value).toBe('15/01/2024');
+    expect(row.getCell(2).value).toBe('123456');
+    expect(row.getCell(3).value).toBe('2');
+    expect(row.getCell(4).value).toBe(5);
+  });
+
+  test('the basic separated export follows the same rule', () => {
+    const buffer = buildSeparatedBasicBuffer({
+      headerRow: data[0],
+      dateHeaders: ['Service Date'],
+      monthsWithData: [{ name: 'January 2024', rows: data.slice(1) }]
+    });
+    const rows = readXLSXRows(buffer, 'January 2024');
+
+    expect(rows[1]).toEqual(['15/01/2024', 123456, 2, 5, '16/01/2024']);
+    expect(rows[2][4]).toBe(20000);
+  });
+});
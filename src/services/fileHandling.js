@@ -1,8 +1,15 @@
 // Enhanced fileHandling.js - Multiple date column detection
 
 import * as XLSX from 'xlsx';
-import { findHeaderRow } from '../utils/headerDetection.js';
-import { countEntriesByMonth, findAllDateColumns, countEntriesByMonthWithColumn } from './dateUtilities.js';
+import { findHeaderRow, scoreHeaderRows, HEADER_PREVIEW_ROW_COUNT } from '../utils/headerDetection.js';
+import { detectStackedHeaderRows, flattenHeaderRows, MAX_HEADER_ROWS } from '../utils/headerFlattening.js';
+import { findNonDataRows, removeRows } from '../utils/dataRangeDetection.js';
+import { normalizeHeaderNames } from '../utils/headerNormalization.js';
+import { preserveIdText } from './idPreservation.js';
+import { usesDate1904, convertDate1904Serials } from './serialDates.js';
+import { detectDateColumnsAndMonths } from './dateUtilities.js';
+import { buildMergedUpload } from './fileMerging.js';
+import { isCsvFile, readFileBytes, csvToWorkbook } from './csvParsing.js';
 
 /**
  * Validate uploaded file type
@@ -17,90 +24,33 @@ export const validateFileType = (file) => {
 };
 
 /**
- * Parse Excel file and extract data with enhanced date column detection
+ * Read an uploaded file into a SheetJS workbook. CSV files go through the
+ * CSV import path so delimiter, encoding and quoting are handled properly.
  * @param {File} file - The uploaded Excel file
- * @returns {Promise<Object>} Object containing parsed data and metadata
+ * @param {Object} csvSettings - CSV settings chosen in the import preview (optional)
+ * @returns {Promise<Object>} SheetJS workbook
  */
-export const parseExcelFile = (file) => {
+export const readWorkbook = async (file, csvSettings = null) => {
+  if (isCsvFile(file)) {
+    const bytes = await readFileBytes(file);
+    try {
+      return csvToWorkbook(bytes, csvSettings);
+    } catch (error) {
+      console.error('Error reading CSV:', error);
+      throw new Error('Error reading CSV file. Please check the delimiter and encoding.');
+    }
+  }
+  
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
     reader.onload = (e) => {
       try {
         const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        
-        // Get the first sheet
-        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-        
-        // Convert to JSON
-        const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1, raw: true });
-        
-        console.log('=== ENHANCED FILE PARSING DEBUG ===');
-        console.log('File name:', file.name);
-        console.log('Total rows in file:', jsonData.length);
-        console.log('First 3 rows:', jsonData.slice(0, 3));
-        
-        if (jsonData.length === 0) {
-          reject(new Error('The file appears to be empty'));
-          return;
-        }
-        
-        // Use improved header detection logic
-        const headerRowIndex = findHeaderRow(jsonData);
-        const headerRow = jsonData[headerRowIndex];
-        
-        console.log('Detected header row index:', headerRowIndex);
-        console.log('Header row:', headerRow);
-        
-        if (!headerRow || headerRow.length === 0) {
-          reject(new Error('Could not detect headers in the file'));
-          return;
-        }
-        
-        // Create adjusted data with the correct header row
-        const adjustedJsonData = [
-          headerRow,
-          ...jsonData.slice(headerRowIndex + 1)
-        ];
-        
-        console.log('Adjusted data length:', adjustedJsonData.length);
-        
-        // Enhanced date column detection - find ALL date columns
-        const sampleRows = adjustedJsonData.slice(1, Math.min(6, adjustedJsonData.length));
-        const allDateColumns = findAllDateColumns(headerRow, sampleRows);
-        
-        console.log('=== ALL DATE COLUMNS FOUND ===');
-        console.log('Total date columns found:', allDateColumns.length);
-        allDateColumns.forEach((col, index) => {
-          console.log(`${index + 1}. ${col.header} (Index: ${col.index}, Confidence: ${col.confidence.toFixed(3)})`);
-        });
-        
-        // Use the best date column for initial month counting (backward compatibility)
-        const primaryDateColumnIndex = allDateColumns.length > 0 ? allDateColumns[0].index : -1;
-        
-        // Count entries by month using the primary date column
-        let monthData = null;
-        if (primaryDateColumnIndex !== -1) {
-          monthData = countEntriesByMonthWithColumn(adjustedJsonData, primaryDateColumnIndex);
-          console.log('Primary date column month data:', monthData);
-        }
-        
-        console.log('=== END ENHANCED FILE PARSING DEBUG ===');
-        
-        resolve({
-          jsonData,
-          headers: headerRow,
-          headerRowIndex,
-          monthCounts: monthData,
-          dateColumnIndex: primaryDateColumnIndex, // Keep for backward compatibility
-          allDateColumns: allDateColumns, // NEW: All detected date columns
-          selectedDateColumnIndex: primaryDateColumnIndex, // NEW: Currently selected date column
-          fileName: file.name
-        });
-        
+        // Number formats tell date cells apart from plain numbers (needed for 1904 workbooks)
+        resolve(XLSX.read(data, { type: 'array', cellNF: true }));
       } catch (error) {
-        console.error('Error processing file:', error);
+        console.error('Error reading workbook:', error);
         reject(new Error('Error processing file. Please try a different file.'));
       }
     };
@@ -114,46 +64,283 @@ export const parseExcelFile = (file) => {
 };
 
 /**
- * Handle file upload with validation and parsing
- * @param {Event} event - File input change event
- * @param {Function} onSuccess - Success callback with parsed data
- * @param {Function} onError - Error callback with error message
- * @param {Function} onLoadingStart - Loading start callback
- * @param {Function} onLoadingEnd - Loading end callback
+ * List every sheet in a workbook with its row count
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {Array} Array of { name, rowCount } objects in workbook order
+ */
+export const getSheetSummaries = (workbook) => {
+  if (!workbook || !workbook.SheetNames) return [];
+  
+  return workbook.SheetNames.map(name => {
+    const sheet = workbook.Sheets[name];
+    let rowCount = 0;
+    
+    if (sheet && sheet['!ref']) {
+      const range = XLSX.utils.decode_range(sheet['!ref']);
+      rowCount = range.e.r - range.s.r + 1;
+    }
+    
+    return { name, rowCount };
+  });
+};
+
+/**
+ * Get the merged cell ranges near the top of a sheet, in the same row and
+ * column indexes as the rows returned by sheet_to_json
+ * @param {Object} sheet - SheetJS worksheet
+ * @returns {Array} Merged ranges as { startRow, endRow, startCol, endCol }
+ */
+const getHeaderMerges = (sheet) => {
+  if (!sheet['!ref'] || !sheet['!merges']) return [];
+  
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  
+  return sheet['!merges']
+    .map(merge => ({
+      startRow: merge.s.r - range.s.r,
+      endRow: merge.e.r - range.s.r,
+      startCol: merge.s.c - range.s.c,
+      endCol: merge.e.c - range.s.c
+    }))
+    .filter(merge => merge.startRow < HEADER_PREVIEW_ROW_COUNT + MAX_HEADER_ROWS);
+};
+
+/**
+ * Build the rows used for processing: the header row (flattened if stacked) at
+ * headerRowIndex and the data rows below it, minus the excluded rows
+ * @param {Array} rawJsonData - Raw sheet rows
+ * @param {Array} headerRow - Header names for headerRowIndex
+ * @param {number} headerRowIndex - Index of the last header row
+ * @param {Array} excludedRowIndexes - Raw indexes of rows to leave out (all below the header)
+ * @returns {Array} Rows for processing
+ */
+export const buildDataRows = (rawJsonData, headerRow, headerRowIndex, excludedRowIndexes = []) => {
+  const jsonData = rawJsonData[headerRowIndex] === headerRow
+    ? rawJsonData
+    : rawJsonData.map((row, rowIndex) => (rowIndex === headerRowIndex ? headerRow : row));
+  
+  return removeRows(jsonData, excludedRowIndexes);
+};
+
+/**
+ * Use one or more rows as the header and detect date columns and month counts below it.
+ * Stacked header rows are flattened into the last header row of a copy of the data,
+ * so everything downstream keeps reading headers from jsonData[headerRowIndex].
+ * Totals, footers and repeated page headers below it are left out of the data.
+ * @param {Array} rawJsonData - Raw sheet rows
+ * @param {number} headerRowIndex - Index of the last header row
+ * @param {number} headerRowCount - Number of stacked header rows (default: 1)
+ * @param {Array} headerMerges - Merged ranges from getHeaderMerges (optional)
+ * @param {Function} onProgress - Progress callback called with the current stage (optional)
+ * @returns {Object} { jsonData, headers, headerRowIndex, headerRowCount, excludedRows, monthCounts, dateColumnIndex, allDateColumns, selectedDateColumnIndex }
  */
-export const handleFileUpload = async (event, onSuccess, onError, onLoadingStart, onLoadingEnd) => {
-  const file = event.target.files[0];
+export const applyHeaderRow = (rawJsonData, headerRowIndex, headerRowCount = 1, headerMerges = [], onProgress = () => {}) => {
+  const rowCount = Math.max(1, Math.min(headerRowCount, headerRowIndex + 1));
+  const sourceHeaderRow = rowCount > 1
+    ? flattenHeaderRows(rawJsonData, headerRowIndex - rowCount + 1, rowCount, headerMerges)
+    : rawJsonData[headerRowIndex];
+  
+  if (!sourceHeaderRow || sourceHeaderRow.filter(cell => cell !== null && cell !== undefined && cell !== '').length === 0) {
+    throw new Error(`Row ${headerRowIndex + 1} is empty and cannot be used as the header row`);
+  }
+  
+  if (rowCount > 1) {
+    console.log('Flattened header row:', sourceHeaderRow);
+  }
+  
+  // Columns are found by name from here on, so every column needs a unique one
+  const dataWidth = rawJsonData
+    .slice(headerRowIndex + 1)
+    .reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+  const headerRow = normalizeHeaderNames(sourceHeaderRow, dataWidth);
   
-  // Reset any previous state
-  onError('');
+  const headerJsonData = buildDataRows(rawJsonData, headerRow, headerRowIndex);
+  const rawHeaderRows = rawJsonData.slice(headerRowIndex - rowCount + 1, headerRowIndex + 1);
+  const excludedRows = findNonDataRows(headerJsonData, headerRowIndex, rawHeaderRows);
+  const jsonData = removeRows(headerJsonData, excludedRows.map(row => row.rowIndex));
   
-  if (!file) return;
+  onProgress('countMonths');
+  const detection = detectDateColumnsAndMonths(jsonData, headerRowIndex);
   
+  return {
+    jsonData,
+    headers: headerRow,
+    headerRowIndex,
+    headerRowCount: rowCount,
+    excludedRows,
+    ...detection
+  };
+};
+
+/**
+ * Parse a single worksheet with header and date column detection
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Name of the sheet to parse
+ * @param {Function} onProgress - Progress callback called with the current stage (optional)
+ * @returns {Object} Parsed sheet data and metadata
+ */
+export const parseWorksheet = (workbook, sheetName, onProgress = () => {}) => {
+  const sheet = workbook.Sheets[sheetName];
+  
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" was not found in the workbook`);
+  }
+  
+  // Convert to JSON
+  const rawJsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true });
+  const headerMerges = getHeaderMerges(sheet);
+  
+  // Raw numbers drop leading zeros and digits of long IDs, so those are read from the cell text
+  const preservedValues = preserveIdText(sheet, rawJsonData);
+  
+  // Dates from 1904 workbooks are shifted so every serial uses the 1900 date system
+  const date1904 = usesDate1904(workbook);
+  if (date1904) {
+    convertDate1904Serials(sheet, rawJsonData);
+  }
+  
+  console.log('=== ENHANCED SHEET PARSING DEBUG ===');
+  console.log('Sheet name:', sheetName);
+  console.log('Total rows in sheet:', rawJsonData.length);
+  console.log('First 3 rows:', rawJsonData.slice(0, 3));
+  
+  if (rawJsonData.length === 0) {
+    throw new Error(`Sheet "${sheetName}" appears to be empty`);
+  }
+  
+  // Use improved header detection logic
+  onProgress('detectHeaders');
+  const bestHeaderRowIndex = findHeaderRow(rawJsonData);
+  const headerRow = rawJsonData[bestHeaderRowIndex];
+  
+  // Scores for the header row picker, so the user can override a wrong guess
+  const headerScores = scoreHeaderRows(rawJsonData, HEADER_PREVIEW_ROW_COUNT);
+  
+  console.log('Detected header row index:', bestHeaderRowIndex);
+  console.log('Header row:', headerRow);
+  
+  if (!headerRow || headerRow.length === 0) {
+    throw new Error(`Could not detect headers in sheet "${sheetName}"`);
+  }
+  
+  // Reports often have a group row ("Amount") above the real column names ("Gross", "Net")
+  const { headerRowIndex, headerRowCount } = detectStackedHeaderRows(rawJsonData, bestHeaderRowIndex, headerMerges);
+  
+  const headerResult = applyHeaderRow(rawJsonData, headerRowIndex, headerRowCount, headerMerges, onProgress);
+  
+  console.log('=== END ENHANCED SHEET PARSING DEBUG ===');
+  
+  return {
+    sheetName,
+    rawJsonData,
+    headerMerges,
+    preservedValues,
+    date1904,
+    headerScores,
+    detectedHeaderRowIndex: headerRowIndex,
+    detectedHeaderRowCount: headerRowCount,
+    // Stacked headers are a guess, so they must be confirmed before processing
+    headerRowsConfirmed: headerRowCount === 1,
+    ...headerResult
+  };
+};
+
+/**
+ * Read the first sheet of an uploaded lookup table file into rows. Cells are
+ * read as displayed so codes keep their leading zeros.
+ * @param {File} file - Excel or CSV file with codes and values
+ * @returns {Promise<Array>} Table rows
+ */
+export const readLookupTableFile = async (file) => {
   if (!validateFileType(file)) {
-    onError('Please upload an Excel or CSV file');
-    return;
+    throw new Error('Please upload an Excel or CSV file');
   }
   
-  console.log('Starting file upload for:', file.name);
-  onLoadingStart();
-  
-  try {
-    const parsedData = await parseExcelFile(file);
-    console.log('File upload successful, enhanced data:', {
-      fileName: parsedData.fileName,
-      headerCount: parsedData.headers.length,
-      monthCountsLength: parsedData.monthCounts ? parsedData.monthCounts.length : 0,
-      dateColumnIndex: parsedData.dateColumnIndex,
-      allDateColumnsCount: parsedData.allDateColumns.length,
-      selectedDateColumnIndex: parsedData.selectedDateColumnIndex
-    });
-    onSuccess(parsedData);
-  } catch (error) {
-    console.error('File upload error:', error);
-    onError(error.message);
-  } finally {
-    onLoadingEnd();
+  const workbook = await readWorkbook(file);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet || !sheet['!ref']) {
+    throw new Error('The lookup file is empty');
   }
+  
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+};
+
+/**
+ * Parse Excel file and extract data with enhanced date column detection.
+ * Every sheet is listed with its row count; the requested sheets (or the
+ * first sheet that has any rows) are parsed individually.
+ * @param {File} file - The uploaded Excel file
+ * @param {Array} sheetNames - Sheets to parse (optional)
+ * @param {Function} onProgress - Progress callback called with the current stage (optional)
+ * @param {Object} csvSettings - CSV settings chosen in the import preview (optional)
+ * @returns {Promise<Object>} Object containing parsed data and metadata
+ */
+export const parseExcelFile = async (file, sheetNames = null, onProgress = () => {}, csvSettings = null) => {
+  onProgress('read');
+  const workbook = await readWorkbook(file, csvSettings);
+  const sheets = getSheetSummaries(workbook);
+  
+  console.log('=== ENHANCED FILE PARSING DEBUG ===');
+  console.log('File name:', file.name);
+  console.log('Sheets:', sheets.map(sheet => `${sheet.name} (${sheet.rowCount} rows)`));
+  
+  if (sheets.length === 0 || sheets.every(sheet => sheet.rowCount === 0)) {
+    throw new Error('The file appears to be empty');
+  }
+  
+  const defaultSheet = sheets.find(sheet => sheet.rowCount > 0);
+  const selectedSheetNames = sheetNames && sheetNames.length > 0
+    ? sheetNames
+    : [defaultSheet.name];
+  
+  // Parse each selected sheet separately
+  const sheetResults = {};
+  selectedSheetNames.forEach(name => {
+    sheetResults[name] = parseWorksheet(workbook, name, onProgress);
+  });
+  
+  console.log('=== END ENHANCED FILE PARSING DEBUG ===');
+  
+  // The first selected sheet is the one shown in the UI
+  const primarySheet = sheetResults[selectedSheetNames[0]];
+  
+  return {
+    ...primarySheet,
+    workbook,
+    sheets,
+    selectedSheetNames,
+    sheetResults,
+    fileName: file.name
+  };
+};
+
+/**
+ * Parse one uploaded file, or parse several and merge them into a single dataset
+ * @param {Array} files - Uploaded files
+ * @param {boolean} addSourceColumn - Append a "Source File" column when merging
+ * @param {Function} onProgress - Progress callback called with (stage, { current, total })
+ * @param {Object} csvSettings - CSV settings for a single CSV upload (merged CSVs are auto-detected)
+ * @returns {Promise<Object>} Parsed data (merged uploads carry no workbook)
+ */
+export const parseUploadedFiles = async (files, addSourceColumn = false, onProgress = () => {}, csvSettings = null) => {
+  if (files.length === 1) {
+    return parseExcelFile(files[0], null, onProgress, csvSettings);
+  }
+  
+  const parsedFiles = [];
+  for (let index = 0; index < files.length; index++) {
+    const file = files[index];
+    try {
+      const { workbook, ...parsedFile } = await parseExcelFile(file, null, (stage) => 
+        onProgress(stage, { current: index + 1, total: files.length })
+      );
+      parsedFiles.push(parsedFile);
+    } catch (error) {
+      throw new Error(`${file.name}: ${error.message}`);
+    }
+  }
+  
+  return buildMergedUpload(parsedFiles, addSourceColumn);
 };
 
 /**
@@ -174,6 +361,16 @@ export const resetFileState = () => {
     selectedDateColumnIndex: -1, // NEW
     jsonData: null,
     headerRowIndex: 0,
+    headerRowCount: 1,
+    excludedRows: [],
+    restoredRowIndexes: [],
+    sheets: [],
+    selectedSheetNames: [],
+    sheetResults: {},
+    activeSheetName: '',
+    csvImport: null,
+    sourceFiles: [],
+    mergeSummary: null,
     error: ''
   };
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+// fileMerging.js - Combine several parsed files into one dataset aligned by header name
+
+import { detectDateColumnsAndMonths } from './dateUtilities.js';
+import { normalizeHeaderNames } from '../utils/headerNormalization.js';
+
+export const SOURCE_FILE_HEADER = 'Source File';
+export const MERGED_SHEET_NAME = 'Merged';
+
+/**
+ * Normalize a header so the same column matches across files
+ * @param {*} header - Header cell value
+ * @returns {string} Trimmed, lower-cased header key
+ */
+const normalizeHeaderKey = (header) => {
+  return header === null || header === undefined
+    ? ''
+    : String(header).replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+/**
+ * Merge parsed files into a single dataset, matching columns by header name
+ * @param {Array} parsedFiles - Results of parseExcelFile, one per uploaded file
+ * @param {boolean} addSourceColumn - Append a "Source File" column with each row's file name
+ * @returns {Object} Parsed-sheet shaped data plus a per-file mergeSummary
+ */
+export const mergeParsedFiles = (parsedFiles, addSourceColumn = false) => {
+  if (!parsedFiles || parsedFiles.length === 0) {
+    throw new Error('No files to merge');
+  }
+
+  console.log('=== FILE MERGE DEBUG ===');
+  console.log('Merging files:', parsedFiles.map(file => file.fileName));
+
+  // Build the combined header list in order of first appearance
+  const mergedHeaders = [];
+  const headerKeyToIndex = new Map();
+
+  parsedFiles.forEach(file => {
+    file.headers.forEach(header => {
+      const key = normalizeHeaderKey(header);
+      if (key === '' || headerKeyToIndex.has(key)) return;
+
+      headerKeyToIndex.set(key, mergedHeaders.length);
+      mergedHeaders.push(String(header).replace(/\s+/g, ' ').trim());
+    });
+  });
+
+  // The first file is the reference layout for missing/extra header reporting
+  const referenceKeys = new Set(parsedFiles[0].headers.map(normalizeHeaderKey).filter(key => key !== ''));
+
+  const mergedRows = [];
+  const mergeSummary = parsedFiles.map(file => {
+    const fileKeys = file.headers.map(normalizeHeaderKey);
+    const fileKeySet = new Set(fileKeys.filter(key => key !== ''));
+
+    // Map each source column to its merged column
+    const columnMap = fileKeys.map(key => (key === '' ? -1 : headerKeyToIndex.get(key)));
+
+    const dataRows = file.jsonData.slice(file.headerRowIndex + 1);
+    dataRows.forEach(row => {
+      if (!row) return;
+
+      const mergedRow = Array(mergedHeaders.length).fill('');
+      row.forEach((cell, colIndex) => {
+        const targetIndex = columnMap[colIndex];
+        if (targetIndex !== undefined && targetIndex !== -1 && cell !== undefined && cell !== null) {
+          mergedRow[targetIndex] = cell;
+        }
+      });
+
+      if (addSourceColumn) {
+        mergedRow.push(file.fileName);
+      }
+
+      mergedRows.push(mergedRow);
+    });
+
+    return {
+      fileName: file.fileName,
+      sheetName: file.sheetName,
+      rowCount: dataRows.filter(Boolean).length,
+      missingHeaders: mergedHeaders.filter(header =>
+        referenceKeys.has(normalizeHeaderKey(header)) && !fileKeySet.has(normalizeHeaderKey(header))
+      ),
+      extraHeaders: mergedHeaders.filter(header =>
+        !referenceKeys.has(normalizeHeaderKey(header)) && fileKeySet.has(normalizeHeaderKey(header))
+      )
+    };
+  });
+
+  const headerRow = normalizeHeaderNames(addSourceColumn ? [...mergedHeaders, SOURCE_FILE_HEADER] : mergedHeaders);
+  const jsonData = [headerRow, ...mergedRows];
+
+  console.log('Merged headers:', headerRow);
+  console.log('Merged rows:', mergedRows.length);
+  mergeSummary.forEach(summary => {
+    console.log(`- ${summary.fileName}: ${summary.rowCount} rows, missing [${summary.missingHeaders.join(', ')}], extra [${summary.extraHeaders.join(', ')}]`);
+  });
+  console.log('=== END FILE MERGE DEBUG ===');
+
+  return {
+    sheetName: MERGED_SHEET_NAME,
+    jsonData,
+    headers: headerRow,
+    headerRowIndex: 0,
+    ...detectDateColumnsAndMonths(jsonData, 0),
+    mergeSummary
+  };
+};
+
+/**
+ * Build the parsed-file result for a merged upload
+ * @param {Array} parsedFiles - Results of parseExcelFile, one per uploaded file
+ * @param {boolean} addSourceColumn - Append a "Source File" column
+ * @returns {Object} Object shaped like a parseExcelFile result
+ */
+export const buildMergedUpload = (parsedFiles, addSourceColumn = false) => {
+  const merged = mergeParsedFiles(parsedFiles, addSourceColumn);
+
+  return {
+    ...merged,
+    workbook: null,
+    sheets: [{ name: MERGED_SHEET_NAME, rowCount: merged.jsonData.length }],
+    selectedSheetNames: [MERGED_SHEET_NAME],
+    sheetResults: { [MERGED_SHEET_NAME]: merged },
+    fileName: `merged_${parsedFiles.length}_files.xlsx`,
+    sourceFiles: parsedFiles
+  };
+};
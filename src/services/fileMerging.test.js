@@ -0,0 +1,103 @@
+import { mergeParsedFiles, buildMergedUpload, SOURCE_FILE_HEADER, MERGED_SHEET_NAME } from './fileMerging.js';
+
+const buildFile = (fileName, headers, rows, headerRowIndex = 0) => ({
+  fileName,
+  sheetName: 'Sheet1',
+  headers,
+  headerRowIndex,
+  jsonData: [...Array(headerRowIndex).fill(['Claims export']), headers, ...rows]
+});
+
+const january = buildFile('january.xlsx', ['Claim ID', 'Amount', 'Payer'], [
+  ['C1', 100, 'Bupa'],
+  ['C2', 50, 'Tawuniya']
+]);
+
+describe('mergeParsedFiles', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('aligns columns by header name when the order differs', () => {
+    const february = buildFile('february.xlsx', ['Payer', ' claim  id ', 'AMOUNT'], [['Bupa', 'C3', 75]]);
+
+    const merged = mergeParsedFiles([january, february]);
+
+    expect(merged.headers).toEqual(['Claim ID', 'Amount', 'Payer']);
+    expect(merged.jsonData.slice(1)).toEqual([
+      ['C1', 100, 'Bupa'],
+      ['C2', 50, 'Tawuniya'],
+      ['C3', 75, 'Bupa']
+    ]);
+    expect(merged.mergeSummary[1]).toEqual({
+      fileName: 'february.xlsx',
+      sheetName: 'Sheet1',
+      rowCount: 1,
+      missingHeaders: [],
+      extraHeaders: []
+    });
+  });
+
+  test('adds extra columns at the end and leaves missing ones blank', () => {
+    const february = buildFile('february.xlsx', ['Claim ID', 'Payer', 'Doctor'], [['C3', 'Bupa', 'Dr Saad']], 1);
+
+    const merged = mergeParsedFiles([january, february]);
+
+    expect(merged.headers).toEqual(['Claim ID', 'Amount', 'Payer', 'Doctor']);
+    expect(merged.jsonData.slice(1)).toEqual([
+      ['C1', 100, 'Bupa', ''],
+      ['C2', 50, 'Tawuniya', ''],
+      ['C3', '', 'Bupa', 'Dr Saad']
+    ]);
+    expect(merged.mergeSummary.map(({ missingHeaders, extraHeaders }) => ({ missingHeaders, extraHeaders }))).toEqual([
+      { missingHeaders: [], extraHeaders: [] },
+      { missingHeaders: ['Amount'], extraHeaders: ['Doctor'] }
+    ]);
+  });
+
+  test('adds the source file of each row', () => {
+    const february = buildFile('february.xlsx', ['Claim ID', 'Amount', 'Payer'], [['C3', 75, 'Bupa']]);
+
+    const merged = mergeParsedFiles([january, february], true);
+
+    expect(merged.headers).toEqual(['Claim ID', 'Amount', 'Payer', SOURCE_FILE_HEADER]);
+    expect(merged.jsonData.slice(1).map(row => [row[0], row[3]])).toEqual([
+      ['C1', 'january.xlsx'],
+      ['C2', 'january.xlsx'],
+      ['C3', 'february.xlsx']
+    ]);
+  });
+
+  test('numbers a file column named like the source file column', () => {
+    const withSource = buildFile('january.xlsx', ['Claim ID', 'Source File'], [['C1', 'HIS']]);
+
+    expect(mergeParsedFiles([withSource], true).headers).toEqual(['Claim ID', 'Source File', 'Source File (2)']);
+  });
+
+  test('needs at least one file', () => {
+    expect(() => mergeParsedFiles([])).toThrow('No files to merge');
+  });
+});
+
+describe('buildMergedUpload', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('shapes the merge like a one-sheet upload', () => {
+    const upload = buildMergedUpload([january, january]);
+
+    expect(upload.fileName).toBe('merged_2_files.xlsx');
+    expect(upload.selectedSheetNames).toEqual([MERGED_SHEET_NAME]);
+    expect(upload.sheets).toEqual([{ name: MERGED_SHEET_NAME, rowCount: 5 }]);
+    expect(upload.sheetResults[MERGED_SHEET_NAME].jsonData).toBe(upload.jsonData);
+  });
+});
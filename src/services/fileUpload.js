@@ -0,0 +1,74 @@
+// fileUpload.js - Validate uploaded files and parse them in the processing worker
+//
+// Kept apart from fileHandling.js, which the worker itself bundles: the worker
+// must not import the client that starts it.
+
+import { validateFileType } from './fileHandling.js';
+import { runWorkerTask } from './workerClient.js';
+
+/**
+ * Validate and parse uploaded files. When several files are selected they
+ * are parsed one by one and merged into a single dataset.
+ * @param {Array} files - Uploaded files
+ * @param {Function} onSuccess - Success callback with parsed data
+ * @param {Function} onError - Error callback with error message
+ * @param {Function} onLoadingStart - Loading start callback
+ * @param {Function} onLoadingEnd - Loading end callback
+ * @param {Object} options - Upload options ({ addSourceColumn, csvSettings, onProgress })
+ */
+export const loadFiles = async (files, onSuccess, onError, onLoadingStart, onLoadingEnd, options = {}) => {
+  // Reset any previous state
+  onError('');
+  
+  if (files.length === 0) return;
+  
+  const invalidFile = files.find(file => !validateFileType(file));
+  if (invalidFile) {
+    onError(files.length > 1
+      ? `"${invalidFile.name}" is not an Excel or CSV file`
+      : 'Please upload an Excel or CSV file');
+    return;
+  }
+  
+  console.log('Starting file upload for:', files.map(file => file.name));
+  onLoadingStart();
+  
+  try {
+    // Parsing runs in the processing worker so large files don't freeze the page
+    const parsedData = await runWorkerTask(
+      'parseFiles', 
+      { files, addSourceColumn: Boolean(options.addSourceColumn), csvSettings: options.csvSettings || null }, 
+      options.onProgress
+    );
+    
+    console.log('File upload successful, enhanced data:', {
+      fileName: parsedData.fileName,
+      headerCount: parsedData.headers.length,
+      monthCountsLength: parsedData.monthCounts ? parsedData.monthCounts.length : 0,
+      dateColumnIndex: parsedData.dateColumnIndex,
+      sheetCount: parsedData.sheets.length,
+      selectedSheetNames: parsedData.selectedSheetNames,
+      allDateColumnsCount: parsedData.allDateColumns.length,
+      selectedDateColumnIndex: parsedData.selectedDateColumnIndex
+    });
+    onSuccess(parsedData);
+  } catch (error) {
+    console.error('File upload error:', error);
+    onError(error.message);
+  } finally {
+    onLoadingEnd();
+  }
+};
+
+/**
+ * Handle file upload with validation and parsing
+ * @param {Event} event - File input change event
+ * @param {Function} onSuccess - Success callback with parsed data
+ * @param {Function} onError - Error callback with error message
+ * @param {Function} onLoadingStart - Loading start callback
+ * @param {Function} onLoadingEnd - Loading end callback
+ * @param {Object} options - Upload options ({ addSourceColumn, csvSettings, onProgress })
+ */
+export const handleFileUpload = (event, onSuccess, onError, onLoadingStart, onLoadingEnd, options = {}) => {
+  return loadFiles(Array.from(event.target.files || []), onSuccess, onError, onLoadingStart, onLoadingEnd, options);
+};
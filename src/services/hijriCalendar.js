@@ -0,0 +1,185 @@
+// hijriCalendar.js - Convert between Hijri (Umm al-Qura) and Gregorian dates
+//
+// Uses the browser's islamic-umalqura calendar when it has one and falls back
+// to the tabular (arithmetic) Islamic calendar, which can be a day off.
+
+// Hijri years accepted as dates (1882 to 2077)
+export const MIN_HIJRI_YEAR = 1300;
+export const MAX_HIJRI_YEAR = 1500;
+
+// Two-digit Hijri years below this are 14xx, the rest 13xx
+const TWO_DIGIT_HIJRI_PIVOT = 70;
+
+export const HIJRI_MONTH_NAMES = [
+  'Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani', 'Jumada al-Ula', 'Jumada al-Akhirah',
+  'Rajab', 'Shaban', 'Ramadan', 'Shawwal', 'Dhu al-Qadah', 'Dhu al-Hijjah'
+];
+
+// Spellings found in files, normalized by normalizeMonthName
+const HIJRI_MONTH_ALIASES = {
+  muharram: 1, muharam: 1, 'محرم': 1,
+  safar: 2, 'صفر': 2,
+  rabialawwal: 3, rabiulawwal: 3, rabii: 3, rabi1: 3, 'ربيعالاول': 3,
+  rabialthani: 4, rabiulthani: 4, rabialakhir: 4, rabiulakhir: 4, rabiii: 4, rabi2: 4, 'ربيعالثاني': 4, 'ربيعالاخر': 4,
+  jumadaalula: 5, jumadaalawwal: 5, jumadai: 5, jumada1: 5, 'جمادىالاولى': 5, 'جماديالاولي': 5,
+  jumadaalakhirah: 6, jumadaalthani: 6, jumadaalakhira: 6, jumadaii: 6, jumada2: 6, 'جمادىالاخرة': 6, 'جمادىالثانية': 6, 'جماديالاخرة': 6,
+  rajab: 7, 'رجب': 7,
+  shaban: 8, shaaban: 8, 'شعبان': 8,
+  ramadan: 9, ramadhan: 9, 'رمضان': 9,
+  shawwal: 10, shawal: 10, 'شوال': 10,
+  dhualqadah: 11, dhulqadah: 11, dhulqidah: 11, zulqadah: 11, 'ذوالقعدة': 11,
+  dhualhijjah: 12, dhulhijjah: 12, zulhijjah: 12, 'ذوالحجة': 12
+};
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Julian day of 1 Muharram 1 AH in the tabular calendar
+const TABULAR_EPOCH = 1948439;
+
+// Julian day of 1970-01-01
+const UNIX_EPOCH_JULIAN_DAY = 2440588;
+
+/**
+ * Create the Umm al-Qura formatter, or null when the browser has no such calendar
+ * @returns {Intl.DateTimeFormat|null} Formatter
+ */
+const createUmmAlQuraFormatter = () => {
+  try {
+    const formatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+      timeZone: 'UTC',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric'
+    });
+    return formatter.resolvedOptions().calendar === 'islamic-umalqura' ? formatter : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const ummAlQuraFormatter = createUmmAlQuraFormatter();
+
+/**
+ * Convert a tabular Hijri date to a day count since 1970-01-01
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {number} Days since the Unix epoch
+ */
+const tabularHijriToEpochDay = (year, month, day) => {
+  const julianDay = day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+    Math.floor((3 + 11 * year) / 30) + TABULAR_EPOCH - 1;
+  return julianDay - UNIX_EPOCH_JULIAN_DAY;
+};
+
+/**
+ * Convert a day count since 1970-01-01 to a tabular Hijri date
+ * @param {number} epochDay - Days since the Unix epoch
+ * @returns {Object} { year, month, day }
+ */
+const epochDayToTabularHijri = (epochDay) => {
+  const julianDay = epochDay + UNIX_EPOCH_JULIAN_DAY;
+  const year = Math.floor((30 * (julianDay - TABULAR_EPOCH) + 10646) / 10631);
+  const month = Math.min(12, Math.ceil((julianDay - 29 - tabularHijriToEpochDay(year, 1, 1) - UNIX_EPOCH_JULIAN_DAY) / 29.5) + 1);
+  const day = julianDay - (tabularHijriToEpochDay(year, month, 1) + UNIX_EPOCH_JULIAN_DAY) + 1;
+  return { year, month, day };
+};
+
+/**
+ * Get the Hijri date of a Gregorian calendar day
+ * @param {number} year - Gregorian year
+ * @param {number} month - Gregorian month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Object} Hijri { year, month, day }
+ */
+export const gregorianToHijri = (year, month, day) => {
+  const time = Date.UTC(year, month - 1, day);
+
+  if (ummAlQuraFormatter) {
+    const parts = {};
+    ummAlQuraFormatter.formatToParts(new Date(time)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10)
+    };
+  }
+
+  return epochDayToTabularHijri(Math.round(time / MILLISECONDS_PER_DAY));
+};
+
+/**
+ * Get the Gregorian date of a Hijri calendar day
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Object|null} Gregorian { year, month, day }, or null if the Hijri date does not exist
+ */
+export const hijriToGregorian = (year, month, day) => {
+  if (year < MIN_HIJRI_YEAR || year > MAX_HIJRI_YEAR || month < 1 || month > 12 || day < 1 || day > 30) {
+    return null;
+  }
+
+  // Start from the tabular estimate and walk to the Umm al-Qura day, which is at most two days away
+  const estimate = tabularHijriToEpochDay(year, month, day);
+  const target = year * 10000 + month * 100 + day;
+
+  for (const offset of [0, -1, 1, -2, 2]) {
+    const date = new Date((estimate + offset) * MILLISECONDS_PER_DAY);
+    const gregorian = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    const hijri = gregorianToHijri(gregorian.year, gregorian.month, gregorian.day);
+
+    if (hijri.year * 10000 + hijri.month * 100 + hijri.day === target) {
+      return gregorian;
+    }
+  }
+
+  // Day 30 of a 29-day month
+  return null;
+};
+
+/**
+ * Turn a two-digit Hijri year into a four-digit one
+ * @param {number|string} year - Year as written
+ * @returns {number} Four-digit Hijri year
+ */
+export const expandTwoDigitHijriYear = (year) => {
+  const text = String(year);
+  const value = parseInt(text, 10);
+  if (text.length > 2) return value;
+  return value < TWO_DIGIT_HIJRI_PIVOT ? 1400 + value : 1300 + value;
+};
+
+/**
+ * Check whether a four-digit year can only be a Hijri year
+ * @param {number} year - Year as written
+ * @returns {boolean} True for years in the accepted Hijri range
+ */
+export const isHijriYear = (year) => year >= MIN_HIJRI_YEAR && year <= MAX_HIJRI_YEAR;
+
+/**
+ * Strip spaces, punctuation and Arabic letter variants from a month name
+ * @param {string} name - Month name as written
+ * @returns {string} Normalized name
+ */
+const normalizeMonthName = (name) => name
+  .toLowerCase()
+  .replace(/[أإآ]/g, 'ا')
+  .replace(/[\s'`’\-_.]/g, '');
+
+/**
+ * Look up a Hijri month by name
+ * @param {string} name - Month name in English transliteration or Arabic
+ * @returns {number|null} Month number (1-12) or null
+ */
+export const getHijriMonthNumber = (name) => HIJRI_MONTH_ALIASES[normalizeMonthName(name)] || null;
+
+/**
+ * Display name for a Hijri month
+ * @param {number|string} year - Hijri year
+ * @param {number|string} month - Hijri month (1-12)
+ * @returns {string} e.g. "Rajab 1445 AH"
+ */
+export const getHijriMonthName = (year, month) => `${HIJRI_MONTH_NAMES[parseInt(month, 10) - 1]} ${year} AH`;
@@ -0,0 +1,60 @@
+import {
+  hijriToGregorian,
+  gregorianToHijri,
+  expandTwoDigitHijriYear,
+  getHijriMonthNumber,
+  getHijriMonthName
+} from './hijriCalendar.js';
+import { parseDateValue } from './dateParsing.js';
+
+describe('hijriToGregorian', () => {
+  test('converts Umm al-Qura dates', () => {
+    expect(hijriToGregorian(1445, 7, 13)).toEqual({ year: 2024, month: 1, day: 25 });
+    expect(hijriToGregorian(1445, 9, 1)).toEqual({ year: 2024, month: 3, day: 11 });
+    expect(hijriToGregorian(1446, 1, 1)).toEqual({ year: 2024, month: 7, day: 7 });
+  });
+
+  test('rejects days that do not exist', () => {
+    expect(hijriToGregorian(1445, 7, 30)).toBeNull();
+    expect(hijriToGregorian(1445, 13, 1)).toBeNull();
+    expect(hijriToGregorian(1200, 1, 1)).toBeNull();
+  });
+
+  test('round-trips with gregorianToHijri', () => {
+    expect(gregorianToHijri(2024, 1, 25)).toEqual({ year: 1445, month: 7, day: 13 });
+  });
+});
+
+describe('Hijri names and years', () => {
+  test('pivots two-digit years at 70', () => {
+    expect(expandTwoDigitHijriYear('45')).toBe(1445);
+    expect(expandTwoDigitHijriYear('95')).toBe(1395);
+  });
+
+  test('reads English and Arabic month names', () => {
+    expect(getHijriMonthNumber('Rajab')).toBe(7);
+    expect(getHijriMonthNumber('Rabi al-Awwal')).toBe(3);
+    expect(getHijriMonthNumber('ذو الحجة')).toBe(12);
+    expect(getHijriMonthNumber('January')).toBeNull();
+  });
+
+  test('names a month', () => {
+    expect(getHijriMonthName(1445, 7)).toBe('Rajab 1445 AH');
+  });
+});
+
+describe('Hijri date cells', () => {
+  const rajab13 = { year: 2024, month: 1, day: 25, hijri: { year: 1445, month: 7, day: 13 } };
+
+  test('reads numeric, marked and named Hijri dates', () => {
+    expect(parseDateValue('1445/07/13')).toEqual(rajab13);
+    expect(parseDateValue('13-07-1445 هـ')).toEqual(rajab13);
+    expect(parseDateValue('13 Rajab 1445 AH')).toEqual(rajab13);
+    expect(parseDateValue('١٣/٠٧/١٤٤٥')).toEqual(rajab13);
+  });
+
+  test('reads two-digit years as Hijri in a Hijri column', () => {
+    expect(parseDateValue('13/07/45', 'DD/MM/YYYY', 'hijri')).toEqual(rajab13);
+    expect(parseDateValue('13/07/45')).toEqual({ year: 2045, month: 7, day: 13 });
+  });
+});
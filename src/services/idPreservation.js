@@ -0,0 +1,107 @@
+// idPreservation.js - Keep long numeric IDs and leading zeros exactly as they appear in the sheet
+
+import * as XLSX from 'xlsx';
+
+// Integers with this many digits or more are IDs, not amounts
+const LONG_NUMBER_DIGITS = 16;
+
+// Example cells kept per column for the summary
+const MAX_EXAMPLES = 3;
+
+export const PRESERVATION_KINDS = {
+  leadingZeros: 'Leading zeros kept',
+  longNumber: 'Long number kept as text',
+  precisionLost: 'Digits already lost in the source file'
+};
+
+/**
+ * Check whether a text value is an ID that must not be turned into a number
+ * @param {*} value - Cell value
+ * @returns {boolean} True for digit strings with leading zeros or 16+ digits
+ */
+export const isIdLikeText = (value) => {
+  if (typeof value !== 'string') return false;
+  const text = value.trim();
+  return /^0\d+$/.test(text) || new RegExp(`^\\d{${LONG_NUMBER_DIGITS},}$`).test(text);
+};
+
+/**
+ * Work out the exact text for a numeric cell that would otherwise lose digits
+ * @param {number} value - Raw cell value
+ * @param {string} formattedText - Formatted cell text (cell.w)
+ * @returns {Object|null} { text, kind } or null when the number is safe as-is
+ */
+const getPreservedText = (value, formattedText) => {
+  const shown = typeof formattedText === 'string' ? formattedText.trim() : '';
+
+  // "00123" stored as 123 with a 00000 number format
+  if (/^0\d+$/.test(shown) && Number(shown) === value) {
+    return { text: shown, kind: 'leadingZeros' };
+  }
+
+  if (Number.isInteger(value) && Math.abs(value) >= 10 ** (LONG_NUMBER_DIGITS - 1)) {
+    if (/^-?\d+$/.test(shown) && shown.replace('-', '').length >= LONG_NUMBER_DIGITS) {
+      return { text: shown, kind: 'longNumber' };
+    }
+    // Avoid scientific notation; digits past the 15th can't be recovered if Excel already rounded them
+    return {
+      text: value.toLocaleString('fullwide', { useGrouping: false }),
+      kind: Number.isSafeInteger(value) ? 'longNumber' : 'precisionLost'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Replace numeric cells that are really IDs with their exact text, and report
+ * every cell whose value would have changed if it had been read as a number
+ * @param {Object} sheet - SheetJS worksheet the rows were read from
+ * @param {Array} jsonData - Rows from sheet_to_json with header: 1 (updated in place)
+ * @returns {Array} Per-column summary: [{ colIndex, kind, count, examples: [{ rowIndex, original, text }] }]
+ */
+export const preserveIdText = (sheet, jsonData) => {
+  const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : { s: { r: 0, c: 0 } };
+  const summary = new Map(); // Key: "colIndex:kind", Value: summary entry
+
+  const flagCell = (rowIndex, colIndex, kind, original, text) => {
+    const key = `${colIndex}:${kind}`;
+    if (!summary.has(key)) {
+      summary.set(key, { colIndex, kind, count: 0, examples: [] });
+    }
+    const entry = summary.get(key);
+    entry.count++;
+    if (entry.examples.length < MAX_EXAMPLES) {
+      entry.examples.push({ rowIndex, original, text });
+    }
+  };
+
+  jsonData.forEach((row, rowIndex) => {
+    if (!row) return;
+
+    row.forEach((cell, colIndex) => {
+      if (typeof cell === 'number') {
+        const sheetCell = sheet[XLSX.utils.encode_cell({ r: range.s.r + rowIndex, c: range.s.c + colIndex })];
+        const preserved = getPreservedText(cell, sheetCell && sheetCell.w);
+        if (preserved) {
+          row[colIndex] = preserved.text;
+          flagCell(rowIndex, colIndex, preserved.kind, cell, preserved.text);
+        }
+      } else if (isIdLikeText(cell)) {
+        // Already text (e.g. from CSV); a plain number conversion would have changed it
+        flagCell(rowIndex, colIndex, /^0/.test(cell.trim()) ? 'leadingZeros' : 'longNumber', cell, cell);
+      }
+    });
+  });
+
+  const preservedValues = Array.from(summary.values()).sort((a, b) => a.colIndex - b.colIndex);
+
+  if (preservedValues.length > 0) {
+    console.log('=== PRESERVED ID VALUES ===');
+    preservedValues.forEach(entry => {
+      console.log(`Column ${entry.colIndex}: ${entry.count} cells (${PRESERVATION_KINDS[entry.kind]})`);
+    });
+  }
+
+  return preservedValues;
+};
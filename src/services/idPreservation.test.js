@@ -0,0 +1,91 @@
+import * as XLSX from 'xlsx';
+import { preserveIdText, isIdLikeText } from './idPreservation.js';
+
+/**
+ * Build a worksheet from cells keyed by address and read its rows like fileHandling does
+ */
+const readSheet = (cells, ref) => {
+  const sheet = { '!ref': ref, ...cells };
+  return { sheet, jsonData: XLSX.utils.sheet_to_json(sheet, { header: 1 }) };
+};
+
+describe('preserveIdText', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps leading zeros shown by a number format', () => {
+    const { sheet, jsonData } = readSheet({
+      A1: { t: 's', v: 'Member No' },
+      A2: { t: 'n', v: 123, w: '00123' },
+      A3: { t: 'n', v: 45, w: '45' }
+    }, 'A1:A3');
+
+    const preserved = preserveIdText(sheet, jsonData);
+
+    expect(jsonData).toEqual([['Member No'], ['00123'], [45]]);
+    expect(preserved).toEqual([
+      { colIndex: 0, kind: 'leadingZeros', count: 1, examples: [{ rowIndex: 1, original: 123, text: '00123' }] }
+    ]);
+  });
+
+  test('keeps long digit strings exact instead of rounding or scientific notation', () => {
+    const { sheet, jsonData } = readSheet({
+      A1: { t: 's', v: 'Card No' },
+      A2: { t: 'n', v: 4111111111111111, w: '4111111111111111' },
+      A3: { t: 'n', v: 4111111111111111, w: '4.11111E+15' },
+      A4: { t: 'n', v: 12345678901234567000, w: '1.23457E+19' }
+    }, 'A1:A4');
+
+    const preserved = preserveIdText(sheet, jsonData);
+
+    expect(jsonData.slice(1)).toEqual([['4111111111111111'], ['4111111111111111'], ['12345678901234567000']]);
+    expect(preserved.map(({ kind, count }) => ({ kind, count }))).toEqual([
+      { kind: 'longNumber', count: 2 },
+      { kind: 'precisionLost', count: 1 }
+    ]);
+  });
+
+  test('leaves text IDs unchanged, including "1.0" style ones', () => {
+    const { sheet, jsonData } = readSheet({
+      A1: { t: 's', v: 'Claim ID' },
+      A2: { t: 's', v: '00123' },
+      A3: { t: 's', v: '1234567890123456789' },
+      A4: { t: 's', v: '1.0' },
+      A5: { t: 's', v: '1045.0' }
+    }, 'A1:A5');
+
+    const preserved = preserveIdText(sheet, jsonData);
+
+    expect(jsonData.slice(1)).toEqual([['00123'], ['1234567890123456789'], ['1.0'], ['1045.0']]);
+    expect(preserved.map(({ kind, count }) => ({ kind, count }))).toEqual([
+      { kind: 'leadingZeros', count: 1 },
+      { kind: 'longNumber', count: 1 }
+    ]);
+  });
+
+  test('finds the sheet cells of a range that does not start at A1', () => {
+    const { sheet, jsonData } = readSheet({
+      B3: { t: 's', v: 'Member No' },
+      B4: { t: 'n', v: 7, w: '0007' }
+    }, 'B3:B4');
+
+    preserveIdText(sheet, jsonData);
+
+    expect(jsonData).toEqual([['Member No'], ['0007']]);
+  });
+});
+
+describe('isIdLikeText', () => {
+  test('matches leading zeros and long digit runs only', () => {
+    expect(isIdLikeText('0123')).toBe(true);
+    expect(isIdLikeText('1234567890123456')).toBe(true);
+    expect(isIdLikeText('123456789012345')).toBe(false);
+    expect(isIdLikeText('1.0')).toBe(false);
+    expect(isIdLikeText(123)).toBe(false);
+  });
+});
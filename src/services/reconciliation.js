@@ -0,0 +1,260 @@
+// reconciliation.js - Match submitted claims against a payer remittance file
+//
+// Settings are { keyPairs, claimAmountHeader, paidAmountHeader, tolerance }.
+// Each key pair names a claims column and the remittance column holding the
+// same value (Claim ID, or Claim ID + Line No); keys match ignoring case and
+// surrounding spaces. IDs like "00123" are compared exactly as written; only
+// when one side is a number cell (the number 123) does it match text that
+// reads as the same number ("00123", "123.0"), and only if exactly one claim
+// fits. A claim can be paid over several remittance lines, so paid amounts
+// are added up per key, and claims sharing a key are compared as one claim.
+// Amount cells that are not numbers ("Ref 12") count as 0. Every claim ends
+// up on the Matched, Partially Paid, Overpaid or Unpaid sheet; remittance
+// lines without a claim go to Unexpected Remittance.
+
+import { parseNumericCell } from './rowRules.js';
+
+export const RECONCILIATION_SHEETS = [
+  { value: 'matched', label: 'Matched' },
+  { value: 'partial', label: 'Partially Paid' },
+  { value: 'overpaid', label: 'Overpaid' },
+  { value: 'unpaid', label: 'Unpaid' },
+  { value: 'unexpected', label: 'Unexpected Remittance' }
+];
+
+export const DEFAULT_RECONCILIATION = {
+  keyPairs: [{ claimHeader: '', remittanceHeader: '' }],
+  claimAmountHeader: '',
+  paidAmountHeader: '',
+  tolerance: 0.01
+};
+
+// Columns added after the claim's own columns
+export const CLAIM_RESULT_HEADERS = ['Total Claimed', 'Total Remitted', 'Difference', 'Status', 'Remittance Lines'];
+
+/**
+ * Read one key cell as written, and as the number it reads as
+ * @param {*} value - Key cell
+ * @returns {Object} { text, number, isNumberCell } where number is the digits
+ *   without leading zeros or a trailing ".0" (the text for other values)
+ */
+const readKeyPart = (value) => {
+  const text = value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+  const digits = text.match(/^(\d+)(?:\.0+)?$/);
+  return {
+    text,
+    number: digits ? digits[1].replace(/^0+(?=\d)/, '') : text,
+    isNumberCell: typeof value === 'number'
+  };
+};
+
+/**
+ * Check whether two keys are the same claim: every part matches as written,
+ * or as a number when one of the two cells is a number cell (Excel drops the
+ * leading zeros of IDs stored as numbers)
+ * @param {Array} parts - Key parts of one side
+ * @param {Array} otherParts - Key parts of the other side
+ * @returns {boolean} True if the keys match
+ */
+const keyPartsMatch = (parts, otherParts) => parts.every((part, index) => {
+  const other = otherParts[index];
+  return part.text === other.text || ((part.isNumberCell || other.isNumberCell) && part.number === other.number);
+});
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Pick the first header that contains one of the keywords, for a default amount column
+ * @param {Array} headers - Column headers
+ * @param {Array} keywords - Lowercase keywords in order of preference
+ * @returns {string} Matching header, or ''
+ */
+export const guessAmountHeader = (headers, keywords) => {
+  for (const keyword of keywords) {
+    const header = headers.find(candidate => String(candidate).toLowerCase().includes(keyword));
+    if (header) return header;
+  }
+  return '';
+};
+
+/**
+ * Explain why the reconciliation can't run yet
+ * @param {Object} settings - Reconciliation settings
+ * @param {Array} claimHeaders - Headers of the claims sheet
+ * @param {Array} remittanceHeaders - Headers of the remittance sheet
+ * @returns {string} Error message, or '' if the settings are complete
+ */
+export const getReconciliationError = (settings, claimHeaders, remittanceHeaders) => {
+  if (settings.keyPairs.length === 0) return 'Choose at least one pair of key columns';
+  if (settings.keyPairs.some(pair => !claimHeaders.includes(pair.claimHeader) || !remittanceHeaders.includes(pair.remittanceHeader))) {
+    return 'Choose both columns of every key pair';
+  }
+  if (!claimHeaders.includes(settings.claimAmountHeader)) return 'Choose the claimed amount column';
+  if (!remittanceHeaders.includes(settings.paidAmountHeader)) return 'Choose the paid amount column';
+  if (!(Number(settings.tolerance) >= 0)) return 'The tolerance must be zero or more';
+  return '';
+};
+
+/**
+ * Build the function that reads the key of a row
+ * @param {Array} headerRow - Header row of the data
+ * @param {Array} keyHeaders - Key columns in key pair order
+ * @returns {Function} (row) => { key, numberKey, parts }, or null when every key column is blank;
+ *   key is the parts as written and numberKey the parts read as numbers
+ */
+const createKeyReader = (headerRow, keyHeaders) => {
+  const keyIndexes = keyHeaders.map(header => headerRow.indexOf(header));
+
+  return (row) => {
+    const parts = keyIndexes.map(index => readKeyPart(row[index]));
+    if (parts.every(part => part.text === '')) return null;
+
+    return {
+      key: JSON.stringify(parts.map(part => part.text)),
+      numberKey: JSON.stringify(parts.map(part => part.number)),
+      parts
+    };
+  };
+};
+
+/**
+ * Describe how a claim was paid
+ * @param {number} claimed - Claimed total
+ * @param {number} paid - Paid total
+ * @param {number} lineCount - Remittance lines found
+ * @param {number} tolerance - Largest difference still counted as paid in full
+ * @returns {Object} { sheet, status }
+ */
+const classifyClaim = (claimed, paid, lineCount, tolerance) => {
+  if (lineCount === 0) return { sheet: 'unpaid', status: 'No remittance' };
+  if (paid === 0 && claimed !== 0) return { sheet: 'unpaid', status: 'Paid 0' };
+  if (Math.abs(paid - claimed) <= tolerance) return { sheet: 'matched', status: 'Paid in full' };
+  if (paid > claimed) return { sheet: 'overpaid', status: 'Overpaid' };
+  return { sheet: 'partial', status: 'Partially paid' };
+};
+
+/**
+ * Match claims against remittance lines and sort them into the report sheets
+ * @param {Array} claimsData - Claims (header row first)
+ * @param {Array} remittanceData - Remittance lines (header row first)
+ * @param {Object} settings - Reconciliation settings
+ * @returns {Object} { sheets, summary } where sheets are { key, name, data } in report order and
+ *   summary holds { rows, claimed, paid } per sheet key
+ */
+export const reconcileClaims = (claimsData, remittanceData, settings) => {
+  console.log('=== CLAIMS RECONCILIATION ===');
+  console.log('Key pairs:', settings.keyPairs);
+  console.log('Amounts:', settings.claimAmountHeader, '->', settings.paidAmountHeader);
+
+  const claimHeaderRow = claimsData[0];
+  const remittanceHeaderRow = remittanceData[0];
+  const tolerance = Number(settings.tolerance) || 0;
+
+  const readClaimKey = createKeyReader(claimHeaderRow, settings.keyPairs.map(pair => pair.claimHeader));
+  const readRemittanceKey = createKeyReader(remittanceHeaderRow, settings.keyPairs.map(pair => pair.remittanceHeader));
+  const claimAmountIndex = claimHeaderRow.indexOf(settings.claimAmountHeader);
+  const paidAmountIndex = remittanceHeaderRow.indexOf(settings.paidAmountHeader);
+  const readAmount = (row, index) => parseNumericCell(row[index]) || 0;
+
+  // Claimed totals per key, and the claim keys each number key can stand for
+  const claimRows = claimsData.slice(1).filter(Boolean);
+  const claimedByKey = new Map();
+  const claimPartsByKey = new Map();
+  const claimKeysByNumberKey = new Map();
+  claimRows.forEach(row => {
+    const claimKey = readClaimKey(row);
+    if (claimKey === null) return;
+
+    const { key, numberKey, parts } = claimKey;
+    claimedByKey.set(key, (claimedByKey.get(key) || 0) + readAmount(row, claimAmountIndex));
+    if (!claimPartsByKey.has(key)) claimPartsByKey.set(key, parts);
+    if (!claimKeysByNumberKey.has(numberKey)) claimKeysByNumberKey.set(numberKey, new Set());
+    claimKeysByNumberKey.get(numberKey).add(key);
+  });
+
+  // The claim a remittance line pays: the same key as written, or the only claim whose key matches as a number
+  const findClaimKey = ({ key, numberKey, parts }) => {
+    if (claimedByKey.has(key)) return key;
+
+    const candidates = Array.from(claimKeysByNumberKey.get(numberKey) || [])
+      .filter(claimKey => keyPartsMatch(claimPartsByKey.get(claimKey), parts));
+    return candidates.length === 1 ? candidates[0] : null;
+  };
+
+  // Paid totals per key; lines without a claim are unexpected
+  const paidByKey = new Map();
+  const unexpectedRows = [];
+  remittanceData.slice(1).filter(Boolean).forEach(row => {
+    const remittanceKey = readRemittanceKey(row);
+    const key = remittanceKey === null ? null : findClaimKey(remittanceKey);
+    if (key === null) {
+      unexpectedRows.push(row);
+      return;
+    }
+
+    const paid = paidByKey.get(key) || { amount: 0, lineCount: 0 };
+    paidByKey.set(key, { amount: paid.amount + readAmount(row, paidAmountIndex), lineCount: paid.lineCount + 1 });
+  });
+
+  const sheetRows = {};
+  const claimSheetByKey = new Map();
+  const summary = {};
+  RECONCILIATION_SHEETS.forEach(sheet => {
+    sheetRows[sheet.value] = [];
+    summary[sheet.value] = { rows: 0, claimed: 0, paid: 0 };
+  });
+
+  // Short rows are padded so the result columns line up
+  const padRow = (row, width) => (row.length < width ? [...row, ...Array(width - row.length).fill('')] : row);
+
+  claimRows.forEach(row => {
+    const claimKey = readClaimKey(row);
+    const key = claimKey === null ? null : claimKey.key;
+    const claimed = key === null ? readAmount(row, claimAmountIndex) : claimedByKey.get(key);
+    const paid = (key !== null && paidByKey.get(key)) || { amount: 0, lineCount: 0 };
+    const { sheet, status } = key === null
+      ? { sheet: 'unpaid', status: 'No claim key' }
+      : classifyClaim(roundAmount(claimed), roundAmount(paid.amount), paid.lineCount, tolerance);
+
+    sheetRows[sheet].push([
+      ...padRow(row, claimHeaderRow.length),
+      roundAmount(claimed),
+      roundAmount(paid.amount),
+      roundAmount(paid.amount - claimed),
+      status,
+      paid.lineCount
+    ]);
+    summary[sheet].rows++;
+    summary[sheet].claimed += readAmount(row, claimAmountIndex);
+    if (key !== null) claimSheetByKey.set(key, sheet);
+  });
+
+  // Paid totals are counted once per key, on the sheet its claims went to
+  paidByKey.forEach((paid, key) => {
+    summary[claimSheetByKey.get(key)].paid += paid.amount;
+  });
+
+  unexpectedRows.forEach(row => {
+    summary.unexpected.rows++;
+    summary.unexpected.paid += readAmount(row, paidAmountIndex);
+  });
+
+  Object.values(summary).forEach(totals => {
+    totals.claimed = roundAmount(totals.claimed);
+    totals.paid = roundAmount(totals.paid);
+  });
+
+  const claimSheetHeader = [...claimHeaderRow, ...CLAIM_RESULT_HEADERS];
+  const sheets = RECONCILIATION_SHEETS.map(({ value, label }) => ({
+    key: value,
+    name: label,
+    data: value === 'unexpected'
+      ? [remittanceHeaderRow, ...unexpectedRows]
+      : [claimSheetHeader, ...sheetRows[value]]
+  }));
+
+  RECONCILIATION_SHEETS.forEach(({ value, label }) => console.log(`- ${label}:`, summary[value].rows));
+  console.log('=== END CLAIMS RECONCILIATION ===');
+
+  return { sheets, summary };
+};
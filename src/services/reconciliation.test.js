@@ -0,0 +1,122 @@
+import { reconcileClaims, getReconciliationError, DEFAULT_RECONCILIATION } from './reconciliation.js';
+
+const settings = {
+  ...DEFAULT_RECONCILIATION,
+  keyPairs: [{ claimHeader: 'Claim ID', remittanceHeader: 'Claim No' }],
+  claimAmountHeader: 'Claimed',
+  paidAmountHeader: 'Paid'
+};
+
+const claims = [
+  ['Claim ID', 'Patient', 'Claimed'],
+  ['C1', 'Ali', 100],
+  ['C2', 'Sara', 200],
+  ['C3', 'Omar', 300],
+  ['C4', 'Huda', 50],
+  ['C5', 'Noor', 80]
+];
+
+const remittance = [
+  ['Claim No', 'Paid'],
+  ['C1', 60],
+  ['c1 ', 40],
+  ['C2', 150],
+  ['C4', 70],
+  ['C5', 0],
+  ['C9', 25]
+];
+
+const sheetOf = (result, key) => result.sheets.find(sheet => sheet.key === key).data;
+const statusesOf = (result, key) => sheetOf(result, key).slice(1).map(row => [row[0], row[row.length - 2]]);
+
+describe('reconcileClaims', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('splits claims into matched, partially paid, overpaid and unpaid', () => {
+    const result = reconcileClaims(claims, remittance, settings);
+
+    expect(statusesOf(result, 'matched')).toEqual([['C1', 'Paid in full']]);
+    expect(statusesOf(result, 'partial')).toEqual([['C2', 'Partially paid']]);
+    expect(statusesOf(result, 'overpaid')).toEqual([['C4', 'Overpaid']]);
+    expect(statusesOf(result, 'unpaid')).toEqual([['C3', 'No remittance'], ['C5', 'Paid 0']]);
+    expect(sheetOf(result, 'unexpected')).toEqual([['Claim No', 'Paid'], ['C9', 25]]);
+  });
+
+  test('adds up the remittance lines of a claim', () => {
+    const [matchedRow] = sheetOf(reconcileClaims(claims, remittance, settings), 'matched').slice(1);
+
+    expect(matchedRow).toEqual(['C1', 'Ali', 100, 100, 100, 0, 'Paid in full', 2]);
+  });
+
+  test('totals each sheet', () => {
+    const { summary } = reconcileClaims(claims, remittance, settings);
+
+    expect(summary.matched).toEqual({ rows: 1, claimed: 100, paid: 100 });
+    expect(summary.overpaid).toEqual({ rows: 1, claimed: 50, paid: 70 });
+    expect(summary.unpaid).toEqual({ rows: 2, claimed: 380, paid: 0 });
+    expect(summary.unexpected).toEqual({ rows: 1, claimed: 0, paid: 25 });
+  });
+
+  test('counts differences within the tolerance as paid in full', () => {
+    const data = [['Claim ID', 'Patient', 'Claimed'], ['C1', 'Ali', 100]];
+
+    expect(statusesOf(reconcileClaims(data, [['Claim No', 'Paid'], ['C1', 99.5]], { ...settings, tolerance: 1 }), 'matched'))
+      .toEqual([['C1', 'Paid in full']]);
+    expect(statusesOf(reconcileClaims(data, [['Claim No', 'Paid'], ['C1', 99.5]], settings), 'partial'))
+      .toEqual([['C1', 'Partially paid']]);
+    expect(statusesOf(reconcileClaims(data, [['Claim No', 'Paid'], ['C1', 101]], { ...settings, tolerance: 1 }), 'matched'))
+      .toEqual([['C1', 'Paid in full']]);
+  });
+
+  test('matches a number cell with text that reads as the same number', () => {
+    const data = [['Claim ID', 'Patient', 'Claimed'], [123, 'Ali', 100], ['00456', 'Sara', 50], [789, 'Omar', 20]];
+    const lines = [['Claim No', 'Paid'], ['00123', 100], [456, 50], ['789.0', 20]];
+    const result = reconcileClaims(data, lines, settings);
+
+    expect(sheetOf(result, 'matched')).toHaveLength(4);
+    expect(sheetOf(result, 'unexpected')).toHaveLength(1);
+  });
+
+  test('keeps text IDs with leading zeros as written', () => {
+    const data = [['Claim ID', 'Patient', 'Claimed'], ['00123', 'Ali', 100], ['123', 'Sara', 50]];
+    const result = reconcileClaims(data, [['Claim No', 'Paid'], ['123', 50], ['0123', 10]], settings);
+
+    expect(statusesOf(result, 'matched')).toEqual([['123', 'Paid in full']]);
+    expect(statusesOf(result, 'unpaid')).toEqual([['00123', 'No remittance']]);
+    expect(sheetOf(result, 'unexpected')).toEqual([['Claim No', 'Paid'], ['0123', 10]]);
+  });
+
+  test('does not guess when a number cell fits several claims', () => {
+    const data = [['Claim ID', 'Patient', 'Claimed'], ['00123', 'Ali', 100], ['0123', 'Sara', 50]];
+    const result = reconcileClaims(data, [['Claim No', 'Paid'], [123, 100]], settings);
+
+    expect(sheetOf(result, 'unexpected')).toEqual([['Claim No', 'Paid'], [123, 100]]);
+  });
+
+  test('keeps text keys with leading zeros apart from other text', () => {
+    const data = [['Claim ID', 'Patient', 'Claimed'], ['A-0012', 'Ali', 100]];
+    const result = reconcileClaims(data, [['Claim No', 'Paid'], ['A-12', 100]], settings);
+
+    expect(statusesOf(result, 'unpaid')).toEqual([['A-0012', 'No remittance']]);
+  });
+
+  test('counts amount cells that are not numbers as 0', () => {
+    const data = [['Claim ID', 'Patient', 'Claimed'], ['C1', 'Ali', 100]];
+    const result = reconcileClaims(data, [['Claim No', 'Paid'], ['C1', 'SAR 100'], ['C1', 'Ref 12']], settings);
+
+    expect(sheetOf(result, 'matched')[1]).toEqual(['C1', 'Ali', 100, 100, 100, 0, 'Paid in full', 2]);
+  });
+});
+
+describe('getReconciliationError', () => {
+  test('rejects a negative tolerance', () => {
+    expect(getReconciliationError({ ...settings, tolerance: -1 }, claims[0], remittance[0]))
+      .toBe('The tolerance must be zero or more');
+  });
+});
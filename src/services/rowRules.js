@@ -0,0 +1,290 @@
+// rowRules.js - Remove rows matching per-column conditions combined in AND/OR groups
+//
+// A rule set is { combinator, groups } where each group is { combinator, conditions }
+// and each condition is { header, operator, value }. A row is removed when it
+// matches the rule set: all (AND) or any (OR) of its groups, where a group
+// matches when all or any of its conditions do. Columns are found by header
+// name, so one rule set works on every sheet; a condition on a column the
+// sheet doesn't have never matches. Text comparisons ignore case and
+// surrounding spaces.
+
+export const RULE_OPERATORS = [
+  { value: 'equals', label: 'equals', needsValue: true },
+  { value: 'notEquals', label: 'does not equal', needsValue: true },
+  { value: 'contains', label: 'contains', needsValue: true },
+  { value: 'notContains', label: 'does not contain', needsValue: true },
+  { value: 'regex', label: 'matches regex', needsValue: true },
+  { value: 'inList', label: 'is one of', needsValue: true },
+  { value: 'gt', label: '>', needsValue: true, numeric: true },
+  { value: 'gte', label: '>=', needsValue: true, numeric: true },
+  { value: 'lt', label: '<', needsValue: true, numeric: true },
+  { value: 'lte', label: '<=', needsValue: true, numeric: true },
+  { value: 'empty', label: 'is empty', needsValue: false },
+  { value: 'notEmpty', label: 'is not empty', needsValue: false }
+];
+
+export const RULE_COMBINATORS = [
+  { value: 'and', label: 'all' },
+  { value: 'or', label: 'any' }
+];
+
+export const EMPTY_RULE_SET = { combinator: 'or', groups: [] };
+
+/**
+ * Create a condition on a column
+ * @param {string} header - Column header
+ * @returns {Object} { header, operator, value }
+ */
+export const createCondition = (header = '') => ({ header, operator: 'equals', value: '' });
+
+/**
+ * Create a group holding one condition
+ * @param {string} header - Column of the first condition
+ * @returns {Object} { combinator, conditions }
+ */
+export const createRuleGroup = (header = '') => ({ combinator: 'and', conditions: [createCondition(header)] });
+
+const getOperator = (operator) => RULE_OPERATORS.find(option => option.value === operator);
+
+const normalizeText = (value) => (
+  value === null || value === undefined ? '' : String(value).trim().toLowerCase()
+);
+
+// Currency symbols and codes allowed before or after an amount ("SAR 1,250.00", "40 $");
+// codes need a space so IDs like "SR1" stay text
+const CURRENCY_SYMBOL = '[$€£¥₹﷼]';
+const CURRENCY_CODE = '(?:sar|sr|usd|eur|gbp|aed|ر\\.س\\.?)';
+const LEADING_CURRENCY_PATTERN = new RegExp(`^([-+]?)\\s*(?:${CURRENCY_SYMBOL}\\s*|${CURRENCY_CODE}\\s+)`, 'i');
+const TRAILING_CURRENCY_PATTERN = new RegExp(`(?:\\s*${CURRENCY_SYMBOL}|\\s+${CURRENCY_CODE})$`, 'i');
+const NUMBER_PATTERN = /^[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d*)?$|^[-+]?\.\d+$/;
+
+/**
+ * Read a cell or condition value as a number, allowing thousands separators
+ * and currency symbols ("1,250.00", "$ 40"). Any other text makes it a text
+ * value, so codes like "A001" or "B1" are never read as 1.
+ * @param {*} value - Cell or condition value
+ * @returns {number|null} The number, or null if the value isn't numeric
+ */
+export const parseNumericCell = (value) => {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const cleaned = value.trim()
+    .replace(LEADING_CURRENCY_PATTERN, '$1')
+    .replace(TRAILING_CURRENCY_PATTERN, '');
+  return NUMBER_PATTERN.test(cleaned) ? Number(cleaned.replace(/,/g, '')) : null;
+};
+
+/**
+ * Split an "is one of" value into its items (comma or new line separated)
+ * @param {string} value - Condition value
+ * @returns {Array} Normalized items
+ */
+const splitList = (value) => String(value).split(/[,\n]/).map(normalizeText).filter(Boolean);
+
+/**
+ * Explain why a condition can't be used yet
+ * @param {Object} condition - { header, operator, value }
+ * @param {Array} headers - Columns the rules can use (optional); rules run before
+ *   added columns are filled, so those can't be used
+ * @returns {string} Error message, or '' if the condition is complete
+ */
+export const getConditionError = (condition, headers = null) => {
+  const operator = getOperator(condition.operator);
+
+  if (!condition.header) return 'Choose a column';
+  if (headers && !headers.includes(condition.header)) {
+    return `"${condition.header}" is not a column of this sheet, so no row matches. Row filters can't use added columns.`;
+  }
+  if (!operator) return 'Choose a condition';
+  if (!operator.needsValue) return '';
+  if (String(condition.value).trim() === '') return 'Enter a value';
+
+  if (operator.numeric && parseNumericCell(condition.value) === null) {
+    return `"${condition.value}" is not a number`;
+  }
+
+  if (operator.value === 'regex') {
+    try {
+      new RegExp(condition.value);
+    } catch (error) {
+      return `Invalid regex: ${error.message}`;
+    }
+  }
+
+  return '';
+};
+
+/**
+ * Check whether a rule set has at least one complete condition
+ * @param {Object} ruleSet - { combinator, groups }
+ * @returns {boolean} True if the rules remove anything
+ */
+export const isRuleSetActive = (ruleSet) => Boolean(
+  ruleSet && (ruleSet.groups || []).some(group => (
+    group.conditions.some(condition => !getConditionError(condition))
+  ))
+);
+
+/**
+ * Build the test for one condition
+ * @param {Object} condition - Complete condition
+ * @param {number} columnIndex - Index of its column
+ * @returns {Function} (row) => true if the row matches
+ */
+const createConditionTest = (condition, columnIndex) => {
+  const expected = normalizeText(condition.value);
+  const expectedNumber = parseNumericCell(condition.value);
+  const cellText = (row) => normalizeText(row[columnIndex]);
+
+  // "0" equals 0 and "0.00", so equality compares numbers when both sides are numeric
+  const isEqual = (row) => {
+    const cellNumber = parseNumericCell(row[columnIndex]);
+    return cellNumber !== null && expectedNumber !== null
+      ? cellNumber === expectedNumber
+      : cellText(row) === expected;
+  };
+
+  const compareNumber = (test) => (row) => {
+    const cellNumber = parseNumericCell(row[columnIndex]);
+    return cellNumber !== null && test(cellNumber);
+  };
+
+  switch (condition.operator) {
+    case 'equals':
+      return isEqual;
+    case 'notEquals':
+      return (row) => !isEqual(row);
+    case 'contains':
+      return (row) => cellText(row).includes(expected);
+    case 'notContains':
+      return (row) => !cellText(row).includes(expected);
+    case 'regex': {
+      const pattern = new RegExp(condition.value, 'i');
+      return (row) => pattern.test(row[columnIndex] === null || row[columnIndex] === undefined ? '' : String(row[columnIndex]));
+    }
+    case 'inList': {
+      const items = new Set(splitList(condition.value));
+      return (row) => items.has(cellText(row));
+    }
+    case 'gt':
+      return compareNumber(number => number > expectedNumber);
+    case 'gte':
+      return compareNumber(number => number >= expectedNumber);
+    case 'lt':
+      return compareNumber(number => number < expectedNumber);
+    case 'lte':
+      return compareNumber(number => number <= expectedNumber);
+    case 'empty':
+      return (row) => cellText(row) === '';
+    case 'notEmpty':
+      return (row) => cellText(row) !== '';
+    default:
+      return () => false;
+  }
+};
+
+/**
+ * Combine tests with AND or OR
+ * @param {Array} tests - Row tests
+ * @param {string} combinator - 'and' or 'or'
+ * @returns {Function} (row) => boolean
+ */
+const combineTests = (tests, combinator) => (
+  combinator === 'and'
+    ? (row) => tests.every(test => test(row))
+    : (row) => tests.some(test => test(row))
+);
+
+/**
+ * Build the row tests for each group of a rule set. Incomplete conditions and
+ * groups without a complete condition are left out.
+ * @param {Object} ruleSet - { combinator, groups }
+ * @param {Array} headerRow - Header row of the data being filtered
+ * @returns {Array} One (row) => boolean test per group, null for groups left out
+ */
+const createGroupTests = (ruleSet, headerRow) => (
+  (ruleSet.groups || []).map(group => {
+    const tests = group.conditions
+      .filter(condition => !getConditionError(condition))
+      .map(condition => {
+        const columnIndex = headerRow.indexOf(condition.header);
+        return columnIndex === -1 ? () => false : createConditionTest(condition, columnIndex);
+      });
+
+    return tests.length > 0 ? combineTests(tests, group.combinator) : null;
+  })
+);
+
+/**
+ * Build the test that tells whether a row matches the rule set
+ * @param {Object} ruleSet - { combinator, groups }
+ * @param {Array} headerRow - Header row of the data being filtered
+ * @returns {Function} (row) => true if the row should be removed
+ */
+export const createRowRuleMatcher = (ruleSet, headerRow) => {
+  const groupTests = createGroupTests(ruleSet, headerRow).filter(Boolean);
+  if (groupTests.length === 0) return () => false;
+
+  return combineTests(groupTests, ruleSet.combinator);
+};
+
+/**
+ * Remove the rows that match the rule set
+ * @param {Array} adjustedJsonData - Data to filter (header row first)
+ * @param {Object} ruleSet - { combinator, groups }
+ * @returns {Array} Filtered data
+ */
+export const filterRowsByRules = (adjustedJsonData, ruleSet) => {
+  if (!adjustedJsonData || adjustedJsonData.length === 0 || !isRuleSetActive(ruleSet)) {
+    return adjustedJsonData;
+  }
+
+  console.log('=== ROW RULE FILTERING ===');
+
+  const matchesRules = createRowRuleMatcher(ruleSet, adjustedJsonData[0]);
+  const filteredData = [adjustedJsonData[0]]; // Keep header
+  let removedCount = 0;
+
+  for (let i = 1; i < adjustedJsonData.length; i++) {
+    const row = adjustedJsonData[i];
+    if (!row) continue;
+
+    if (matchesRules(row)) {
+      removedCount++;
+    } else {
+      filteredData.push(row);
+    }
+  }
+
+  console.log('- Rows removed:', removedCount);
+  console.log('- Rows kept:', filteredData.length - 1);
+  console.log('=== END ROW RULE FILTERING ===');
+
+  return filteredData;
+};
+
+/**
+ * Count the rows the rule set matches, in total and per group
+ * @param {Array} adjustedJsonData - Data to check (header row first)
+ * @param {Object} ruleSet - { combinator, groups }
+ * @returns {Object} { matched, groups } with a count (or null for incomplete groups) per group
+ */
+export const countRuleMatches = (adjustedJsonData, ruleSet) => {
+  const groupTests = createGroupTests(ruleSet, adjustedJsonData[0] || []);
+  const matchesRules = createRowRuleMatcher(ruleSet, adjustedJsonData[0] || []);
+  const groups = groupTests.map(test => (test ? 0 : null));
+  let matched = 0;
+
+  for (let i = 1; i < adjustedJsonData.length; i++) {
+    const row = adjustedJsonData[i];
+    if (!row) continue;
+
+    if (matchesRules(row)) matched++;
+    groupTests.forEach((test, index) => {
+      if (test && test(row)) groups[index]++;
+    });
+  }
+
+  return { matched, groups };
+};
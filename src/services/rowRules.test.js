@@ -0,0 +1,138 @@
+import {
+  parseNumericCell,
+  getConditionError,
+  isRuleSetActive,
+  filterRowsByRules,
+  countRuleMatches
+} from './rowRules.js';
+
+const data = [
+  ['Claim ID', 'Payer', 'Amount', 'Status'],
+  ['C1', 'SELF PAY', 0, 'Paid'],
+  ['C2', 'Bupa', '0.00', 'Rejected'],
+  ['C3', 'Bupa', '1,250.00', 'Paid'],
+  ['C4', 'Tawuniya', 40, 'Rejected - duplicate']
+];
+
+const condition = (header, operator, value = '') => ({ header, operator, value });
+const ruleSet = (combinator, groups) => ({
+  combinator,
+  groups: groups.map(([groupCombinator, conditions]) => ({ combinator: groupCombinator, conditions }))
+});
+const claimIds = (filtered) => filtered.slice(1).map(row => row[0]);
+
+describe('parseNumericCell', () => {
+  test('reads numbers with separators and currency symbols', () => {
+    expect(parseNumericCell('1,250.00')).toBe(1250);
+    expect(parseNumericCell('$ 40')).toBe(40);
+    expect(parseNumericCell(7)).toBe(7);
+    expect(parseNumericCell('12a')).toBeNull();
+    expect(parseNumericCell(null)).toBeNull();
+  });
+
+  test('reads currency codes before or after the amount', () => {
+    expect(parseNumericCell('SAR 1,250.00')).toBe(1250);
+    expect(parseNumericCell('40 SAR')).toBe(40);
+    expect(parseNumericCell('-$40')).toBe(-40);
+  });
+
+  test('keeps codes with letters as text', () => {
+    expect(parseNumericCell('A001')).toBeNull();
+    expect(parseNumericCell('B1')).toBeNull();
+    expect(parseNumericCell('Invoice 1')).toBeNull();
+    expect(parseNumericCell('SR1')).toBeNull();
+    expect(parseNumericCell('1,2')).toBeNull();
+  });
+});
+
+describe('getConditionError', () => {
+  test('explains incomplete conditions', () => {
+    expect(getConditionError(condition('', 'equals', 'x'))).toBe('Choose a column');
+    expect(getConditionError(condition('Payer', 'equals'))).toBe('Enter a value');
+    expect(getConditionError(condition('Amount', 'gt', 'abc'))).toBe('"abc" is not a number');
+    expect(getConditionError(condition('Payer', 'regex', '('))).toMatch(/^Invalid regex/);
+    expect(getConditionError(condition('Payer', 'empty'))).toBe('');
+  });
+
+  test('flags columns the sheet does not have', () => {
+    expect(getConditionError(condition('Aging Bucket', 'equals', '90+'), data[0])).toMatch(/not a column of this sheet/);
+    expect(getConditionError(condition('Payer', 'equals', 'Bupa'), data[0])).toBe('');
+  });
+});
+
+describe('filterRowsByRules', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compares numbers when both sides are numeric', () => {
+    const rules = ruleSet('or', [['and', [condition('Amount', 'equals', '0')]]]);
+    expect(claimIds(filterRowsByRules(data, rules))).toEqual(['C3', 'C4']);
+  });
+
+  test('compares alphanumeric codes as text', () => {
+    const codes = [['Payer Code'], ['A001'], ['B1'], ['Invoice 1'], ['a001'], [1]];
+    const equalsA001 = ruleSet('or', [['and', [condition('Payer Code', 'equals', 'A001')]]]);
+    const notB1 = ruleSet('or', [['and', [condition('Payer Code', 'notEquals', 'B1')]]]);
+    const overZero = ruleSet('or', [['and', [condition('Payer Code', 'gt', '0')]]]);
+
+    expect(filterRowsByRules(codes, equalsA001)).toEqual([['Payer Code'], ['B1'], ['Invoice 1'], [1]]);
+    expect(filterRowsByRules(codes, notB1)).toEqual([['Payer Code'], ['B1']]);
+    expect(filterRowsByRules(codes, overZero)).toEqual([['Payer Code'], ['A001'], ['B1'], ['Invoice 1'], ['a001']]);
+  });
+
+  test('compares text ignoring case and spaces', () => {
+    const rules = ruleSet('or', [['and', [condition('Payer', 'equals', ' self pay ')]]]);
+    expect(claimIds(filterRowsByRules(data, rules))).toEqual(['C2', 'C3', 'C4']);
+  });
+
+  test('a group with AND needs every condition', () => {
+    const rules = ruleSet('or', [['and', [
+      condition('Payer', 'equals', 'Bupa'),
+      condition('Status', 'contains', 'rejected')
+    ]]]);
+    expect(claimIds(filterRowsByRules(data, rules))).toEqual(['C1', 'C3', 'C4']);
+  });
+
+  test('groups are combined with OR', () => {
+    const rules = ruleSet('or', [
+      ['and', [condition('Payer', 'equals', 'SELF PAY')]],
+      ['and', [condition('Amount', 'gt', '1000')]]
+    ]);
+    expect(claimIds(filterRowsByRules(data, rules))).toEqual(['C2', 'C4']);
+  });
+
+  test('groups are combined with AND', () => {
+    const rules = ruleSet('and', [
+      ['or', [condition('Payer', 'equals', 'Bupa'), condition('Payer', 'equals', 'Tawuniya')]],
+      ['and', [condition('Status', 'contains', 'rejected')]]
+    ]);
+    expect(claimIds(filterRowsByRules(data, rules))).toEqual(['C1', 'C3']);
+  });
+
+  test('leaves the data alone without a complete condition', () => {
+    const rules = ruleSet('or', [['and', [condition('Payer', 'equals', '')]]]);
+    expect(isRuleSetActive(rules)).toBe(false);
+    expect(filterRowsByRules(data, rules)).toBe(data);
+  });
+});
+
+describe('countRuleMatches', () => {
+  test('counts matches in total and per group', () => {
+    const rules = ruleSet('or', [
+      ['and', [condition('Status', 'inList', 'paid, rejected')]],
+      ['and', [condition('Payer', 'equals', '')]],
+      ['and', [condition('Amount', 'lte', '0')]]
+    ]);
+    expect(countRuleMatches(data, rules)).toEqual({ matched: 3, groups: [3, null, 2] });
+  });
+
+  test('a condition on a missing column never matches', () => {
+    const rules = ruleSet('or', [['and', [condition('Aging Bucket', 'notEmpty')]]]);
+    expect(countRuleMatches(data, rules)).toEqual({ matched: 0, groups: [0] });
+  });
+});
@@ -0,0 +1,131 @@
+// serialDates.js - Excel serial date numbers: date systems, full valid range and time of day
+//
+// Serials are days since 1899-12-30 in the 1900 date system, with a fractional
+// part for the time of day. Workbooks saved in the 1904 date system count from
+// 1904-01-01 instead; their date cells are moved to the 1900 system when the
+// sheet is read, so the rest of the app only sees 1900 serials.
+//
+// Values are converted in UTC so a serial always maps to the same calendar day
+// and time whatever the browser's time zone (ExcelJS also writes dates as UTC).
+
+import * as XLSX from 'xlsx';
+
+// Days between the 1900 and 1904 date systems
+export const DATE_1904_OFFSET = 1462;
+
+// Serial of 9999-12-31, the last date Excel can show
+export const MAX_EXCEL_SERIAL = 2958465;
+
+// Numbers treated as dates in columns not yet known to hold dates (1968-06-12 to 2036-11-21)
+export const COMMON_SERIAL_MIN = 25000;
+export const COMMON_SERIAL_MAX = 50000;
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Serial 25569 is 1970-01-01
+const UNIX_EPOCH_SERIAL = 25569;
+
+/**
+ * Check whether a number can be read as a serial date
+ * @param {*} value - Cell value
+ * @param {boolean} fullRange - Accept every valid serial (for known date columns) instead of only 1968-2036
+ * @returns {boolean} True for serial date numbers
+ */
+export const isSerialDate = (value, fullRange = false) => {
+  if (typeof value !== 'number' || !isFinite(value)) return false;
+  return fullRange
+    ? value >= 1 && value < MAX_EXCEL_SERIAL + 1
+    : value > COMMON_SERIAL_MIN && value < COMMON_SERIAL_MAX;
+};
+
+/**
+ * Convert a serial to a UTC Date
+ * @param {number} serial - Excel serial (1900 date system)
+ * @returns {Date} Date whose UTC fields are the serial's date and time
+ */
+export const serialToDate = (serial) => {
+  // Excel counts 1900-02-29, which never existed, so serials before it are one day later than the epoch suggests
+  const adjusted = serial < 61 ? serial + 1 : serial;
+  return new Date(Math.round((adjusted - UNIX_EPOCH_SERIAL) * MILLISECONDS_PER_DAY / 1000) * 1000);
+};
+
+/**
+ * Split a serial into calendar date and time of day
+ * @param {number} serial - Excel serial (1900 date system)
+ * @returns {Object} { year, month, day, hours, minutes, seconds, hasTime }
+ */
+export const serialToParts = (serial) => {
+  const date = serialToDate(serial);
+  const hours = date.getUTCHours();
+  const minutes = date.getUTCMinutes();
+  const seconds = date.getUTCSeconds();
+
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hours,
+    minutes,
+    seconds,
+    hasTime: hours !== 0 || minutes !== 0 || seconds !== 0
+  };
+};
+
+/**
+ * Format a serial as date text, with the time when it has one
+ * @param {number} serial - Excel serial (1900 date system)
+ * @param {string} dateFormat - DD/MM/YYYY or MM/DD/YYYY
+ * @returns {string} e.g. "15/01/2024" or "15/01/2024 14:32"
+ */
+export const formatSerialDate = (serial, dateFormat = 'DD/MM/YYYY') => {
+  const parts = serialToParts(serial);
+  const pad = (number) => String(number).padStart(2, '0');
+
+  const date = dateFormat === 'MM/DD/YYYY'
+    ? `${pad(parts.month)}/${pad(parts.day)}/${parts.year}`
+    : `${pad(parts.day)}/${pad(parts.month)}/${parts.year}`;
+  if (!parts.hasTime) return date;
+
+  const time = `${pad(parts.hours)}:${pad(parts.minutes)}`;
+  return parts.seconds !== 0 ? `${date} ${time}:${pad(parts.seconds)}` : `${date} ${time}`;
+};
+
+/**
+ * Check whether a workbook uses the 1904 date system
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {boolean} True for 1904 workbooks
+ */
+export const usesDate1904 = (workbook) => Boolean(
+  workbook && workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904
+);
+
+/**
+ * Move date-formatted cells of a 1904 workbook to the 1900 date system
+ * @param {Object} sheet - SheetJS worksheet the rows were read from
+ * @param {Array} jsonData - Rows from sheet_to_json with header: 1 (updated in place)
+ * @returns {number} Number of cells moved
+ */
+export const convertDate1904Serials = (sheet, jsonData) => {
+  const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : { s: { r: 0, c: 0 } };
+  let convertedCount = 0;
+
+  jsonData.forEach((row, rowIndex) => {
+    if (!row) return;
+
+    row.forEach((cell, colIndex) => {
+      if (typeof cell !== 'number') return;
+
+      const sheetCell = sheet[XLSX.utils.encode_cell({ r: range.s.r + rowIndex, c: range.s.c + colIndex })];
+      if (sheetCell && sheetCell.z && XLSX.SSF.is_date(sheetCell.z)) {
+        row[colIndex] = cell + DATE_1904_OFFSET;
+        convertedCount++;
+      }
+    });
+  });
+
+  if (convertedCount > 0) {
+    console.log(`1904 date system: moved ${convertedCount} date cells to the 1900 system`);
+  }
+
+  return convertedCount;
+};
@@ -0,0 +1,41 @@
+import { isSerialDate, serialToParts, formatSerialDate, MAX_EXCEL_SERIAL } from './serialDates.js';
+
+describe('isSerialDate', () => {
+  test('only takes 1968-2036 serials outside known date columns', () => {
+    expect(isSerialDate(45306)).toBe(true);
+    expect(isSerialDate(5)).toBe(false);
+    expect(isSerialDate(123456)).toBe(false);
+  });
+
+  test('takes every valid serial in known date columns', () => {
+    expect(isSerialDate(1, true)).toBe(true);
+    expect(isSerialDate(MAX_EXCEL_SERIAL, true)).toBe(true);
+    expect(isSerialDate(MAX_EXCEL_SERIAL + 1, true)).toBe(false);
+    expect(isSerialDate(0, true)).toBe(false);
+    expect(isSerialDate('45306', true)).toBe(false);
+  });
+});
+
+describe('serialToParts', () => {
+  test('reads the date and the time of day', () => {
+    expect(serialToParts(45306.5)).toEqual({
+      year: 2024, month: 1, day: 15, hours: 12, minutes: 0, seconds: 0, hasTime: true
+    });
+  });
+
+  test('skips the 1900-02-29 Excel counts', () => {
+    expect(serialToParts(59)).toMatchObject({ year: 1900, month: 2, day: 28 });
+    expect(serialToParts(61)).toMatchObject({ year: 1900, month: 3, day: 1 });
+  });
+});
+
+describe('formatSerialDate', () => {
+  test('formats day first or month first', () => {
+    expect(formatSerialDate(45306)).toBe('15/01/2024');
+    expect(formatSerialDate(45306, 'MM/DD/YYYY')).toBe('01/15/2024');
+  });
+
+  test('keeps the time when there is one', () => {
+    expect(formatSerialDate(45306 + (14 * 60 + 32) / 1440)).toBe('15/01/2024 14:32');
+  });
+});
@@ -0,0 +1,224 @@
+// valueMappings.js - Translate codes (payer, doctor) to names with two-column lookup tables
+//
+// A lookup table is { id, name, entries } where entries are [code, value]
+// pairs. A mapping is { id, header, tableId, target, newHeader, fallback,
+// fallbackText }: the codes in the column `header` are looked up in the table
+// and either replace the cell ('replace') or go to the added column
+// `newHeader` ('newColumn'). Codes match ignoring case and surrounding spaces.
+// Blank cells stay blank; codes missing from the table get the fallback.
+// Tables are saved in the browser so they can be reused with other files.
+
+import { parseCsvText, sniffDelimiter } from './csvParsing.js';
+
+export const MAPPING_TARGETS = [
+  { value: 'replace', label: 'Replace the codes' },
+  { value: 'newColumn', label: 'Write to a new column' }
+];
+
+export const MAPPING_FALLBACKS = [
+  { value: 'keep', label: 'Keep the code' },
+  { value: 'blank', label: 'Leave blank' },
+  { value: 'text', label: 'Use this text' }
+];
+
+const LOOKUP_TABLES_STORAGE_KEY = 'excelColumnRemover.lookupTables';
+
+const normalizeCode = (value) => (
+  value === null || value === undefined ? '' : String(value).trim().toLowerCase()
+);
+
+/**
+ * Turn table rows into lookup entries: the first column holds the codes and
+ * the second the values. Rows without a code are skipped and the first row of
+ * a repeated code wins.
+ * @param {Array} rows - Table rows
+ * @param {boolean} firstRowIsHeader - Skip the first row
+ * @returns {Object} { entries, duplicateCodeCount }
+ */
+export const buildLookupEntries = (rows, firstRowIsHeader = true) => {
+  const seenCodes = new Set();
+  const entries = [];
+  let duplicateCodeCount = 0;
+
+  (firstRowIsHeader ? rows.slice(1) : rows).forEach(row => {
+    if (!row) return;
+
+    const code = row[0] === null || row[0] === undefined ? '' : String(row[0]).trim();
+    if (!code) return;
+
+    if (seenCodes.has(normalizeCode(code))) {
+      duplicateCodeCount++;
+      return;
+    }
+
+    seenCodes.add(normalizeCode(code));
+    entries.push([code, row[1] === null || row[1] === undefined ? '' : String(row[1]).trim()]);
+  });
+
+  return { entries, duplicateCodeCount };
+};
+
+/**
+ * Split pasted text (copied from Excel, or CSV) into table rows
+ * @param {string} text - Pasted text
+ * @returns {Array} Table rows
+ */
+export const parseLookupText = (text) => {
+  const delimiter = sniffDelimiter(text);
+  return parseCsvText(text, { delimiter }).filter(row => row.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Create a lookup table
+ * @param {string} name - Table name
+ * @param {Array} entries - [code, value] pairs
+ * @returns {Object} { id, name, entries }
+ */
+export const createLookupTable = (name, entries) => ({
+  id: `table-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  entries
+});
+
+/**
+ * Load the lookup tables saved in the browser
+ * @returns {Array} Saved tables, or an empty array
+ */
+export const loadSavedLookupTables = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(LOOKUP_TABLES_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(table => table && table.id && Array.isArray(table.entries)) : [];
+  } catch (error) {
+    console.error('Error loading saved lookup tables:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the lookup tables in the browser
+ * @param {Array} tables - Lookup tables
+ */
+export const saveLookupTables = (tables) => {
+  try {
+    window.localStorage.setItem(LOOKUP_TABLES_STORAGE_KEY, JSON.stringify(tables));
+  } catch (error) {
+    // Private browsing or a full storage quota; the tables still work for this session
+    console.error('Error saving lookup tables:', error);
+  }
+};
+
+/**
+ * Attach the entries of their tables to the mappings, leaving out mappings
+ * whose table was deleted
+ * @param {Array} mappings - Mappings
+ * @param {Array} tables - Lookup tables
+ * @returns {Array} Mappings with an entries field
+ */
+export const resolveValueMappings = (mappings, tables) => (
+  (mappings || []).flatMap(mapping => {
+    const table = (tables || []).find(candidate => candidate.id === mapping.tableId);
+    return table ? [{ ...mapping, tableName: table.name, entries: table.entries }] : [];
+  })
+);
+
+/**
+ * Build the function that translates one cell
+ * @param {Object} mapping - Mapping with its table entries
+ * @returns {Function} (value) => { value, matched } where matched is null for blank cells
+ */
+export const createValueMapper = (mapping) => {
+  const lookup = new Map();
+  (mapping.entries || []).forEach(([code, value]) => lookup.set(normalizeCode(code), value));
+
+  return (value) => {
+    const code = normalizeCode(value);
+    if (code === '') return { value: '', matched: null };
+    if (lookup.has(code)) return { value: lookup.get(code), matched: true };
+
+    switch (mapping.fallback) {
+      case 'blank':
+        return { value: '', matched: false };
+      case 'text':
+        return { value: mapping.fallbackText || '', matched: false };
+      default:
+        return { value, matched: false };
+    }
+  };
+};
+
+/**
+ * Replace codes with their values in the columns of the 'replace' mappings
+ * @param {Array} adjustedJsonData - Data to translate (header row first)
+ * @param {Array} mappings - Mappings with their table entries
+ * @returns {Array} Translated data
+ */
+export const applyValueMappings = (adjustedJsonData, mappings) => {
+  const replaceMappings = (mappings || [])
+    .filter(mapping => mapping.target === 'replace')
+    .map(mapping => ({ columnIndex: adjustedJsonData[0].indexOf(mapping.header), mapValue: createValueMapper(mapping) }))
+    .filter(mapping => mapping.columnIndex !== -1);
+
+  if (replaceMappings.length === 0) {
+    return adjustedJsonData;
+  }
+
+  console.log('=== VALUE MAPPING ===');
+  let unmatchedCount = 0;
+
+  const mappedData = [
+    adjustedJsonData[0],
+    ...adjustedJsonData.slice(1).map(row => {
+      if (!row) return row;
+
+      const newRow = [...row];
+      replaceMappings.forEach(({ columnIndex, mapValue }) => {
+        const { value, matched } = mapValue(row[columnIndex]);
+        if (matched === false) unmatchedCount++;
+        newRow[columnIndex] = value;
+      });
+      return newRow;
+    })
+  ];
+
+  console.log('- Columns translated:', replaceMappings.length);
+  console.log('- Cells without a match:', unmatchedCount);
+  console.log('=== END VALUE MAPPING ===');
+
+  return mappedData;
+};
+
+/**
+ * List the codes each mapping can't find in its table
+ * @param {Array} adjustedJsonData - Data to check (header row first)
+ * @param {Array} mappings - Mappings with their table entries
+ * @returns {Array} One { id, unmatchedRowCount, values } per mapping, values being
+ *   { value, count } sorted by count
+ */
+export const findUnmatchedValues = (adjustedJsonData, mappings) => (
+  (mappings || []).map(mapping => {
+    const columnIndex = adjustedJsonData[0].indexOf(mapping.header);
+    const counts = new Map();
+    let unmatchedRowCount = 0;
+
+    if (columnIndex !== -1) {
+      const mapValue = createValueMapper(mapping);
+
+      for (let i = 1; i < adjustedJsonData.length; i++) {
+        const row = adjustedJsonData[i];
+        if (!row || mapValue(row[columnIndex]).matched !== false) continue;
+
+        const code = String(row[columnIndex]).trim();
+        counts.set(code, (counts.get(code) || 0) + 1);
+        unmatchedRowCount++;
+      }
+    }
+
+    return {
+      id: mapping.id,
+      unmatchedRowCount,
+      values: Array.from(counts.entries())
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count)
+    };
+  })
+);
@@ -0,0 +1,88 @@
+import {
+  buildLookupEntries,
+  parseLookupText,
+  createValueMapper,
+  applyValueMappings,
+  findUnmatchedValues,
+  resolveValueMappings
+} from './valueMappings.js';
+
+const entries = [['P01', 'Bupa'], ['p02', 'Tawuniya']];
+
+const data = [
+  ['Claim ID', 'Payer'],
+  ['C1', ' p01 '],
+  ['C2', 'P03'],
+  ['C3', ''],
+  ['C4', 'P03'],
+  ['C5', 'P02']
+];
+
+describe('buildLookupEntries', () => {
+  test('skips the header, rows without a code and repeated codes', () => {
+    expect(buildLookupEntries([['Code', 'Name'], ['P01', 'Bupa'], ['', 'None'], [' p01', 'Other'], ['P02', null]])).toEqual({
+      entries: [['P01', 'Bupa'], ['P02', '']],
+      duplicateCodeCount: 1
+    });
+  });
+});
+
+describe('parseLookupText', () => {
+  test('reads rows pasted from Excel', () => {
+    expect(parseLookupText('P01\tBupa\nP02\tTawuniya\n\n')).toEqual([['P01', 'Bupa'], ['P02', 'Tawuniya']]);
+  });
+});
+
+describe('createValueMapper', () => {
+  test('matches codes ignoring case and spaces and leaves blanks alone', () => {
+    const mapValue = createValueMapper({ entries, fallback: 'keep' });
+
+    expect(mapValue(' P02 ')).toEqual({ value: 'Tawuniya', matched: true });
+    expect(mapValue('')).toEqual({ value: '', matched: null });
+  });
+
+  test('uses the fallback for codes missing from the table', () => {
+    expect(createValueMapper({ entries, fallback: 'keep' })('P03')).toEqual({ value: 'P03', matched: false });
+    expect(createValueMapper({ entries, fallback: 'blank' })('P03')).toEqual({ value: '', matched: false });
+    expect(createValueMapper({ entries, fallback: 'text', fallbackText: 'Unknown' })('P03')).toEqual({ value: 'Unknown', matched: false });
+  });
+});
+
+describe('applyValueMappings', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replaces codes in the mapped column', () => {
+    const mapped = applyValueMappings(data, [{ header: 'Payer', target: 'replace', fallback: 'keep', entries }]);
+
+    expect(mapped.map(row => row[1])).toEqual(['Payer', 'Bupa', 'P03', '', 'P03', 'Tawuniya']);
+  });
+
+  test('leaves the data alone for new-column mappings and missing columns', () => {
+    expect(applyValueMappings(data, [{ header: 'Payer', target: 'newColumn', entries }])).toBe(data);
+    expect(applyValueMappings(data, [{ header: 'Doctor', target: 'replace', entries }])).toBe(data);
+  });
+});
+
+describe('findUnmatchedValues', () => {
+  test('counts the codes missing from each table', () => {
+    expect(findUnmatchedValues(data, [{ id: 'm1', header: 'Payer', entries }])).toEqual([
+      { id: 'm1', unmatchedRowCount: 2, values: [{ value: 'P03', count: 2 }] }
+    ]);
+  });
+});
+
+describe('resolveValueMappings', () => {
+  test('attaches table entries and drops mappings whose table was deleted', () => {
+    const tables = [{ id: 't1', name: 'Payers', entries }];
+
+    expect(resolveValueMappings([{ id: 'm1', tableId: 't1' }, { id: 'm2', tableId: 't2' }], tables)).toEqual([
+      { id: 'm1', tableId: 't1', tableName: 'Payers', entries }
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+// workbookJoin.js - Bring columns across from a second workbook by matching a key column (a VLOOKUP done for you)
+//
+// A join is { fileName, sheetName, rows, leftKey, rightKey, columns,
+// duplicateMatch, addedHeaders } where rows are the second workbook's rows
+// (header row first), columns are the headers to bring across and
+// addedHeaders the names of columns added after them. Every row of the main
+// data is kept (left join): rows without a match get blank cells. Keys match
+// ignoring case and surrounding spaces; blank keys never match. The joined
+// columns are appended after the main data's own columns.
+
+// What to do when a key matches several rows of the second workbook
+export const JOIN_DUPLICATE_OPTIONS = [
+  { value: 'first', label: 'Use the first match' },
+  { value: 'last', label: 'Use the last match' },
+  { value: 'combine', label: 'Combine the values of all matches' },
+  { value: 'all', label: 'Repeat the row for every match' }
+];
+
+export const DEFAULT_JOIN = { leftKey: '', rightKey: '', columns: [], duplicateMatch: 'first' };
+
+// Separator between the values of several matches with the 'combine' option
+const COMBINED_VALUE_SEPARATOR = '; ';
+
+const normalizeKey = (value) => (
+  value === null || value === undefined ? '' : String(value).trim().toLowerCase()
+);
+
+/**
+ * Check whether a join is complete enough to apply
+ * @param {Object} join - Join settings with the second workbook's rows
+ * @returns {boolean} True if both keys and at least one column are chosen
+ */
+export const isJoinActive = (join) => Boolean(
+  join && join.rows && join.rows.length > 0 && join.leftKey && join.rightKey && join.columns && join.columns.length > 0
+);
+
+/**
+ * Name the joined columns in the output. A column named like one of the main
+ * data's, or like a column added later (join.addedHeaders), gets the second
+ * file's name after it, numbered if that is taken too.
+ * @param {Array} leftHeaders - Headers of the main data
+ * @param {Object} join - Join settings
+ * @returns {Array} Output headers of the joined columns
+ */
+export const getJoinedHeaders = (leftHeaders, join) => {
+  if (!isJoinActive(join)) return [];
+
+  const sourceName = (join.fileName || 'joined').replace(/\.[^.]+$/, '');
+  const takenHeaders = new Set([...leftHeaders, ...(join.addedHeaders || [])]);
+
+  return join.columns.map(header => {
+    let name = header;
+    for (let copy = 1; takenHeaders.has(name); copy++) {
+      name = copy === 1 ? `${header} (${sourceName})` : `${header} (${sourceName} ${copy})`;
+    }
+    takenHeaders.add(name);
+    return name;
+  });
+};
+
+/**
+ * Index the second workbook's rows by key
+ * @param {Object} join - Join settings
+ * @returns {Map} Normalized key -> matching rows in file order
+ */
+const indexRightRows = (join) => {
+  const rightHeaderRow = join.rows[0];
+  const keyIndex = rightHeaderRow.indexOf(join.rightKey);
+  const matches = new Map();
+  if (keyIndex === -1) return matches;
+
+  join.rows.slice(1).forEach(row => {
+    if (!row) return;
+
+    const key = normalizeKey(row[keyIndex]);
+    if (key === '') return;
+
+    if (!matches.has(key)) matches.set(key, []);
+    matches.get(key).push(row);
+  });
+
+  return matches;
+};
+
+/**
+ * Append the joined columns to every row
+ * @param {Array} adjustedJsonData - Main data (header row first)
+ * @param {Object} join - Join settings with the second workbook's rows
+ * @returns {Array} Data with the joined columns (more rows with the 'all' option)
+ */
+export const joinWorkbookRows = (adjustedJsonData, join) => {
+  if (!adjustedJsonData || adjustedJsonData.length === 0 || !isJoinActive(join)) {
+    return adjustedJsonData;
+  }
+
+  console.log('=== WORKBOOK JOIN ===');
+  console.log('Keys:', join.leftKey, '->', join.rightKey);
+  console.log('Columns:', join.columns);
+  console.log('Duplicate matches:', join.duplicateMatch);
+
+  const headerRow = adjustedJsonData[0];
+  const leftKeyIndex = headerRow.indexOf(join.leftKey);
+  const columnIndexes = join.columns.map(header => join.rows[0].indexOf(header));
+  const matchesByKey = indexRightRows(join);
+  const emptyCells = join.columns.map(() => '');
+
+  // Trailing blank cells are left out when a sheet is read, so pad rows to line the joined cells up
+  const padRow = (row) => (
+    row.length < headerRow.length ? [...row, ...Array(headerRow.length - row.length).fill('')] : row
+  );
+  const pickCells = (row) => columnIndexes.map(index => (
+    index === -1 || row[index] === null || row[index] === undefined ? '' : row[index]
+  ));
+  const combineCells = (rows) => columnIndexes.map((index, position) => {
+    const values = [...new Set(rows.map(row => pickCells(row)[position]).filter(value => value !== ''))];
+    return values.length === 1 ? values[0] : values.join(COMBINED_VALUE_SEPARATOR);
+  });
+
+  if (leftKeyIndex === -1) {
+    console.log('- Key column missing from this sheet, joined columns left blank');
+  }
+
+  const joinedData = [[...headerRow, ...getJoinedHeaders(headerRow, join)]];
+  let matchedRows = 0;
+
+  for (let i = 1; i < adjustedJsonData.length; i++) {
+    const row = adjustedJsonData[i];
+    if (!row) continue;
+
+    const key = leftKeyIndex === -1 ? '' : normalizeKey(row[leftKeyIndex]);
+    const matches = (key && matchesByKey.get(key)) || [];
+    if (matches.length > 0) matchedRows++;
+
+    if (matches.length === 0) {
+      joinedData.push([...padRow(row), ...emptyCells]);
+    } else if (join.duplicateMatch === 'all') {
+      matches.forEach(match => joinedData.push([...padRow(row), ...pickCells(match)]));
+    } else if (join.duplicateMatch === 'combine') {
+      joinedData.push([...padRow(row), ...combineCells(matches)]);
+    } else {
+      const match = join.duplicateMatch === 'last' ? matches[matches.length - 1] : matches[0];
+      joinedData.push([...padRow(row), ...pickCells(match)]);
+    }
+  }
+
+  console.log('- Rows with a match:', matchedRows);
+  console.log('- Rows without a match:', adjustedJsonData.length - 1 - matchedRows);
+  console.log('=== END WORKBOOK JOIN ===');
+
+  return joinedData;
+};
+
+/**
+ * Count how the main data's rows match the second workbook
+ * @param {Array} adjustedJsonData - Main data (header row first)
+ * @param {Object} join - Join settings with the second workbook's rows
+ * @returns {Object} { matchedRows, unmatchedRows, multipleMatchRows }
+ */
+export const countJoinMatches = (adjustedJsonData, join) => {
+  const leftKeyIndex = adjustedJsonData[0].indexOf(join.leftKey);
+  const matchesByKey = indexRightRows(join);
+  const counts = { matchedRows: 0, unmatchedRows: 0, multipleMatchRows: 0 };
+
+  for (let i = 1; i < adjustedJsonData.length; i++) {
+    const row = adjustedJsonData[i];
+    if (!row) continue;
+
+    const key = leftKeyIndex === -1 ? '' : normalizeKey(row[leftKeyIndex]);
+    const matchCount = key && matchesByKey.has(key) ? matchesByKey.get(key).length : 0;
+
+    if (matchCount === 0) {
+      counts.unmatchedRows++;
+    } else {
+      counts.matchedRows++;
+      if (matchCount > 1) counts.multipleMatchRows++;
+    }
+  }
+
+  return counts;
+};
@@ -0,0 +1,84 @@
+import { joinWorkbookRows, getJoinedHeaders, countJoinMatches, isJoinActive, DEFAULT_JOIN } from './workbookJoin.js';
+
+const data = [
+  ['Claim ID', 'Member ID', 'Amount'],
+  ['C1', 'M1', 100],
+  ['C2', ' m2 ', 50],
+  ['C3', 'M9', 20],
+  ['C4', '']
+];
+
+const members = [
+  ['Member', 'Plan', 'Amount'],
+  ['M1', 'Gold', 10],
+  ['M2', 'Silver', 20],
+  ['m2', 'Bronze', 20],
+  ['', 'Orphan', 30]
+];
+
+const join = (duplicateMatch, extra = {}) => ({
+  ...DEFAULT_JOIN,
+  fileName: 'members.xlsx',
+  rows: members,
+  leftKey: 'Member ID',
+  rightKey: 'Member',
+  columns: ['Plan', 'Amount'],
+  duplicateMatch,
+  ...extra
+});
+
+describe('joinWorkbookRows', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps every row and blanks the rows without a match', () => {
+    expect(joinWorkbookRows(data, join('first'))).toEqual([
+      ['Claim ID', 'Member ID', 'Amount', 'Plan', 'Amount (members)'],
+      ['C1', 'M1', 100, 'Gold', 10],
+      ['C2', ' m2 ', 50, 'Silver', 20],
+      ['C3', 'M9', 20, '', ''],
+      ['C4', '', '', '', '']
+    ]);
+  });
+
+  test('uses the last match', () => {
+    expect(joinWorkbookRows(data, join('last'))[2]).toEqual(['C2', ' m2 ', 50, 'Bronze', 20]);
+  });
+
+  test('combines the distinct values of all matches', () => {
+    expect(joinWorkbookRows(data, join('combine'))[2]).toEqual(['C2', ' m2 ', 50, 'Silver; Bronze', 20]);
+  });
+
+  test('repeats the row for every match', () => {
+    const joined = joinWorkbookRows(data, join('all'));
+
+    expect(joined).toHaveLength(6);
+    expect(joined.slice(2, 4)).toEqual([
+      ['C2', ' m2 ', 50, 'Silver', 20],
+      ['C2', ' m2 ', 50, 'Bronze', 20]
+    ]);
+  });
+
+  test('leaves the data alone until keys and columns are chosen', () => {
+    expect(isJoinActive(join('first', { columns: [] }))).toBe(false);
+    expect(joinWorkbookRows(data, join('first', { rightKey: '' }))).toBe(data);
+  });
+});
+
+describe('getJoinedHeaders', () => {
+  test('renames columns that clash with the main data or added columns', () => {
+    expect(getJoinedHeaders(data[0], join('first', { addedHeaders: ['Amount (members)'] })))
+      .toEqual(['Plan', 'Amount (members 2)']);
+  });
+});
+
+describe('countJoinMatches', () => {
+  test('counts matched, unmatched and multiple-match rows', () => {
+    expect(countJoinMatches(data, join('first'))).toEqual({ matchedRows: 2, unmatchedRows: 2, multipleMatchRows: 1 });
+  });
+});
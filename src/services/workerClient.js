@@ -0,0 +1,206 @@
+// workerClient.js - Run heavy tasks in the processing worker with progress and cancel support
+//
+// Two workers run side by side: the processing worker for parsing, processing
+// and export, which Cancel stops, and the preview worker for the live counts
+// shown while settings change. The preview worker keeps the active sheet
+// (shareWorkerData), so a count only posts its settings, never the whole
+// sheet, and it never queues in front of or gets cancelled with a Process run.
+
+/**
+ * Stages reported by processing tasks, in the order they happen
+ */
+export const PROCESSING_STAGES = [
+  { key: 'read', label: 'Read file' },
+  { key: 'detectHeaders', label: 'Detect headers' },
+  { key: 'countMonths', label: 'Count months' },
+  { key: 'filter', label: 'Filter rows' },
+  { key: 'export', label: 'Export' }
+];
+
+const workers = { processing: null, preview: null };
+let nextTaskId = 1;
+const pendingTasks = new Map(); // Key: task id, Value: { resolve, reject, onProgress, pool }
+
+// Data kept in the preview worker; Key: name, Value: { key, data }
+const sharedData = new Map();
+let nextShareKey = 1;
+
+/**
+ * Create the error used to reject cancelled tasks
+ * @returns {Error} Cancellation error
+ */
+const createCancelledError = () => {
+  const error = new Error('Processing was cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+/**
+ * Check whether an error came from cancelling a task
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the task was cancelled by the user
+ */
+export const isCancelledError = (error) => Boolean(error && error.cancelled);
+
+/**
+ * Check whether tasks run in a Web Worker. Without one they run on the main
+ * thread and can't be stopped once started.
+ * @returns {boolean} True if tasks run in the background and can be cancelled
+ */
+export const canRunInBackground = () => typeof Worker !== 'undefined';
+
+/**
+ * Route a message from the worker to the task it belongs to
+ * @param {MessageEvent} event - Worker message event
+ */
+const handleWorkerMessage = (event) => {
+  const { id, type, ...message } = event.data;
+  const task = pendingTasks.get(id);
+  if (!task) return; // Task was cancelled
+
+  if (type === 'progress') {
+    task.onProgress(message.stage, { current: message.current, total: message.total });
+  } else if (type === 'result') {
+    pendingTasks.delete(id);
+    task.resolve(message.result);
+  } else if (type === 'error') {
+    pendingTasks.delete(id);
+    task.reject(new Error(message.message));
+  }
+};
+
+/**
+ * Reject the pending tasks of one worker
+ * @param {string} pool - 'processing' or 'preview'
+ * @param {Function} createError - Builds the rejection error
+ */
+const rejectPoolTasks = (pool, createError) => {
+  pendingTasks.forEach((task, id) => {
+    if (task.pool !== pool) return;
+    pendingTasks.delete(id);
+    task.reject(createError());
+  });
+};
+
+/**
+ * Send shared data to the preview worker. Its reply (task id 0) is ignored.
+ * @param {Worker} activeWorker - Preview worker
+ * @param {string} name - Data name
+ * @param {Object} entry - { key, data }
+ */
+const postSharedData = (activeWorker, name, entry) => {
+  activeWorker.postMessage({ id: 0, type: 'shareData', payload: { name, ...entry } });
+};
+
+/**
+ * Get a running worker, starting one if needed
+ * @param {string} pool - 'processing' or 'preview'
+ * @returns {Promise<Worker>} Worker
+ */
+const getWorker = async (pool) => {
+  if (!workers[pool]) {
+    const { createProcessingWorker } = await import('../workers/createProcessingWorker.js');
+    if (workers[pool]) return workers[pool];
+
+    const activeWorker = createProcessingWorker();
+    activeWorker.onmessage = handleWorkerMessage;
+    activeWorker.onerror = (event) => {
+      console.error(`The ${pool} worker failed:`, event);
+      rejectPoolTasks(pool, () => new Error('The processing worker stopped unexpectedly'));
+      workers[pool] = null;
+    };
+    if (pool === 'preview') {
+      sharedData.forEach((entry, name) => postSharedData(activeWorker, name, entry));
+    }
+    workers[pool] = activeWorker;
+  }
+
+  return workers[pool];
+};
+
+/**
+ * Run a task in one of the workers, or on the main thread where Web Workers
+ * are not available (e.g. the test environment)
+ * @param {string} pool - 'processing' or 'preview'
+ * @param {string} type - Task type (see workers/processingTasks.js)
+ * @param {Object} payload - Task input (must be structured-cloneable)
+ * @param {Function} onProgress - Progress callback called with (stage, { current, total })
+ * @returns {Promise<*>} Task result
+ */
+const runTaskInPool = (pool, type, payload, onProgress) => {
+  const id = nextTaskId++;
+
+  return new Promise((resolve, reject) => {
+    pendingTasks.set(id, { resolve, reject, onProgress, pool });
+
+    if (!canRunInBackground()) {
+      import('../workers/processingTasks.js')
+        .then(({ runProcessingTask }) => runProcessingTask(type, payload, (stage, detail = {}) => {
+          if (pendingTasks.has(id)) onProgress(stage, detail);
+        }))
+        .then(result => handleWorkerMessage({ data: { id, type: 'result', result } }))
+        .catch(error => handleWorkerMessage({ data: { id, type: 'error', message: error.message } }));
+      return;
+    }
+
+    getWorker(pool)
+      .then(activeWorker => activeWorker.postMessage({ id, type, payload }))
+      .catch(error => {
+        pendingTasks.delete(id);
+        reject(error);
+      });
+  });
+};
+
+/**
+ * Run a task in the processing worker
+ * @param {string} type - Task type (see workers/processingTasks.js)
+ * @param {Object} payload - Task input (must be structured-cloneable)
+ * @param {Function} onProgress - Progress callback called with (stage, { current, total })
+ * @returns {Promise<*>} Task result
+ */
+export const runWorkerTask = (type, payload, onProgress = () => {}) => (
+  runTaskInPool('processing', type, payload, onProgress)
+);
+
+/**
+ * Run a live count in the preview worker, which Cancel leaves alone
+ * @param {string} type - Task type (see workers/processingTasks.js)
+ * @param {Object} payload - Task input, referring to shared data by key
+ * @returns {Promise<*>} Task result
+ */
+export const runPreviewTask = (type, payload) => runTaskInPool('preview', type, payload, () => {});
+
+/**
+ * Keep data in the preview worker so preview tasks can refer to it by key
+ * instead of posting a copy each time; it replaces earlier data of that name
+ * @param {string} name - Data name, e.g. 'sheet'
+ * @param {*} data - Data to keep (must be structured-cloneable)
+ * @returns {number} Key to pass in preview task payloads
+ */
+export const shareWorkerData = (name, data) => {
+  const entry = { key: nextShareKey++, data };
+  sharedData.set(name, entry);
+
+  if (!canRunInBackground()) {
+    import('../workers/processingTasks.js')
+      .then(({ runProcessingTask }) => runProcessingTask('shareData', { name, ...entry }));
+  } else if (workers.preview) {
+    postSharedData(workers.preview, name, entry);
+  }
+
+  return entry.key;
+};
+
+/**
+ * Cancel the running processing tasks by stopping the processing worker; a
+ * fresh one starts on the next task. Live counts in the preview worker go on.
+ */
+export const cancelWorkerTasks = () => {
+  if (workers.processing) {
+    workers.processing.terminate();
+    workers.processing = null;
+  }
+
+  rejectPoolTasks('processing', createCancelledError);
+};
@@ -0,0 +1,39 @@
+import { runPreviewTask, runWorkerTask, shareWorkerData, cancelWorkerTasks } from './workerClient.js';
+
+const sheet = [['Claim ID', 'Payer'], ['C1', 'Bupa'], ['C2', 'Bupa'], ['C1', 'Bupa']];
+
+describe('live counts on shared data', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('count the shared sheet from settings alone', async () => {
+    const sheetKey = shareWorkerData('sheet', sheet);
+
+    await expect(runPreviewTask('countDuplicates', { sheetKey, deduplication: { keyHeaders: ['Claim ID'], keep: 'first' }, dateColumnIndex: -1 }))
+      .resolves.toEqual({ duplicateRowCount: 1, duplicateKeyCount: 1 });
+  });
+
+  test('fail for a sheet that was replaced', async () => {
+    const oldKey = shareWorkerData('sheet', sheet);
+    shareWorkerData('sheet', sheet.slice(0, 2));
+
+    await expect(runPreviewTask('countRuleMatches', { sheetKey: oldKey, rowRules: { combinator: 'or', groups: [] } }))
+      .rejects.toThrow('The sheet data for this count is no longer loaded');
+  });
+
+  test('are not cancelled with the processing tasks', async () => {
+    const sheetKey = shareWorkerData('sheet', sheet);
+    const count = runPreviewTask('countDuplicates', { sheetKey, deduplication: { keyHeaders: ['Payer'], keep: 'first' }, dateColumnIndex: -1 });
+    const processing = runWorkerTask('countMonths', { jsonData: sheet, dateColumnIndex: -1 });
+
+    cancelWorkerTasks();
+
+    await expect(processing).rejects.toThrow('Processing was cancelled');
+    await expect(count).resolves.toEqual({ duplicateRowCount: 2, duplicateKeyCount: 1 });
+  });
+});
@@ -0,0 +1,108 @@
+// columnRenames.js - Output names for columns, stored as an original -> output header mapping
+//
+// Renames only change the header row written to the output. Everything that
+// finds columns by name (row rules, duplicates, derived columns, ID and date
+// detection in the export) keeps using the original headers.
+//
+// Names are compared ignoring case, as when duplicate headers are numbered at
+// parse time, so the output never has two columns that differ only in case.
+
+/**
+ * Key a column name is compared by
+ * @param {string} name - Column name
+ * @returns {string} Lower-case name
+ */
+const getNameKey = (name) => String(name).toLowerCase();
+
+/**
+ * Rename the headers of a header row
+ * @param {Array} headerRow - Header row with original names
+ * @param {Object} columnRenames - { originalHeader: outputHeader }
+ * @returns {Array} Header row with output names
+ */
+export const applyColumnRenames = (headerRow, columnRenames) => {
+  if (!headerRow || !columnRenames || Object.keys(columnRenames).length === 0) {
+    return headerRow;
+  }
+
+  return headerRow.map(header => (
+    Object.prototype.hasOwnProperty.call(columnRenames, header) ? columnRenames[header] : header
+  ));
+};
+
+/**
+ * Turn a renamed header row back into the original names
+ * @param {Array} headerRow - Header row with output names
+ * @param {Object} columnRenames - { originalHeader: outputHeader }
+ * @returns {Array} Header row with original names
+ */
+export const getOriginalHeaderRow = (headerRow, columnRenames) => {
+  if (!headerRow || !columnRenames || Object.keys(columnRenames).length === 0) {
+    return headerRow;
+  }
+
+  const originalNames = new Map(Object.entries(columnRenames).map(([original, output]) => [output, original]));
+  return headerRow.map(header => (originalNames.has(header) ? originalNames.get(header) : header));
+};
+
+/**
+ * Check a new output name for a column
+ * @param {string} originalHeader - Column being renamed
+ * @param {string} newName - Output name typed by the user
+ * @param {Array} allHeaders - Original headers of every column, added ones included
+ * @param {Object} columnRenames - Current mapping
+ * @returns {string} Error message, or '' if the name can be used
+ */
+export const validateColumnRename = (originalHeader, newName, allHeaders, columnRenames) => {
+  const name = (newName || '').trim();
+  if (!name) return 'Column name cannot be empty';
+
+  const otherOutputNames = allHeaders
+    .filter(header => header !== originalHeader)
+    .map(header => getNameKey((columnRenames && columnRenames[header]) || header));
+
+  if (otherOutputNames.includes(getNameKey(name))) {
+    return `Another column is already called "${name}"`;
+  }
+
+  return '';
+};
+
+/**
+ * Check the name of a column being added (custom, derived, expression or
+ * lookup column). Rules, duplicates and reordering find columns by name, so it
+ * must not repeat a header, another added column or an output name.
+ * @param {string} newName - Name typed by the user
+ * @param {Array} allHeaders - Original headers of every column, added and joined ones included
+ * @param {Object} columnRenames - Current mapping (optional)
+ * @returns {string} Error message, or '' if the name can be used
+ */
+export const validateNewColumnName = (newName, allHeaders, columnRenames = null) => {
+  const name = (newName || '').trim();
+  if (!name) return 'Column name cannot be empty';
+
+  const takenNames = [...allHeaders, ...Object.values(columnRenames || {})].map(getNameKey);
+  if (takenNames.includes(getNameKey(name))) {
+    return `A column named "${name}" already exists`;
+  }
+
+  return '';
+};
+
+/**
+ * Set or clear the output name of a column
+ * @param {Object} columnRenames - Current mapping
+ * @param {string} originalHeader - Column being renamed
+ * @param {string|null} newName - Output name, or null/the original name to undo the rename
+ * @returns {Object} Updated mapping
+ */
+export const updateColumnRenames = (columnRenames, originalHeader, newName) => {
+  const { [originalHeader]: previousName, ...otherRenames } = columnRenames || {};
+  const name = (newName || '').trim();
+
+  if (!name || name === originalHeader) {
+    return otherRenames;
+  }
+
+  return { ...otherRenames, [originalHeader]: name };
+};
@@ -0,0 +1,79 @@
+import {
+  applyColumnRenames,
+  getOriginalHeaderRow,
+  validateColumnRename,
+  validateNewColumnName,
+  updateColumnRenames
+} from './columnRenames.js';
+
+describe('applyColumnRenames and getOriginalHeaderRow', () => {
+  const renames = { 'Claim ID': 'Claim Number', Amount: 'Claimed' };
+
+  test('rename the output headers and back', () => {
+    const output = applyColumnRenames(['Claim ID', 'Payer', 'Amount'], renames);
+
+    expect(output).toEqual(['Claim Number', 'Payer', 'Claimed']);
+    expect(getOriginalHeaderRow(output, renames)).toEqual(['Claim ID', 'Payer', 'Amount']);
+  });
+
+  test('leave the header row alone without renames', () => {
+    const headerRow = ['Claim ID'];
+    expect(applyColumnRenames(headerRow, {})).toBe(headerRow);
+    expect(getOriginalHeaderRow(headerRow, null)).toBe(headerRow);
+  });
+});
+
+describe('validateColumnRename', () => {
+  const headers = ['Claim ID', 'Amount', 'Payer Name'];
+
+  test('rejects empty names and names other columns use', () => {
+    expect(validateColumnRename('Amount', ' ', headers, {})).toBe('Column name cannot be empty');
+    expect(validateColumnRename('Amount', 'Payer Name', headers, {})).toBe('Another column is already called "Payer Name"');
+    expect(validateColumnRename('Amount', 'Payer', headers, { 'Payer Name': 'Payer' })).toBe('Another column is already called "Payer"');
+  });
+
+  test('rejects names differing from another column only in case', () => {
+    expect(validateColumnRename('Payer Name', 'amount', headers, {})).toBe('Another column is already called "amount"');
+    expect(validateColumnRename('Amount', 'PAYER', headers, { 'Payer Name': 'Payer' })).toBe('Another column is already called "PAYER"');
+  });
+
+  test('accepts the column\'s own name, in any case', () => {
+    expect(validateColumnRename('Amount', 'Amount', headers, {})).toBe('');
+    expect(validateColumnRename('Amount', 'AMOUNT', headers, {})).toBe('');
+  });
+});
+
+describe('updateColumnRenames', () => {
+  test('sets, replaces and clears a rename', () => {
+    const renamed = updateColumnRenames({}, 'Amount', ' Claimed ');
+    expect(renamed).toEqual({ Amount: 'Claimed' });
+    expect(updateColumnRenames(renamed, 'Amount', 'Billed')).toEqual({ Amount: 'Billed' });
+    expect(updateColumnRenames(renamed, 'Amount', 'Amount')).toEqual({});
+    expect(updateColumnRenames(renamed, 'Amount', null)).toEqual({});
+  });
+});
+
+describe('validateNewColumnName', () => {
+  const headers = ['Claim ID', 'Amount', 'Payer Name'];
+
+  test('accepts a name no column uses', () => {
+    expect(validateNewColumnName(' Net Amount ', headers)).toBe('');
+  });
+
+  test('rejects empty names', () => {
+    expect(validateNewColumnName('  ', headers)).toBe('Column name cannot be empty');
+  });
+
+  test('rejects the name of a header or added column', () => {
+    expect(validateNewColumnName('Payer Name', headers)).toBe('A column named "Payer Name" already exists');
+  });
+
+  test('rejects names differing from a column only in case', () => {
+    expect(validateNewColumnName('payer name', headers)).toBe('A column named "payer name" already exists');
+    expect(validateNewColumnName('CLAIMED', headers, { Amount: 'Claimed' })).toBe('A column named "CLAIMED" already exists');
+  });
+
+  test('rejects the output name of a renamed column', () => {
+    expect(validateNewColumnName('Claimed', headers, { Amount: 'Claimed' })).toBe('A column named "Claimed" already exists');
+  });
+});
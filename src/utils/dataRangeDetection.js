@@ -0,0 +1,141 @@
+// dataRangeDetection.js - Find rows below the header that are not data: totals, footers, page breaks
+
+// Reasons shown next to excluded rows
+export const EXCLUSION_REASONS = {
+  blank: 'Blank row',
+  total: 'Total or subtotal',
+  pageHeader: 'Repeated page header',
+  pageNumber: 'Page number',
+  signature: 'Signature or approval line',
+  footer: 'Footer text after the data'
+};
+
+const TOTAL_PATTERN = /^\s*(grand\s+|sub[\s-]?)?(totals?|sum|summary)\b|^\s*(الإجمالي|الاجمالي|المجموع)/i;
+const PAGE_NUMBER_PATTERN = /^\s*(page\s*\d+(\s*(of|\/)\s*\d+)?|\d+\s*(of|\/)\s*\d+\s*pages?|صفحة\s*\d+)/i;
+const SIGNATURE_PATTERN = /(signature|signed\s+by|approved\s+by|prepared\s+by|checked\s+by|reviewed\s+by|authori[sz]ed\s+by|stamp|التوقيع|_{4,})/i;
+const GENERATED_PATTERN = /(generated|printed|exported)\s+(on|by|at)\b/i;
+
+/**
+ * Check whether a cell has a value
+ * @param {*} cell - Cell value
+ * @returns {boolean} True if the cell is not blank
+ */
+const isFilled = (cell) => cell !== null && cell !== undefined && String(cell).trim() !== '';
+
+/**
+ * Normalize a row for comparison with the header row
+ * @param {Array} row - Row cells
+ * @returns {string} Lowercased, trimmed cells joined together
+ */
+const rowKey = (row) => (row || []).map(cell => (isFilled(cell) ? String(cell).trim().toLowerCase() : '')).join('|').replace(/\|+$/, '');
+
+/**
+ * Classify a single row below the header
+ * @param {Array} row - Row cells
+ * @param {Set} headerKeys - Normalized header rows (raw and flattened)
+ * @param {number} headerFill - Number of filled cells in the header row
+ * @returns {string|null} Exclusion reason key, or null for a data row
+ */
+const classifyRow = (row, headerKeys, headerFill) => {
+  const filledCells = (row || []).filter(isFilled);
+  if (filledCells.length === 0) return 'blank';
+
+  if (headerKeys.has(rowKey(row))) return 'pageHeader';
+
+  const textCells = filledCells.filter(cell => typeof cell === 'string').map(cell => cell.trim());
+  if (textCells.some(text => PAGE_NUMBER_PATTERN.test(text))) return 'pageNumber';
+
+  // Totals have fewer cells than real rows, so "Total knee replacement" in a full row stays
+  if (textCells.some(text => TOTAL_PATTERN.test(text)) && filledCells.length < headerFill) return 'total';
+
+  const isSparseText = filledCells.length <= 2 && textCells.length === filledCells.length;
+  if (isSparseText && textCells.some(text => SIGNATURE_PATTERN.test(text))) return 'signature';
+  if (isSparseText && textCells.some(text => GENERATED_PATTERN.test(text))) return 'footer';
+
+  return null;
+};
+
+/**
+ * Check whether a row holds only a short piece of text, like a note under the table
+ * @param {Array} row - Row cells
+ * @param {number} headerFill - Number of filled cells in the header row
+ * @returns {boolean} True for rows with one or two text cells
+ */
+const isShortTextRow = (row, headerFill) => {
+  const filledCells = (row || []).filter(isFilled);
+  return filledCells.length > 0 && filledCells.length <= 2 &&
+    filledCells.every(cell => typeof cell === 'string') && filledCells.length < headerFill;
+};
+
+/**
+ * Find rows below the header that should not be treated as data. Blank rows,
+ * totals, repeated page headers and page numbers are caught anywhere; short
+ * text rows after the last real data row are footer notes when a blank row,
+ * total or other non-data row separates them from the data.
+ * @param {Array} jsonData - Sheet rows with the (flattened) header at headerRowIndex
+ * @param {number} headerRowIndex - Index of the last header row
+ * @param {Array} rawHeaderRows - The header rows as they appear in the sheet (optional)
+ * @returns {Array} Array of { rowIndex, reason } sorted by row
+ */
+export const findNonDataRows = (jsonData, headerRowIndex, rawHeaderRows = []) => {
+  if (!jsonData || headerRowIndex >= jsonData.length - 1) return [];
+
+  const headerKeys = new Set(
+    [jsonData[headerRowIndex], ...rawHeaderRows].map(rowKey).filter(key => key !== '')
+  );
+
+  const headerFill = (jsonData[headerRowIndex] || []).filter(isFilled).length;
+
+  const reasons = new Map(); // Key: row index, Value: reason key
+  const shortTextRows = [];
+  let lastDataRowIndex = headerRowIndex;
+
+  for (let rowIndex = headerRowIndex + 1; rowIndex < jsonData.length; rowIndex++) {
+    const reason = classifyRow(jsonData[rowIndex], headerKeys, headerFill);
+    if (reason) {
+      reasons.set(rowIndex, reason);
+    } else if (isShortTextRow(jsonData[rowIndex], headerFill)) {
+      shortTextRows.push(rowIndex);
+    } else {
+      lastDataRowIndex = rowIndex;
+    }
+  }
+
+  // Short text rows right after the data (a claim with only a name and status) stay data;
+  // once a non-data row follows the data, the short text rows below it are footer notes
+  const footerStartIndex = Array.from(reasons.keys())
+    .filter(rowIndex => rowIndex > lastDataRowIndex)
+    .reduce((first, rowIndex) => Math.min(first, rowIndex), Infinity);
+
+  shortTextRows
+    .filter(rowIndex => rowIndex > footerStartIndex)
+    .forEach(rowIndex => reasons.set(rowIndex, 'footer'));
+
+  const nonDataRows = Array.from(reasons.entries())
+    .map(([rowIndex, reason]) => ({ rowIndex, reason }))
+    .sort((a, b) => a.rowIndex - b.rowIndex);
+
+  if (nonDataRows.length > 0) {
+    // Row numbers and reasons only: the rows hold patient and claim details
+    console.log('=== NON-DATA ROWS ===');
+    nonDataRows
+      .filter(({ reason }) => reason !== 'blank')
+      .forEach(({ rowIndex, reason }) => console.log(`Row ${rowIndex + 1}: ${EXCLUSION_REASONS[reason]}`));
+    console.log(`${nonDataRows.length} rows excluded from the data range`);
+  }
+
+  return nonDataRows;
+};
+
+/**
+ * Drop rows by index
+ * @param {Array} jsonData - Sheet rows
+ * @param {Array} rowIndexes - Indexes of rows to drop
+ * @returns {Array} Copy of jsonData without those rows
+ */
+export const removeRows = (jsonData, rowIndexes) => {
+  if (!rowIndexes || rowIndexes.length === 0) return jsonData;
+
+  const dropped = new Set(rowIndexes);
+  return jsonData.filter((_, rowIndex) => !dropped.has(rowIndex));
+};
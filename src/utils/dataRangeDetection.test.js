@@ -0,0 +1,126 @@
+import { findNonDataRows, removeRows } from './dataRangeDetection.js';
+
+const header = ['Claim ID', 'Patient Name', 'Service Date', 'Amount', 'Status'];
+
+const reasonsOf = (jsonData) => findNonDataRows(jsonData, 0).map(({ rowIndex, reason }) => [rowIndex, reason]);
+
+describe('findNonDataRows', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('finds totals, page numbers and repeated headers anywhere', () => {
+    expect(reasonsOf([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      ['Page 1 of 2'],
+      header,
+      ['C2', 'Sara', 45307, 200, 'Paid'],
+      ['Total', '', '', 300]
+    ])).toEqual([[2, 'pageNumber'], [3, 'pageHeader'], [5, 'total']]);
+  });
+
+  test('keeps a total-like word in a full data row', () => {
+    expect(reasonsOf([
+      header,
+      ['C1', 'Total knee replacement', 45306, 100, 'Paid']
+    ])).toEqual([]);
+  });
+
+  test('keeps sparse text rows at the end of the data', () => {
+    expect(reasonsOf([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      ['', 'Sara', '', '', 'Pending']
+    ])).toEqual([]);
+  });
+
+  test('treats short notes below a break as footer', () => {
+    expect(reasonsOf([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      ['', 'Sara', '', '', 'Pending'],
+      [],
+      ['Figures are provisional'],
+      ['Prepared by: Finance']
+    ])).toEqual([[3, 'blank'], [4, 'footer'], [5, 'signature']]);
+  });
+});
+
+describe('findNonDataRows totals, page headers and footers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('finds subtotals, grand totals and Arabic totals', () => {
+    expect(reasonsOf([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      ['Subtotal Bupa', '', '', 100],
+      ['C2', 'Sara', 45307, 200, 'Paid'],
+      ['Sub-total Tawuniya', '', '', 200],
+      ['Grand Total', '', '', 300],
+      ['الإجمالي', 300]
+    ])).toEqual([[2, 'total'], [4, 'total'], [5, 'total'], [6, 'total']]);
+  });
+
+  test('finds page headers repeated in another case or as the stacked header rows', () => {
+    const rawHeaderRows = [['Claim ID', 'Patient', '', 'Amount'], ['', 'Name', 'Service Date', '']];
+
+    expect(findNonDataRows([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      ['CLAIM ID', 'patient name', 'Service Date', 'Amount', 'Status'],
+      ['Claim ID', 'Patient', '', 'Amount'],
+      ['', 'Name', 'Service Date'],
+      ['C2', 'Sara', 45307, 200, 'Paid']
+    ], 0, rawHeaderRows).map(({ rowIndex, reason }) => [rowIndex, reason])).toEqual([[2, 'pageHeader'], [3, 'pageHeader'], [4, 'pageHeader']]);
+  });
+
+  test('treats notes after a total as footer, and export stamps anywhere', () => {
+    expect(reasonsOf([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      ['Total', '', '', 100],
+      ['Amounts in SAR'],
+      ['Contact: claims team', 'ext. 204'],
+      ['Generated on 01/02/2024']
+    ])).toEqual([[2, 'total'], [3, 'footer'], [4, 'footer'], [5, 'footer']]);
+  });
+
+  test('keeps short text rows between data rows', () => {
+    expect(reasonsOf([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      [],
+      ['', 'Sara', '', '', 'Pending'],
+      ['C3', 'Omar', 45308, 50, 'Paid']
+    ])).toEqual([[2, 'blank']]);
+  });
+
+  test('logs row numbers and reasons without the row contents', () => {
+    findNonDataRows([
+      header,
+      ['C1', 'Ali', 45306, 100, 'Paid'],
+      ['Total', 'Ali', '', 100]
+    ], 0);
+
+    const logged = console.log.mock.calls.flat().map(String).join('\n');
+    expect(logged).toContain('Row 3: Total or subtotal');
+    expect(logged).not.toContain('Ali');
+  });
+});
+
+describe('removeRows', () => {
+  test('drops the given rows', () => {
+    expect(removeRows([['a'], ['b'], ['c']], [1])).toEqual([['a'], ['c']]);
+  });
+});
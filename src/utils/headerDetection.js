@@ -62,14 +62,17 @@ export const evaluateConsistencyOfFollowingRows = (jsonData, headerRowIndex) =>
   return headerRow.length > 0 ? consistentColumns / headerRow.length : 0;
 };
 
+// Number of rows shown in the header row picker
+export const HEADER_PREVIEW_ROW_COUNT = 15;
+
 /**
- * Find the most likely header row in the Excel data
+ * Score how likely each of the first rows is to be the header row
  * @param {Array} jsonData - The complete Excel data as array of arrays
  * @param {number} maxRowsToCheck - Maximum number of rows to analyze (default: 10)
- * @returns {number} Index of the most likely header row
+ * @returns {Array} Array of { rowIndex, score, fill, text, terms, uniq, consistency, forbiddenWords, singleValue } (empty rows are skipped)
  */
-export const findHeaderRow = (jsonData, maxRowsToCheck = 10) => {
-  if (!jsonData || jsonData.length === 0) return 0;
+export const scoreHeaderRows = (jsonData, maxRowsToCheck = 10) => {
+  if (!jsonData || jsonData.length === 0) return [];
   
   const rowScores = [];
   const rowsToCheck = Math.min(maxRowsToCheck, jsonData.length);
@@ -142,18 +145,42 @@ export const findHeaderRow = (jsonData, maxRowsToCheck = 10) => {
     if (hasForbiddenWords) score *= 0.3; // Significant penalty
     if (hasOnlyOneValue) score *= 0.2;   // Single-cell rows unlikely to be headers
     
-    rowScores.push({ rowIndex, score });
-    
-    console.log(`Row ${rowIndex} score: ${score.toFixed(3)} (fill: ${fillRate.toFixed(2)}, text: ${textCellRatio.toFixed(2)}, terms: ${headerTermScore.toFixed(2)}, uniq: ${uniquenessRatio.toFixed(2)}, consist: ${consistencyScore.toFixed(2)})`);
+    rowScores.push({
+      rowIndex,
+      score,
+      fill: fillRate,
+      text: textCellRatio,
+      terms: headerTermScore,
+      uniq: uniquenessRatio,
+      consistency: consistencyScore,
+      forbiddenWords: hasForbiddenWords,
+      singleValue: hasOnlyOneValue
+    });
   }
   
+  return rowScores;
+};
+
+/**
+ * Find the most likely header row in the Excel data
+ * @param {Array} jsonData - The complete Excel data as array of arrays
+ * @param {number} maxRowsToCheck - Maximum number of rows to analyze (default: 10)
+ * @returns {number} Index of the most likely header row
+ */
+export const findHeaderRow = (jsonData, maxRowsToCheck = 10) => {
+  const rowScores = scoreHeaderRows(jsonData, maxRowsToCheck);
+  
+  rowScores.forEach(({ rowIndex, score, fill, text, terms, uniq, consistency }) => {
+    console.log(`Row ${rowIndex} score: ${score.toFixed(3)} (fill: ${fill.toFixed(2)}, text: ${text.toFixed(2)}, terms: ${terms.toFixed(2)}, uniq: ${uniq.toFixed(2)}, consist: ${consistency.toFixed(2)})`);
+  });
+  
   // Select row with highest score
-  rowScores.sort((a, b) => b.score - a.score);
+  const ranked = [...rowScores].sort((a, b) => b.score - a.score);
   
   // If the best score is really low, default to first row
-  if (rowScores.length > 0 && rowScores[0].score < 0.2) {
+  if (ranked.length > 0 && ranked[0].score < 0.2) {
     return 0;
   }
   
-  return rowScores.length > 0 ? rowScores[0].rowIndex : 0;
-};
\ No newline at end of file
+  return ranked.length > 0 ? ranked[0].rowIndex : 0;
+};
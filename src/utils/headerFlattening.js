@@ -0,0 +1,190 @@
+// headerFlattening.js - Detect stacked (multi-row) headers and flatten them into single column names
+
+// Largest number of stacked header rows we look for
+export const MAX_HEADER_ROWS = 3;
+
+// Separator between group and sub-header names, e.g. "Amount - Net"
+export const HEADER_PART_SEPARATOR = ' - ';
+
+/**
+ * Check whether a cell has a value
+ * @param {*} cell - Cell value
+ * @returns {boolean} True if the cell is not blank
+ */
+const isFilled = (cell) => cell !== null && cell !== undefined && String(cell).trim() !== '';
+
+/**
+ * Check whether a cell looks like a header label rather than data
+ * @param {*} cell - Cell value
+ * @returns {boolean} True for non-numeric, non-date text
+ */
+const isLabel = (cell) => {
+  if (typeof cell !== 'string') return false;
+  const text = cell.trim();
+  return text !== '' && isNaN(text) && !/^\d{1,4}[/\-.]\d{1,2}[/\-.]\d{1,4}/.test(text);
+};
+
+/**
+ * Clean a header part for use in a column name
+ * @param {*} cell - Cell value
+ * @returns {string} Trimmed text, or '' for blank cells
+ */
+const toHeaderPart = (cell) => (isFilled(cell) ? String(cell).trim() : '');
+
+/**
+ * Get the merged ranges that cover a row
+ * @param {Array} merges - Merged ranges as { startRow, endRow, startCol, endCol }
+ * @param {number} rowIndex - Row index
+ * @returns {Array} Merged ranges touching the row
+ */
+const getRowMerges = (merges, rowIndex) => {
+  return merges.filter(merge => merge.startRow <= rowIndex && merge.endRow >= rowIndex);
+};
+
+/**
+ * Check whether a row is a sub-header of the row above it, e.g. "Gross | Net"
+ * under a merged "Amount" cell
+ * @param {Array} jsonData - Raw sheet rows
+ * @param {number} upperIndex - Index of the upper row
+ * @param {Array} merges - Merged ranges in sheet row/column indexes
+ * @returns {boolean} True if both rows belong to the same header
+ */
+const isSubHeaderRow = (jsonData, upperIndex, merges) => {
+  const upper = jsonData[upperIndex] || [];
+  const lower = jsonData[upperIndex + 1] || [];
+  const width = Math.max(upper.length, lower.length);
+
+  const lowerFilledColumns = [];
+  for (let colIndex = 0; colIndex < width; colIndex++) {
+    if (!isFilled(lower[colIndex])) continue;
+    if (!isLabel(lower[colIndex])) return false; // Numbers or dates mean a data row
+    lowerFilledColumns.push(colIndex);
+  }
+  const upperFilledCount = upper.filter(isFilled).length;
+  if (lowerFilledColumns.length === 0 || upperFilledCount === 0) return false;
+
+  // A cell merged down across both rows ties them together
+  const spansBothRows = merges.some(merge =>
+    merge.startRow <= upperIndex && merge.endRow >= upperIndex + 1
+  );
+
+  // Sub-headers sitting under a cell merged across several columns
+  const groupMerges = getRowMerges(merges, upperIndex).filter(merge =>
+    merge.startRow === upperIndex && merge.endCol > merge.startCol
+  );
+  const underGroup = lowerFilledColumns.filter(colIndex =>
+    groupMerges.some(merge => colIndex >= merge.startCol && colIndex <= merge.endCol)
+  );
+
+  // A single merged cell over every column is a report title, not a group
+  if (upperFilledCount === 1 && underGroup.length === lowerFilledColumns.length) {
+    return false;
+  }
+
+  if (spansBothRows || underGroup.length > 0) {
+    return true;
+  }
+
+  // Without merges: labels below blanks and blanks below labels
+  const underBlank = lowerFilledColumns.filter(colIndex => !isFilled(upper[colIndex])).length;
+  let blankUnderLabel = 0;
+  for (let colIndex = 0; colIndex < width; colIndex++) {
+    if (isFilled(upper[colIndex]) && !isFilled(lower[colIndex])) blankUnderLabel++;
+  }
+
+  return underBlank > 0 && blankUnderLabel > 0;
+};
+
+/**
+ * Extend a detected header row to the stacked header rows around it
+ * @param {Array} jsonData - Raw sheet rows
+ * @param {number} headerRowIndex - Header row found by findHeaderRow
+ * @param {Array} merges - Merged ranges in sheet row/column indexes
+ * @returns {Object} { headerRowIndex, headerRowCount } where headerRowIndex is the last header row
+ */
+export const detectStackedHeaderRows = (jsonData, headerRowIndex, merges = []) => {
+  let firstRowIndex = headerRowIndex;
+  let lastRowIndex = headerRowIndex;
+
+  while (lastRowIndex - firstRowIndex + 1 < MAX_HEADER_ROWS && firstRowIndex > 0 &&
+    isSubHeaderRow(jsonData, firstRowIndex - 1, merges)) {
+    firstRowIndex--;
+  }
+
+  while (lastRowIndex - firstRowIndex + 1 < MAX_HEADER_ROWS && lastRowIndex + 2 < jsonData.length &&
+    isSubHeaderRow(jsonData, lastRowIndex, merges)) {
+    lastRowIndex++;
+  }
+
+  const headerRowCount = lastRowIndex - firstRowIndex + 1;
+  if (headerRowCount > 1) {
+    console.log(`Stacked header detected: rows ${firstRowIndex + 1}-${lastRowIndex + 1}`);
+  }
+
+  return { headerRowIndex: lastRowIndex, headerRowCount };
+};
+
+/**
+ * Combine stacked header rows into one row of column names, e.g. "Amount - Net"
+ * @param {Array} jsonData - Raw sheet rows
+ * @param {number} firstRowIndex - Index of the top header row
+ * @param {number} rowCount - Number of header rows
+ * @param {Array} merges - Merged ranges in sheet row/column indexes
+ * @returns {Array} Flattened header names
+ */
+export const flattenHeaderRows = (jsonData, firstRowIndex, rowCount, merges = []) => {
+  const lastRowIndex = firstRowIndex + rowCount - 1;
+  const headerMerges = merges.filter(merge =>
+    merge.endRow >= firstRowIndex && merge.startRow <= lastRowIndex
+  );
+
+  let width = 0;
+  for (let rowIndex = firstRowIndex; rowIndex <= lastRowIndex; rowIndex++) {
+    width = Math.max(width, (jsonData[rowIndex] || []).length);
+  }
+  headerMerges.forEach(merge => {
+    width = Math.max(width, merge.endCol + 1);
+  });
+
+  const grid = [];
+  for (let rowIndex = firstRowIndex; rowIndex <= lastRowIndex; rowIndex++) {
+    const row = jsonData[rowIndex] || [];
+    grid.push(Array.from({ length: width }, (_, colIndex) => toHeaderPart(row[colIndex])));
+  }
+
+  if (headerMerges.length > 0) {
+    // Merged cells only store their value in the top-left cell
+    headerMerges.forEach(merge => {
+      const value = toHeaderPart((jsonData[merge.startRow] || [])[merge.startCol]);
+      for (let rowIndex = Math.max(merge.startRow, firstRowIndex); rowIndex <= Math.min(merge.endRow, lastRowIndex); rowIndex++) {
+        for (let colIndex = merge.startCol; colIndex <= merge.endCol; colIndex++) {
+          grid[rowIndex - firstRowIndex][colIndex] = value;
+        }
+      }
+    });
+  } else {
+    // No merge info: carry a group label right while there are sub-headers under it
+    for (let gridRow = 0; gridRow < grid.length - 1; gridRow++) {
+      let groupLabel = '';
+      for (let colIndex = 0; colIndex < width; colIndex++) {
+        const below = grid[gridRow + 1][colIndex];
+        if (grid[gridRow][colIndex] !== '') {
+          groupLabel = below !== '' ? grid[gridRow][colIndex] : '';
+        } else if (groupLabel && below !== '') {
+          grid[gridRow][colIndex] = groupLabel;
+        } else {
+          groupLabel = '';
+        }
+      }
+    }
+  }
+
+  return Array.from({ length: width }, (_, colIndex) => {
+    const parts = [];
+    grid.forEach(row => {
+      const part = row[colIndex];
+      if (part !== '' && parts[parts.length - 1] !== part) parts.push(part);
+    });
+    return parts.join(HEADER_PART_SEPARATOR);
+  });
+};
@@ -0,0 +1,71 @@
+import { detectStackedHeaderRows, flattenHeaderRows } from './headerFlattening.js';
+
+const stackedHeader = [
+  ['Claim ID', 'Amount', '', 'Payer'],
+  ['', 'Gross', 'Net', ''],
+  ['C1', 100, 90, 'Bupa'],
+  ['C2', 50, 45, 'Tawuniya']
+];
+
+// Claim ID and Payer merged down both rows, Amount merged across Gross and Net
+const stackedMerges = [
+  { startRow: 0, endRow: 1, startCol: 0, endCol: 0 },
+  { startRow: 0, endRow: 0, startCol: 1, endCol: 2 },
+  { startRow: 0, endRow: 1, startCol: 3, endCol: 3 }
+];
+
+describe('stacked headers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('find both header rows from either one, using the merged cells', () => {
+    expect(detectStackedHeaderRows(stackedHeader, 0, stackedMerges)).toEqual({ headerRowIndex: 1, headerRowCount: 2 });
+    expect(detectStackedHeaderRows(stackedHeader, 1, stackedMerges)).toEqual({ headerRowIndex: 1, headerRowCount: 2 });
+  });
+
+  test('flatten merged group cells into "Group - Sub-header" names', () => {
+    expect(flattenHeaderRows(stackedHeader, 0, 2, stackedMerges)).toEqual(['Claim ID', 'Amount - Gross', 'Amount - Net', 'Payer']);
+  });
+
+  test('without merge info, match sub-headers under blanks with labels over blanks', () => {
+    expect(detectStackedHeaderRows(stackedHeader, 1)).toEqual({ headerRowIndex: 1, headerRowCount: 2 });
+    expect(flattenHeaderRows(stackedHeader, 0, 2)).toEqual(['Claim ID', 'Amount - Gross', 'Amount - Net', 'Payer']);
+  });
+
+  test('without merge info, carry a group label only over the sub-headers next to it', () => {
+    const sheet = [
+      ['Claim ID', 'Amount', '', 'Notes', ''],
+      ['', 'Gross', 'Net', '', 'Reviewer']
+    ];
+
+    expect(flattenHeaderRows(sheet, 0, 2)).toEqual(['Claim ID', 'Amount - Gross', 'Amount - Net', 'Notes', 'Reviewer']);
+  });
+
+  test('do not take a data row for a sub-header', () => {
+    const sheet = [
+      ['Claim ID', 'Amount', 'Payer'],
+      ['C1', 100, 'Bupa'],
+      ['C2', 50, 'Tawuniya']
+    ];
+
+    expect(detectStackedHeaderRows(sheet, 0)).toEqual({ headerRowIndex: 0, headerRowCount: 1 });
+  });
+
+  test('leave a report title above the header row out, merged or not', () => {
+    const sheet = [
+      ['Claims report January 2024'],
+      ['Claim ID', 'Amount', 'Payer', 'Service Date'],
+      ['C1', 100, 'Bupa', '15/01/2024'],
+      ['C2', 50, 'Tawuniya', '20/01/2024']
+    ];
+    const titleMerge = [{ startRow: 0, endRow: 0, startCol: 0, endCol: 3 }];
+
+    expect(detectStackedHeaderRows(sheet, 1, titleMerge)).toEqual({ headerRowIndex: 1, headerRowCount: 1 });
+    expect(detectStackedHeaderRows(sheet, 1)).toEqual({ headerRowIndex: 1, headerRowCount: 1 });
+  });
+});
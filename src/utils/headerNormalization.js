@@ -0,0 +1,78 @@
+// headerNormalization.js - Clean, non-empty and unique header names
+//
+// Columns are selected, reordered and removed by header name, so after
+// normalization every name is unique within its sheet and works as the
+// column's id for the rest of the app.
+
+/**
+ * Collapse whitespace and line breaks inside a header cell
+ * @param {*} cell - Header cell value
+ * @returns {string} Cleaned header text ('' for blank cells)
+ */
+export const cleanHeaderName = (cell) => {
+  if (cell === null || cell === undefined) return '';
+  return String(cell).replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Get the spreadsheet column letter for a column index
+ * @param {number} colIndex - Zero-based column index
+ * @returns {string} Column letter, e.g. 0 → "A", 27 → "AB"
+ */
+export const getColumnLetter = (colIndex) => {
+  let letter = '';
+  let remaining = colIndex + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + offset) + letter;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letter;
+};
+
+/**
+ * Normalize a header row: clean whitespace, name blank headers after their
+ * column letter ("Column H") and number repeated names ("Amount (2)").
+ * Names are compared case-insensitively.
+ * @param {Array} headerRow - Header cells
+ * @param {number} width - Number of columns to name (default: header row length)
+ * @returns {Array} Unique, non-empty header names
+ */
+export const normalizeHeaderNames = (headerRow, width = headerRow.length) => {
+  const cleaned = Array.from({ length: Math.max(width, headerRow.length) }, (_, colIndex) => {
+    const name = cleanHeaderName(headerRow[colIndex]);
+    return name !== '' ? name : `Column ${getColumnLetter(colIndex)}`;
+  });
+
+  // Reserve every cleaned name first so a generated "Amount (2)" can't clash with a real one
+  const usedKeys = new Set();
+  const seenKeys = new Set();
+  const duplicates = [];
+
+  const names = cleaned.map((name, colIndex) => {
+    const key = name.toLowerCase();
+    if (!seenKeys.has(key)) {
+      seenKeys.add(key);
+      usedKeys.add(key);
+      return name;
+    }
+    duplicates.push(colIndex);
+    return null;
+  });
+
+  duplicates.forEach(colIndex => {
+    const baseName = cleaned[colIndex];
+    let suffix = 2;
+    while (usedKeys.has(`${baseName} (${suffix})`.toLowerCase())) suffix++;
+
+    names[colIndex] = `${baseName} (${suffix})`;
+    usedKeys.add(names[colIndex].toLowerCase());
+  });
+
+  const renamed = names.filter((name, colIndex) => name !== headerRow[colIndex]);
+  if (renamed.length > 0) {
+    console.log('Normalized headers:', names);
+  }
+
+  return names;
+};
@@ -0,0 +1,38 @@
+import { cleanHeaderName, getColumnLetter, normalizeHeaderNames } from './headerNormalization.js';
+
+describe('cleanHeaderName', () => {
+  test('collapses line breaks and spaces', () => {
+    expect(cleanHeaderName('  Service\n Date ')).toBe('Service Date');
+    expect(cleanHeaderName(null)).toBe('');
+  });
+});
+
+describe('getColumnLetter', () => {
+  test('names columns like a spreadsheet', () => {
+    expect(getColumnLetter(0)).toBe('A');
+    expect(getColumnLetter(25)).toBe('Z');
+    expect(getColumnLetter(27)).toBe('AB');
+  });
+});
+
+describe('normalizeHeaderNames', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('names blank headers after their column letter', () => {
+    expect(normalizeHeaderNames(['Claim ID', '', null], 4)).toEqual(['Claim ID', 'Column B', 'Column C', 'Column D']);
+  });
+
+  test('numbers repeated names, ignoring case', () => {
+    expect(normalizeHeaderNames(['Amount', 'amount', 'Amount'])).toEqual(['Amount', 'amount (2)', 'Amount (3)']);
+  });
+
+  test('does not clash with a real header that looks numbered', () => {
+    expect(normalizeHeaderNames(['Amount', 'Amount', 'Amount (2)'])).toEqual(['Amount', 'Amount (3)', 'Amount (2)']);
+  });
+});
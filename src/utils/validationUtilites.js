@@ -4,13 +4,15 @@
  * Check if processing can proceed based on selections
  * @param {Array} selectedHeaders - Selected headers to remove
  * @param {Array} selectedMonths - Selected months to filter
+ * @param {boolean} hasOtherChanges - Something else changes the output: row filters (e.g. a date range),
+ *   renamed, added, translated or joined columns, or a column order
  * @returns {Object} Validation result with isValid flag and message
  */
-export const validateProcessingRequirements = (selectedHeaders, selectedMonths) => {
-  if (!selectedHeaders.length && !selectedMonths.length) {
+export const validateProcessingRequirements = (selectedHeaders, selectedMonths, hasOtherChanges = false) => {
+  if (!selectedHeaders.length && !selectedMonths.length && !hasOtherChanges) {
     return {
       isValid: false,
-      message: 'Please select at least one column or month to remove'
+      message: 'Please select at least one column or month to remove, set a row filter, or add, rename or reorder columns'
     };
   }
   
@@ -115,11 +117,13 @@ export const validateRemainingData = (headers, selectedHeaders, totalRows, rowsT
 /**
  * Generate summary of changes to be made
  * @param {Array} selectedHeaders - Headers to remove
- * @param {Array} selectedMonths - Months to filter
- * @param {number} rowsToRemove - Number of rows to remove
+ * @param {Array} selectedMonths - Months picked in the month list
+ * @param {number} rowsToRemove - Number of rows the month selection removes
+ * @param {string} monthMode - 'remove' the picked months or 'keep' only them (default: remove)
+ * @param {string} periodPlural - What the picked periods are called (default: months)
  * @returns {string} Summary text
  */
-export const generateProcessingSummary = (selectedHeaders, selectedMonths, rowsToRemove) => {
+export const generateProcessingSummary = (selectedHeaders, selectedMonths, rowsToRemove, monthMode = 'remove', periodPlural = 'months') => {
   let summary = '';
   
   if (selectedHeaders.length > 0) {
@@ -127,8 +131,10 @@ export const generateProcessingSummary = (selectedHeaders, selectedMonths, rowsT
   }
   
   if (selectedMonths.length > 0) {
-    summary += `Will remove ${rowsToRemove} row(s) from months: ${selectedMonths.join(', ')}.`;
+    summary += monthMode === 'keep'
+      ? `Will keep only rows from ${selectedMonths.join(', ')}, removing ${rowsToRemove} row(s) from other ${periodPlural}.`
+      : `Will remove ${rowsToRemove} row(s) from ${periodPlural}: ${selectedMonths.join(', ')}.`;
   }
   
   return summary.trim();
-};
\ No newline at end of file
+};
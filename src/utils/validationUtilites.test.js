@@ -0,0 +1,30 @@
+import { validateProcessingRequirements, generateProcessingSummary } from './validationUtilites.js';
+
+describe('validateProcessingRequirements', () => {
+  test('needs something that changes the output', () => {
+    expect(validateProcessingRequirements([], [], false).isValid).toBe(false);
+  });
+
+  test('accepts removed columns or months', () => {
+    expect(validateProcessingRequirements(['Mobile'], []).isValid).toBe(true);
+    expect(validateProcessingRequirements([], ['January 2024']).isValid).toBe(true);
+  });
+
+  test('accepts other changes on their own, such as renames or joined columns', () => {
+    expect(validateProcessingRequirements([], [], true).isValid).toBe(true);
+  });
+});
+
+describe('generateProcessingSummary', () => {
+  test('describes removed columns and months', () => {
+    expect(generateProcessingSummary(['Mobile'], ['January 2024'], 12))
+      .toBe('Will remove 1 column(s): Mobile. Will remove 12 row(s) from months: January 2024.');
+  });
+
+  test('describes keeping only the selected months', () => {
+    expect(generateProcessingSummary([], ['January 2024', 'March 2024'], 30, 'keep'))
+      .toBe('Will keep only rows from January 2024, March 2024, removing 30 row(s) from other months.');
+    expect(generateProcessingSummary([], ['2024-Q1'], 8, 'keep', 'quarters'))
+      .toBe('Will keep only rows from 2024-Q1, removing 8 row(s) from other quarters.');
+  });
+});
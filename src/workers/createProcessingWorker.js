@@ -0,0 +1,10 @@
+// createProcessingWorker.js - Kept in its own module so it is only loaded on demand
+// (webpack bundles the worker from the import.meta.url reference below)
+
+/**
+ * Start a new processing worker
+ * @returns {Worker} Processing worker
+ */
+export const createProcessingWorker = () => {
+  return new Worker(new URL('./processing.worker.js', import.meta.url));
+};
@@ -0,0 +1,19 @@
+// processing.worker.js - Web Worker entry point for parsing, processing and export
+/* eslint-disable no-restricted-globals */
+import { runProcessingTask } from './processingTasks.js';
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  const onProgress = (stage, detail = {}) => {
+    self.postMessage({ id, type: 'progress', stage, ...detail });
+  };
+
+  try {
+    const result = await runProcessingTask(type, payload, onProgress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    console.error(`Processing task "${type}" failed:`, error);
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
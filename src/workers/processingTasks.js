@@ -0,0 +1,378 @@
+// processingTasks.js - Heavy parsing, processing and export tasks run by the processing worker
+
+import { 
+  parseUploadedFiles, 
+  parseExcelFile, 
+  parseWorksheet, 
+  readWorkbook, 
+  applyHeaderRow, 
+  buildDataRows 
+} from '../services/fileHandling.js';
+import { buildMergedUpload } from '../services/fileMerging.js';
+import { 
+  countEntriesByMonthWithColumn, 
+  measureDateParsing, 
+  calculateRowsRemoved, 
+  UNDATED_SHEET_NAME 
+} from '../services/dateUtilities.js';
+import { processExcelData, separateDataByMonths, getPickedDateHeaders } from '../services/dataProcessing.js';
+import { countRuleMatches } from '../services/rowRules.js';
+import { splitDuplicateRows, isDeduplicationActive, DUPLICATES_SHEET_NAME } from '../services/duplicateRows.js';
+import { findUnmatchedValues } from '../services/valueMappings.js';
+import { countJoinMatches } from '../services/workbookJoin.js';
+import { reconcileClaims, CLAIM_RESULT_HEADERS } from '../services/reconciliation.js';
+import {
+  buildStyledWorkbookBuffer,
+  exportSheetsWithXLSX,
+  buildSeparatedDataBuffer,
+} from '../services/excelExport.js';
+
+// The last uploaded workbook is kept here so more sheets can be parsed without re-reading the file
+let cachedWorkbook = null;
+
+// Data the live counts refer to by key (see shareWorkerData); Key: name, Value: { key, data }
+const sharedData = new Map();
+
+/**
+ * Get shared data sent earlier
+ * @param {string} name - Data name
+ * @param {number} key - Key the data was shared with
+ * @returns {*} Shared data
+ */
+const getSharedData = (name, key) => {
+  const entry = sharedData.get(name);
+  if (!entry || entry.key !== key) {
+    throw new Error(`The ${name} data for this count is no longer loaded`);
+  }
+  return entry.data;
+};
+
+/**
+ * Build a cache key that identifies an uploaded file across postMessage copies
+ * @param {File} file - Uploaded file
+ * @returns {string} Cache key
+ */
+const getFileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Get the workbook for a file, reading it again if it is not cached
+ * @param {File} file - Uploaded file
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} SheetJS workbook
+ */
+const getWorkbook = async (file, onProgress) => {
+  if (cachedWorkbook && cachedWorkbook.key === getFileKey(file)) {
+    return cachedWorkbook.workbook;
+  }
+
+  onProgress('read');
+  const workbook = await readWorkbook(file);
+  cachedWorkbook = { key: getFileKey(file), workbook };
+  return workbook;
+};
+
+// Excel sheet names are at most 31 characters long and unique whatever their case
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Make a sheet name unique in the workbook, numbering it if it is taken ("No or invalid date 2")
+ * @param {string} name - Wanted sheet name
+ * @param {Set} takenNames - Lower-case names already used in the workbook; the new name is added
+ * @returns {string} Sheet name (at most 31 characters)
+ */
+const getUniqueSheetName = (name, takenNames) => {
+  let uniqueName = name.slice(0, MAX_SHEET_NAME_LENGTH);
+  for (let copy = 2; takenNames.has(uniqueName.toLowerCase()); copy++) {
+    const suffix = ` ${copy}`;
+    uniqueName = `${name.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+  }
+  takenNames.add(uniqueName.toLowerCase());
+  return uniqueName;
+};
+
+/**
+ * Name the sheet of rows without a valid date, after their source sheet when several are processed
+ * @param {string} sheetName - Source sheet name
+ * @param {number} sheetCount - Number of sheets processed
+ * @param {Set} takenNames - Lower-case names already used in the workbook
+ * @returns {string} Sheet name (at most 31 characters)
+ */
+const getUndatedSheetName = (sheetName, sheetCount, takenNames) => getUniqueSheetName(
+  sheetCount > 1 ? `${sheetName.slice(0, 17)} - no date` : UNDATED_SHEET_NAME,
+  takenNames
+);
+
+/**
+ * Name the sheet of duplicate rows removed, after their source sheet when several are processed
+ * @param {string} sheetName - Source sheet name
+ * @param {number} sheetCount - Number of sheets processed
+ * @param {Set} takenNames - Lower-case names already used in the workbook
+ * @returns {string} Sheet name (at most 31 characters)
+ */
+const getDuplicatesSheetName = (sheetName, sheetCount, takenNames) => getUniqueSheetName(
+  sheetCount > 1 ? `${sheetName.slice(0, 15)} - duplicates` : DUPLICATES_SHEET_NAME,
+  takenNames
+);
+
+/**
+ * Run a single processing task
+ * @param {string} type - Task type
+ * @param {Object} payload - Task input
+ * @param {Function} onProgress - Progress callback called with (stage, { current, total })
+ * @returns {Promise<*>} Task result (must be structured-cloneable)
+ */
+export const runProcessingTask = async (type, payload, onProgress = () => {}) => {
+  switch (type) {
+    case 'parseFiles': {
+      const { workbook, ...parsedData } = await parseUploadedFiles(
+        payload.files, 
+        payload.addSourceColumn, 
+        onProgress, 
+        payload.csvSettings
+      );
+      cachedWorkbook = workbook ? { key: getFileKey(payload.files[0]), workbook } : null;
+      return parsedData;
+    }
+
+    // Second workbooks (to join, or remittance files) are not cached, so the main upload's workbook stays available
+    case 'parseSecondaryFile': {
+      const parsed = await parseExcelFile(payload.file, payload.sheetName ? [payload.sheetName] : null, onProgress);
+      return {
+        fileName: parsed.fileName,
+        sheets: parsed.sheets,
+        sheetName: parsed.sheetName,
+        headers: parsed.headers,
+        rows: [parsed.headers, ...parsed.jsonData.slice(parsed.headerRowIndex + 1)]
+      };
+    }
+
+    case 'parseSheet': {
+      const workbook = await getWorkbook(payload.file, onProgress);
+      return parseWorksheet(workbook, payload.sheetName, onProgress);
+    }
+
+    case 'applyHeaderRow': {
+      onProgress('detectHeaders');
+      return applyHeaderRow(
+        payload.rawJsonData, 
+        payload.headerRowIndex, 
+        payload.headerRowCount, 
+        payload.headerMerges, 
+        onProgress
+      );
+    }
+
+    case 'excludeRows': {
+      onProgress('countMonths');
+      const jsonData = buildDataRows(
+        payload.rawJsonData, 
+        payload.headers, 
+        payload.headerRowIndex, 
+        payload.excludedRowIndexes
+      );
+      const monthCounts = payload.dateColumnIndex !== -1
+        ? countEntriesByMonthWithColumn(
+          [payload.headers, ...jsonData.slice(payload.headerRowIndex + 1)], 
+          payload.dateColumnIndex,
+          payload.dateSettings
+        )
+        : null;
+      return { jsonData, monthCounts };
+    }
+
+    case 'mergeFiles': {
+      onProgress('countMonths');
+      return buildMergedUpload(payload.parsedFiles, payload.addSourceColumn);
+    }
+
+    case 'countMonths': {
+      onProgress('countMonths');
+      return countEntriesByMonthWithColumn(payload.jsonData, payload.dateColumnIndex, payload.dateSettings);
+    }
+
+    case 'applyDateSettings': {
+      onProgress('countMonths');
+      return {
+        monthCounts: countEntriesByMonthWithColumn(payload.jsonData, payload.dateColumnIndex, payload.dateSettings),
+        parseStats: measureDateParsing(payload.jsonData, payload.dateColumnIndex, payload.dateSettings)
+      };
+    }
+
+    case 'shareData': {
+      sharedData.set(payload.name, { key: payload.key, data: payload.data });
+      return null;
+    }
+
+    // Live counts run on the shared active sheet ([header row, ...data rows])
+    case 'previewRowsRemoved': {
+      return calculateRowsRemoved(
+        payload.selectedMonths, 
+        payload.monthCounts, 
+        { ...payload.rowFilter, jsonData: getSharedData('sheet', payload.sheetKey) }, 
+        payload.monthMode, 
+        payload.undatedPolicy
+      );
+    }
+
+    case 'countRuleMatches': {
+      return countRuleMatches(getSharedData('sheet', payload.sheetKey), payload.rowRules);
+    }
+
+    case 'countDuplicates': {
+      const { duplicateData, duplicateKeyCount } = splitDuplicateRows(
+        getSharedData('sheet', payload.sheetKey), 
+        payload.deduplication, 
+        { index: payload.dateColumnIndex, dateSettings: payload.dateSettings }
+      );
+      return { duplicateRowCount: duplicateData.length - 1, duplicateKeyCount };
+    }
+
+    case 'findUnmatchedValues': {
+      return findUnmatchedValues(getSharedData('sheet', payload.sheetKey), payload.valueMappings);
+    }
+
+    case 'countJoinMatches': {
+      return countJoinMatches(
+        getSharedData('sheet', payload.sheetKey), 
+        { ...payload.join, rows: getSharedData('joinRows', payload.joinRowsKey) }
+      );
+    }
+
+    case 'processSheets': {
+      let duplicateRowCount = 0;
+      const takenSheetNames = new Set(payload.sheets.map(sheet => sheet.name.toLowerCase()));
+      const outputSheets = payload.sheets.flatMap((sheet, index) => {
+        onProgress('filter', { current: index + 1, total: payload.sheets.length });
+
+        const dateFormat = sheet.dateSettings && sheet.dateSettings.dateFormat;
+        const derivedHeaders = (payload.derivedColumns || []).map(column => column.name);
+        const columnRenames = payload.columnRenames;
+        const dateHeaders = getPickedDateHeaders(sheet.jsonData[sheet.headerRowIndex], sheet.selectedDateColumnIndex, sheet.dateRanges);
+        const collectUndatedRows = payload.undatedPolicy === 'separate' && sheet.selectedDateColumnIndex !== -1;
+        const collectDuplicateRows = isDeduplicationActive(payload.deduplication);
+
+        // One run gives the sheet's rows and the rows of its side sheets
+        const processed = processExcelData(
+          sheet.jsonData,
+          sheet.headerRowIndex,
+          payload.selectedHeaders,
+          payload.selectedMonths,
+          sheet.monthCounts || [],
+          sheet.selectedDateColumnIndex,
+          payload.addedColumns,
+          sheet.columnOrder,
+          payload.headers,
+          payload.addedColumns,
+          {
+            dateSettings: sheet.dateSettings,
+            dateRanges: sheet.dateRanges,
+            monthMode: payload.monthMode,
+            undatedPolicy: payload.undatedPolicy,
+            derivedColumns: payload.derivedColumns,
+            rowRules: payload.rowRules,
+            deduplication: payload.deduplication,
+            valueMappings: payload.valueMappings,
+            join: payload.join,
+            columnRenames,
+            collectUndatedRows,
+            collectDuplicateRows
+          }
+        );
+        const { data, undatedData, duplicateData } = collectUndatedRows || collectDuplicateRows
+          ? processed
+          : { data: processed };
+
+        const sheetsForSource = [{ name: sheet.name, dateFormat, derivedHeaders, dateHeaders, columnRenames, data }];
+
+        // Rows without a valid date go to their own sheet
+        if (collectUndatedRows && undatedData.length > 1) {
+          sheetsForSource.push({
+            name: getUndatedSheetName(sheet.name, payload.sheets.length, takenSheetNames),
+            dateFormat,
+            derivedHeaders,
+            dateHeaders,
+            columnRenames,
+            data: undatedData
+          });
+        }
+
+        // Duplicate copies removed are counted for the summary and can get their own sheet
+        if (collectDuplicateRows) {
+          duplicateRowCount += duplicateData.length - 1;
+
+          if (payload.deduplication.writeDuplicatesSheet && duplicateData.length > 1) {
+            sheetsForSource.push({
+              name: getDuplicatesSheetName(sheet.name, payload.sheets.length, takenSheetNames),
+              dateFormat,
+              derivedHeaders,
+              dateHeaders,
+              columnRenames,
+              data: duplicateData
+            });
+          }
+        }
+
+        return sheetsForSource;
+      });
+
+      onProgress('export');
+      const buffer = payload.useBorders
+        ? await buildStyledWorkbookBuffer(outputSheets)
+        : exportSheetsWithXLSX(outputSheets);
+
+      return { buffer, duplicateRowCount };
+    }
+
+    case 'reconcile': {
+      onProgress('filter');
+      const { sheets, summary } = reconcileClaims(payload.claims, payload.remittance, payload.settings);
+
+      onProgress('export');
+      const buffer = await buildStyledWorkbookBuffer(sheets.map(sheet => ({
+        name: sheet.name,
+        data: sheet.data,
+        dateFormat: sheet.key === 'unexpected' ? undefined : payload.dateFormat,
+        derivedHeaders: sheet.key === 'unexpected' ? [] : CLAIM_RESULT_HEADERS,
+        dateHeaders: sheet.key === 'unexpected' ? [] : payload.dateHeaders
+      })));
+
+      return { buffer, summary };
+    }
+
+    case 'separate': {
+      onProgress('filter');
+      return separateDataByMonths(
+        payload.jsonData,
+        payload.selectedDateColumnIndex,
+        payload.headerRowIndex,
+        payload.selectedHeaders,
+        payload.selectedMonths,
+        payload.monthCounts,
+        payload.addedColumns,
+        payload.columnOrder,
+        payload.headers,
+        payload.addedColumns,
+        {
+          dateSettings: payload.dateSettings,
+          dateRanges: payload.dateRanges,
+          monthMode: payload.monthMode,
+          undatedPolicy: payload.undatedPolicy,
+          derivedColumns: payload.derivedColumns,
+          rowRules: payload.rowRules,
+          deduplication: payload.deduplication,
+          valueMappings: payload.valueMappings,
+          join: payload.join,
+          columnRenames: payload.columnRenames
+        }
+      );
+    }
+
+    case 'exportSeparated': {
+      onProgress('export');
+      return buildSeparatedDataBuffer(payload.separatedData, payload.fileName, payload.useBorders);
+    }
+
+    default:
+      throw new Error(`Unknown processing task: ${type}`);
+  }
+};
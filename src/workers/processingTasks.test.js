@@ -0,0 +1,129 @@
+import * as XLSX from 'xlsx';
+import { runProcessingTask } from './processingTasks.js';
+
+const claims = [
+  ['Claim ID', 'Service Date', 'Amount'],
+  ['C1', '15/01/2024', 100],
+  ['C2', '', 50],
+  ['C1', '15/01/2024', 100],
+  ['C3', '03/02/2024', 75],
+  ['C4', 'pending', 20]
+];
+
+const buildSheet = (name, jsonData = claims) => ({
+  name,
+  jsonData,
+  headerRowIndex: 0,
+  selectedDateColumnIndex: 1,
+  monthCounts: [],
+  columnOrder: null,
+  dateSettings: { dateFormat: 'DD/MM/YYYY' },
+  dateRanges: []
+});
+
+const processSheets = async (sheets, settings = {}) => {
+  const { buffer, duplicateRowCount } = await runProcessingTask('processSheets', {
+    sheets,
+    selectedHeaders: [],
+    selectedMonths: [],
+    addedColumns: [],
+    headers: claims[0],
+    monthMode: 'remove',
+    undatedPolicy: 'separate',
+    deduplication: { keyHeaders: ['Claim ID'], keep: 'first', writeDuplicatesSheet: true },
+    useBorders: false,
+    ...settings
+  });
+  const workbook = XLSX.read(buffer, { type: 'array' });
+  const claimIds = (sheetName) => XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]).map(row => row['Claim ID']);
+  return { sheetNames: workbook.SheetNames, claimIds, duplicateRowCount };
+};
+
+describe('processSheets', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('split the undated rows and duplicate copies off the processed sheet', async () => {
+    const { sheetNames, claimIds, duplicateRowCount } = await processSheets([buildSheet('Claims')]);
+
+    expect(sheetNames).toEqual(['Claims', 'No or invalid date', 'Duplicates']);
+    expect(claimIds('Claims')).toEqual(['C1', 'C3']);
+    expect(claimIds('No or invalid date')).toEqual(['C2', 'C4']);
+    expect(claimIds('Duplicates')).toEqual(['C1']);
+    expect(duplicateRowCount).toBe(1);
+  });
+
+  test('number undated sheet names already used in the workbook', async () => {
+    const { sheetNames } = await processSheets(
+      [buildSheet('Claims'), buildSheet('claims - no date'), buildSheet('January 2024 claims Riyadh'), buildSheet('January 2024 claims Jeddah')],
+      { deduplication: null }
+    );
+
+    expect(sheetNames).toEqual([
+      'Claims', 'Claims - no date 2',
+      'claims - no date', 'claims - no date - no date',
+      'January 2024 claims Riyadh', 'January 2024 clai - no date',
+      'January 2024 claims Jeddah', 'January 2024 clai - no date 2'
+    ]);
+  });
+
+  test('number the undated sheet when a source sheet has its name', async () => {
+    const { sheetNames } = await processSheets([buildSheet('No or invalid date')], { deduplication: null });
+
+    expect(sheetNames).toEqual(['No or invalid date', 'No or invalid date 2']);
+  });
+
+  test('number duplicates sheet names already used in the workbook', async () => {
+    const single = await processSheets([buildSheet('Duplicates')], { undatedPolicy: 'remove' });
+    const several = await processSheets(
+      [buildSheet('Claims Riyadh branch'), buildSheet('Claims Riyadh branch 2'), buildSheet('claims riyadh b - duplicates')],
+      { undatedPolicy: 'remove' }
+    );
+
+    expect(single.sheetNames).toEqual(['Duplicates', 'Duplicates 2']);
+    expect(several.sheetNames).toEqual([
+      'Claims Riyadh branch', 'Claims Riyadh b - duplicates 2',
+      'Claims Riyadh branch 2', 'Claims Riyadh b - duplicates 3',
+      'claims riyadh b - duplicates', 'claims riyadh b - duplicates 4'
+    ]);
+  });
+});
+
+describe('separate', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('split the duplicate copies off the months in the same run', async () => {
+    const separatedData = await runProcessingTask('separate', {
+      jsonData: claims,
+      selectedDateColumnIndex: 1,
+      headerRowIndex: 0,
+      selectedHeaders: [],
+      selectedMonths: [],
+      monthCounts: [],
+      addedColumns: [],
+      headers: claims[0],
+      dateSettings: { dateFormat: 'DD/MM/YYYY' },
+      undatedPolicy: 'separate',
+      deduplication: { keyHeaders: ['Claim ID'], keep: 'first', writeDuplicatesSheet: true }
+    });
+
+    expect(separatedData.monthsWithData.map(month => [month.name, month.rows.map(row => row[0])])).toEqual([
+      ['January 2024', ['C1']],
+      ['February 2024', ['C3']],
+      ['No or invalid date', ['C2', 'C4']],
+      ['Duplicates', ['C1']]
+    ]);
+    expect(separatedData.duplicateRowCount).toBe(1);
+  });
+});